@@ -0,0 +1,531 @@
+// ============================================================
+// トークン・費用の予算管理 (ai_budget.js)
+// ============================================================
+// このファイルは、プロバイダー・モデルごとに「1日 / 1か月に使ってよい量」
+// （トークン数・推定費用）を決め、使い切ったら呼び出しを止める仕組みを提供します。
+//
+// 【なぜ必要か】
+//  =hy_AI() を間違えて数千行にフィルダウンすると、その数だけ有料モデルに
+//  リクエストが飛ぶ。気付いたときには請求が膨らんでいる。
+//
+// 【スクリプトプロパティ】
+//  AI_BUDGETS        予算のリスト（JSON）。未設定なら予算管理はしない
+//  AI_BUDGET_ACTION  使い切ったときの動き (初期値: stop)
+//                    stop → 対象のモデルを呼ばない（【💰予算超過】）
+//                    free → 無料モデル（:free / openrouter/free）だけに回す
+//  AI_PRICES         費用の単価を手動で指定（JSON・1Mトークンあたりの米ドル）
+//                    例: {"llama3.1:8b": [0, 0], "gemini-2.5-flash": [0.3, 2.5]}
+//                    指定がなければ OpenRouter の /models の料金表（キャッシュ済みのもの）を使う
+//
+// 【AI_BUDGETS の例】
+//  [
+//    {"scope": "*",          "period": "day",   "tokens": 500000},
+//    {"scope": "openrouter", "period": "month", "cost": 5},
+//    {"scope": "gemini:gemini-2.5-flash", "period": "day", "tokens": 100000, "cost": 0.5}
+//  ]
+//  scope  : "*"（全体） / プロバイダー名 / "プロバイダー:モデル"
+//  period : "day"（今日） / "month"（今月）。日付はスクリプトのタイムゾーンで区切る
+//  tokens / cost : 上限（どちらか一方だけでもよい。cost は米ドル）
+//
+// 【使った量の記録】
+//  成功した呼び出しのトークン数（各プロバイダーの usage）と推定費用を、
+//  スクリプトプロパティ AI_USAGE_D_日付 / AI_USAGE_M_年月 に足し込む。
+//  古い日・月の記録は、新しい日・月の最初の記録時に消す。
+//  ロックが取れないときは共有の記録に書かず、専用のキー（AI_USAGE_P_ + ID）に1件だけ残し、
+//  次にロックが取れた記録のときに足し込む（一斉再計算でも数え漏らさない）。
+//  専用キーは AI_USAGE_MAX_PENDING 個まで。それを超えた分は記録できず、
+//  回数を AI_BUDGET_DROPPED に数えて showAIBudget() で知らせる（知らせたら数え直す）。
+//
+// 【判定に使う使用量】
+//  呼び出しのたびにプロパティを読まないよう、1回の実行の中では読んだ使用量を
+//  AI_BUDGET_SNAPSHOT_MS ミリ秒だけ使い回し、自分の記録はその場で足しておく。
+//
+// 【料金表】
+//  セルの計算中は OpenRouter に料金表を取りに行かない（時間がかかるため）。
+//  refreshAIPricing() がキャッシュに入れた料金表だけを使い、単価が分からない呼び出しは
+//  費用0として数えたうえで「単価不明」の回数に記録する。
+//  費用の予算を使うときは installAIPricingTrigger() で定期的に更新しておくこと。
+//
+// 【使い方】
+//  showAIBudget()            … 「AI_Budget」シートに予算ごとの残りを書き出す
+//  refreshAIPricing()        … OpenRouter の料金表を取得してキャッシュする
+//  installAIPricingTrigger() … refreshAIPricing を4時間ごとに実行するトリガーを登録する
+// ============================================================
+
+
+/** 使用量を保存するプロパティの接頭辞 */
+const AI_USAGE_PREFIX = "AI_USAGE_";
+
+/** ロックが取れなかったときの使用量（後で足し込む）の接頭辞 */
+const AI_USAGE_PENDING_PREFIX = AI_USAGE_PREFIX + "P_";
+
+/** 予算の表を書き出すシート名 */
+const AI_BUDGET_SHEET = "AI_Budget";
+
+/** OpenRouter の料金表をキャッシュする秒数（CacheService の上限） */
+const AI_PRICING_CACHE_TTL = 21600;
+
+/** 料金表を更新するトリガーの間隔（時間）。キャッシュが切れる前に更新する */
+const AI_PRICING_REFRESH_HOURS = 4;
+
+/** 使用量の記録時にロックを待つ時間（ミリ秒） */
+const AI_BUDGET_LOCK_MS = 2000;
+
+/** 使用量の専用キーの最大個数（全体の上限 500KB を食いつぶさないため） */
+const AI_USAGE_MAX_PENDING = 100;
+
+/** 記録できなかった回数を数えるプロパティ */
+const AI_BUDGET_DROPPED_KEY = "AI_BUDGET_DROPPED";
+
+/** 予算の判定で読んだ使用量を使い回す時間（ミリ秒） */
+const AI_BUDGET_SNAPSHOT_MS = 30000;
+
+
+// ============================================================
+// 1. 予算設定の読み込み
+// ============================================================
+// 戻り値: { rules: [{ scope, period, tokens, cost, label }], action: "stop"|"free", problems: [...] }
+// ============================================================
+let _aiBudgetConfig = null;
+
+function _loadBudgetConfig() {
+    if (_aiBudgetConfig) return _aiBudgetConfig;
+
+    const props = PropertiesService.getScriptProperties();
+    const config = { rules: [], action: "stop", problems: [] };
+    const action = (props.getProperty('AI_BUDGET_ACTION') || "stop").trim().toLowerCase();
+    if (action === "free") config.action = "free";
+    else if (action !== "stop") config.problems.push("AI_BUDGET_ACTION は stop か free です: " + action);
+
+    const json = props.getProperty('AI_BUDGETS');
+    if (json) {
+        let list = [];
+        try {
+            list = JSON.parse(json);
+            if (!Array.isArray(list)) throw new Error("配列ではありません");
+        } catch (e) {
+            config.problems.push("AI_BUDGETS が読めません: " + e.message);
+            list = [];
+        }
+        list.forEach((spec, i) => {
+            const rule = _normalizeBudgetRule(spec);
+            if (typeof rule === "string") config.problems.push(`AI_BUDGETS ${i + 1}件目: ${rule}`);
+            else config.rules.push(rule);
+        });
+    }
+
+    config.problems.forEach(p => console.warn("【予算設定】" + p));
+    _aiBudgetConfig = config;
+    return config;
+}
+
+/** 予算1件を正規化する（不正なら理由の文字列） */
+function _normalizeBudgetRule(spec) {
+    if (!spec || typeof spec !== "object") return "オブジェクトではありません";
+    const scope = String(spec.scope || "*").trim();
+    const period = { "day": "day", "daily": "day", "日": "day", "month": "month", "monthly": "month", "月": "month" }[String(spec.period || "day").trim().toLowerCase()];
+    if (!period) return "period は day か month です: " + spec.period;
+
+    const tokens = spec.tokens === undefined || spec.tokens === "" ? null : Number(spec.tokens);
+    const cost = spec.cost === undefined || spec.cost === "" ? null : Number(spec.cost);
+    if ((tokens !== null && !(tokens >= 0)) || (cost !== null && !(cost >= 0))) return "tokens / cost は0以上の数値です";
+    if (tokens === null && cost === null) return "tokens か cost のどちらかを指定してください";
+
+    return {
+        scope: scope, period: period, tokens: tokens, cost: cost,
+        label: (scope === "*" ? "全体" : scope) + "（" + (period === "day" ? "今日" : "今月") + "）"
+    };
+}
+
+/** 予算の対象に含まれるか（scope: "*" / プロバイダー / "プロバイダー:モデル"） */
+function _budgetScopeMatches(scope, usageKey) {
+    if (scope === "*") return true;
+    if (scope === usageKey) return true;
+    return scope.indexOf(":") === -1 && usageKey.indexOf(scope + ":") === 0;
+}
+
+/** 無料モデルか（使い切った後の free モードで通すもの） */
+function _isFreeModel(entry) {
+    return !!entry.isFree || /:free$/.test(entry.model);
+}
+
+
+// ============================================================
+// 2. 使用量の保存
+// ============================================================
+/** 今日・今月の使用量を保存するプロパティ名 */
+function _budgetPeriodKeys() {
+    const tz = Session.getScriptTimeZone();
+    const now = new Date();
+    return {
+        day: AI_USAGE_PREFIX + "D_" + Utilities.formatDate(now, tz, "yyyy-MM-dd"),
+        month: AI_USAGE_PREFIX + "M_" + Utilities.formatDate(now, tz, "yyyy-MM")
+    };
+}
+
+/**
+ * 使用量 { "provider:model": [トークン, 費用(USD), 回数, 単価不明の回数] } を読む
+ * まだ足し込んでいない専用キーの分も含める。
+ *
+ * @param {string} key     AI_USAGE_D_日付 / AI_USAGE_M_年月
+ * @param {Array}  pending _readPendingBudgetUsage の結果（省略時は読む）
+ */
+function _readBudgetUsage(key, pending) {
+    const props = PropertiesService.getScriptProperties();
+    let usage = {};
+    try {
+        usage = JSON.parse(props.getProperty(key) || "{}");
+    } catch (e) {
+        console.warn("使用量の読み込み失敗 (" + key + "): " + e.message);
+    }
+    (pending || _readPendingBudgetUsage(props)).forEach(p => {
+        if (p.record.keys.indexOf(key) !== -1) _addBudgetUsage(usage, p.record);
+    });
+    return usage;
+}
+
+/** 予算の判定に使う今日・今月の使用量（AI_BUDGET_SNAPSHOT_MS の間は読み直さない） */
+let _aiBudgetUsage = null;
+
+function _budgetUsageSnapshot() {
+    const keys = _budgetPeriodKeys();
+    const cached = _aiBudgetUsage;
+    if (cached && cached.keys.day === keys.day && cached.keys.month === keys.month &&
+        Date.now() - cached.readAt < AI_BUDGET_SNAPSHOT_MS) {
+        return cached;
+    }
+    const pending = _readPendingBudgetUsage(PropertiesService.getScriptProperties());
+    _aiBudgetUsage = {
+        keys: keys,
+        readAt: Date.now(),
+        day: _readBudgetUsage(keys.day, pending),
+        month: _readBudgetUsage(keys.month, pending)
+    };
+    return _aiBudgetUsage;
+}
+
+/** 予算の対象になるモデルの使用量を合計する */
+function _sumBudgetUsage(usage, scope) {
+    const total = { tokens: 0, cost: 0, calls: 0, unpriced: 0 };
+    Object.keys(usage).forEach(k => {
+        if (!_budgetScopeMatches(scope, k)) return;
+        total.tokens += usage[k][0] || 0;
+        total.cost += usage[k][1] || 0;
+        total.calls += usage[k][2] || 0;
+        total.unpriced += usage[k][3] || 0;
+    });
+    return total;
+}
+
+/** 1回分の記録 { usageKey, tokens, cost, unpriced } を使用量に足す */
+function _addBudgetUsage(usage, record) {
+    const u = usage[record.usageKey] || [0, 0, 0, 0];
+    usage[record.usageKey] = [u[0] + record.tokens, Math.round((u[1] + record.cost) * 1e6) / 1e6, u[2] + 1, (u[3] || 0) + record.unpriced];
+}
+
+/**
+ * 成功した1回の呼び出しの使用量を記録する（_callAIProvider から呼ぶ）
+ * 予算が1件も設定されていなければ何もしない。
+ *
+ * @param {Object} entry チェーンの要素
+ * @param {Object} reply parseReply の結果 { tokens, inputTokens, outputTokens, actualModel }
+ */
+function _recordBudgetUsage(entry, reply) {
+    const config = _loadBudgetConfig();
+    if (config.rules.length === 0) return;
+
+    try {
+        const needsCost = config.rules.some(r => r.cost !== null);
+        const cost = needsCost ? _estimateCostUSD(entry, reply) : 0;
+        const keys = _budgetPeriodKeys();
+        const record = {
+            keys: [keys.day, keys.month],
+            usageKey: entry.provider + ":" + entry.model,
+            tokens: reply.tokens || (reply.inputTokens || 0) + (reply.outputTokens || 0),
+            cost: cost || 0,
+            unpriced: cost === null ? 1 : 0
+        };
+        const props = PropertiesService.getScriptProperties();
+
+        // この実行の判定にはすぐ反映する（読み直すまで待たない）
+        if (_aiBudgetUsage) {
+            if (_aiBudgetUsage.keys.day === keys.day) _addBudgetUsage(_aiBudgetUsage.day, record);
+            if (_aiBudgetUsage.keys.month === keys.month) _addBudgetUsage(_aiBudgetUsage.month, record);
+        }
+
+        const lock = LockService.getScriptLock();
+        if (!lock.tryLock(AI_BUDGET_LOCK_MS)) {
+            // ロックが取れない → 共有の記録には書かず、衝突しない専用キーに1件だけ書く
+            const pendingCount = props.getKeys().filter(k => k.indexOf(AI_USAGE_PENDING_PREFIX) === 0).length;
+            if (pendingCount >= AI_USAGE_MAX_PENDING) {
+                props.setProperty(AI_BUDGET_DROPPED_KEY, String((Number(props.getProperty(AI_BUDGET_DROPPED_KEY)) || 0) + 1));
+                console.warn("【予算】専用キーが上限に達したため、使用量を記録できませんでした");
+                return;
+            }
+            props.setProperty(AI_USAGE_PENDING_PREFIX + Utilities.getUuid().replace(/-/g, ""), JSON.stringify(record));
+            return;
+        }
+        try {
+            const pending = _readPendingBudgetUsage(props);
+            const records = pending.map(p => p.record).concat([record]);
+            [keys.day, keys.month].forEach(key => {
+                const raw = props.getProperty(key);
+                if (!raw) _removeOldBudgetUsage(props, key);
+                const usage = raw ? JSON.parse(raw) : {};
+                records.forEach(r => {
+                    if (r.keys.indexOf(key) !== -1) _addBudgetUsage(usage, r);
+                });
+                props.setProperty(key, JSON.stringify(usage));
+            });
+            // 足し込んだ専用キーは消す（過ぎた日・月の分もここで捨てる）
+            pending.forEach(p => props.deleteProperty(p.key));
+        } finally {
+            lock.releaseLock();
+        }
+    } catch (e) {
+        // 記録に失敗してもメイン処理は止めない
+        console.warn("使用量の記録失敗: " + e.message);
+    }
+}
+
+/** ロックなしで書いた使用量を読む [{ key, record }] */
+function _readPendingBudgetUsage(props) {
+    const all = props.getProperties();
+    const out = [];
+    Object.keys(all).sort().forEach(key => {
+        if (key.indexOf(AI_USAGE_PENDING_PREFIX) !== 0) return;
+        try {
+            out.push({ key: key, record: JSON.parse(all[key]) });
+        } catch (e) {
+            console.warn("壊れた使用量の記録を読み飛ばしました: " + key);
+        }
+    });
+    return out;
+}
+
+/** 新しい日・月の記録を作る前に、同じ種類（日 / 月）の古い記録を消す */
+function _removeOldBudgetUsage(props, newKey) {
+    const kindPrefix = newKey.substring(0, AI_USAGE_PREFIX.length + 2);
+    props.getKeys().forEach(k => {
+        if (k.indexOf(kindPrefix) === 0 && k !== newKey) props.deleteProperty(k);
+    });
+}
+
+
+// ============================================================
+// 3. 費用の見積もり
+// ============================================================
+/**
+ * 1回の呼び出しの推定費用（米ドル）。単価が分からなければ null
+ * 入力・出力の内訳がなければ、合計トークンを出力の単価で数える（多めに見積もる）。
+ */
+function _estimateCostUSD(entry, reply) {
+    const price = _modelPricing(entry);
+    if (!price) return null;
+    const input = reply.inputTokens || 0;
+    const output = reply.outputTokens || 0;
+    if (input || output) return input * price[0] + output * price[1];
+    return (reply.tokens || 0) * price[1];
+}
+
+/**
+ * モデルの単価 [入力, 出力]（1トークンあたりの米ドル）。不明なら null
+ * AI_PRICES（手動指定）→ キャッシュ済みの OpenRouter の料金表 の順に探す（ここでは取得しない）。
+ */
+function _modelPricing(entry) {
+    if (_isFreeModel(entry)) return [0, 0];
+
+    try {
+        const manual = JSON.parse(PropertiesService.getScriptProperties().getProperty('AI_PRICES') || "{}");
+        const m = manual[entry.provider + ":" + entry.model] || manual[entry.model];
+        if (m) return [Number(m[0]) / 1e6 || 0, Number(m[1]) / 1e6 || 0];
+    } catch (e) {
+        console.warn("AI_PRICES が読めません: " + e.message);
+    }
+
+    const table = _openRouterPricing();
+    // Gemini は OpenRouter 上の "google/モデル名" の料金を使う
+    const id = entry.provider === "gemini" ? "google/" + entry.model : entry.model;
+    return table[id] || null;
+}
+
+/** キャッシュ済みの OpenRouter の料金表 { モデルID: [入力単価, 出力単価] }（なければ空） */
+function _openRouterPricing() {
+    try {
+        return JSON.parse(CacheService.getScriptCache().get("AI_PRICING") || "{}");
+    } catch (e) {
+        console.warn("料金表のキャッシュが読めません: " + e.message);
+        return {};
+    }
+}
+
+/**
+ * OpenRouter の /models から料金表を取得してキャッシュする
+ *
+ * 【使い方】
+ *  installAIPricingTrigger() で定期実行するか、メニューから手動で実行してください。
+ *  取得に失敗したときは、キャッシュ済みの料金表をそのまま残します。
+ *
+ * @return {number} 料金表に入れた有料モデルの数（失敗時は -1）
+ */
+function refreshAIPricing() {
+    const table = {};
+    try {
+        const response = UrlFetchApp.fetch("https://openrouter.ai/api/v1/models", { muteHttpExceptions: true });
+        if (response.getResponseCode() !== 200) throw new Error("HTTP " + response.getResponseCode());
+        (JSON.parse(response.getContentText()).data || []).forEach(m => {
+            const p = m.pricing || {};
+            const prompt = Number(p.prompt) || 0;
+            const completion = Number(p.completion) || 0;
+            // 無料のモデルは保存しない（キャッシュの容量を節約）
+            if (prompt > 0 || completion > 0) table[m.id] = [prompt, completion];
+        });
+        CacheService.getScriptCache().put("AI_PRICING", JSON.stringify(table), AI_PRICING_CACHE_TTL);
+    } catch (e) {
+        Logger.log("OpenRouter の料金表を取得できませんでした: " + e.message);
+        return -1;
+    }
+    Logger.log(`OpenRouter の料金表を更新しました（有料モデル ${Object.keys(table).length} 件）。`);
+    return Object.keys(table).length;
+}
+
+/**
+ * refreshAIPricing を定期実行するトリガーを登録する（登録済みなら作り直す）
+ * 料金表のキャッシュ（6時間）が切れる前に更新するため、4時間ごとに実行する。
+ */
+function installAIPricingTrigger() {
+    ScriptApp.getProjectTriggers().forEach(t => {
+        if (t.getHandlerFunction() === "refreshAIPricing") ScriptApp.deleteTrigger(t);
+    });
+    ScriptApp.newTrigger("refreshAIPricing")
+        .timeBased()
+        .everyHours(AI_PRICING_REFRESH_HOURS)
+        .create();
+    refreshAIPricing();
+    Logger.log(`refreshAIPricing を ${AI_PRICING_REFRESH_HOURS} 時間ごとに実行するトリガーを登録しました。`);
+}
+
+
+// ============================================================
+// 4. 呼び出す前の判定
+// ============================================================
+// 戻り値: { allowed: 呼んでよいか, detail: 止めた理由（【💰予算超過】…） }
+// ============================================================
+function _checkBudget(entry) {
+    const config = _loadBudgetConfig();
+    if (config.rules.length === 0) return { allowed: true };
+    if (config.action === "free" && _isFreeModel(entry)) return { allowed: true };
+
+    const usageKey = entry.provider + ":" + entry.model;
+    const usage = _budgetUsageSnapshot();
+
+    for (let i = 0; i < config.rules.length; i++) {
+        const rule = config.rules[i];
+        if (!_budgetScopeMatches(rule.scope, usageKey)) continue;
+
+        const used = _sumBudgetUsage(usage[rule.period], rule.scope);
+        const over = rule.tokens !== null && used.tokens >= rule.tokens
+            ? `トークン上限 ${rule.tokens} に達しました（使用 ${used.tokens}）`
+            : rule.cost !== null && used.cost >= rule.cost
+                ? `費用上限 $${rule.cost} に達しました（使用 $${_roundUSD(used.cost)}）`
+                : "";
+        if (over) {
+            const tail = config.action === "free" ? "。無料モデルだけを使います" : "";
+            return { allowed: false, detail: `【💰予算超過】${rule.label}の${over}${tail}` };
+        }
+    }
+    return { allowed: true };
+}
+
+/**
+ * 予算超過で全滅したとき（_runAIChain の結果が budgetExceeded: true）の1行目
+ *
+ * @return {string} "【💰予算超過】…"
+ */
+function _formatBudgetSummary() {
+    const config = _loadBudgetConfig();
+    return "【💰予算超過】利用上限に達したため呼び出していません" +
+        (config.action === "free" ? "（無料モデルも使えませんでした）" : "（AI_BUDGETS を見直すか、日付が変わるまでお待ちください）");
+}
+
+function _roundUSD(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+
+// ============================================================
+// 5. 残りの確認
+// ============================================================
+/**
+ * 予算ごとの使用量と残りを「AI_Budget」シートに書き出す
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。毎回シートを作り直します。
+ *
+ * @return {Array} 予算の表（ヘッダー付き2次元配列）
+ */
+function showAIBudget() {
+    const config = _loadBudgetConfig();
+    const keys = _budgetPeriodKeys();
+    const usage = { day: _readBudgetUsage(keys.day), month: _readBudgetUsage(keys.month) };
+
+    const rows = [["対象", "上限(トークン)", "使用(トークン)", "残り(トークン)", "上限(USD)", "使用(USD)", "残り(USD)", "状態"]];
+    config.rules.forEach(rule => {
+        const used = _sumBudgetUsage(usage[rule.period], rule.scope);
+        const overTokens = rule.tokens !== null && used.tokens >= rule.tokens;
+        const overCost = rule.cost !== null && used.cost >= rule.cost;
+        rows.push([
+            rule.label,
+            rule.tokens === null ? "" : rule.tokens,
+            used.tokens,
+            rule.tokens === null ? "" : Math.max(0, rule.tokens - used.tokens),
+            rule.cost === null ? "" : rule.cost,
+            _roundUSD(used.cost),
+            rule.cost === null ? "" : _roundUSD(Math.max(0, rule.cost - used.cost)),
+            overTokens || overCost ? "💰 超過" : "✅ 余裕あり"
+        ]);
+    });
+
+    // モデル別の内訳（今日 / 今月）
+    const detail = [["モデル", "今日(トークン)", "今日(USD)", "今日(回)", "今月(トークン)", "今月(USD)", "今月(回)", "今月(単価不明の回数)"]];
+    Object.keys(usage.month).sort().forEach(k => {
+        const d = usage.day[k] || [0, 0, 0];
+        const m = usage.month[k];
+        detail.push([k, d[0], _roundUSD(d[1]), d[2], m[0], _roundUSD(m[1]), m[2], m[3] || 0]);
+    });
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(AI_BUDGET_SHEET);
+    if (!sheet) sheet = ss.insertSheet(AI_BUDGET_SHEET);
+    sheet.clear();
+
+    sheet.getRange(1, 1).setValue("■ 予算（使い切ったとき: " + (config.action === "free" ? "無料モデルだけを使う" : "止める") + "）").setFontWeight("bold");
+    sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(2, 1, 1, rows[0].length).setFontWeight("bold").setBackground("#f3f3f3");
+    if (rows.length === 1) sheet.getRange(3, 1).setValue("（AI_BUDGETS が設定されていません）");
+
+    const detailRow = Math.max(rows.length, 2) + 3;
+    sheet.getRange(detailRow, 1).setValue("■ モデル別の使用量").setFontWeight("bold");
+    sheet.getRange(detailRow + 1, 1, detail.length, detail[0].length).setValues(detail);
+    sheet.getRange(detailRow + 1, 1, 1, detail[0].length).setFontWeight("bold").setBackground("#f3f3f3");
+    sheet.setColumnWidth(1, 280);
+
+    Logger.log("=== 予算の残り ===");
+    rows.slice(1).forEach(r => {
+        Logger.log(`${r[7]} ${r[0]}` + (r[1] !== "" ? ` トークン残り ${r[3]}` : "") + (r[4] !== "" ? ` 費用残り $${r[6]}` : ""));
+    });
+    const unpriced = _sumBudgetUsage(usage.month, "*").unpriced;
+    if (unpriced > 0 && config.rules.some(r => r.cost !== null)) {
+        Logger.log(`⚠️ 今月 ${unpriced} 回の呼び出しは単価が分からず費用0として数えています（refreshAIPricing() か AI_PRICES を設定してください）`);
+    }
+    const props = PropertiesService.getScriptProperties();
+    const dropped = Number(props.getProperty(AI_BUDGET_DROPPED_KEY)) || 0;
+    if (dropped > 0) {
+        Logger.log(`⚠️ 前回の確認以降、混雑のため ${dropped} 回分の使用量を記録できませんでした（使用量は実際より少なく表示されます）`);
+        props.deleteProperty(AI_BUDGET_DROPPED_KEY);
+    }
+    config.problems.forEach(p => Logger.log("⚠️ " + p));
+    return rows;
+}
+
+// Last Updated: 2026-10-19
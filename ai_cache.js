@@ -0,0 +1,352 @@
+// ============================================================
+// AI 結果キャッシュ (ai_cache.js)
+// ============================================================
+// このファイルは、AI関数の回答をキャッシュして、
+// シートの再計算や再オープンのたびに同じ質問を送り直さないようにします。
+// （無料枠の消費と ⏳レート制限 を防ぐため）
+//
+// 【キャッシュキー】
+//  次の内容が1文字でも違えば別の質問として扱う:
+//  関数名 / 試すモデルの並び(チェーン) / システム指示 / 温度 /
+//  最大トークン数 / 例示・履歴 / プロンプト / JSONスキーマ
+//
+// 【保存先】
+//  1. CacheService        … すべての回答（最大6時間）
+//  2. PropertiesService   … 6時間を超えるTTLを指定した回答のみ（長期保存）
+//     ※ カスタム関数からはシートに書き込めないため、長期保存はまずプロパティに入れる。
+//       1件 9KB を超える回答は長期保存せず CacheService のみに入れる。
+//       プロパティはログ・予算・ジョブと同じ 500KB を分け合うため、長期保存は
+//       AI_CACHE_PROP_MAX_ENTRIES 件・AI_CACHE_PROP_MAX_TOTAL_BYTES バイトまで。超えたら古いものから消す。
+//  3. 「AI_Cache」シート  … flushAILog() のたびにプロパティの長期保存をシートへ移す（あふれ先）
+//     カスタム関数からも読めるため、プロパティになければシートを探す。
+//     プロパティとシートを探すのは、6時間を超えるTTLを指定して読むときだけ
+//     （既定の短いTTLでは CacheService にないだけで終わる）。
+//     期限切れの行は移すときに消し、AI_CACHE_SHEET_MAX_ROWS 行を超えたら古いものから消す。
+//
+// 【スクリプトプロパティ】
+//  AI_CACHE_TTL  既定の保存期間（秒）。初期値 21600（6時間）。0 でキャッシュ無効
+//
+// 【各関数の cache 引数】
+//  省略        → 既定の保存期間でキャッシュする
+//  FALSE / 0   → キャッシュを使わない（読みも書きもしない）
+//  数値(秒)     → その期間だけキャッシュする（21600超は長期保存）
+//  "refresh"   → キャッシュを読まずに取り直し、結果で上書きする
+//
+// 【使い方の例】
+//  =hy_AI("質問",,,,,,FALSE)           ← 毎回APIを呼ぶ
+//  =hy_AI("質問",,,,,,604800)          ← 1週間キャッシュ
+//  clearAICache()                     ← スクリプトエディタから実行して全消去
+// ============================================================
+
+
+/** CacheService の上限（秒） */
+const AI_CACHE_MAX_CACHE_TTL = 21600;
+
+/** 長期保存に使うプロパティ名の接頭辞 */
+const AI_CACHE_PROP_PREFIX = "AI_CACHE_P_";
+
+/** 1件あたりの長期保存サイズ上限（プロパティ1件の上限 9KB より少し小さく） */
+const AI_CACHE_PROP_MAX_BYTES = 8500;
+
+/** プロパティに長期保存する件数・合計バイト数の上限（全体の上限 500KB を食いつぶさないため） */
+const AI_CACHE_PROP_MAX_ENTRIES = 20;
+const AI_CACHE_PROP_MAX_TOTAL_BYTES = 100000;
+
+/** 長期保存のあふれ先のシート名と、残す行数の上限 */
+const AI_CACHE_SHEET = "AI_Cache";
+const AI_CACHE_SHEET_MAX_ROWS = 5000;
+
+/** 長期保存の件数を数えて書く間にロックを待つ時間（ミリ秒） */
+const AI_CACHE_LOCK_MS = 2000;
+
+
+// ============================================================
+// 1. cache 引数の解釈
+// ============================================================
+// 戻り値: { read: 読むか, write: 書くか, ttl: 保存期間(秒) }
+// ============================================================
+function _parseCacheOption(cacheOpt) {
+    const props = PropertiesService.getScriptProperties();
+    const configured = props.getProperty('AI_CACHE_TTL');
+    const defaultTtl = (configured === null || configured === "") ? AI_CACHE_MAX_CACHE_TTL : Number(configured);
+
+    if (cacheOpt === false || cacheOpt === "FALSE" || cacheOpt === "false" || cacheOpt === 0 || cacheOpt === "0") {
+        return { read: false, write: false, ttl: 0 };
+    }
+    if (typeof cacheOpt === "string" && cacheOpt.toLowerCase() === "refresh") {
+        return { read: false, write: defaultTtl > 0, ttl: defaultTtl };
+    }
+    if (cacheOpt !== undefined && cacheOpt !== null && cacheOpt !== "" && cacheOpt !== true && !isNaN(Number(cacheOpt))) {
+        const ttl = Math.max(0, Math.floor(Number(cacheOpt)));
+        return { read: ttl > 0, write: ttl > 0, ttl: ttl };
+    }
+    return { read: defaultTtl > 0, write: defaultTtl > 0, ttl: defaultTtl };
+}
+
+
+// ============================================================
+// 2. キャッシュキー
+// ============================================================
+// clearAICache() で世代番号(AI_CACHE_GEN)を上げると、
+// それまでのキーはすべて参照されなくなる（CacheService は一覧できないため）。
+// ============================================================
+function _aiCacheKey(entryName, chain, request) {
+    const generation = PropertiesService.getScriptProperties().getProperty('AI_CACHE_GEN') || "0";
+    const material = JSON.stringify([
+        entryName,
+        chain.map(e => e.provider + ":" + e.model),
+        request.system,
+        request.temperature,
+        request.maxTokens,
+        request.messages,
+        request.jsonMode ? (request.responseSchema || true) : null
+    ]);
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, material, Utilities.Charset.UTF_8);
+    return "AI_CACHE_" + generation + "_" + Utilities.base64EncodeWebSafe(digest).replace(/=+$/, "");
+}
+
+
+// ============================================================
+// 3. 読み書き
+// ============================================================
+// 保存する値: { text, provider, model, isFree, tokens, elapsedMs }
+// longTerm が true（6時間を超えるTTL）のときだけ長期保存も探す。
+// ============================================================
+function _aiCacheGet(key, longTerm) {
+    try {
+        const hit = CacheService.getScriptCache().get(key);
+        if (hit) return JSON.parse(hit);
+        if (!longTerm) return null;
+
+        // 長期保存（プロパティ → シート）を確認
+        const props = PropertiesService.getScriptProperties();
+        const propKey = AI_CACHE_PROP_PREFIX + key;
+        const stored = props.getProperty(propKey);
+        let wrapped = stored ? JSON.parse(stored) : _aiCacheSheetGet(key);
+        if (!wrapped) return null;
+
+        if (wrapped.expires <= Date.now()) {
+            if (stored) props.deleteProperty(propKey);
+            return null;
+        }
+        // 次回以降は CacheService から返せるように戻しておく
+        const remainingSec = Math.floor((wrapped.expires - Date.now()) / 1000);
+        CacheService.getScriptCache().put(key, JSON.stringify(wrapped.value), Math.min(remainingSec, AI_CACHE_MAX_CACHE_TTL));
+        return wrapped.value;
+
+    } catch (e) {
+        // キャッシュの失敗はメイン処理に影響させない
+        console.log("キャッシュ読み込み失敗: " + e.message);
+        return null;
+    }
+}
+
+function _aiCachePut(key, value, ttl) {
+    try {
+        const json = JSON.stringify(value);
+        CacheService.getScriptCache().put(key, json, Math.min(ttl, AI_CACHE_MAX_CACHE_TTL));
+        if (ttl > AI_CACHE_MAX_CACHE_TTL) _aiCachePutLongTerm(key, value, ttl);
+    } catch (e) {
+        // 100KB超などで保存できなくても回答はそのまま返す
+        console.log("キャッシュ保存失敗: " + e.message);
+    }
+}
+
+/**
+ * プロパティに長期保存する（件数・合計バイト数の上限を超える分は古いものから消す）
+ * 数えて→消して→書く間に他の実行が書くと上限を超えるため、ロックが取れなければ長期保存しない。
+ */
+function _aiCachePutLongTerm(key, value, ttl) {
+    const wrapped = JSON.stringify({ expires: Date.now() + ttl * 1000, saved: Date.now(), value: value });
+    const bytes = _utf8Bytes(wrapped);
+    if (bytes > AI_CACHE_PROP_MAX_BYTES) return;
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(AI_CACHE_LOCK_MS)) return;
+    try {
+        const props = PropertiesService.getScriptProperties();
+        const propKey = AI_CACHE_PROP_PREFIX + key;
+        const others = _readLongTermAICache(props).filter(e => e.key !== propKey);
+        let total = others.reduce((sum, e) => sum + e.bytes, 0) + bytes;
+        while (others.length > 0 && (others.length + 1 > AI_CACHE_PROP_MAX_ENTRIES || total > AI_CACHE_PROP_MAX_TOTAL_BYTES)) {
+            const oldest = others.shift();
+            props.deleteProperty(oldest.key);
+            total -= oldest.bytes;
+        }
+        props.setProperty(propKey, wrapped);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * プロパティの長期保存を古い順に読む（期限切れ・壊れたものはその場で消す）
+ *
+ * @return {Array} [{ key, raw, bytes, saved, expires }]
+ */
+function _readLongTermAICache(props) {
+    const all = props.getProperties();
+    const entries = [];
+    Object.keys(all).forEach(k => {
+        if (k.indexOf(AI_CACHE_PROP_PREFIX) !== 0) return;
+        let wrapped = null;
+        try {
+            wrapped = JSON.parse(all[k]);
+        } catch (e) {
+            console.warn("壊れた長期保存を消しました: " + k);
+        }
+        if (!wrapped || !(wrapped.expires > Date.now())) {
+            props.deleteProperty(k);
+            return;
+        }
+        entries.push({ key: k, raw: all[k], bytes: _utf8Bytes(all[k]), saved: wrapped.saved || 0, expires: wrapped.expires });
+    });
+    return entries.sort((a, b) => a.saved - b.saved);
+}
+
+
+// ============================================================
+// 3-2. あふれ先のシート「AI_Cache」
+// ============================================================
+// 列: A キャッシュキー / B 期限(ミリ秒) / C 保存日時(ミリ秒) / D 回答(JSON)
+// ============================================================
+/**
+ * シートから長期保存を探す（カスタム関数からも読める）。なければ null
+ * キー列を丸ごと読むと行数に比例して遅くなるため、TextFinder で完全一致の1行だけを探す。
+ */
+function _aiCacheSheetGet(key) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss ? ss.getSheetByName(AI_CACHE_SHEET) : null;
+    if (!sheet || sheet.getLastRow() < 2) return null;
+    const found = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+        .createTextFinder(key)
+        .matchCase(true)
+        .matchEntireCell(true)
+        .findNext();
+    if (!found) return null;
+    const row = sheet.getRange(found.getRow(), 2, 1, 3).getValues()[0];
+    return { expires: Number(row[0]), saved: Number(row[1]), value: JSON.parse(row[2]) };
+}
+
+/**
+ * プロパティの長期保存を読んで消す（flushAILog から、ロックを持った状態で呼ぶ）
+ * 読んだ分は _writeAICacheSheet でシートに書く。
+ *
+ * @return {Array} _readLongTermAICache と同じ形
+ */
+function _takeLongTermAICache(props) {
+    const entries = _readLongTermAICache(props);
+    entries.forEach(e => props.deleteProperty(e.key));
+    return entries;
+}
+
+/**
+ * 長期保存をシートに書く（flushAILog から、ロックを放して呼ぶ）
+ * 期限切れの行を消し、上限の行数を超えたら古いものから消す。
+ *
+ * @param {Array} entries _takeLongTermAICache の戻り値
+ * @return {number} 移した件数
+ */
+function _writeAICacheSheet(entries) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(AI_CACHE_SHEET);
+    if (entries.length === 0 && !sheet) return 0;
+
+    const rows = {};
+    if (sheet && sheet.getLastRow() >= 2) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues().forEach(r => {
+            if (Number(r[1]) > Date.now()) rows[r[0]] = r;
+        });
+    }
+    entries.forEach(e => {
+        const wrapped = JSON.parse(e.raw);
+        rows[e.key.substring(AI_CACHE_PROP_PREFIX.length)] = [e.key.substring(AI_CACHE_PROP_PREFIX.length), wrapped.expires, e.saved, JSON.stringify(wrapped.value)];
+    });
+    const kept = Object.keys(rows).map(k => rows[k])
+        .sort((a, b) => b[2] - a[2])
+        .slice(0, AI_CACHE_SHEET_MAX_ROWS);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(AI_CACHE_SHEET);
+        sheet.hideSheet();
+    }
+    sheet.clear();
+    sheet.getRange(1, 1, 1, 4).setValues([["キー", "期限", "保存日時", "回答(JSON)"]]);
+    if (kept.length > 0) sheet.getRange(2, 1, kept.length, 4).setValues(kept);
+
+    if (entries.length > 0) Logger.log(`長期保存のキャッシュ ${entries.length} 件を「${AI_CACHE_SHEET}」シートに移しました。`);
+    return entries.length;
+}
+
+
+// ============================================================
+// 4. チェーン実行（キャッシュ付き）
+// ============================================================
+// _runAIChain と同じ形の結果を返す。
+// キャッシュから返した場合は cached: true が付く（使用ログは記録しない）。
+// deadline は _runAIChain にそのまま渡す（省略可）。
+// ============================================================
+function _runAIChainCached(entryName, chain, request, cacheOpt, deadline) {
+    const option = _parseCacheOption(cacheOpt);
+    const key = (option.read || option.write) ? _aiCacheKey(entryName, chain, request) : null;
+
+    if (option.read) {
+        const hit = _aiCacheGet(key, option.ttl > AI_CACHE_MAX_CACHE_TTL);
+        if (hit) {
+            return {
+                success: true,
+                cached: true,
+                entry: { provider: hit.provider, model: hit.model, isFree: hit.isFree },
+                result: { success: true, text: hit.text, actualModel: hit.model, tokens: hit.tokens, elapsedMs: hit.elapsedMs },
+                failures: []
+            };
+        }
+    }
+
+    const outcome = _runAIChain(chain, request, deadline);
+
+    // 成功した回答だけを保存する（エラー文はキャッシュしない）
+    if (outcome.success && option.write) {
+        _aiCachePut(key, {
+            text: outcome.result.text,
+            provider: outcome.entry.provider,
+            model: outcome.result.actualModel || outcome.entry.model,
+            isFree: !!outcome.entry.isFree,
+            tokens: outcome.result.tokens,
+            elapsedMs: outcome.result.elapsedMs
+        }, option.ttl);
+    }
+    return outcome;
+}
+
+
+// ============================================================
+// 5. メンテナンス: clearAICache
+// ============================================================
+/**
+ * AI結果キャッシュをすべて無効にする
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *  CacheService の内容は世代番号を上げて無効化し、
+ *  長期保存（AI_CACHE_P_* のプロパティと「AI_Cache」シート）は削除します。
+ */
+function clearAICache() {
+    const props = PropertiesService.getScriptProperties();
+    const generation = Number(props.getProperty('AI_CACHE_GEN') || "0") + 1;
+    props.setProperty('AI_CACHE_GEN', String(generation));
+
+    let removed = 0;
+    props.getKeys().forEach(k => {
+        if (k.indexOf(AI_CACHE_PROP_PREFIX) === 0) {
+            props.deleteProperty(k);
+            removed++;
+        }
+    });
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(AI_CACHE_SHEET);
+    if (sheet) ss.deleteSheet(sheet);
+    Logger.log("AIキャッシュをクリアしました（長期保存 " + removed + " 件を削除）");
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,376 @@
+// ============================================================
+// モデルチェーン設定 (ai_config.js)
+// ============================================================
+// このファイルは、各AI関数が「どのモデルを、どの順で試すか」
+// （モデルチェーン）を1か所で管理します。
+// コードを触らなくても、シートかスクリプトプロパティで並び替えられます。
+//
+// 【設定の読み込み順】
+//  1. 「AI_Config」シート（あれば最優先）
+//  2. スクリプトプロパティ AI_CHAINS（JSON）
+//  3. このファイルの組み込み既定値（DEFAULT_AI_CHAINS）
+//  ※ シート/プロパティで定義されていないチェーンは既定値を使う。
+//  ※ 不正な行は読み飛ばし、チェーンが空になる場合は既定値に戻す。
+//  ※ 行はあるがすべて無効（F列 FALSE / enabled:false）のチェーンは「モデルなし」として扱い、
+//    既定値には戻さず【⚠️設定エラー】を返す（checkAIConfig にも問題として出る）。
+//
+// 【「AI_Config」シートの列構成】（1行目はヘッダー）
+//  A: チェーン   hy_AI / or_AI / ge_AI / oc_AI / 任意の名前
+//  B: プロバイダー gemini / openrouter / compat
+//  C: モデル     例: gemini-2.5-flash
+//  D: 最大トークン 空欄なら 1024
+//  E: リトライ   1〜5。空欄なら 2
+//  F: 有効       TRUE / FALSE（空欄は TRUE）
+//  → 同じチェーン名の行が、上から順に試される。
+//
+// 【AI_CHAINS プロパティの例】
+//  {"ge_AI": ["gemini:gemini-2.5-flash", {"provider":"gemini","model":"gemini-2.0-flash","retry":1}]}
+//
+// 【使い方】
+//  setupAIConfigSheet() … 既定値を書き込んだ AI_Config シートを作る
+//  checkAIConfig()      … 設定の読み込み結果と問題点をログに出す
+// ============================================================
+
+
+/** 設定シート名 */
+const AI_CONFIG_SHEET = "AI_Config";
+
+/** 設定シートのヘッダー */
+const AI_CONFIG_HEADERS = ["チェーン", "プロバイダー", "モデル", "最大トークン", "リトライ", "有効"];
+
+/** 読み込んだ設定をキャッシュする秒数（シートを毎セル読まないため） */
+const AI_CONFIG_CACHE_TTL = 60;
+
+/** 組み込みの既定チェーン（provider:model） */
+const DEFAULT_AI_CHAINS = {
+    hy_AI: [
+        "gemini:gemini-3-flash-preview",
+        "gemini:gemini-2.5-flash",
+        "openrouter:stepfun/step-3.5-flash:free",
+        "openrouter:meta-llama/llama-3.3-70b-instruct:free",
+        "openrouter:tngtech/deepseek-r1t2-chimera:free",
+        "openrouter:google/gemma-3-27b-it:free",
+        "openrouter:nvidia/nemotron-3-nano-30b-a3b:free",
+        "openrouter:openrouter/free"
+    ],
+    or_AI: [
+        "openrouter:stepfun/step-3.5-flash:free",
+        "openrouter:meta-llama/llama-3.3-70b-instruct:free",
+        "openrouter:tngtech/deepseek-r1t2-chimera:free",
+        "openrouter:google/gemma-3-27b-it:free",
+        "openrouter:nvidia/nemotron-3-nano-30b-a3b:free",
+        "openrouter:openrouter/free"
+    ],
+    ge_AI: [
+        "gemini:gemini-3-flash-preview",
+        "gemini:gemini-2.5-flash",
+        "gemini:gemini-2.0-flash",
+        "gemini:gemini-2.5-flash-lite",
+        "gemini:gemini-2.0-flash-lite"
+    ]
+};
+
+/** OpenRouter の自動選択モデル（最終手段。ログ上は「Free」扱い） */
+const OPENROUTER_FREE_MODEL = "openrouter/free";
+
+
+// ============================================================
+// 1. チェーンの取得（各AI関数から呼ぶ）
+// ============================================================
+/**
+ * 名前付きチェーンを取得する
+ *
+ * @param {string} name チェーン名 (例: "hy_AI")
+ * @return {Array|null} [{ provider, model, maxTokens, maxRetry, isFree }, ...]
+ *                      設定にも既定値にもない名前なら null。
+ *                      設定の行がすべて無効なら空配列（_modelChainError でエラー文を作る）
+ */
+function _getModelChain(name) {
+    const config = _loadAIChainConfig();
+    if (config.chains[name]) return config.chains[name];
+    return _defaultModelChain(name);
+}
+
+/**
+ * 設定の行がすべて無効にされたチェーンのエラー文
+ * 既定値に戻すと、止めたつもりのモデルに黙って送ってしまうため、呼び出し側はこれを返して送らない。
+ *
+ * @param {string} name チェーン名
+ * @return {string|null} 【⚠️設定エラー】… / 問題なければ null
+ */
+function _modelChainError(name) {
+    const config = _loadAIChainConfig();
+    if (!config.chains[name] || config.chains[name].length > 0) return null;
+    return "【⚠️設定エラー】" + _disabledChainProblem(config.source, name);
+}
+
+function _disabledChainProblem(source, name) {
+    const where = source === "sheet" ? AI_CONFIG_SHEET + " シート" : "AI_CHAINS プロパティ";
+    return `${where}のチェーン「${name}」は行がすべて無効です。使うモデルを有効にするか、行を消して既定値に戻してください`;
+}
+
+/**
+ * 組み込み既定値からチェーンを作る
+ * hy_AI / oc_AI には OpenAI 互換エンドポイントの設定（openai_compat.js）を反映する。
+ */
+function _defaultModelChain(name) {
+    const compat = _getOpenAICompatSettings();
+    const compatEntries = compat.url
+        ? compat.models.map(m => _normalizeChainEntry({ provider: "compat", model: m }))
+        : [];
+
+    if (name === "oc_AI") return compatEntries;
+    if (!DEFAULT_AI_CHAINS[name]) return null;
+
+    const chain = DEFAULT_AI_CHAINS[name].map(spec => _normalizeChainEntry(spec));
+    if (name !== "hy_AI" || compat.position === "none") return chain;
+
+    // hy_AI: 互換モデルを先頭、または openrouter/free の直前に入れる
+    if (compat.position === "first") return compatEntries.concat(chain);
+    const freeIndex = chain.findIndex(e => e.isFree);
+    chain.splice(freeIndex === -1 ? chain.length : freeIndex, 0, ...compatEntries);
+    return chain;
+}
+
+
+// ============================================================
+// 2. 設定の読み込み（シート → プロパティ）
+// ============================================================
+// 戻り値: { source: "sheet"|"property"|"default", chains: { 名前: [...] }, problems: ["..."] }
+// ============================================================
+let _aiChainConfig = null;
+
+function _loadAIChainConfig() {
+    if (_aiChainConfig) return _aiChainConfig;
+
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get("AI_CONFIG_CHAINS");
+    if (cached) {
+        _aiChainConfig = JSON.parse(cached);
+        return _aiChainConfig;
+    }
+
+    let config = { source: "default", chains: {}, problems: [] };
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AI_CONFIG_SHEET);
+        if (sheet && sheet.getLastRow() > 1) {
+            config = _parseChainRows(sheet.getDataRange().getValues().slice(1));
+        } else {
+            const json = PropertiesService.getScriptProperties().getProperty('AI_CHAINS');
+            if (json) config = _parseChainJson(json);
+        }
+    } catch (e) {
+        // シートが開けない等 → 既定値で動かす
+        config.problems.push("設定の読み込みに失敗: " + e.message);
+    }
+
+    config.problems.forEach(p => console.warn("【AI設定】" + p));
+    cache.put("AI_CONFIG_CHAINS", JSON.stringify(config), AI_CONFIG_CACHE_TTL);
+    _aiChainConfig = config;
+    return config;
+}
+
+/** AI_Config シートの行（ヘッダー除く）を解析する */
+function _parseChainRows(rows) {
+    const config = { source: "sheet", chains: {}, problems: [] };
+
+    rows.forEach((row, i) => {
+        const where = AI_CONFIG_SHEET + " " + (i + 2) + "行目";
+        const name = String(row[0] || "").trim();
+        if (!name && !row[1] && !row[2]) return; // 空行
+
+        if (!name) {
+            config.problems.push(where + ": チェーン名が空です");
+            return;
+        }
+        if (!_isEnabledFlag(row[5])) {
+            // 無効にした行だけのチェーンは、既定値に戻さず「モデルなし」にする
+            config.chains[name] = config.chains[name] || [];
+            return;
+        }
+
+        const entry = _normalizeChainEntry(
+            { provider: row[1], model: row[2], maxTokens: row[3], retry: row[4] },
+            where, config.problems
+        );
+        if (!entry) return;
+        (config.chains[name] = config.chains[name] || []).push(entry);
+    });
+
+    _reportDisabledChains(config);
+    return config;
+}
+
+/** AI_CHAINS プロパティ（JSON）を解析する */
+function _parseChainJson(json) {
+    const config = { source: "property", chains: {}, problems: [] };
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (e) {
+        config.problems.push("AI_CHAINS が正しいJSONではありません: " + e.message);
+        return config;
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        config.problems.push("AI_CHAINS は {\"チェーン名\": [...]} の形で指定してください");
+        return config;
+    }
+
+    Object.keys(parsed).forEach(name => {
+        if (!Array.isArray(parsed[name])) {
+            config.problems.push("AI_CHAINS." + name + ": 配列で指定してください");
+            return;
+        }
+        parsed[name].forEach((spec, i) => {
+            if (spec && typeof spec === "object" && spec.enabled !== undefined && !_isEnabledFlag(spec.enabled)) {
+                config.chains[name] = config.chains[name] || [];
+                return;
+            }
+            const entry = _normalizeChainEntry(spec, "AI_CHAINS." + name + "[" + i + "]", config.problems);
+            if (entry) (config.chains[name] = config.chains[name] || []).push(entry);
+        });
+    });
+
+    _reportDisabledChains(config);
+    return config;
+}
+
+/** 行がすべて無効なチェーンを問題として記録する */
+function _reportDisabledChains(config) {
+    Object.keys(config.chains).forEach(name => {
+        if (config.chains[name].length === 0) config.problems.push(_disabledChainProblem(config.source, name));
+    });
+}
+
+
+// ============================================================
+// 3. 1要素の検証・正規化
+// ============================================================
+// spec は "provider:model" 文字列、または
+// { provider, model, maxTokens, retry(またはmaxRetry) } オブジェクト。
+// 不正なら problems に理由を追加して null を返す。
+// ============================================================
+function _normalizeChainEntry(spec, where, problems) {
+    problems = problems || [];
+    where = where || "既定値";
+
+    if (typeof spec === "string") {
+        const sep = spec.indexOf(":");
+        spec = sep === -1 ? { provider: "", model: spec } : { provider: spec.substring(0, sep), model: spec.substring(sep + 1) };
+    }
+    if (!spec || typeof spec !== "object") {
+        problems.push(where + ": 形式が不正です");
+        return null;
+    }
+
+    const provider = String(spec.provider || "").trim().toLowerCase();
+    const model = String(spec.model || "").trim();
+    if (!AI_PROVIDERS[provider]) {
+        problems.push(where + ": 未登録のプロバイダーです (" + (provider || "空欄") + ")");
+        return null;
+    }
+    if (!model) {
+        problems.push(where + ": モデル名が空です");
+        return null;
+    }
+
+    const maxTokens = _configInt(spec.maxTokens, 1, 65536, AI_DEFAULT_MAX_TOKENS, where + " 最大トークン", problems);
+    const maxRetry = _configInt(spec.retry !== undefined ? spec.retry : spec.maxRetry, 1, 5, AI_DEFAULT_MAX_RETRY, where + " リトライ", problems);
+
+    return {
+        provider: provider,
+        model: model,
+        maxTokens: maxTokens,
+        maxRetry: maxRetry,
+        isFree: provider === "openrouter" && model === OPENROUTER_FREE_MODEL
+    };
+}
+
+/** 空欄なら既定値、範囲外・数値以外なら問題を記録して既定値 */
+function _configInt(value, min, max, fallback, label, problems) {
+    if (value === undefined || value === null || value === "") return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        problems.push(label + ": " + min + "〜" + max + " の整数で指定してください (" + value + ")");
+        return fallback;
+    }
+    return n;
+}
+
+/** 有効フラグ（空欄は有効扱い） */
+function _isEnabledFlag(value) {
+    if (value === "" || value === undefined || value === null) return true;
+    if (value === true) return true;
+    const s = String(value).trim().toLowerCase();
+    return ["true", "1", "yes", "on", "有効", "○"].indexOf(s) !== -1;
+}
+
+
+// ============================================================
+// 4. メンテナンス関数
+// ============================================================
+/**
+ * 既定値を書き込んだ「AI_Config」シートを作成する
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *  既にシートがある場合は何もしません（上書き防止）。
+ */
+function setupAIConfigSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (ss.getSheetByName(AI_CONFIG_SHEET)) {
+        Logger.log(AI_CONFIG_SHEET + " シートは既にあります。");
+        return;
+    }
+
+    const rows = [];
+    Object.keys(DEFAULT_AI_CHAINS).forEach(name => {
+        DEFAULT_AI_CHAINS[name].forEach(spec => {
+            const e = _normalizeChainEntry(spec);
+            rows.push([name, e.provider, e.model, e.maxTokens, e.maxRetry, true]);
+        });
+    });
+
+    const sheet = ss.insertSheet(AI_CONFIG_SHEET);
+    sheet.getRange(1, 1, 1, AI_CONFIG_HEADERS.length)
+        .setValues([AI_CONFIG_HEADERS])
+        .setFontWeight("bold")
+        .setBackground("#f3f3f3");
+    sheet.getRange(2, 1, rows.length, AI_CONFIG_HEADERS.length).setValues(rows);
+    sheet.setColumnWidth(3, 320);   // モデル列を広めに
+
+    CacheService.getScriptCache().remove("AI_CONFIG_CHAINS");
+    Logger.log(AI_CONFIG_SHEET + " シートを作成しました（" + rows.length + " 行）");
+}
+
+/**
+ * モデルチェーン設定の読み込み結果をログに出す
+ *
+ * 【使い方】
+ *  設定シートを編集した後にスクリプトエディタから実行すると、
+ *  実際に使われる並び順と、読み飛ばした行の理由を確認できます。
+ */
+function checkAIConfig() {
+    CacheService.getScriptCache().remove("AI_CONFIG_CHAINS");
+    _aiChainConfig = null;
+    const config = _loadAIChainConfig();
+
+    Logger.log("=== モデルチェーン設定（読み込み元: " + config.source + "）===");
+    const names = Object.keys(DEFAULT_AI_CHAINS).concat(["oc_AI"]);
+    Object.keys(config.chains).forEach(n => { if (names.indexOf(n) === -1) names.push(n); });
+
+    names.forEach(name => {
+        const chain = _getModelChain(name) || [];
+        const origin = config.chains[name] ? "" : "（既定値）";
+        Logger.log(name + origin + ": " + (chain.map(e => e.provider + ":" + e.model).join(" → ") || "なし"));
+    });
+
+    if (config.problems.length === 0) {
+        Logger.log("✅ 問題は見つかりませんでした");
+    } else {
+        config.problems.forEach(p => Logger.log("⚠️ " + p));
+    }
+}
+
+// Last Updated: 2026-10-19
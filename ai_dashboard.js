@@ -0,0 +1,291 @@
+// ============================================================
+// 使用状況ダッシュボード (ai_dashboard.js)
+// ============================================================
+// このファイルは、「AI_Log」シートを集計して「AI_Dashboard」シートに
+// 表とグラフをまとめて作る buildAIDashboard() を提供します。
+//
+// 【分かること】
+//  - モデル別   : 成功率・応答時間(p50/p95)・トークン数
+//  - ソース別   : 成功率・フォールバック率（他のモデルが失敗してから回答した割合）
+//  - 日別       : トークン数の合計（入力 / 出力）
+//  - エラー分類 : 試行ごとのエラーの多い順（⏳レート制限 / ❌モデル不明 など）
+//  - 呼び出しの失敗 : カスタム関数1回分が失敗した理由の多い順（💀全API失敗 / ⏱タイムアウト など）
+//
+// 【集計の考え方】
+//  - 「結果」の行 = カスタム関数1回分。成功率・応答時間・トークンはここから数える
+//  - 「試行失敗」の行は、モデル別の成功率の分母とエラー分類にだけ使う
+//  - モデル別は「チェーンのモデル」列でまとめる（openrouter/free などは実際のモデル名が
+//    毎回違うため、モデル列で分けると失敗と成功が別の行になる）。列がなければモデル列を使う
+//  - 試行のエラーと呼び出しの失敗は別の表にする（同じ1回の呼び出しを二重に数えないため）
+//  - 旧形式（7列）の行は、すべて「結果」として扱う
+//
+// 【使い方】
+//  flushAILog() の後にスクリプトエディタから buildAIDashboard() を実行。
+//  毎回シートを作り直すので、何度実行しても同じ形になります。
+// ============================================================
+
+
+/** ダッシュボードのシート名 */
+const AI_DASHBOARD_SHEET = "AI_Dashboard";
+
+/** エラー分類の表に出す件数 */
+const AI_DASHBOARD_TOP_ERRORS = 10;
+
+/** グラフを置く列（表の右側） */
+const AI_DASHBOARD_CHART_COL = 10;
+
+
+// ============================================================
+// 1. 集計
+// ============================================================
+/**
+ * AI_Log の値（ヘッダー行付き）を集計する
+ *
+ * @param {Array}  values   AI_Log シートの getValues()（1行目はヘッダー）
+ * @param {string} timeZone 日付の区切りに使うタイムゾーン
+ * @return {Object} { total, models, sources, days, errors, failures }
+ *                  total   : { calls, success, successRate, fallbackRate, p50, p95 }
+ *                  models  : [[モデル, ソース, 試行, 成功, 成功率, p50, p95, トークン], ...]
+ *                  sources : [[ソース, 呼び出し, 成功, 成功率, フォールバック率, p50, p95], ...]
+ *                  days    : [[日付, 呼び出し, トークン, 入力, 出力], ...]
+ *                  errors  : [[エラー分類, 件数, 割合, 例], ...]（試行のエラー）
+ *                  failures: [[エラー分類, 件数, 割合, 例], ...]（呼び出しの失敗）
+ */
+function _aggregateAILog(values, timeZone) {
+    const header = values[0] || [];
+    const col = name => header.indexOf(name);
+    const idx = {
+        date: col("日時"), model: col("モデル"), source: col("ソース"), status: col("ステータス"),
+        elapsed: col("応答時間(ms)"), tokens: col("トークン数"), kind: col("種別"),
+        errorClass: col("エラー分類"), input: col("入力トークン"), output: col("出力トークン"), path: col("経路"),
+        chainModel: col("チェーンのモデル"), error: col("エラー内容")
+    };
+    const get = (row, key) => (idx[key] === -1 || row[idx[key]] === undefined ? "" : row[idx[key]]);
+
+    const models = {};
+    const sources = {};
+    const days = {};
+    const errors = {};
+    const failures = {};
+    const allLatency = [];
+    let calls = 0, success = 0, fallbacks = 0;
+
+    const bucket = (map, key, init) => (map[key] = map[key] || init());
+
+    values.slice(1).forEach(row => {
+        const kind = String(get(row, "kind"));
+        const status = String(get(row, "status"));
+        const model = String(get(row, "chainModel") || get(row, "model"));
+        const source = String(get(row, "source"));
+        if (!status || kind === "欠落") return;
+
+        // 試行失敗 → モデル別の失敗とエラー分類だけ数える
+        if (kind === "試行失敗") {
+            const m = bucket(models, model, () => ({ source: source, tries: 0, success: 0, latency: [], tokens: 0 }));
+            m.tries++;
+            const cls = String(get(row, "errorClass")) || "不明";
+            // エラー内容列がない旧形式の行は、経路列にエラー本文が入っている
+            const e = bucket(errors, cls, () => ({ count: 0, example: String(get(row, "error") || get(row, "path")) }));
+            e.count++;
+            return;
+        }
+
+        // 結果（旧形式の行も含む）
+        const ok = status.indexOf("成功") === 0;
+        const elapsed = Number(get(row, "elapsed")) || 0;
+        const tokens = Number(get(row, "tokens")) || 0;
+        const fellBack = String(get(row, "path")).indexOf(" → ") !== -1;
+        calls++;
+        if (ok) success++;
+        if (ok && fellBack) fallbacks++;
+
+        const s = bucket(sources, source, () => ({ calls: 0, success: 0, fallbacks: 0, latency: [] }));
+        s.calls++;
+        if (ok) {
+            s.success++;
+            if (fellBack) s.fallbacks++;
+            if (elapsed > 0) s.latency.push(elapsed);
+
+            const m = bucket(models, model, () => ({ source: source, tries: 0, success: 0, latency: [], tokens: 0 }));
+            m.tries++;
+            m.success++;
+            m.tokens += tokens;
+            if (elapsed > 0) {
+                m.latency.push(elapsed);
+                allLatency.push(elapsed);
+            }
+        } else {
+            const cls = String(get(row, "errorClass")) || status;
+            const e = bucket(failures, cls, () => ({ count: 0, example: String(get(row, "path")) }));
+            e.count++;
+        }
+
+        const day = _dashboardDay(get(row, "date"), timeZone);
+        if (day) {
+            const d = bucket(days, day, () => ({ calls: 0, tokens: 0, input: 0, output: 0 }));
+            d.calls++;
+            d.tokens += tokens;
+            d.input += Number(get(row, "input")) || 0;
+            d.output += Number(get(row, "output")) || 0;
+        }
+    });
+
+    const rate = (n, total) => (total > 0 ? n / total : 0);
+    const ranking = map => {
+        const total = Object.keys(map).reduce((sum, k) => sum + map[k].count, 0);
+        return Object.keys(map)
+            .map(k => [k, map[k].count, rate(map[k].count, total), map[k].example.substring(0, 100)])
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, AI_DASHBOARD_TOP_ERRORS);
+    };
+
+    return {
+        total: {
+            calls: calls,
+            success: success,
+            successRate: rate(success, calls),
+            fallbackRate: rate(fallbacks, success),
+            p50: _percentile(allLatency, 0.5),
+            p95: _percentile(allLatency, 0.95)
+        },
+        models: Object.keys(models)
+            .map(k => {
+                const m = models[k];
+                return [k, m.source, m.tries, m.success, rate(m.success, m.tries),
+                    _percentile(m.latency, 0.5), _percentile(m.latency, 0.95), m.tokens];
+            })
+            .sort((a, b) => b[2] - a[2] || (a[0] < b[0] ? -1 : 1)),
+        sources: Object.keys(sources)
+            .map(k => {
+                const s = sources[k];
+                return [k, s.calls, s.success, rate(s.success, s.calls), rate(s.fallbacks, s.success),
+                    _percentile(s.latency, 0.5), _percentile(s.latency, 0.95)];
+            })
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)),
+        days: Object.keys(days).sort()
+            .map(k => [k, days[k].calls, days[k].tokens, days[k].input, days[k].output]),
+        errors: ranking(errors),
+        failures: ranking(failures)
+    };
+}
+
+/** 百分位数（最近順位法）。値がなければ "" */
+function _percentile(list, p) {
+    if (list.length === 0) return "";
+    const sorted = list.slice().sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+/** 日時セル（Date か ISO 文字列）→ "yyyy-MM-dd"。読めなければ "" */
+function _dashboardDay(value, timeZone) {
+    const date = value instanceof Date ? value : new Date(String(value));
+    if (!value || isNaN(date.getTime())) return "";
+    return Utilities.formatDate(date, timeZone, "yyyy-MM-dd");
+}
+
+
+// ============================================================
+// 2. シートの作成
+// ============================================================
+/**
+ * AI_Log を集計して「AI_Dashboard」シートに表とグラフを作る
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください（flushAILog の後がおすすめ）。
+ *  シートの内容とグラフは毎回作り直します。
+ *
+ * @return {Object} 集計結果（_aggregateAILog の戻り値）。ログがなければ null
+ */
+function buildAIDashboard() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const logSheet = ss.getSheetByName("AI_Log");
+    if (!logSheet || logSheet.getLastRow() < 2) {
+        Logger.log("集計するログがありません。先に flushAILog() を実行してください。");
+        return null;
+    }
+
+    const stats = _aggregateAILog(logSheet.getDataRange().getValues(), Session.getScriptTimeZone());
+
+    // ----------------------------------------------------------
+    // シートを空にする（前回の表とグラフを消す）
+    // ----------------------------------------------------------
+    let sheet = ss.getSheetByName(AI_DASHBOARD_SHEET);
+    if (!sheet) sheet = ss.insertSheet(AI_DASHBOARD_SHEET);
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+    sheet.clear();
+
+    // ----------------------------------------------------------
+    // 表を上から順に並べる
+    // ----------------------------------------------------------
+    const t = stats.total;
+    let row = 1;
+    row = _writeDashboardBlock(sheet, row, "全体（" + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm") + " 時点）",
+        ["呼び出し", "成功", "成功率", "フォールバック率", "p50(ms)", "p95(ms)"],
+        [[t.calls, t.success, t.successRate, t.fallbackRate, t.p50, t.p95]], [3, 4]).next;
+
+    const models = _writeDashboardBlock(sheet, row, "モデル別",
+        ["モデル", "ソース", "試行", "成功", "成功率", "p50(ms)", "p95(ms)", "トークン"], stats.models, [5]);
+    const sources = _writeDashboardBlock(sheet, models.next, "ソース別",
+        ["ソース", "呼び出し", "成功", "成功率", "フォールバック率", "p50(ms)", "p95(ms)"], stats.sources, [4, 5]);
+    const days = _writeDashboardBlock(sheet, sources.next, "日別トークン",
+        ["日付", "呼び出し", "トークン", "入力", "出力"], stats.days, []);
+    const errors = _writeDashboardBlock(sheet, days.next, "エラー分類（上位" + AI_DASHBOARD_TOP_ERRORS + "件）",
+        ["エラー分類", "件数", "割合", "例"], stats.errors, [3]);
+    _writeDashboardBlock(sheet, errors.next, "呼び出しの失敗（上位" + AI_DASHBOARD_TOP_ERRORS + "件）",
+        ["エラー分類", "件数", "割合", "経路"], stats.failures, [3]);
+
+    sheet.setColumnWidth(1, 240);
+
+    // ----------------------------------------------------------
+    // グラフ（表の右側に縦に並べる）
+    // ----------------------------------------------------------
+    let chartRow = 1;
+    const addChart = (type, title, block, cols) => {
+        if (block.count === 0) return;
+        const builder = sheet.newChart().setChartType(type);
+        cols.forEach(c => builder.addRange(sheet.getRange(block.headerRow, c, block.count + 1, 1)));
+        sheet.insertChart(builder
+            .setOption("title", title)
+            .setOption("useFirstColumnAsDomain", true)
+            .setPosition(chartRow, AI_DASHBOARD_CHART_COL, 0, 0)
+            .build());
+        chartRow += 20;
+    };
+    addChart(Charts.ChartType.BAR, "モデル別 成功率", models, [1, 5]);
+    addChart(Charts.ChartType.COLUMN, "モデル別 応答時間 (p50 / p95)", models, [1, 6, 7]);
+    addChart(Charts.ChartType.LINE, "日別トークン数", days, [1, 3]);
+    addChart(Charts.ChartType.PIE, "エラー分類", errors, [1, 2]);
+
+    Logger.log(`${AI_DASHBOARD_SHEET} を更新しました（呼び出し ${t.calls} 件 / 成功率 ${Math.round(t.successRate * 1000) / 10}%）`);
+    return stats;
+}
+
+/**
+ * 見出し + 表を1つ書く
+ *
+ * @param {Sheet}  sheet       書き込み先
+ * @param {number} row         見出しを書く行
+ * @param {string} title       見出し
+ * @param {Array}  header      表のヘッダー
+ * @param {Array}  rows        表の中身（2次元配列）
+ * @param {Array}  percentCols 割合として表示する列番号（1始まり）
+ * @return {Object} { headerRow: ヘッダーの行, count: データ行数, next: 次の見出しを書く行 }
+ */
+function _writeDashboardBlock(sheet, row, title, header, rows, percentCols) {
+    sheet.getRange(row, 1).setValue("■ " + title).setFontWeight("bold");
+    sheet.getRange(row + 1, 1, 1, header.length)
+        .setValues([header])
+        .setFontWeight("bold")
+        .setBackground("#f3f3f3");
+
+    if (rows.length === 0) {
+        sheet.getRange(row + 2, 1).setValue("（データなし）");
+        return { headerRow: row + 1, count: 0, next: row + 4 };
+    }
+
+    sheet.getRange(row + 2, 1, rows.length, header.length).setValues(rows);
+    percentCols.forEach(c => sheet.getRange(row + 2, c, rows.length, 1).setNumberFormat("0.0%"));
+    return { headerRow: row + 1, count: rows.length, next: row + 2 + rows.length + 1 };
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,550 @@
+// ============================================================
+// 埋め込み（ベクトル）と意味の近さ (ai_embeddings.js)
+// ============================================================
+// このファイルは、テキストを「意味を表す数値の並び（埋め込み）」に変換し、
+// 言い回しが違っても意味の近い行を探す・まとめる関数を提供します。
+//
+// 【提供する関数一覧】
+//  - similarAI : 質問に意味の近い行を上位 k 件、近さ（スコア）付きで返す
+//  - dedupeAI  : ほぼ同じ内容の行に「重複」の印を付ける
+//  - clusterAI : 内容の近い行を n 個のグループに分け、グループ番号を返す
+//
+// 【使い方の例（スプレッドシートから）】
+//  =similarAI("返品したい", A2:A500, 5)    ← 近い5行を [行の内容, スコア] で返す
+//  =dedupeAI(A2:A500, 0.92)                ← 各行の横に「【重複】3行目 (0.95)」など
+//  =clusterAI(A2:A500, 6)                  ← 各行の横に 1〜6 のグループ番号
+//
+// 【埋め込みモデル（AI_EMBED_MODELS）】
+//  "provider:model" のカンマ区切り。上から順に試し、失敗したら次のモデルへ。
+//  初期値: gemini:gemini-embedding-001
+//  例: gemini:gemini-embedding-001,openrouter:openai/text-embedding-3-small
+//  - gemini     : embedContent / batchEmbedContents（GEMINI_API_KEY）
+//  - openrouter : OpenAI 互換の /embeddings（OPENROUTER_API_KEY）
+//  - compat     : OPENAI_COMPAT_BASE_URL の /embeddings（openai_compat.js）
+//  ※ モデルが違うベクトルは比べられないため、1回の呼び出しはすべて同じモデルでそろえる。
+//
+// 【キャッシュ】
+//  埋め込みはセルの内容ごとに CacheService に6時間保存する（モデル・用途もキーに含む）。
+//  再計算しても、内容の変わっていない行は送り直さない。
+//
+// 【流量制限・予算・一時停止】
+//  回答の生成（_runAIChain）と同じキー・同じ枠を使うため、同じ確認を通す。
+//  送る前に予算（ai_budget.js）・一時停止（ai_health.js）・流量制限（ai_ratelimit.js）を確かめ、
+//  成功した分は予算の使用量に数える（トークン数が返らなければ文字数から見積もる）。
+//  大きな範囲は AI_EMBED_BATCH_SIZE 件ずつ送り、締め切りに間に合わなければ残りを送らずに
+//  【⏱タイムアウト】を返す（送った分はキャッシュに残るので、再計算すると続きから送る）。
+//
+// 【スクリプトプロパティ】
+//  AI_EMBED_MODELS  上記
+//  AI_EMBED_DIM     Gemini の次元数 (初期値: 768)
+// ============================================================
+
+
+/** 既定の埋め込みモデル */
+const AI_EMBED_DEFAULT_MODELS = "gemini:gemini-embedding-001";
+
+/** Gemini の既定の次元数（小さいほどキャッシュに収まりやすい） */
+const AI_EMBED_DEFAULT_DIM = 768;
+
+/** 1回のリクエストで送る最大件数（Gemini の batchEmbedContents の上限） */
+const AI_EMBED_BATCH_SIZE = 100;
+
+/** 埋め込みのキャッシュキー接頭辞 */
+const AI_EMBED_CACHE_PREFIX = "AI_EMB_";
+
+/** OpenRouter の埋め込みAPI */
+const OPENROUTER_EMBED_URL = "https://openrouter.ai/api/v1/embeddings";
+
+
+// ============================================================
+// 1. プロバイダーごとの送り方・受け取り方
+// ============================================================
+// buildFetch(items, model, apiKey, dim) → { url, params }   items: [{ text, taskType }]
+//   dim: Gemini の次元数（_embedDimension の値。呼び出し1回につき1度だけ読む）
+// parseVectors(json) → [[数値, ...], ...]（items と同じ並び）/ 読めなければ null
+// keyProperty・configError の意味は AI_PROVIDERS（ai_providers.js）と同じ。
+// ============================================================
+
+/** OpenAI 互換の /embeddings の回答を読む */
+function _parseOpenAIEmbeddings(json) {
+    if (!json || !Array.isArray(json.data)) return null;
+    return json.data.slice()
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map(d => d.embedding);
+}
+
+/** OpenAI 互換の /embeddings に送る内容（用途の区別はない） */
+function _openAIEmbedFetch(url, headers, items, model) {
+    return {
+        url: url,
+        params: {
+            method: "post",
+            contentType: "application/json",
+            headers: headers,
+            payload: JSON.stringify({ model: model, input: items.map(item => item.text) }),
+            muteHttpExceptions: true
+        }
+    };
+}
+
+const AI_EMBED_PROVIDERS = {
+    gemini: {
+        keyProperty: "GEMINI_API_KEY",
+        buildFetch: function (items, model, apiKey, dim) {
+            const one = item => ({
+                model: "models/" + model,
+                content: { parts: [{ text: item.text }] },
+                taskType: item.taskType,
+                outputDimensionality: dim
+            });
+            // 1件なら embedContent、複数なら batchEmbedContents（用途は1件ずつ指定できる）
+            const single = items.length === 1;
+            return {
+                url: "https://generativelanguage.googleapis.com/v1beta/models/" + model +
+                    (single ? ":embedContent" : ":batchEmbedContents") + "?key=" + apiKey,
+                params: {
+                    method: "post",
+                    contentType: "application/json",
+                    payload: JSON.stringify(single ? one(items[0]) : { requests: items.map(one) }),
+                    muteHttpExceptions: true
+                }
+            };
+        },
+        parseVectors: function (json) {
+            if (json.embedding) return [json.embedding.values];
+            return Array.isArray(json.embeddings) ? json.embeddings.map(e => e.values) : null;
+        }
+    },
+    openrouter: {
+        keyProperty: "OPENROUTER_API_KEY",
+        buildFetch: function (items, model, apiKey) {
+            return _openAIEmbedFetch(OPENROUTER_EMBED_URL, { "Authorization": "Bearer " + apiKey }, items, model);
+        },
+        parseVectors: _parseOpenAIEmbeddings
+    },
+    compat: {
+        keyProperty: "OPENAI_COMPAT_API_KEY",
+        keyOptional: true,
+        configError: function () {
+            return _getOpenAICompatSettings().url
+                ? null
+                : "【⚠️設定エラー】OPENAI_COMPAT_BASE_URL をプロジェクト設定で登録してください";
+        },
+        buildFetch: function (items, model, apiKey) {
+            const settings = _getOpenAICompatSettings();
+            const headers = {};
+            if (apiKey) {
+                headers[settings.authHeader] = settings.authHeader.toLowerCase() === "authorization" ? "Bearer " + apiKey : apiKey;
+            }
+            return _openAIEmbedFetch(settings.url.replace(/\/chat\/completions$/, "/embeddings"), headers, items, model);
+        },
+        parseVectors: _parseOpenAIEmbeddings
+    }
+};
+
+/** AI_EMBED_DIM を読む（Gemini の次元数） */
+function _embedDimension() {
+    return Number(PropertiesService.getScriptProperties().getProperty('AI_EMBED_DIM')) || AI_EMBED_DEFAULT_DIM;
+}
+
+/** AI_EMBED_MODELS を読む → [{ provider, model }] */
+function _embedModels() {
+    const raw = PropertiesService.getScriptProperties().getProperty('AI_EMBED_MODELS') || AI_EMBED_DEFAULT_MODELS;
+    return raw.split(",")
+        .map(spec => spec.trim())
+        .filter(spec => spec !== "")
+        .map(spec => {
+            const i = spec.indexOf(":");
+            return i === -1 ? { provider: "gemini", model: spec } : { provider: spec.substring(0, i).trim(), model: spec.substring(i + 1).trim() };
+        });
+}
+
+
+// ============================================================
+// 2. 埋め込みの取得（キャッシュ → API）
+// ============================================================
+// 戻り値: { vectors: [長さ1に正規化したベクトル], entry: 使ったモデル, error: エラー文 | null }
+// 全モデル失敗時の error は hy_AI と同じ形（【💀全API失敗】/【⏱タイムアウト】/【💰予算超過】+ 試行ごとの理由）。
+// 質問と検索対象のように用途の違うものも、比べるものは1回で渡して同じモデルでそろえる。
+// ============================================================
+/**
+ * テキストの埋め込みを取得する
+ *
+ * @param {Array}  items      [{ text, taskType }]（同じ内容・用途は1回だけ送る）
+ *                            taskType: RETRIEVAL_QUERY / RETRIEVAL_DOCUMENT / SEMANTIC_SIMILARITY / CLUSTERING
+ * @param {string} entryPoint 使用ログの呼び出し元
+ * @param {number} deadline   締め切り（省略時は今から AI_TIME_BUDGET_SEC 秒）
+ */
+function _embedTexts(items, entryPoint, deadline) {
+    deadline = deadline || _aiDeadline();
+    const trace = _newAITrace(entryPoint);
+    const idOf = item => item.taskType + "\n" + item.text;
+    const seen = {};
+    const unique = items.filter(item => seen[idOf(item)] ? false : (seen[idOf(item)] = true));
+    const cache = CacheService.getScriptCache();
+    const dim = _embedDimension();
+    const failures = [];
+    const startTime = Date.now();
+    let timedOut = false;
+
+    for (const entry of _embedModels()) {
+        if (timedOut || Date.now() + AI_MIN_ATTEMPT_MS > deadline) {
+            timedOut = true;
+            failures.push({ entry: entry, errorDetail: "【⏱タイムアウト】時間切れのため未試行" });
+            continue;
+        }
+
+        // -- キャッシュにある分 --
+        const keys = unique.map(item => _embedCacheKey(entry, item, dim));
+        let hits = {};
+        try {
+            hits = cache.getAll(keys);
+        } catch (e) {
+            console.log("埋め込みキャッシュ読み込み失敗: " + e.message);
+        }
+        const found = {};
+        unique.forEach((item, i) => { if (hits[keys[i]]) found[idOf(item)] = JSON.parse(hits[keys[i]]); });
+        const missing = unique.filter(item => !found[idOf(item)]);
+
+        // -- 送る前の確認（予算 → 一時停止）。全部キャッシュにあれば送らない --
+        let health = null;
+        if (missing.length > 0) {
+            const budget = _checkBudget(entry);
+            if (!budget.allowed) {
+                failures.push({ entry: entry, errorDetail: budget.detail, budget: true });
+                continue;
+            }
+            const check = _checkModelHealth(entry);
+            if (!check.allowed) {
+                failures.push({ entry: entry, errorDetail: check.detail });
+                continue;
+            }
+            health = check.health;
+        }
+
+        // -- 足りない分を送る（AI_EMBED_BATCH_SIZE 件ずつ。毎回締め切りを確かめる）--
+        let failed = null;
+        for (let start = 0; start < missing.length; start += AI_EMBED_BATCH_SIZE) {
+            if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) {
+                timedOut = true;
+                failed = `【⏱タイムアウト】時間切れのため残り ${missing.length - start} 件を送っていません（再計算すると続きから送ります）`;
+                break;
+            }
+            const batch = missing.slice(start, start + AI_EMBED_BATCH_SIZE);
+            const reply = _callEmbedProvider(entry, batch, trace, deadline, dim);
+            if (!reply.success) {
+                failed = reply.errorDetail;
+                break;
+            }
+            const toCache = {};
+            batch.forEach((item, k) => {
+                found[idOf(item)] = _normalizeVector(reply.vectors[k]);
+                toCache[_embedCacheKey(entry, item, dim)] = JSON.stringify(found[idOf(item)]);
+            });
+            try {
+                cache.putAll(toCache, AI_CACHE_MAX_CACHE_TTL);
+            } catch (e) {
+                console.log("埋め込みキャッシュ保存失敗: " + e.message);
+            }
+        }
+
+        if (health && !timedOut) _recordModelHealth(entry, health, { success: !failed, errorDetail: failed });
+        if (failed) {
+            failures.push({ entry: entry, errorDetail: failed });
+            continue;
+        }
+
+        _logEmbedResult(entry, trace, "成功", Date.now() - startTime,
+            `埋め込み ${unique.length} 件（キャッシュ ${unique.length - missing.length} 件）`);
+        return { vectors: items.map(item => found[idOf(item)]), entry: entry, error: null };
+    }
+
+    const budgetExceeded = failures.length > 0 && failures.every(f => f.budget);
+    const header = timedOut ? "【⏱タイムアウト】埋め込みを制限時間内に得られませんでした"
+        : budgetExceeded ? _formatBudgetSummary() : "【💀全API失敗】";
+    const lastEntry = failures.length > 0 ? failures[failures.length - 1].entry : { provider: "", model: "N/A" };
+    _logEmbedResult(lastEntry, trace, timedOut ? "タイムアウト" : budgetExceeded ? "予算超過" : "全API失敗", Date.now() - startTime, `埋め込み ${unique.length} 件`);
+    return {
+        vectors: null,
+        entry: null,
+        error: header + "\n" + failures.map(f => `${_hybridTrialLabel(f.entry)}: ${f.errorDetail}`).join("\n")
+    };
+}
+
+/**
+ * 1回分の埋め込みリクエスト（リトライ付き）
+ * _callAIProvider と同じく、送る前に流量制限の枠を取り、成功したら予算の使用量に数える。
+ */
+function _callEmbedProvider(entry, items, trace, deadline, dim) {
+    const adapter = AI_EMBED_PROVIDERS[entry.provider];
+    if (!adapter) return { success: false, errorDetail: "【⚠️設定エラー】埋め込みに対応していないプロバイダーです: " + entry.provider };
+
+    const configError = adapter.configError ? adapter.configError() : null;
+    if (configError) return { success: false, errorDetail: configError };
+
+    const apiKey = PropertiesService.getScriptProperties().getProperty(adapter.keyProperty);
+    if (!apiKey && !adapter.keyOptional) return { success: false, errorDetail: "【🔑APIキー未設定】" + adapter.keyProperty + " をプロジェクト設定で登録してください" };
+
+    const fetchSpec = adapter.buildFetch(items, entry.model, apiKey, dim);
+    const logRequest = { messages: [{ role: "user", content: `埋め込み ${items.length} 件: ${items[0].text}` }], trace: trace };
+    let lastErrorDetail = "";
+    let retryHintMs = null;
+
+    for (let attempt = 1; attempt <= AI_DEFAULT_MAX_RETRY; attempt++) {
+        if (attempt > 1 && !_waitBeforeRetry(attempt - 1, retryHintMs, deadline)) break;
+        retryHintMs = null;
+
+        // 流量制限の枠が取れなければ送らない（1回目なら次のモデルへ、リトライなら打ち切り）
+        const slot = _acquireRateSlot(entry, deadline);
+        if (!slot.allowed) {
+            if (attempt === 1) return { success: false, errorDetail: slot.detail };
+            break;
+        }
+
+        const startTime = Date.now();
+        let failure;
+        try {
+            const response = UrlFetchApp.fetch(fetchSpec.url, fetchSpec.params);
+            const statusCode = response.getResponseCode();
+            const responseText = response.getContentText();
+
+            if (statusCode === 200) {
+                let json = null;
+                let vectors = null;
+                try {
+                    json = JSON.parse(responseText);
+                    vectors = adapter.parseVectors(json);
+                } catch (e) {
+                    vectors = null;
+                }
+                if (vectors && vectors.length === items.length && vectors.every(v => Array.isArray(v) && v.length > 0)) {
+                    const usage = json.usage || {};
+                    const tokens = usage.total_tokens || usage.prompt_tokens ||
+                        items.reduce((sum, item) => sum + _estimateTokens(item.text), 0);
+                    _recordBudgetUsage(entry, { tokens: tokens, inputTokens: tokens, outputTokens: 0 });
+                    return { success: true, vectors: vectors };
+                }
+                failure = { errorDetail: "【📭空回答】埋め込みの件数・形式が不正です", httpCode: statusCode, retry: true };
+            } else {
+                const classification = _classifyHttpError(statusCode);
+                let apiMsg;
+                try { apiMsg = JSON.parse(responseText).error.message; } catch (e) { apiMsg = responseText.substring(0, 150); }
+                failure = { errorDetail: classification.prefix + apiMsg, httpCode: statusCode, retry: classification.shouldRetry };
+                retryHintMs = _serverRetryDelayMs(response, responseText);
+                if (statusCode === 429) _drainRateBucket(entry);
+            }
+        } catch (e) {
+            failure = { errorDetail: "【🔌接続エラー】" + e.message, httpCode: "", retry: true };
+        }
+
+        lastErrorDetail = failure.errorDetail;
+        _logAIAttempt(logRequest, entry, attempt, { errorDetail: failure.errorDetail, httpCode: failure.httpCode, elapsedMs: Date.now() - startTime });
+        if (!failure.retry) break;
+    }
+    return { success: false, errorDetail: lastErrorDetail };
+}
+
+/** 埋め込みの結果を使用ログに1行残す */
+function _logEmbedResult(entry, trace, status, elapsedMs, prompt) {
+    const adapter = AI_PROVIDERS[entry.provider];
+    _logAIUsage(entry.model, prompt, status, (adapter ? adapter.source : entry.provider) + "(埋め込み)", elapsedMs, 0, {
+        trace: trace.id,
+        entry: trace.entry,
+        kind: "結果"
+    });
+}
+
+/** セルの内容ごとのキャッシュキー（モデル・用途・次元数も含める）。dim は _embedDimension の値 */
+function _embedCacheKey(entry, item, dim) {
+    const material = JSON.stringify([entry.provider, entry.model, item.taskType, dim, item.text]);
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, material, Utilities.Charset.UTF_8);
+    return AI_EMBED_CACHE_PREFIX + Utilities.base64EncodeWebSafe(digest).replace(/=+$/, "");
+}
+
+
+// ============================================================
+// 3. ベクトルの計算
+// ============================================================
+/** 長さ1にそろえる（内積 = コサイン類似度になる）。キャッシュを小さくするため小数6桁に丸める */
+function _normalizeVector(v) {
+    const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+    return v.map(x => Math.round(x / norm * 1e6) / 1e6);
+}
+
+function _dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length && i < b.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/** スコア表示用（小数3桁） */
+function _roundScore(x) {
+    return Math.round(x * 1000) / 1000;
+}
+
+/**
+ * 範囲の各行を1件のテキストにする（空の行は ""）
+ * 複数列の範囲は、行内のセルを " | " でつなぐ（batchAI と同じ）。
+ */
+function _rowTexts(range) {
+    if (!Array.isArray(range)) return [String(range === null || range === undefined ? "" : range)];
+    return range.map(row => row
+        .filter(cell => cell !== "" && cell !== null)
+        .map(cell => String(cell).trim())
+        .join(" | "));
+}
+
+/**
+ * 空でない行だけを埋め込む
+ *
+ * @param {Array} extra 同じモデルでそろえて埋め込む追加の項目 [{ text, taskType }]（質問など）
+ * @return {Object} { rows: [{ index, text, vector }], extra: [ベクトル], error: エラー文 | null }
+ */
+function _embedRows(texts, taskType, entryPoint, extra) {
+    const rows = [];
+    texts.forEach((text, i) => { if (text !== "") rows.push({ index: i, text: text }); });
+    extra = extra || [];
+
+    const embedded = _embedTexts(extra.concat(rows.map(r => ({ text: r.text, taskType: taskType }))), entryPoint, _aiDeadline());
+    if (embedded.error) return { rows: [], extra: [], error: embedded.error };
+    rows.forEach((r, k) => { r.vector = embedded.vectors[extra.length + k]; });
+    return { rows: rows, extra: embedded.vectors.slice(0, extra.length), error: null };
+}
+
+
+// ============================================================
+// 4. カスタム関数
+// ============================================================
+/**
+ * 質問に意味の近い行を、近い順に返します。
+ *
+ * @param {string} query 探したい内容 (必須)
+ * @param {Range}  range 探す範囲 (必須) 例: A2:A500 / A2:C500
+ * @param {number} k     返す件数 (初期値: 5)
+ * @return 近い順に [行のセル..., スコア(0〜1)] の2次元配列
+ * @customfunction
+ */
+function similarAI(query, range, k = 5) {
+    if (!query) return "【通知】探したい内容を入力してください。";
+    if (!range) return "【通知】探す範囲を入力してください。";
+    k = Math.max(1, Math.floor(Number(k) || 5));
+
+    const texts = _rowTexts(range);
+    if (texts.every(t => t === "")) return "【通知】データが空です。";
+
+    // 質問と行は同じモデルでそろえる
+    const embedded = _embedRows(texts, "RETRIEVAL_DOCUMENT", "similarAI", [{ text: String(query), taskType: "RETRIEVAL_QUERY" }]);
+    if (embedded.error) return embedded.error;
+
+    const rowsOf = Array.isArray(range) ? range : [[range]];
+    return embedded.rows
+        .map(r => ({ index: r.index, score: _dotProduct(embedded.extra[0], r.vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(hit => rowsOf[hit.index].concat([_roundScore(hit.score)]));
+}
+
+/**
+ * ほぼ同じ内容の行に印を付けます。
+ * 最初に出てきた行はそのまま（空欄）、後から出てきた似た行に、いちばん近い先の行番号を付けます。
+ *
+ * @param {Range}  range     調べる範囲 (必須) 例: A2:A500
+ * @param {number} threshold 重複とみなす近さ 0〜1 (初期値: 0.9)
+ * @return 入力と同じ行数の縦1列（例: 「【重複】3行目 (0.953)」。行番号は範囲の先頭を1とする）
+ * @customfunction
+ */
+function dedupeAI(range, threshold = 0.9) {
+    if (!range) return "【通知】調べる範囲を入力してください。";
+    threshold = (threshold === "" || threshold === null || isNaN(Number(threshold))) ? 0.9 : Number(threshold);
+
+    const texts = _rowTexts(range);
+    if (texts.every(t => t === "")) return "【通知】データが空です。";
+
+    const embedded = _embedRows(texts, "SEMANTIC_SIMILARITY", "dedupeAI");
+    if (embedded.error) return embedded.error;
+
+    const marks = texts.map(() => "");
+    embedded.rows.forEach((r, k) => {
+        let best = null;
+        for (let j = 0; j < k; j++) {
+            const score = _dotProduct(r.vector, embedded.rows[j].vector);
+            if (score >= threshold && (!best || score > best.score)) best = { row: embedded.rows[j], score: score };
+        }
+        if (best) marks[r.index] = `【重複】${best.row.index + 1}行目 (${_roundScore(Math.min(1, best.score))})`;
+    });
+    return Array.isArray(range) ? marks.map(m => [m]) : marks[0];
+}
+
+/**
+ * 内容の近い行を n 個のグループに分け、グループ番号（1〜n）を返します。
+ * 番号は、範囲の上から初めて出てきた順に 1, 2, 3 … と振ります。
+ *
+ * @param {Range}  range 分ける範囲 (必須) 例: A2:A500
+ * @param {number} n     グループの数 (初期値: 5)
+ * @return 入力と同じ行数の縦1列（空の行は空欄）
+ * @customfunction
+ */
+function clusterAI(range, n = 5) {
+    if (!range) return "【通知】分ける範囲を入力してください。";
+    n = Math.max(1, Math.floor(Number(n) || 5));
+
+    const texts = _rowTexts(range);
+    if (texts.every(t => t === "")) return "【通知】データが空です。";
+
+    const embedded = _embedRows(texts, "CLUSTERING", "clusterAI");
+    if (embedded.error) return embedded.error;
+
+    const assignment = _kMeans(embedded.rows.map(r => r.vector), n);
+
+    // 上から初めて出てきた順に番号を振り直す
+    const renumber = {};
+    let next = 1;
+    const ids = texts.map(() => "");
+    embedded.rows.forEach((r, k) => {
+        if (renumber[assignment[k]] === undefined) renumber[assignment[k]] = next++;
+        ids[r.index] = renumber[assignment[k]];
+    });
+    return Array.isArray(range) ? ids.map(id => [id]) : ids[0];
+}
+
+/**
+ * コサイン類似度の k-means（毎回同じ結果になるよう、初期値は決まった選び方にする）
+ * 初期値: 1件目 → 既存の中心のどれからも最も遠いもの → … を n 個。
+ *
+ * @param {Array}  vectors 長さ1のベクトル
+ * @param {number} n       グループの数（件数より多ければ件数まで）
+ * @return {Array} 各ベクトルのグループ（0 〜 n-1）
+ */
+function _kMeans(vectors, n) {
+    n = Math.min(n, vectors.length);
+    const centers = [vectors[0]];
+    const nearest = vectors.map(v => _dotProduct(v, vectors[0]));
+    while (centers.length < n) {
+        let far = 0;
+        nearest.forEach((s, i) => { if (s < nearest[far]) far = i; });
+        centers.push(vectors[far]);
+        vectors.forEach((v, i) => { nearest[i] = Math.max(nearest[i], _dotProduct(v, vectors[far])); });
+    }
+
+    let assignment = [];
+    for (let round = 0; round < 50; round++) {
+        const next = vectors.map(v => {
+            let best = 0;
+            centers.forEach((c, ci) => { if (_dotProduct(v, c) > _dotProduct(v, centers[best])) best = ci; });
+            return best;
+        });
+        if (next.every((a, i) => a === assignment[i])) break;
+        assignment = next;
+
+        // 中心 = グループの平均（長さ1にそろえる）。空のグループは前の中心のまま
+        centers.forEach((c, ci) => {
+            const members = vectors.filter((v, i) => assignment[i] === ci);
+            if (members.length === 0) return;
+            const sum = c.map((x, d) => members.reduce((acc, v) => acc + v[d], 0));
+            centers[ci] = _normalizeVector(sum);
+        });
+    }
+    return assignment;
+}
+
+// Last Updated: 2026-10-19
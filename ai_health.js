@@ -0,0 +1,207 @@
+// ============================================================
+// モデルの健康状態とサーキットブレーカー (ai_health.js)
+// ============================================================
+// このファイルは、モデルごとの「最近の失敗状況」を実行をまたいで共有し、
+// 失敗が続いているモデルを一定時間スキップする仕組みを提供します。
+//
+// 【なぜ必要か】
+//  あるモデルが 429 や 404 を返し始めても、数百個の =hy_AI() セルが
+//  それぞれ同じモデルを試し、リトライで待ってから次へ進むため、
+//  列全体の計算に何分もかかってしまう。
+//
+// 【状態の移り変わり】
+//  closed   (通常)     … 普通に試す。連続失敗が閾値に達したら open へ
+//  open     (停止中)   … 待機時間が終わるまでスキップ（【🚧一時停止】）
+//  half-open(様子見)   … 待機時間が終わったら1回だけ試す（他の実行はスキップ）
+//                        成功 → closed / 失敗 → 再び open
+//
+// 【数えない失敗】（モデルではなく設定や質問側の問題のため）
+//  🔑APIキー未設定 / ⚠️設定エラー / ⚠️リクエスト不正 / 🧩スキーマ不一致 / 🚦混雑回避
+//
+// 【スクリプトプロパティ】
+//  AI_HEALTH_THRESHOLD     何回連続で失敗したら止めるか（初期値: 3）
+//  AI_HEALTH_COOLDOWN_SEC  止めておく秒数（初期値: 300）
+//
+// 【使い方】
+//  showModelHealth()  … 全チェーンのモデルの状態をログに出す
+//  resetModelHealth() … すべての状態を消して通常に戻す
+// ============================================================
+
+
+/** 状態を保存する CacheService のキー接頭辞 */
+const AI_HEALTH_PREFIX = "AI_HEALTH_";
+
+/** 様子見（half-open）で1回試す間、他の実行をスキップさせる秒数 */
+const AI_HEALTH_PROBE_SEC = 60;
+
+/** 状態の保存期間（CacheService の上限） */
+const AI_HEALTH_TTL = 21600;
+
+
+// ============================================================
+// 1. 設定・保存
+// ============================================================
+function _healthSettings() {
+    const props = PropertiesService.getScriptProperties();
+    const threshold = Number(props.getProperty('AI_HEALTH_THRESHOLD'));
+    const cooldown = Number(props.getProperty('AI_HEALTH_COOLDOWN_SEC'));
+    return {
+        threshold: threshold > 0 ? threshold : 3,
+        cooldownMs: (cooldown > 0 ? cooldown : 300) * 1000
+    };
+}
+
+function _healthKey(entry) {
+    return AI_HEALTH_PREFIX + entry.provider + ":" + entry.model;
+}
+
+/** 保存されている状態（なければ初期状態） */
+function _readModelHealth(entry) {
+    try {
+        const raw = CacheService.getScriptCache().get(_healthKey(entry));
+        if (raw) return JSON.parse(raw);
+    } catch (e) {
+        console.log("健康状態の読み込み失敗: " + e.message);
+    }
+    return { state: "closed", failures: 0, openUntil: 0, lastError: "", updated: 0 };
+}
+
+function _writeModelHealth(entry, health) {
+    try {
+        health.updated = Date.now();
+        CacheService.getScriptCache().put(_healthKey(entry), JSON.stringify(health), AI_HEALTH_TTL);
+    } catch (e) {
+        // 状態の保存に失敗してもメイン処理は止めない
+        console.log("健康状態の保存失敗: " + e.message);
+    }
+}
+
+
+// ============================================================
+// 2. 試す前の判定
+// ============================================================
+// 戻り値: { allowed: 試してよいか, health: 現在の状態, detail: スキップ理由 }
+// ============================================================
+function _checkModelHealth(entry) {
+    const health = _readModelHealth(entry);
+    const now = Date.now();
+
+    if (health.state === "closed") return { allowed: true, health: health };
+
+    if (health.openUntil > now) {
+        const waitSec = Math.ceil((health.openUntil - now) / 1000);
+        const reason = health.state === "half-open" ? "他の実行が様子見中" : "連続" + health.failures + "回失敗";
+        return {
+            allowed: false,
+            health: health,
+            detail: "【🚧一時停止】" + reason + "のため、あと" + waitSec + "秒スキップ（最後のエラー: " + health.lastError + "）"
+        };
+    }
+
+    // 待機時間が過ぎた → この実行が1回だけ様子見する
+    health.state = "half-open";
+    health.openUntil = now + AI_HEALTH_PROBE_SEC * 1000;
+    _writeModelHealth(entry, health);
+    return { allowed: true, health: health };
+}
+
+
+// ============================================================
+// 3. 試した後の記録
+// ============================================================
+function _recordModelHealth(entry, health, result) {
+    if (result.success) {
+        // 既に正常なら書き込まない（成功のたびに書くと遅くなるため）
+        if (health.state === "closed" && health.failures === 0) return;
+        _writeModelHealth(entry, { state: "closed", failures: 0, openUntil: 0, lastError: "" });
+        return;
+    }
+
+    if (!_countsAsModelFailure(result.errorDetail)) return;
+
+    const settings = _healthSettings();
+    const failures = (health.failures || 0) + 1;
+    const shouldOpen = health.state === "half-open" || failures >= settings.threshold;
+
+    _writeModelHealth(entry, {
+        state: shouldOpen ? "open" : "closed",
+        failures: failures,
+        openUntil: shouldOpen ? Date.now() + settings.cooldownMs : 0,
+        lastError: String(result.errorDetail || "").substring(0, 120)
+    });
+    if (shouldOpen) {
+        console.warn(`【一時停止】${entry.provider}:${entry.model} を ${settings.cooldownMs / 1000} 秒スキップします`);
+    }
+}
+
+/** モデル側の不調として数える失敗か */
+function _countsAsModelFailure(errorDetail) {
+    const detail = String(errorDetail || "");
+    return !(detail.indexOf("【🔑APIキー未設定】") === 0 ||
+        detail.indexOf("【⚠️設定エラー】") === 0 ||
+        detail.indexOf("【⚠️リクエスト不正】") === 0 ||
+        detail.indexOf("【🧩スキーマ不一致】") === 0 ||
+        detail.indexOf("【🚦混雑回避】") === 0);
+}
+
+
+// ============================================================
+// 4. メンテナンス関数
+// ============================================================
+/**
+ * 全チェーンに登場するモデルの健康状態をログに出す
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *
+ * @return {Array} [プロバイダー, モデル, 状態, 連続失敗, 再開まで(秒), 最後のエラー] の2次元配列（ヘッダー付き）
+ */
+function showModelHealth() {
+    const rows = [["プロバイダー", "モデル", "状態", "連続失敗", "再開まで(秒)", "最後のエラー"]];
+    const now = Date.now();
+    const labels = { "closed": "✅ 正常", "open": "🚧 停止中", "half-open": "🔍 様子見" };
+
+    _allConfiguredEntries().forEach(entry => {
+        const h = _readModelHealth(entry);
+        const waitSec = h.state !== "closed" && h.openUntil > now ? Math.ceil((h.openUntil - now) / 1000) : 0;
+        rows.push([entry.provider, entry.model, labels[h.state] || h.state, h.failures || 0, waitSec, h.lastError || ""]);
+    });
+
+    Logger.log("=== モデルの健康状態 ===");
+    rows.slice(1).forEach(r => {
+        Logger.log(`${r[2]} ${r[0]}:${r[1]} 連続失敗=${r[3]}` + (r[4] ? ` 再開まで${r[4]}秒` : "") + (r[5] ? ` (${r[5]})` : ""));
+    });
+    return rows;
+}
+
+/**
+ * すべてのモデルの健康状態を消して通常に戻す
+ *
+ * 【使い方】
+ *  障害が復旧したのに一時停止が残っている場合などに手動で実行してください。
+ */
+function resetModelHealth() {
+    const keys = _allConfiguredEntries().map(_healthKey);
+    CacheService.getScriptCache().removeAll(keys);
+    Logger.log(keys.length + " モデルの健康状態をリセットしました");
+}
+
+/** 全チェーン（設定 + 既定値）に登場するモデルを重複なしで並べる */
+function _allConfiguredEntries() {
+    const config = _loadAIChainConfig();
+    const names = Object.keys(DEFAULT_AI_CHAINS).concat(["oc_AI"], Object.keys(config.chains));
+    const seen = {};
+    const entries = [];
+    names.forEach(name => {
+        (_getModelChain(name) || []).forEach(e => {
+            const key = e.provider + ":" + e.model;
+            if (!seen[key]) {
+                seen[key] = true;
+                entries.push(e);
+            }
+        });
+    });
+    return entries;
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,508 @@
+// ============================================================
+// 一括処理ジョブ (ai_jobs.js)
+// ============================================================
+// このファイルは、シートの1列を上から順に hy_AI のチェーンで処理し、
+// 結果を「数式ではなく値として」別の列に書き込むジョブの仕組みを提供します。
+//
+// 【なぜカスタム関数ではないのか】
+//  - カスタム関数は1回30秒まで・再計算のたびにやり直し・予約実行ができない
+//  - 数千行を =hy_AI() で埋めると、シートを開くたびに API を叩き直す
+//  → ジョブは時間主導トリガーで少しずつ進み、書いた値はそのまま残る。
+//
+// 【流れ】
+//  1. startAIJobFromSelection()（メニューから）または startAIJob({...}) で登録
+//  2. runAIJobs() が1回あたり AI_JOB_TIME_LIMIT_SEC 秒まで行を処理
+//  3. 終わらなければ、1分後に自分自身をトリガーで予約して続きから再開
+//  4. 進み具合は「AI_Jobs」シートに書き出す
+//
+// 【行の扱い】
+//  - 入力が空の行、出力の列に既に値がある行は飛ばす（やり直し・再開が安全）
+//  - ただし出力が【💀全API失敗】【⏱タイムアウト】【💰予算超過】の行はやり直す
+//  - 失敗した行には hy_AI と同じエラー文を書く
+//
+// 【進み具合の保存】
+//  スクリプトプロパティ AI_JOB_<ID> に JSON で保存（AI_JOB_CHECKPOINT_ROWS 行ごと）。
+//  保存は一時停止・中止と同じ LockService の中で「保存済みの状態を読む→書く」を行う。
+//  途中で一時停止されたらその状態を残し、中止で消されたジョブは書き戻さない。
+//
+// 【スクリプトプロパティ】
+//  AI_JOB_TIME_LIMIT_SEC  1回の実行で処理に使う秒数 (初期値: 300。GAS の6分制限より手前)
+//
+// 【使い方】
+//  pauseAIJob() / resumeAIJob() / cancelAIJob() … ID 省略時は最新のジョブ
+//  showAIJobs() … 「AI_Jobs」シートを書き直す
+// ============================================================
+
+
+/** ジョブを保存するプロパティの接頭辞 */
+const AI_JOB_PREFIX = "AI_JOB_";
+
+/** 状況を書き出すシート名 */
+const AI_JOB_SHEET = "AI_Jobs";
+
+/** トリガーから呼ぶ関数名 */
+const AI_JOB_HANDLER = "runAIJobs";
+
+/** 1回の実行で処理に使う秒数の既定値 */
+const AI_JOB_DEFAULT_TIME_LIMIT_SEC = 300;
+
+/** 次の行に進むのに最低限残しておく時間（ミリ秒）。1行分のチェーン全体が収まる長さ */
+const AI_JOB_ROW_RESERVE_MS = 30000;
+
+/** 続きを予約するまでの時間（ミリ秒） */
+const AI_JOB_RESCHEDULE_MS = 60000;
+
+/** 何行ごとに進み具合を保存するか（シートを読む単位も兼ねる） */
+const AI_JOB_CHECKPOINT_ROWS = 10;
+
+/** ジョブの状態を読み書きするときに LockService を待つ時間（ミリ秒） */
+const AI_JOB_LOCK_MS = 10000;
+
+/** 終わったジョブを残しておく件数（古いものから消す） */
+const AI_JOB_HISTORY = 20;
+
+/** 状況シートのヘッダー */
+const AI_JOB_HEADERS = ["ジョブID", "状態", "シート", "入力列", "出力列", "範囲", "次の行",
+    "成功", "失敗", "スキップ", "開始", "更新", "最後のエラー"];
+
+/** 状態の表示名 */
+const AI_JOB_STATUS_LABELS = {
+    running: "▶️ 実行中", paused: "⏸ 一時停止", cancelled: "⏹ 中止", done: "✅ 完了", error: "⚠️ エラー"
+};
+
+
+// ============================================================
+// 1. ジョブの登録
+// ============================================================
+/**
+ * ジョブを登録して処理を始める
+ *
+ * @param {Object} options
+ *   sheetName    : 対象のシート名（省略時はアクティブなシート）
+ *   inputColumn  : 入力の列（"B" または 2）
+ *   outputColumn : 結果を書く列（"C" または 3）
+ *   template     : 質問のテンプレート。{input} が各行の入力に置き換わる
+ *                  （{input} がなければ、テンプレートの後に改行して入力を付ける）
+ *   systemInst   : AIの役割・ルール (任意)
+ *   temperature  : 温度 (初期値 0.3)
+ *   startRow     : 最初の行 (初期値 2)
+ *   endRow       : 最後の行 (初期値 シートの最終行)
+ * @return {string} ジョブID
+ */
+function startAIJob(options) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = options.sheetName ? ss.getSheetByName(options.sheetName) : ss.getActiveSheet();
+    if (!sheet) throw new Error("シートが見つかりません: " + options.sheetName);
+
+    const inputCol = _columnNumber(options.inputColumn);
+    const outputCol = _columnNumber(options.outputColumn);
+    if (!inputCol || !outputCol) throw new Error("入力列・出力列は \"B\" や 2 のように指定してください");
+    if (inputCol === outputCol) throw new Error("入力列と出力列が同じです");
+
+    const template = String(options.template || "{input}");
+    if (template.length > 4000) throw new Error("テンプレートが長すぎます（4000文字まで）");
+
+    const startRow = Math.max(1, Number(options.startRow) || 2);
+    const endRow = Number(options.endRow) || sheet.getLastRow();
+    if (endRow < startRow) throw new Error("処理する行がありません");
+
+    const now = new Date().toISOString();
+    const job = {
+        id: Utilities.getUuid().replace(/-/g, "").substring(0, 8),
+        status: "running",
+        sheet: sheet.getName(),
+        inputCol: inputCol,
+        outputCol: outputCol,
+        template: template,
+        system: String(options.systemInst || ""),
+        temperature: options.temperature === undefined || options.temperature === "" ? 0.3 : Number(options.temperature),
+        startRow: startRow,
+        endRow: endRow,
+        nextRow: startRow,
+        done: 0, failed: 0, skipped: 0,
+        startedAt: now, updatedAt: now, lastError: ""
+    };
+
+    _removeOldAIJobs();
+    _saveAIJob(job);
+    _scheduleAIJobRunner(true);
+    _writeAIJobStatus();
+    Logger.log(`ジョブ ${job.id} を登録しました（${job.sheet} ${_columnLetter(inputCol)}${startRow}:${_columnLetter(inputCol)}${endRow} → ${_columnLetter(outputCol)}列）`);
+    return job.id;
+}
+
+/**
+ * 選択中の列を入力にしてジョブを登録する（メニュー用）
+ * テンプレートと出力列はダイアログで尋ねる。
+ */
+function startAIJobFromSelection() {
+    const ui = SpreadsheetApp.getUi();
+    const sheet = SpreadsheetApp.getActiveSheet();
+    const range = sheet.getActiveRange();
+    if (!range) {
+        ui.alert("入力にする列（またはその範囲）を選択してから実行してください。");
+        return null;
+    }
+
+    const template = ui.prompt("AI一括処理 (1/2)", "質問のテンプレートを入力してください。\n{input} が各行の値に置き換わります。\n例: 次の文を英訳して: {input}", ui.ButtonSet.OK_CANCEL);
+    if (template.getSelectedButton() !== ui.Button.OK) return null;
+
+    const output = ui.prompt("AI一括処理 (2/2)", "結果を書き込む列を入力してください（例: C）", ui.ButtonSet.OK_CANCEL);
+    if (output.getSelectedButton() !== ui.Button.OK) return null;
+
+    try {
+        // 列全体を選んだ場合（1行目から）は見出し行を飛ばす
+        const startRow = range.getRow() === 1 ? 2 : range.getRow();
+        const id = startAIJob({
+            sheetName: sheet.getName(),
+            inputColumn: range.getColumn(),
+            outputColumn: output.getResponseText().trim(),
+            template: template.getResponseText(),
+            startRow: startRow,
+            endRow: Math.min(range.getLastRow(), sheet.getLastRow())
+        });
+        ui.alert(`ジョブ ${id} を登録しました。\n進み具合は「${AI_JOB_SHEET}」シートで確認できます。`);
+        return id;
+    } catch (e) {
+        ui.alert("ジョブを登録できませんでした: " + e.message);
+        return null;
+    }
+}
+
+
+// ============================================================
+// 2. 実行（トリガーから呼ばれる）
+// ============================================================
+/**
+ * 実行中のジョブを、時間の許す限り進める
+ * 終わらなければ続きをトリガーで予約する。
+ * 処理中に例外が出たジョブは「エラー」にして止め（resumeAIJob で再開できる）、他のジョブは続ける。
+ */
+function runAIJobs() {
+    if (!_claimAIJobRunner()) {
+        Logger.log("他の実行がジョブを処理中のため終了します。");
+        return;
+    }
+
+    try {
+        const endAt = Date.now() + _aiJobTimeLimitMs();
+        const jobs = _listAIJobs().filter(j => j.status === "running");
+        for (let i = 0; i < jobs.length; i++) {
+            if (Date.now() + AI_JOB_ROW_RESERVE_MS > endAt) break;
+            try {
+                _runAIJobRows(jobs[i], endAt);
+            } catch (e) {
+                _failAIJob(jobs[i], e);
+            }
+        }
+        _scheduleAIJobRunner(_listAIJobs().some(j => j.status === "running"));
+        _writeAIJobStatus();
+    } finally {
+        PropertiesService.getScriptProperties().deleteProperty("AI_JOB_RUNNER");
+    }
+}
+
+/** 1つのジョブの行を、締め切りまで・終わりまで処理する */
+function _runAIJobRows(job, endAt) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(job.sheet);
+    if (!sheet) {
+        job.status = "error";
+        job.lastError = "シート「" + job.sheet + "」が見つかりません";
+        _saveAIJobProgress(job, "error");
+        return;
+    }
+
+    while (job.nextRow <= job.endRow && Date.now() + AI_JOB_ROW_RESERVE_MS <= endAt) {
+        // 一時停止・中止されていないか（メニューから変更されることがある）
+        if (!_syncAIJobStatus(job)) return;
+
+        const count = Math.min(AI_JOB_CHECKPOINT_ROWS, job.endRow - job.nextRow + 1);
+        const inputs = sheet.getRange(job.nextRow, job.inputCol, count, 1).getValues();
+        const outputs = sheet.getRange(job.nextRow, job.outputCol, count, 1).getValues();
+
+        for (let i = 0; i < count; i++) {
+            if (i > 0 && Date.now() + AI_JOB_ROW_RESERVE_MS > endAt) break;
+            _runAIJobRow(job, sheet, job.nextRow, inputs[i][0], outputs[i][0]);
+            job.nextRow++;
+        }
+        if (!_saveAIJobProgress(job)) return;
+    }
+
+    if (job.nextRow > job.endRow && job.status === "running") {
+        _saveAIJobProgress(job, "done");
+        if (job.status === "done") Logger.log(`ジョブ ${job.id} が完了しました（成功 ${job.done} / 失敗 ${job.failed} / スキップ ${job.skipped}）`);
+    }
+}
+
+/** 例外で止まったジョブを「エラー」にする（処理中だった行から再開できるよう nextRow はそのまま） */
+function _failAIJob(job, error) {
+    job.lastError = job.nextRow + "行目: " + (error && error.message ? error.message : String(error));
+    _saveAIJobProgress(job, "error");
+    if (job.status === "error") Logger.log(`ジョブ ${job.id} をエラーで止めました（${job.lastError}）。resumeAIJob() で再開できます`);
+}
+
+/** 1行を処理して、結果を値として書き込む */
+function _runAIJobRow(job, sheet, row, input, existing) {
+    if (input === "" || input === null) {
+        job.skipped++;
+        return;
+    }
+    if (existing !== "" && existing !== null && !_isAIFailureText(existing)) {
+        job.skipped++;
+        return;
+    }
+
+    const promptText = _fillAIJobTemplate(job.template, input);
+    const request = _buildAIRequest(promptText, job.system, job.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.trace = _newAITrace("aiJob");
+    const outcome = _hybridAsk(request, promptText, "");
+
+    sheet.getRange(row, job.outputCol).setValue(_asPlainValue(outcome.success ? outcome.result.text : outcome.message));
+    if (outcome.success) {
+        job.done++;
+    } else {
+        job.failed++;
+        job.lastError = row + "行目: " + outcome.message.split("\n")[0];
+    }
+}
+
+/** テンプレートに入力を埋める（{input} がなければ末尾に付ける） */
+function _fillAIJobTemplate(template, input) {
+    const text = input instanceof Date ? input.toISOString() : String(input);
+    if (template.indexOf("{input}") === -1) return template + "\n" + text;
+    return template.split("{input}").join(text);
+}
+
+/** やり直すべきエラー文か（hy_AI が全滅したときの見出し） */
+function _isAIFailureText(value) {
+    return /^【(💀|⏱|💰)/.test(String(value));
+}
+
+/** 「=」などで始まる回答が数式として解釈されないようにする */
+function _asPlainValue(text) {
+    return /^[=+\-@]/.test(text) ? "'" + text : text;
+}
+
+
+// ============================================================
+// 3. 一時停止・再開・中止
+// ============================================================
+/**
+ * ジョブを一時停止する（処理中の行が終わったところで止まる）
+ *
+ * @param {string} id ジョブID（省略時は最新のジョブ）
+ */
+function pauseAIJob(id) {
+    return _changeAIJobStatus(id, ["running"], "paused", "一時停止しました");
+}
+
+/**
+ * 一時停止・エラーで止まったジョブを続きから再開する
+ *
+ * @param {string} id ジョブID（省略時は最新のジョブ）
+ */
+function resumeAIJob(id) {
+    const job = _changeAIJobStatus(id, ["paused", "error"], "running", "再開しました");
+    if (job) _scheduleAIJobRunner(true);
+    return job;
+}
+
+/**
+ * ジョブを中止する（書き込み済みの値はそのまま残る）
+ *
+ * @param {string} id ジョブID（省略時は最新のジョブ）
+ */
+function cancelAIJob(id) {
+    const job = _changeAIJobStatus(id, ["running", "paused", "error"], "cancelled", "中止しました");
+    if (job && !_listAIJobs().some(j => j.status === "running")) _scheduleAIJobRunner(false);
+    return job;
+}
+
+/** 状態の確認と書き換えは、実行側の進み具合の保存と同じロックの中で行う */
+function _changeAIJobStatus(id, from, to, message) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(AI_JOB_LOCK_MS)) {
+        Logger.log("他の処理がジョブを更新中のため変更できませんでした。少し待ってからやり直してください");
+        return null;
+    }
+    let job;
+    try {
+        const jobs = _listAIJobs();
+        job = id ? jobs.find(j => j.id === id) : jobs[jobs.length - 1];
+        if (!job) {
+            Logger.log("ジョブが見つかりません: " + (id || "（登録なし）"));
+            return null;
+        }
+        if (from.indexOf(job.status) === -1) {
+            Logger.log(`ジョブ ${job.id} は「${AI_JOB_STATUS_LABELS[job.status] || job.status}」のため変更できません`);
+            return null;
+        }
+        job.status = to;
+        _saveAIJob(job);
+    } finally {
+        lock.releaseLock();
+    }
+    _writeAIJobStatus();
+    Logger.log(`ジョブ ${job.id} を${message}`);
+    return job;
+}
+
+
+// ============================================================
+// 4. 保存・トリガー・状況シート
+// ============================================================
+function _saveAIJob(job) {
+    job.updatedAt = new Date().toISOString();
+    PropertiesService.getScriptProperties().setProperty(AI_JOB_PREFIX + job.id, JSON.stringify(job));
+}
+
+/** 保存されている状態を取り込む。まだ実行中なら true */
+function _syncAIJobStatus(job) {
+    const raw = PropertiesService.getScriptProperties().getProperty(AI_JOB_PREFIX + job.id);
+    if (!raw) {
+        job.status = "cancelled";
+        return false;
+    }
+    job.status = JSON.parse(raw).status;
+    return job.status === "running";
+}
+
+/**
+ * 実行中のジョブの進み具合を保存する。まだ実行中なら true
+ * 保存済みの状態を読んでから書くまでをロックの中で行い、その間に一時停止・中止されても上書きしない。
+ * status は保存済みの状態が「実行中」のときだけ使う（"done" / "error"）。
+ * 保存済みの記録が消えていれば（中止して消された）書き戻さない。
+ */
+function _saveAIJobProgress(job, status) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(AI_JOB_LOCK_MS)) {
+        Logger.log(`ジョブ ${job.id} の進み具合を保存できませんでした（ロック待ち）。次の保存でまとめて書きます`);
+        return job.status === "running";
+    }
+    try {
+        const raw = PropertiesService.getScriptProperties().getProperty(AI_JOB_PREFIX + job.id);
+        if (!raw) {
+            job.status = "cancelled";
+            return false;
+        }
+        const stored = JSON.parse(raw).status;
+        job.status = stored === "running" && status ? status : stored;
+        _saveAIJob(job);
+        return job.status === "running";
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/** 全ジョブ（登録順） */
+function _listAIJobs() {
+    const all = PropertiesService.getScriptProperties().getProperties();
+    return Object.keys(all)
+        .filter(k => k.indexOf(AI_JOB_PREFIX) === 0 && /^[0-9a-f]{8}$/.test(k.substring(AI_JOB_PREFIX.length)))
+        .map(k => JSON.parse(all[k]))
+        .sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0));
+}
+
+/** 終わったジョブが AI_JOB_HISTORY 件を超えたら古いものから消す */
+function _removeOldAIJobs() {
+    const finished = _listAIJobs().filter(j => j.status === "done" || j.status === "cancelled");
+    const props = PropertiesService.getScriptProperties();
+    finished.slice(0, Math.max(0, finished.length - AI_JOB_HISTORY + 1))
+        .forEach(j => props.deleteProperty(AI_JOB_PREFIX + j.id));
+}
+
+function _aiJobTimeLimitMs() {
+    const sec = Number(PropertiesService.getScriptProperties().getProperty('AI_JOB_TIME_LIMIT_SEC'));
+    return (sec > 0 ? sec : AI_JOB_DEFAULT_TIME_LIMIT_SEC) * 1000;
+}
+
+/**
+ * 同時に2つの runAIJobs が動かないようにする
+ * 処理中ずっと LockService を握るとセル側のログ記録などが待たされるため、
+ * 「いつまで処理中か」をプロパティに書いておく方式にしている。
+ */
+function _claimAIJobRunner() {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(AI_JOB_LOCK_MS)) return false;
+    try {
+        const props = PropertiesService.getScriptProperties();
+        const busyUntil = Number(props.getProperty("AI_JOB_RUNNER")) || 0;
+        if (busyUntil > Date.now()) return false;
+        props.setProperty("AI_JOB_RUNNER", String(Date.now() + _aiJobTimeLimitMs() + AI_JOB_ROW_RESERVE_MS));
+        return true;
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/** 続きのトリガーを作り直す（needed=false なら消すだけ） */
+function _scheduleAIJobRunner(needed) {
+    ScriptApp.getProjectTriggers().forEach(t => {
+        if (t.getHandlerFunction() === AI_JOB_HANDLER) ScriptApp.deleteTrigger(t);
+    });
+    if (!needed) return;
+    ScriptApp.newTrigger(AI_JOB_HANDLER)
+        .timeBased()
+        .after(AI_JOB_RESCHEDULE_MS)
+        .create();
+}
+
+/**
+ * 全ジョブの状況を「AI_Jobs」シートに書き出す
+ *
+ * 【使い方】
+ *  スクリプトエディタから実行するか、メニューから開いてください。
+ *
+ * @return {Array} 状況の表（ヘッダー付き2次元配列）
+ */
+function showAIJobs() {
+    return _writeAIJobStatus();
+}
+
+function _writeAIJobStatus() {
+    const rows = [AI_JOB_HEADERS].concat(_listAIJobs().reverse().map(j => [
+        j.id,
+        AI_JOB_STATUS_LABELS[j.status] || j.status,
+        j.sheet,
+        _columnLetter(j.inputCol),
+        _columnLetter(j.outputCol),
+        j.startRow + "〜" + j.endRow,
+        j.nextRow > j.endRow ? "" : j.nextRow,
+        j.done, j.failed, j.skipped,
+        j.startedAt, j.updatedAt,
+        j.lastError || ""
+    ]));
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(AI_JOB_SHEET);
+    if (!sheet) sheet = ss.insertSheet(AI_JOB_SHEET);
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, AI_JOB_HEADERS.length).setValues(rows);
+    sheet.getRange(1, 1, 1, AI_JOB_HEADERS.length).setFontWeight("bold").setBackground("#f3f3f3");
+    sheet.setColumnWidth(13, 400);   // 最後のエラー列を広めに
+    return rows;
+}
+
+
+// ============================================================
+// 5. 列の表記
+// ============================================================
+/** "C" / "c" / 3 → 3（読めなければ 0） */
+function _columnNumber(value) {
+    if (typeof value === "number") return value > 0 ? Math.floor(value) : 0;
+    const text = String(value || "").trim().toUpperCase();
+    if (/^\d+$/.test(text)) return Number(text);
+    if (!/^[A-Z]{1,3}$/.test(text)) return 0;
+    return text.split("").reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+/** 3 → "C" */
+function _columnLetter(col) {
+    let letter = "";
+    for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,410 @@
+// ============================================================
+// スプレッドシートのメニューと設定サイドバー (ai_menu.js)
+// ============================================================
+// このファイルは、スクリプトエディタを開かなくても保守用の関数を実行できるように、
+// スプレッドシートに「AI」メニューを追加し、設定サイドバー（ai_sidebar.html）を提供します。
+//
+// 【メニュー】
+//  スプレッドシートを開くと onOpen() が「🤖 AI」メニューを作る。
+//  ログの書き出し・ダッシュボード・ジョブ・診断・設定シートの作成などを実行でき、
+//  各関数が Logger に出した内容はダイアログで表示する。
+//
+// 【サイドバーでできること】
+//  - APIキー    : 設定済みかどうかを伏せ字で表示（末尾4文字だけ）。入力は書き込み専用で、
+//                 保存したキーを画面に返すことはない
+//  - 既定値     : AI_CACHE_TTL などのスクリプトプロパティを編集（空欄で初期値に戻す）
+//  - モデルチェーン : 1行に1モデル（provider:model、必要なら maxTokens=2048 retry=1）で編集し、
+//                 AI_CHAINS プロパティに保存する。AI_Config シートがあるときはシートが優先のため編集しない
+//  - 最近のログ : AI_Log シートの直近 AI_SIDEBAR_LOG_ROWS 行の成功率・応答時間・多いエラー
+//  - 保守       : メニューと同じ関数を実行し、ログを表示する
+//
+// 【google.script.run から呼ぶ関数】
+//  getAISidebarState / saveAIKey / clearAIKey / saveAISettings / saveAIChains / runAIMaintenance
+// ============================================================
+
+
+/** メニューの名前 */
+const AI_MENU_TITLE = "🤖 AI";
+
+/** サイドバーの HTML ファイル名（.html を除く） */
+const AI_SIDEBAR_FILE = "ai_sidebar";
+
+/** 最近のログとして集計する行数 */
+const AI_SIDEBAR_LOG_ROWS = 500;
+
+/** サイドバーで扱う APIキー（値は書き込みだけ） */
+const AI_SIDEBAR_KEYS = [
+    { property: "GEMINI_API_KEY", label: "Gemini" },
+    { property: "OPENROUTER_API_KEY", label: "OpenRouter" },
+    { property: "OPENAI_COMPAT_API_KEY", label: "OpenAI 互換" }
+];
+
+
+// ============================================================
+// 1. メニュー
+// ============================================================
+/**
+ * スプレッドシートを開いたときに「AI」メニューを追加する（シンプルトリガー）
+ */
+function onOpen() {
+    const ui = SpreadsheetApp.getUi();
+    ui.createMenu(AI_MENU_TITLE)
+        .addItem("⚙️ 設定サイドバーを開く", "showAISidebar")
+        .addSeparator()
+        .addItem("ログをシートに書き出す", "menuFlushAILog")
+        .addItem("ダッシュボードを更新", "menuBuildAIDashboard")
+        .addItem("予算の残りを表示", "menuShowAIBudget")
+        .addSeparator()
+        .addItem("選択した列を一括処理（ジョブ）", "startAIJobFromSelection")
+        .addItem("ジョブの状況を表示", "menuShowAIJobs")
+        .addSubMenu(ui.createMenu("診断")
+            .addItem("APIキーを確認", "menuTestApiKeys")
+            .addItem("モデルチェーン設定を確認", "menuCheckAIConfig")
+            .addItem("OpenRouter のモデルを試す", "menuTestOpenRouterModels")
+            .addItem("無料モデルの一覧を作る", "menuListFreeModels"))
+        .addSubMenu(ui.createMenu("設定シートを作る")
+            .addItem("AI_Config（モデルチェーン）", "menuSetupAIConfigSheet")
+            .addItem("AI_Templates（テンプレート）", "menuSetupAITemplateSheet")
+            .addItem("AI_Schemas（JSONスキーマ）", "menuSetupAISchemaSheet"))
+        .addSeparator()
+        .addItem("回答キャッシュを消去…", "menuClearAICache")
+        .addItem("ログを消去…", "menuClearAILog")
+        .addToUi();
+}
+
+/** 設定サイドバーを開く */
+function showAISidebar() {
+    const html = HtmlService.createHtmlOutputFromFile(AI_SIDEBAR_FILE).setTitle("AI 設定");
+    SpreadsheetApp.getUi().showSidebar(html);
+}
+
+// メニューから呼ぶ関数（メニューは引数を渡せないため、操作ごとに1つ）
+function menuFlushAILog() { _runMenuAction("flushAILog"); }
+function menuBuildAIDashboard() { _runMenuAction("buildAIDashboard"); }
+function menuShowAIBudget() { _runMenuAction("showAIBudget"); }
+function menuShowAIJobs() { _runMenuAction("showAIJobs"); }
+function menuTestApiKeys() { _runMenuAction("testApiKeys"); }
+function menuCheckAIConfig() { _runMenuAction("checkAIConfig"); }
+function menuTestOpenRouterModels() { _runMenuAction("testOpenRouterModels"); }
+function menuListFreeModels() { _runMenuAction("listFreeModels"); }
+function menuSetupAIConfigSheet() { _runMenuAction("setupAIConfigSheet"); }
+function menuSetupAITemplateSheet() { _runMenuAction("setupAITemplateSheet"); }
+function menuSetupAISchemaSheet() { _runMenuAction("setupAISchemaSheet"); }
+function menuClearAICache() { _runMenuAction("clearAICache"); }
+function menuClearAILog() { _runMenuAction("clearAILog"); }
+
+/** 確認が必要な操作は尋ねてから実行し、結果をダイアログで見せる */
+function _runMenuAction(name) {
+    const ui = SpreadsheetApp.getUi();
+    const action = _maintenanceActions()[name];
+    if (action.confirm && ui.alert(action.label, action.confirm, ui.ButtonSet.YES_NO) !== ui.Button.YES) return;
+
+    const result = runAIMaintenance(name);
+    ui.alert(result.title, result.log || (result.ok ? "完了しました。" : result.message));
+}
+
+
+// ============================================================
+// 2. 保守用の操作（メニュー・サイドバー共通）
+// ============================================================
+/**
+ * 実行できる操作の一覧（名前 → { label, confirm, run }）
+ * ここにない名前はサイドバーから送られても実行しない。
+ */
+function _maintenanceActions() {
+    return {
+        flushAILog: { label: "ログをシートに書き出す", run: () => flushAILog() },
+        buildAIDashboard: { label: "ダッシュボードを更新", run: () => buildAIDashboard() },
+        showAIBudget: { label: "予算の残りを表示", run: () => showAIBudget() },
+        refreshAIPricing: { label: "料金表を更新", run: () => refreshAIPricing() },
+        installAIPricingTrigger: { label: "料金表の自動更新を登録（4時間ごと）", run: () => installAIPricingTrigger() },
+        showAIJobs: { label: "ジョブの状況を表示", run: () => showAIJobs() },
+        showModelHealth: { label: "モデルの健康状態を表示", run: () => showModelHealth() },
+        showRateLimits: { label: "流量制限の残りを表示", run: () => showRateLimits() },
+        testApiKeys: { label: "APIキーを確認", run: () => testApiKeys() },
+        checkAIConfig: { label: "モデルチェーン設定を確認", run: () => checkAIConfig() },
+        testOpenRouterModels: { label: "OpenRouter のモデルを試す", run: () => testOpenRouterModels() },
+        listFreeModels: { label: "無料モデルの一覧を作る", run: () => listFreeModels() },
+        setupAIConfigSheet: { label: "AI_Config シートを作る", run: () => setupAIConfigSheet() },
+        setupAITemplateSheet: { label: "AI_Templates シートを作る", run: () => setupAITemplateSheet() },
+        setupAISchemaSheet: { label: "AI_Schemas シートを作る", run: () => setupAISchemaSheet() },
+        installAILogTrigger: { label: "ログの自動書き出しを登録（10分ごと）", run: () => installAILogTrigger(10) },
+        removeAILogTrigger: { label: "ログの自動書き出しを解除", run: () => removeAILogTrigger() },
+        resetModelHealth: {
+            label: "モデルの一時停止を解除", run: () => resetModelHealth(),
+            confirm: "すべてのモデルの健康状態をリセットします。よろしいですか？"
+        },
+        clearAICache: {
+            label: "回答キャッシュを消去", run: () => clearAICache(),
+            confirm: "保存済みの回答をすべて消去します。次の再計算から課金が発生します。よろしいですか？"
+        },
+        clearAILog: {
+            label: "ログを消去", run: () => clearAILog(),
+            confirm: "AI_Log シートと、まだ書き出していないログをすべて消去します。よろしいですか？"
+        }
+    };
+}
+
+/**
+ * 保守用の操作を1つ実行し、その間に Logger に出た内容を返す
+ *
+ * @param {string} name _maintenanceActions() の名前
+ * @return {Object} { ok, title, log, message }
+ */
+function runAIMaintenance(name) {
+    const action = _maintenanceActions()[name];
+    if (!action) return { ok: false, title: "", log: "", message: `知らない操作です: ${name}` };
+
+    const before = Logger.getLog().length;
+    let ok = true;
+    let message = "";
+    try {
+        action.run();
+    } catch (e) {
+        ok = false;
+        message = "❌ " + action.label + " に失敗しました: " + e.message;
+    }
+    // Logger.getLog() は行頭に日時が付くので外す
+    const log = Logger.getLog().substring(before)
+        .split("\n")
+        .map(line => line.replace(/^\[[\d\-\/]+ [\d:.]+ [A-Z+\d:]+\]\s?/, ""))
+        .filter(line => line !== "")
+        .concat(message ? [message] : [])
+        .join("\n");
+    return { ok: ok, title: action.label, log: log, message: message };
+}
+
+
+// ============================================================
+// 3. サイドバーに渡す状態
+// ============================================================
+/**
+ * サイドバーを表示・更新するときに呼ぶ
+ * APIキーの値は返さない（設定済みかどうかと伏せ字だけ）。
+ *
+ * @return {Object} { keys, settings, chains, chainSource, chainProblems, stats, actions }
+ */
+function getAISidebarState() {
+    const props = PropertiesService.getScriptProperties();
+    const config = _reloadAIChainConfig();
+    const actions = _maintenanceActions();
+
+    return {
+        keys: AI_SIDEBAR_KEYS.map(k => {
+            const value = props.getProperty(k.property);
+            return { property: k.property, label: k.label, configured: !!value, masked: _maskSecret(value) };
+        }),
+        settings: _sidebarSettings().map(s => Object.assign({ value: props.getProperty(s.key) || "" }, s)),
+        chains: _sidebarChainNames(config).map(name => ({
+            name: name,
+            text: _formatChainLines(_getModelChain(name) || []),
+            isDefault: !config.chains[name]
+        })),
+        chainSource: config.source,
+        chainProblems: config.problems,
+        stats: _recentAILogStats(),
+        actions: Object.keys(actions).map(name => ({ name: name, label: actions[name].label, confirm: actions[name].confirm || "" }))
+    };
+}
+
+/** 伏せ字（末尾4文字だけ見せる。短いキーは何も見せない） */
+function _maskSecret(value) {
+    const s = String(value || "");
+    if (!s) return "";
+    return s.length <= 8 ? "••••" : "••••" + s.slice(-4);
+}
+
+/**
+ * サイドバーで編集できるスクリプトプロパティ
+ * 初期値は各ファイルの定数を使う（ファイルの読み込み順に依存しないよう関数にしている）。
+ */
+function _sidebarSettings() {
+    return [
+        { key: "AI_CACHE_TTL", label: "回答キャッシュの保存秒数（0 で無効）", type: "int", min: 0, placeholder: "21600" },
+        { key: "AI_TIME_BUDGET_SEC", label: "1回の制限時間（秒）", type: "int", min: 1, placeholder: String(AI_DEFAULT_TIME_BUDGET_SEC) },
+        { key: "AI_JOB_TIME_LIMIT_SEC", label: "ジョブ1回の実行時間（秒）", type: "int", min: 1, placeholder: String(AI_JOB_DEFAULT_TIME_LIMIT_SEC) },
+        { key: "AI_BATCH_CHUNK_TOKENS", label: "batchAI 1回の入力（トークン）", type: "int", min: 1, placeholder: String(AI_BATCH_DEFAULT_CHUNK_TOKENS) },
+        { key: "AI_BATCH_CHUNK_ITEMS", label: "batchAI 1回の件数", type: "int", min: 1, placeholder: String(AI_BATCH_DEFAULT_CHUNK_ITEMS) },
+        { key: "AI_SUMMARY_CHUNK_TOKENS", label: "summarizeAI 1回の入力（トークン）", type: "int", min: 1, placeholder: String(AI_SUMMARY_DEFAULT_CHUNK_TOKENS) },
+        { key: "AI_SHEET_CONTEXT_TOKENS", label: "askSheetAI の行データ（トークン）", type: "int", min: 1, placeholder: String(AI_SHEET_DEFAULT_CONTEXT_TOKENS) },
+        { key: "AI_EMBED_MODELS", label: "埋め込みモデル（provider:model のカンマ区切り）", type: "text", placeholder: AI_EMBED_DEFAULT_MODELS },
+        { key: "OPENAI_COMPAT_BASE_URL", label: "OpenAI 互換の BASE_URL", type: "text", placeholder: "https://example.com/v1" },
+        { key: "OPENAI_COMPAT_MODELS", label: "OpenAI 互換のモデル（カンマ区切り）", type: "text", placeholder: "" },
+        { key: "OPENAI_COMPAT_POSITION", label: "hy_AI での互換モデルの位置", type: "choice", choices: ["first", "last", "none"], placeholder: "last" }
+    ];
+}
+
+/** 設定を読み直す（サイドバーの表示は保存直後の内容にしたいため、キャッシュを使わない） */
+function _reloadAIChainConfig() {
+    CacheService.getScriptCache().remove("AI_CONFIG_CHAINS");
+    _aiChainConfig = null;
+    return _loadAIChainConfig();
+}
+
+/** 表示するチェーン名（既定のチェーン → oc_AI → 設定で足したチェーン） */
+function _sidebarChainNames(config) {
+    const names = Object.keys(DEFAULT_AI_CHAINS).concat(["oc_AI"]);
+    Object.keys(config.chains).forEach(n => { if (names.indexOf(n) === -1) names.push(n); });
+    return names;
+}
+
+/** チェーンを1行1モデルの文字列にする（最大トークン・リトライは初期値と違うときだけ書く） */
+function _formatChainLines(chain) {
+    return chain.map(e => e.provider + ":" + e.model +
+        (e.maxTokens !== AI_DEFAULT_MAX_TOKENS ? " maxTokens=" + e.maxTokens : "") +
+        (e.maxRetry !== AI_DEFAULT_MAX_RETRY ? " retry=" + e.maxRetry : "")).join("\n");
+}
+
+/**
+ * AI_Log シートの直近の行を集計する（_aggregateAILog と同じ数え方）
+ * @return {Object} { rows, from, to, total, errors, failures, pending }
+ */
+function _recentAILogStats() {
+    const props = PropertiesService.getScriptProperties();
+    const pending = _readAILogShards(props).reduce((sum, s) => sum + s.entries.length, 0);
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("AI_Log");
+    if (!sheet || sheet.getLastRow() < 2) return { rows: 0, from: "", to: "", total: null, errors: [], failures: [], pending: pending };
+
+    const lastCol = Math.max(sheet.getLastColumn(), 1);
+    const count = Math.min(AI_SIDEBAR_LOG_ROWS, sheet.getLastRow() - 1);
+    const header = sheet.getRange(1, 1, 1, lastCol).getValues();
+    const rows = sheet.getRange(sheet.getLastRow() - count + 1, 1, count, lastCol).getValues();
+    const timeZone = Session.getScriptTimeZone();
+    const stats = _aggregateAILog(header.concat(rows), timeZone);
+
+    return {
+        rows: count,
+        from: _dashboardDay(rows[0][0], timeZone) || "",
+        to: _dashboardDay(rows[rows.length - 1][0], timeZone) || "",
+        total: stats.total,
+        errors: stats.errors.slice(0, 3).map(e => ({ label: e[0], count: e[1] })),
+        failures: stats.failures.slice(0, 3).map(e => ({ label: e[0], count: e[1] })),
+        pending: pending
+    };
+}
+
+
+// ============================================================
+// 4. サイドバーからの保存
+// ============================================================
+// どれも { ok, message, problems? } を返す。失敗したときは何も保存しない。
+// ============================================================
+/**
+ * APIキーを保存する（書き込み専用。保存した値は返さない）
+ */
+function saveAIKey(property, value) {
+    const key = AI_SIDEBAR_KEYS.filter(k => k.property === property)[0];
+    if (!key) return { ok: false, message: `知らないキーです: ${property}` };
+    const secret = String(value === null || value === undefined ? "" : value).trim();
+    if (!secret) return { ok: false, message: `${key.label} のキーが空です。` };
+    if (/\s/.test(secret)) return { ok: false, message: `${key.label} のキーに空白や改行が含まれています。` };
+
+    PropertiesService.getScriptProperties().setProperty(key.property, secret);
+    return { ok: true, message: `${key.label} のキーを保存しました（${_maskSecret(secret)}）。` };
+}
+
+/** APIキーを削除する */
+function clearAIKey(property) {
+    const key = AI_SIDEBAR_KEYS.filter(k => k.property === property)[0];
+    if (!key) return { ok: false, message: `知らないキーです: ${property}` };
+    PropertiesService.getScriptProperties().deleteProperty(key.property);
+    return { ok: true, message: `${key.label} のキーを削除しました。` };
+}
+
+/**
+ * 既定値を保存する（空欄のプロパティは削除して初期値に戻す）
+ *
+ * @param {Object} values { プロパティ名: 値 }。_sidebarSettings() にない名前は受け付けない
+ */
+function saveAISettings(values) {
+    const settings = _sidebarSettings();
+    const problems = [];
+    const changes = [];
+
+    Object.keys(values || {}).forEach(name => {
+        const s = settings.filter(x => x.key === name)[0];
+        if (!s) {
+            problems.push(`知らない設定です: ${name}`);
+            return;
+        }
+        const value = String(values[name] === null || values[name] === undefined ? "" : values[name]).trim();
+        if (value !== "" && s.type === "int" && !(Number.isInteger(Number(value)) && Number(value) >= s.min)) {
+            problems.push(`${s.label}: ${s.min} 以上の整数で指定してください (${value})`);
+            return;
+        }
+        if (value !== "" && s.type === "choice" && s.choices.indexOf(value) === -1) {
+            problems.push(`${s.label}: ${s.choices.join(" / ")} のどれかです (${value})`);
+            return;
+        }
+        changes.push([name, value]);
+    });
+    if (problems.length > 0) return { ok: false, message: "保存しませんでした。", problems: problems };
+
+    const props = PropertiesService.getScriptProperties();
+    changes.forEach(([name, value]) => {
+        if (value === "") props.deleteProperty(name);
+        else props.setProperty(name, value);
+    });
+    _reloadAIChainConfig();   // 互換モデルの設定はチェーンに影響する
+    return { ok: true, message: `${changes.length} 件の設定を保存しました。` };
+}
+
+/**
+ * モデルチェーンを AI_CHAINS プロパティに保存する
+ * 空欄のチェーンと、既定値のままのチェーンは保存しない（既定値を使い続ける）。
+ *
+ * @param {Object} texts { チェーン名: "provider:model [maxTokens=N] [retry=N]" の改行区切り }
+ */
+function saveAIChains(texts) {
+    const config = _reloadAIChainConfig();
+    if (config.source === "sheet") {
+        return { ok: false, message: `${AI_CONFIG_SHEET} シートの設定が優先されるため保存しません。シートを編集してください。` };
+    }
+
+    const chains = {};
+    const problems = [];
+    Object.keys(texts || {}).forEach(name => {
+        const chainName = String(name).trim();
+        if (!/^[A-Za-z0-9_.\-]+$/.test(chainName)) {
+            problems.push(`チェーン名は英数字と _ . - で指定してください (${chainName})`);
+            return;
+        }
+        const lines = String(texts[name] || "").split("\n").map(l => l.trim()).filter(l => l !== "");
+        if (lines.length === 0 || lines.join("\n") === _formatChainLines(_defaultModelChain(chainName) || [])) return;
+        chains[chainName] = lines.map((line, i) => _parseChainLine(line, `${chainName} ${i + 1}行目`, problems));
+    });
+
+    // AI_CHAINS の読み込みと同じ検査にかける
+    if (problems.length === 0) problems.push(..._parseChainJson(JSON.stringify(chains)).problems);
+    if (problems.length > 0) return { ok: false, message: "保存しませんでした。", problems: problems };
+
+    const props = PropertiesService.getScriptProperties();
+    if (Object.keys(chains).length === 0) props.deleteProperty('AI_CHAINS');
+    else props.setProperty('AI_CHAINS', JSON.stringify(chains));
+    _reloadAIChainConfig();
+    return { ok: true, message: Object.keys(chains).length === 0
+        ? "すべてのチェーンを既定値に戻しました。"
+        : `${Object.keys(chains).join(", ")} を保存しました。` };
+}
+
+/** "provider:model maxTokens=2048 retry=1" → AI_CHAINS の1要素 */
+function _parseChainLine(line, where, problems) {
+    const parts = line.split(/\s+/);
+    const spec = { provider: "", model: parts[0] };
+    const sep = parts[0].indexOf(":");
+    if (sep !== -1) {
+        spec.provider = parts[0].substring(0, sep);
+        spec.model = parts[0].substring(sep + 1);
+    }
+    parts.slice(1).forEach(option => {
+        const m = /^(maxTokens|retry)=(.*)$/i.exec(option);
+        if (!m) {
+            problems.push(`${where}: 読めない指定です (${option})。maxTokens=数 / retry=数 が使えます`);
+            return;
+        }
+        spec[m[1].toLowerCase() === "retry" ? "retry" : "maxTokens"] = m[2];
+    });
+    return spec;
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,558 @@
+// ============================================================
+// AI プロバイダー共通層 (ai_providers.js)
+// ============================================================
+// このファイルは、hy_AI / or_AI / ge_AI が共通で使う
+// 「APIの呼び出し部分」をまとめたものです。
+//
+// 【考え方】
+//  各カスタム関数は、質問を「正規化リクエスト」に変換し、
+//  「どのプロバイダーのどのモデルを、どの順で試すか（チェーン）」を渡すだけ。
+//  ペイロードの組み立て・リトライ・回答の取り出しはここで一括して行う。
+//  → 修正や新しいプロバイダーの追加が全関数に一度で反映される。
+//
+// 【正規化リクエスト】
+//  {
+//    messages:    [{ role: "user" | "assistant", content: "本文" }, ...],
+//    system:      "システム指示"（なければ ""）,
+//    temperature: 0.3,
+//    maxTokens:   1024,
+//    jsonMode:       true なら回答を JSON として検証する（任意・ai_schema.js）,
+//    responseSchema: JSON Schema（任意・jsonMode のときだけ使う）,
+//    trace:          { id, entry } ログ用のトレース情報（任意・ai_utils.js の _newAITrace）
+//  }
+//
+// 【プロバイダーアダプター】（AI_PROVIDERS に登録）
+//  label       : 試行ログ・警告に使う短い名前 (例: "Gemini", "OR")
+//  source      : 使用ログの「ソース」列に書く名前
+//  keyProperty : APIキーを保存しているスクリプトプロパティ名
+//  keyOptional : true ならAPIキー未設定でも送信する（ローカルLLMなど）
+//  configError() → 設定不足なら理由の文字列、問題なければ null（任意）
+//  buildFetch(request, model, apiKey) → { url, params }
+//  parseReply(json) → { text, tokens, inputTokens, outputTokens, actualModel }
+//                     text が null なら「回答データの構造が不正」
+//
+// 【チェーンの要素】
+//  { provider: "gemini", model: "gemini-2.5-flash", maxTokens: 1024, maxRetry: 2, isFree: false }
+//  （ai_config.js の _getModelChain() が設定シート等から組み立てる）
+//  maxTokens があればリクエストの maxTokens より優先する
+// ============================================================
+
+
+// ============================================================
+// 1. 共通設定
+// ============================================================
+
+/** 1回の回答の最大トークン数（既定値） */
+const AI_DEFAULT_MAX_TOKENS = 1024;
+
+/** 1モデルあたりのリトライ回数（GAS 30秒制限を考慮して2回） */
+const AI_DEFAULT_MAX_RETRY = 2;
+
+/** OpenRouter のチャットAPI */
+const OPENROUTER_URL = "https://openrouter.ai/api/v1/chat/completions";
+
+/** 1回の関数呼び出しで使ってよい時間（秒）の既定値。GAS カスタム関数の30秒制限より手前で切り上げる */
+const AI_DEFAULT_TIME_BUDGET_SEC = 25;
+
+/** 新しくリクエストを送るのに最低限必要な残り時間（ミリ秒） */
+const AI_MIN_ATTEMPT_MS = 5000;
+
+/** リトライ待機（指数バックオフ）の初期値と上限（ミリ秒） */
+const AI_BACKOFF_BASE_MS = 1000;
+const AI_BACKOFF_MAX_MS = 8000;
+
+
+// ============================================================
+// 2. エラー分類ヘルパー（全プロバイダー共通）
+// ============================================================
+// HTTPステータスコードからエラーの種別を判定する。
+//
+// 戻り値:
+//   { prefix: "表示用プレフィックス", shouldRetry: リトライすべきか }
+// ============================================================
+function _classifyHttpError(statusCode) {
+    switch (statusCode) {
+        case 400: return { prefix: "【⚠️リクエスト不正】", shouldRetry: false };
+        case 401: return { prefix: "【🔑認証エラー】", shouldRetry: false };
+        case 403: return { prefix: "【🔑認証エラー】", shouldRetry: false };
+        case 404: return { prefix: "【❌モデル不明】", shouldRetry: false };
+        case 429: return { prefix: "【⏳レート制限】", shouldRetry: true };
+        case 500: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
+        case 502: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
+        case 503: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
+        default: return { prefix: "【⚠️HTTPエラー(" + statusCode + ")】", shouldRetry: true };
+    }
+}
+
+
+// ============================================================
+// 2-2. 時間制限とリトライ待機
+// ============================================================
+// 【時間制限（締め切り）】
+//  チェーン全体で AI_TIME_BUDGET_SEC 秒（初期値: 25）を使い切ったら、
+//  残りのモデルは試さずに【⏱タイムアウト】としてまとめて返す。
+//  （30秒を超えると GAS の汎用エラーになり、何が起きたか分からないため）
+//
+// 【リトライ待機】
+//  1. サーバーの指示があればそれに従う
+//     - Retry-After ヘッダー（秒数 または 日時）
+//     - Gemini のエラー本文 error.details の RetryInfo.retryDelay（"12s" など）
+//  2. なければ指数バックオフ + ジッター（1回目 0.5〜1秒、2回目 1〜2秒 … 上限8秒）
+//  待っている間に締め切りを過ぎる場合は、待たずに次のモデルへ進む。
+// ============================================================
+
+/** 今から使える時間の締め切り（Date.now() 基準のミリ秒） */
+function _aiDeadline() {
+    const configured = Number(PropertiesService.getScriptProperties().getProperty('AI_TIME_BUDGET_SEC'));
+    const budgetSec = configured > 0 ? configured : AI_DEFAULT_TIME_BUDGET_SEC;
+    return Date.now() + budgetSec * 1000;
+}
+
+/**
+ * サーバーが指示した待機時間を取り出す
+ *
+ * @return {number|null} ミリ秒（指示がなければ null）
+ */
+function _serverRetryDelayMs(response, responseText) {
+    // -- Retry-After ヘッダー --
+    const headers = (response.getHeaders && response.getHeaders()) || {};
+    const name = Object.keys(headers).find(k => k.toLowerCase() === "retry-after");
+    if (name) {
+        const value = String(headers[name]).trim();
+        if (/^\d+(\.\d+)?$/.test(value)) return Math.round(Number(value) * 1000);
+        const date = Date.parse(value);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    // -- Gemini: error.details[].retryDelay --
+    try {
+        const details = JSON.parse(responseText).error.details || [];
+        for (const d of details) {
+            const m = /^(\d+(?:\.\d+)?)s$/.exec(String(d.retryDelay || ""));
+            if (m) return Math.round(Number(m[1]) * 1000);
+        }
+    } catch (e) {
+        // 本文がJSONでなければヒントなし
+    }
+    return null;
+}
+
+/**
+ * リトライ前に待つ。締め切りに間に合わないなら待たずに false を返す。
+ *
+ * @param {number}      retryCount 何回目のリトライか（1〜）
+ * @param {number|null} hintMs     サーバーが指示した待機時間
+ * @param {number}      deadline   締め切り
+ * @return {boolean} リトライしてよいか
+ */
+function _waitBeforeRetry(retryCount, hintMs, deadline) {
+    let delayMs = hintMs;
+    if (delayMs === null || delayMs === undefined) {
+        const base = Math.min(AI_BACKOFF_BASE_MS * Math.pow(2, retryCount - 1), AI_BACKOFF_MAX_MS);
+        delayMs = Math.round(base / 2 + Math.random() * base / 2);
+    }
+    if (Date.now() + delayMs + AI_MIN_ATTEMPT_MS > deadline) return false;
+    if (delayMs > 0) Utilities.sleep(delayMs);
+    return true;
+}
+
+/**
+ * 時間切れで終わったチェーンの見出し
+ * 例: 【⏱タイムアウト】25秒以内に回答を得られませんでした（試行 3 / 未試行 4）
+ */
+function _formatTimeoutSummary(outcome) {
+    const untried = outcome.failures.filter(f => f.timedOut).length;
+    const tried = outcome.failures.filter(f => !f.skipped).length;
+    return "【⏱タイムアウト】" + Math.round(outcome.budgetMs / 1000) + "秒以内に回答を得られませんでした（試行 " + tried + " / 未試行 " + untried + "）";
+}
+
+
+// ============================================================
+// 3. showModel 表示ヘルパー
+// ============================================================
+// 「【モデル名 | 128tok | 1.2s】」形式のヘッダーを生成
+// キャッシュから返した場合は「【モデル名 | 128tok | 1.2s | cache】」
+// ============================================================
+function _formatModelHeader(modelName, tokens, elapsedMs, cached) {
+    const tokStr = tokens ? tokens + "tok" : "?tok";
+    const secStr = elapsedMs ? (elapsedMs / 1000).toFixed(1) + "s" : "?s";
+    return "【" + modelName + " | " + tokStr + " | " + secStr + (cached ? " | cache" : "") + "】";
+}
+
+
+// ============================================================
+// 4. 正規化リクエストの組み立て
+// ============================================================
+// スプレッドシートの引数（例示範囲・履歴範囲）を
+// プロバイダー非依存のメッセージ列に変換する。
+// ============================================================
+function _buildAIRequest(promptText, systemInst, temp, fewShotRange, historyRange, maxTokens) {
+    const messages = [];
+    if (fewShotRange && Array.isArray(fewShotRange)) {
+        fewShotRange.forEach(row => {
+            if (row[0] && row[1]) {
+                messages.push({ role: "user", content: "Ex: " + row[0] });
+                messages.push({ role: "assistant", content: "Ans: " + row[1] });
+            }
+        });
+    }
+    if (historyRange && Array.isArray(historyRange)) {
+        historyRange.forEach(row => {
+            if (row[0]) messages.push({ role: "user", content: row[0].toString() });
+            if (row[1]) messages.push({ role: "assistant", content: row[1].toString() });
+        });
+    }
+    messages.push({ role: "user", content: String(promptText) });
+
+    return {
+        messages: messages,
+        system: systemInst || "",
+        temperature: Number(temp),
+        maxTokens: maxTokens || AI_DEFAULT_MAX_TOKENS
+    };
+}
+
+/**
+ * テキストのトークン数をざっくり見積もる（分割の目安用）
+ * 日本語・中国語などは1文字≒1トークン、英数字は4文字≒1トークンとして数える。
+ */
+function _estimateTokens(text) {
+    const s = String(text || "");
+    const ascii = (s.match(/[\x00-\x7F]/g) || []).length;
+    return (s.length - ascii) + Math.ceil(ascii / 4);
+}
+
+
+// ============================================================
+// 5. プロバイダーアダプター
+// ============================================================
+
+/** OpenAI 互換 (chat/completions) 形式のペイロードを作る */
+function _buildOpenAIPayload(request, model) {
+    const messages = [];
+    if (request.system) messages.push({ role: "system", content: request.system });
+    request.messages.forEach(m => messages.push({ role: m.role, content: m.content }));
+    const payload = {
+        model: model,
+        messages: messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens
+    };
+    // スキーマ指定があれば出力形式を強制する（JSON だけの指定は配列を許すため送らない）
+    if (request.jsonMode && request.responseSchema) {
+        payload.response_format = _toOpenAIResponseFormat(request.responseSchema);
+    }
+    return payload;
+}
+
+/** OpenAI 互換形式の応答から回答を取り出す */
+function _parseOpenAIReply(json) {
+    const usage = json.usage || {};
+    const counts = { tokens: usage.total_tokens || 0, inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+    if (!(json.choices && json.choices[0] && json.choices[0].message)) {
+        return Object.assign({ text: null, actualModel: json.model }, counts);
+    }
+    const content = json.choices[0].message.content;
+    return Object.assign({ text: content ? String(content).trim() : "", actualModel: json.model }, counts);
+}
+
+const AI_PROVIDERS = {
+    // ----------------------------------------------------------
+    // Google Gemini (generateContent)
+    // ----------------------------------------------------------
+    gemini: {
+        label: "Gemini",
+        source: "Gemini",
+        keyProperty: "GEMINI_API_KEY",
+        buildFetch: function (request, model, apiKey) {
+            const contents = request.messages.map(m => ({
+                role: m.role === "assistant" ? "model" : "user",
+                parts: [{ text: m.content }]
+            }));
+            const payload = {
+                contents: contents,
+                generationConfig: { temperature: request.temperature, maxOutputTokens: request.maxTokens },
+                system_instruction: request.system ? { role: "system", parts: [{ text: request.system }] } : undefined
+            };
+            if (request.jsonMode) {
+                payload.generationConfig.responseMimeType = "application/json";
+                if (request.responseSchema) payload.generationConfig.responseSchema = _toGeminiSchema(request.responseSchema);
+            }
+            return {
+                url: "https://generativelanguage.googleapis.com/v1beta/models/" + model + ":generateContent?key=" + apiKey,
+                params: {
+                    method: "post",
+                    contentType: "application/json",
+                    payload: JSON.stringify(payload),
+                    muteHttpExceptions: true
+                }
+            };
+        },
+        parseReply: function (json) {
+            // Geminiのトークン数は usageMetadata にある（出力には思考トークンも含める）
+            const usage = json.usageMetadata || {};
+            const counts = {
+                tokens: usage.totalTokenCount || 0,
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+            };
+            const candidate = json.candidates && json.candidates[0];
+            if (!(candidate && candidate.content && candidate.content.parts)) {
+                return Object.assign({ text: null }, counts);
+            }
+            // 思考(thought)パートを除いたテキストを連結
+            const text = candidate.content.parts
+                .filter(p => p.text && !p.thought)
+                .map(p => p.text)
+                .join("");
+            return Object.assign({ text: text.trim() }, counts);
+        }
+    },
+
+    // ----------------------------------------------------------
+    // OpenRouter (OpenAI 互換 chat/completions)
+    // ----------------------------------------------------------
+    openrouter: {
+        label: "OR",
+        source: "OpenRouter",
+        keyProperty: "OPENROUTER_API_KEY",
+        buildFetch: function (request, model, apiKey) {
+            return {
+                url: OPENROUTER_URL,
+                params: {
+                    method: "post",
+                    contentType: "application/json",
+                    headers: { "Authorization": "Bearer " + apiKey },
+                    payload: JSON.stringify(_buildOpenAIPayload(request, model)),
+                    muteHttpExceptions: true
+                }
+            };
+        },
+        parseReply: _parseOpenAIReply
+    },
+
+    // ----------------------------------------------------------
+    // 任意の OpenAI 互換エンドポイント（vLLM / Ollama / LM Studio など）
+    // 接続先・認証ヘッダーはスクリプトプロパティで設定（openai_compat.js）
+    // ----------------------------------------------------------
+    compat: {
+        label: "OC",
+        source: "OpenAI互換",
+        keyProperty: "OPENAI_COMPAT_API_KEY",
+        keyOptional: true,
+        configError: function () {
+            return _getOpenAICompatSettings().url
+                ? null
+                : "【⚠️設定エラー】OPENAI_COMPAT_BASE_URL をプロジェクト設定で登録してください";
+        },
+        buildFetch: function (request, model, apiKey) {
+            const settings = _getOpenAICompatSettings();
+            const headers = {};
+            if (apiKey) {
+                headers[settings.authHeader] = settings.authHeader.toLowerCase() === "authorization"
+                    ? "Bearer " + apiKey
+                    : apiKey;
+            }
+            return {
+                url: settings.url,
+                params: {
+                    method: "post",
+                    contentType: "application/json",
+                    headers: headers,
+                    payload: JSON.stringify(_buildOpenAIPayload(request, model)),
+                    muteHttpExceptions: true
+                }
+            };
+        },
+        parseReply: _parseOpenAIReply
+    }
+};
+
+/**
+ * プロバイダーを追加登録する（同じIDは上書き）
+ *
+ * @param {string} id      チェーンで指定するID (例: "gemini")
+ * @param {Object} adapter label / source / keyProperty / buildFetch / parseReply
+ */
+function _registerAIProvider(id, adapter) {
+    AI_PROVIDERS[id] = adapter;
+}
+
+
+// ============================================================
+// 6. 単一モデル呼び出し（リトライ付き）
+// ============================================================
+// 指定された1つのモデルに対し、最大 maxRetry 回のリトライ付きで試行。
+// リトライ不要なエラー（認証/モデル不明/リクエスト不正）は即リターン。
+// リトライ前の待機は _waitBeforeRetry（締め切りに間に合わなければ打ち切り）。
+// 送る前に流量制限の枠を取る（ai_ratelimit.js）。取れなければ送らない。
+//
+// 失敗した試行は1回ずつ使用ログに残す（_logAIAttempt）。
+//
+// 戻り値:
+//   成功時: { success: true, text: "回答", actualModel: "モデル名", elapsedMs: 数値, tokens: 数値,
+//             inputTokens: 数値, outputTokens: 数値, attempts: 送信回数 }
+//   失敗時: { success: false, errorDetail: "分類済みエラー文", httpCode: 最後のHTTPコード, attempts: 送信回数 }
+// ============================================================
+function _callAIProvider(entry, request, deadline) {
+    const adapter = AI_PROVIDERS[entry.provider];
+    if (!adapter) return { success: false, errorDetail: "【⚠️設定エラー】未登録のプロバイダーです: " + entry.provider };
+
+    // -- 設定不足チェック --
+    const configError = adapter.configError ? adapter.configError() : null;
+    if (configError) return { success: false, errorDetail: configError };
+
+    // -- APIキー未設定チェック --
+    const apiKey = PropertiesService.getScriptProperties().getProperty(adapter.keyProperty);
+    if (!apiKey && !adapter.keyOptional) return { success: false, errorDetail: "【🔑APIキー未設定】" + adapter.keyProperty + " をプロジェクト設定で登録してください" };
+
+    const maxRetry = entry.maxRetry || AI_DEFAULT_MAX_RETRY;
+    const entryRequest = entry.maxTokens ? Object.assign({}, request, { maxTokens: entry.maxTokens }) : request;
+    const fetchSpec = adapter.buildFetch(entryRequest, entry.model, apiKey);
+
+    deadline = deadline || _aiDeadline();
+    let lastErrorDetail = "";
+    let lastHttpCode = "";
+    let retryHintMs = null;
+    let attempts = 0;
+
+    // 失敗した試行を記録して、最後のエラーとして覚えておく
+    const recordFailure = (attempt, errorDetail, httpCode, elapsedMs) => {
+        lastErrorDetail = errorDetail;
+        lastHttpCode = httpCode;
+        _logAIAttempt(request, entry, attempt, { errorDetail: errorDetail, httpCode: httpCode, elapsedMs: elapsedMs });
+    };
+
+    for (let attempt = 1; attempt <= maxRetry; attempt++) {
+        if (attempt > 1 && !_waitBeforeRetry(attempt - 1, retryHintMs, deadline)) break;
+        retryHintMs = null;
+
+        // 流量制限の枠が取れなければ送らない（1回目なら次のモデルへ、リトライなら打ち切り）
+        const slot = _acquireRateSlot(entry, deadline);
+        if (!slot.allowed) {
+            if (attempts === 0) return { success: false, errorDetail: slot.detail, attempts: 0 };
+            break;
+        }
+        attempts = attempt;
+
+        const startTime = Date.now();
+        try {
+            const response = UrlFetchApp.fetch(fetchSpec.url, fetchSpec.params);
+            const elapsedMs = Date.now() - startTime;
+            const statusCode = response.getResponseCode();
+            const responseText = response.getContentText();
+
+            // -- 成功 (200) --
+            if (statusCode === 200) {
+                let json;
+                try { json = JSON.parse(responseText); } catch (e) {
+                    recordFailure(attempt, "【⚠️JSON解析エラー】" + responseText.substring(0, 100), statusCode, elapsedMs);
+                    continue;
+                }
+                const reply = adapter.parseReply(json);
+                if (reply.text) {
+                    _recordBudgetUsage(entry, reply);
+                    return {
+                        success: true, text: reply.text, actualModel: reply.actualModel, elapsedMs: elapsedMs, tokens: reply.tokens,
+                        inputTokens: reply.inputTokens || 0, outputTokens: reply.outputTokens || 0, attempts: attempts
+                    };
+                }
+                // 空回答・構造不正 → リトライ対象
+                recordFailure(attempt, reply.text === null
+                    ? "【📭空回答】回答データの構造が不正です"
+                    : "【📭空回答】モデルが空の回答を返しました", statusCode, elapsedMs);
+                continue;
+            }
+
+            // -- エラー応答 --
+            const classification = _classifyHttpError(statusCode);
+            let apiMsg = "";
+            try {
+                const errorJson = JSON.parse(responseText);
+                apiMsg = errorJson.error ? errorJson.error.message : responseText.substring(0, 150);
+            } catch (e) {
+                apiMsg = responseText.substring(0, 150);
+            }
+            recordFailure(attempt, classification.prefix + apiMsg, statusCode, elapsedMs);
+            if (statusCode === 429) _drainRateBucket(entry);
+
+            // リトライ不要のエラー → 即リターン（次のモデルへ進む）
+            if (!classification.shouldRetry) {
+                return { success: false, errorDetail: lastErrorDetail, httpCode: lastHttpCode, attempts: attempts };
+            }
+            retryHintMs = _serverRetryDelayMs(response, responseText);
+
+        } catch (e) {
+            // ネットワーク/接続エラー → リトライ対象
+            recordFailure(attempt, "【🔌接続エラー】" + e.message, "", Date.now() - startTime);
+        }
+    }
+
+    return { success: false, errorDetail: lastErrorDetail, httpCode: lastHttpCode, attempts: attempts };
+}
+
+
+// ============================================================
+// 7. チェーン実行（上から順にフォールバック）
+// ============================================================
+// 戻り値:
+//   成功時: { success: true,  entry: 成功した要素, result: _callAIProvider の結果, failures: [...] }
+//   失敗時: { success: false, failures: [{ entry, errorDetail }, ...] }
+//   共通:     attempts: このチェーンで送ったリクエストの合計数（ログ用）
+//   時間切れ: 上に加えて timedOut: true, budgetMs: 使えた時間
+//             未試行のモデルは { entry, errorDetail: "【⏱タイムアウト】…", skipped: true, timedOut: true }
+//   予算超過: 全モデルが予算で止められたら budgetExceeded: true
+// 一時停止中のモデル（ai_health.js）と予算を使い切ったモデル（ai_budget.js）は
+// 呼び出さずに failures に積む。
+// jsonMode のリクエストは回答を検証し、合わなければ修復 → 次のモデル（ai_schema.js）。
+// deadline を省略すると、この呼び出しから AI_TIME_BUDGET_SEC 秒後が締め切り。
+// ============================================================
+function _runAIChain(chain, request, deadline) {
+    const failures = [];
+    const startTime = Date.now();
+    let attempts = 0;
+    deadline = deadline || _aiDeadline();
+
+    for (let i = 0; i < chain.length; i++) {
+        const entry = chain[i];
+
+        // 残り時間が足りなければ、残りのモデルはまとめて未試行にする
+        if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) {
+            chain.slice(i).forEach(e => {
+                failures.push({ entry: e, errorDetail: "【⏱タイムアウト】時間切れのため試していません", skipped: true, timedOut: true });
+            });
+            console.warn(`【⏱タイムアウト】${chain.length - i} モデルを未試行のまま終了`);
+            return { success: false, timedOut: true, budgetMs: deadline - startTime, failures: failures, attempts: attempts };
+        }
+
+        const budget = _checkBudget(entry);
+        if (!budget.allowed) {
+            failures.push({ entry: entry, errorDetail: budget.detail, skipped: true, budget: true });
+            continue;
+        }
+
+        const check = _checkModelHealth(entry);
+        if (!check.allowed) {
+            failures.push({ entry: entry, errorDetail: check.detail, skipped: true });
+            continue;
+        }
+
+        let result = _callAIProvider(entry, request, deadline);
+        _recordModelHealth(entry, check.health, result);
+        if (result.success && request.jsonMode) {
+            result = _conformJsonReply(entry, request, result, deadline);
+        }
+        attempts += result.attempts || 0;
+        if (result.success) {
+            return { success: true, entry: entry, result: result, failures: failures, attempts: attempts };
+        }
+        failures.push({ entry: entry, errorDetail: result.errorDetail });
+        const label = AI_PROVIDERS[entry.provider] ? AI_PROVIDERS[entry.provider].label : entry.provider;
+        console.warn(`【${label}失敗】${entry.model}: ${result.errorDetail}`);
+    }
+
+    const budgetExceeded = failures.length > 0 && failures.every(f => f.budget);
+    return { success: false, failures: failures, attempts: attempts, budgetExceeded: budgetExceeded };
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,225 @@
+// ============================================================
+// 実行をまたいだ流量制限 (ai_ratelimit.js)
+// ============================================================
+// このファイルは、プロバイダー・モデルごとに「1分あたり何回まで送るか」を
+// 全実行で共有し、上限を超えそうなときは少し待つか次のモデルへ回す仕組み
+// （トークンバケット）を提供します。
+//
+// 【なぜ必要か】
+//  数百個の =hy_AI() が一斉に再計算されると、Google は多数の実行を並列に走らせる。
+//  全員が同時に Gemini へ送るため、ほとんどが 429（⏳レート制限）になり、
+//  リトライ待ちで全体がかえって遅くなる。
+//
+// 【仕組み】
+//  - モデルごとに「送ってよい回数（トークン）」を CacheService に持つ
+//  - 1分あたりの上限 (RPM) の分だけ、時間とともに少しずつ補充される（最大 RPM 個）
+//  - 1回送るたびに1つ使う。読んで→減らして→書き戻す間は LockService で排他制御
+//    （ロックの中ではバケットの読み書きだけを行う）。ロックが取れないときは、
+//    数えられないまま送らずに次のモデルへ（【🚦混雑回避】）
+//  - 空きがなければ、AI_RATE_MAX_WAIT_SEC 秒以内に空くなら待つ。
+//    それより長くかかるなら送らずに次のモデルへ（【🚦混雑回避】）
+//  - 429 が返ってきたら、そのモデルのバケットを空にする（他の実行もしばらく控える）
+//
+// 【スクリプトプロパティ】
+//  AI_RATE_LIMITS       1分あたりの上限（JSON）。未設定のモデルは制限しない
+//                       例: {"gemini": 15, "gemini:gemini-2.5-flash": 10, "openrouter": 20}
+//                       "プロバイダー:モデル" の指定がプロバイダーの指定より優先
+//                       "プロバイダー:モデル" の上限はモデルごとに数え、プロバイダーだけの上限は
+//                       そのプロバイダーの全モデルで1つの枠を分け合う（OpenRouter のようにアカウント単位の上限向け）
+//  AI_RATE_MAX_WAIT_SEC 空きを待つ最大秒数 (初期値: 3)
+//
+// 【使い方】
+//  showRateLimits() … 上限を設定したモデルの残り回数をログに出す
+// ============================================================
+
+
+/** バケットを保存する CacheService のキー接頭辞 */
+const AI_RATE_PREFIX = "AI_RATE_";
+
+/** バケットの保存期間（秒）。これより長く使われなければ満タンに戻る */
+const AI_RATE_TTL = 600;
+
+/** バケットを読み書きするときにロックを待つ時間（ミリ秒） */
+const AI_RATE_LOCK_MS = 1000;
+
+
+// ============================================================
+// 1. 設定
+// ============================================================
+let _aiRateLimits = null;
+
+/** AI_RATE_LIMITS を読む（{ "gemini": 15, "gemini:gemini-2.5-flash": 10 }） */
+function _loadRateLimits() {
+    if (_aiRateLimits) return _aiRateLimits;
+    _aiRateLimits = {};
+    const json = PropertiesService.getScriptProperties().getProperty('AI_RATE_LIMITS');
+    if (!json) return _aiRateLimits;
+
+    try {
+        const parsed = JSON.parse(json);
+        Object.keys(parsed).forEach(key => {
+            const rpm = Number(parsed[key]);
+            if (rpm > 0) _aiRateLimits[key] = rpm;
+            else console.warn(`【流量制限】${key} の上限は正の数にしてください: ${parsed[key]}`);
+        });
+    } catch (e) {
+        console.warn("【流量制限】AI_RATE_LIMITS が読めません: " + e.message);
+    }
+    return _aiRateLimits;
+}
+
+/**
+ * モデルの1分あたりの上限と、数えるバケットのキー
+ * プロバイダーだけの指定は、そのプロバイダーの全モデルで1つのバケットを使う。
+ *
+ * @return {Object} { rpm: 上限（未設定なら 0 = 制限なし）, key: バケットのキー }
+ */
+function _rateLimitFor(entry) {
+    const limits = _loadRateLimits();
+    const modelKey = entry.provider + ":" + entry.model;
+    if (limits[modelKey]) return { rpm: limits[modelKey], key: AI_RATE_PREFIX + modelKey };
+    if (limits[entry.provider]) return { rpm: limits[entry.provider], key: AI_RATE_PREFIX + entry.provider };
+    return { rpm: 0, key: "" };
+}
+
+/** 空きを待つ最大時間（ミリ秒）。0 なら待たずに次のモデルへ */
+function _rateMaxWaitMs() {
+    const raw = PropertiesService.getScriptProperties().getProperty('AI_RATE_MAX_WAIT_SEC');
+    const sec = raw === null || raw === "" ? 3 : Number(raw);
+    return (sec >= 0 ? sec : 3) * 1000;
+}
+
+
+// ============================================================
+// 2. バケットの読み書き（ロックの中で呼ぶ）
+// ============================================================
+/** 現在のバケット（経過時間の分を補充済み）。limit は _rateLimitFor の戻り値 */
+function _readRateBucket(limit) {
+    const rpm = limit.rpm;
+    const now = Date.now();
+    let bucket = null;
+    try {
+        const raw = CacheService.getScriptCache().get(limit.key);
+        if (raw) bucket = JSON.parse(raw);
+    } catch (e) {
+        console.log("流量制限の読み込み失敗: " + e.message);
+    }
+    if (!bucket) return { tokens: rpm, updated: now };
+
+    const refill = (now - bucket.updated) * rpm / 60000;
+    return { tokens: Math.min(rpm, bucket.tokens + refill), updated: now };
+}
+
+function _writeRateBucket(limit, bucket) {
+    try {
+        CacheService.getScriptCache().put(limit.key, JSON.stringify(bucket), AI_RATE_TTL);
+    } catch (e) {
+        console.log("流量制限の保存失敗: " + e.message);
+    }
+}
+
+
+// ============================================================
+// 3. 送る前に枠を取る
+// ============================================================
+// 戻り値: { allowed: 送ってよいか, waitedMs: 待った時間, detail: 送らない理由（【🚦混雑回避】…） }
+// 上限が未設定のモデルは、そのまま送ってよい。
+// ロックが取れないときは枠を数えられないため、送らずに次のモデルへ回す。
+// ============================================================
+function _acquireRateSlot(entry, deadline) {
+    const limit = _rateLimitFor(entry);
+    const rpm = limit.rpm;
+    if (!rpm) return { allowed: true, waitedMs: 0 };
+
+    const maxWaitMs = _rateMaxWaitMs();
+    const lock = LockService.getScriptLock();
+    let waitedMs = 0;
+
+    // 待った後に他の実行に先を越されることがあるため、数回だけやり直す
+    for (let round = 0; round < 3; round++) {
+        if (!lock.tryLock(AI_RATE_LOCK_MS)) {
+            return {
+                allowed: false,
+                waitedMs: waitedMs,
+                detail: `【🚦混雑回避】1分あたり${rpm}回の上限を確認できないため送りませんでした（ロック待ち）`
+            };
+        }
+
+        let needMs = 0;
+        try {
+            const bucket = _readRateBucket(limit);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                _writeRateBucket(limit, bucket);
+                return { allowed: true, waitedMs: waitedMs };
+            }
+            needMs = Math.ceil((1 - bucket.tokens) * 60000 / rpm);
+        } finally {
+            lock.releaseLock();
+        }
+
+        // 待っても間に合わない → 送らずに次のモデルへ
+        const fitsDeadline = !deadline || Date.now() + needMs + AI_MIN_ATTEMPT_MS <= deadline;
+        if (waitedMs + needMs > maxWaitMs || !fitsDeadline) {
+            return {
+                allowed: false,
+                waitedMs: waitedMs,
+                detail: `【🚦混雑回避】1分あたり${rpm}回の上限に達しているため送りませんでした（空きまで約${Math.ceil(needMs / 1000)}秒）`
+            };
+        }
+        Utilities.sleep(needMs);
+        waitedMs += needMs;
+    }
+
+    return {
+        allowed: false,
+        waitedMs: waitedMs,
+        detail: `【🚦混雑回避】1分あたり${rpm}回の上限に達しているため送りませんでした（他の実行と競合）`
+    };
+}
+
+/**
+ * 429 を受けたモデルのバケットを空にする（他の実行も補充されるまで控える）
+ * プロバイダー単位の上限なら、同じプロバイダーの全モデルが控える。上限が未設定のモデルは何もしない。
+ */
+function _drainRateBucket(entry) {
+    const limit = _rateLimitFor(entry);
+    if (!limit.rpm) return;
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(AI_RATE_LOCK_MS)) return;
+    try {
+        _writeRateBucket(limit, { tokens: 0, updated: Date.now() });
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+
+// ============================================================
+// 4. メンテナンス関数
+// ============================================================
+/**
+ * 上限を設定したモデルの残り回数をログに出す
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *
+ * @return {Array} [プロバイダー, モデル, 1分あたりの上限, 今送れる回数] の2次元配列（ヘッダー付き）
+ *                 プロバイダー単位の上限を分け合うモデルは、同じ残り回数になる
+ */
+function showRateLimits() {
+    const rows = [["プロバイダー", "モデル", "上限(回/分)", "残り(回)"]];
+    _allConfiguredEntries().forEach(entry => {
+        const limit = _rateLimitFor(entry);
+        if (!limit.rpm) return;
+        rows.push([entry.provider, entry.model, limit.rpm, Math.floor(_readRateBucket(limit).tokens)]);
+    });
+
+    Logger.log("=== 流量制限 ===");
+    if (rows.length === 1) Logger.log("AI_RATE_LIMITS が設定されていません。");
+    rows.slice(1).forEach(r => Logger.log(`${r[0]}:${r[1]} 残り ${r[3]} / ${r[2]} 回/分`));
+    return rows;
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,453 @@
+// ============================================================
+// JSON スキーマによる構造化出力 (ai_schema.js)
+// ============================================================
+// このファイルは、hy_AI_JSON などが「決まった形の JSON」を
+// 確実に受け取るための仕組みを提供します。
+//
+// 【流れ】
+//  1. スキーマをプロバイダーに伝える（対応していれば出力を強制できる）
+//     - Gemini     : generationConfig.responseMimeType / responseSchema
+//     - OpenRouter : response_format（json_schema）
+//  2. 返ってきた回答を手元でも必ず検証する（JSON として読めるか + スキーマ）
+//  3. 合わなければ、同じモデルにエラー内容を伝えて1回だけ直させる
+//  4. それでもダメなら次のモデルへ（_runAIChain から呼ばれる）
+//
+// 【正規化リクエストに追加する項目】
+//  jsonMode       : true なら回答を JSON として検証する
+//  responseSchema : JSON Schema（省略時は「JSON として読めるか」だけを確認）
+//
+// 【名前付きスキーマ（「AI_Schemas」シート）】
+//  A: 名前  B: スキーマ(JSON)  C: 説明
+//  =hy_AI_JSON("質問",,"商品") のように名前で指定できる。
+//  setupAISchemaSheet() でシートと記入例を作成。
+//
+// 【対応しているスキーマのキーワード】
+//  type / properties / required / additionalProperties / items / enum / const /
+//  minLength / maxLength / pattern / minimum / maximum / exclusiveMinimum /
+//  exclusiveMaximum / minItems / maxItems / anyOf / oneOf / nullable
+//
+// 【エラー時の戻り値プレフィックス】
+//  🧩スキーマ不一致 → 回答がJSONとして読めない・スキーマに合わない
+//  ⚠️スキーマ不正   → 指定されたスキーマ自体が読めない・見つからない
+//                     （pattern が JavaScript の正規表現として読めない場合も含む）
+// ============================================================
+
+
+/** 名前付きスキーマのシート名 */
+const AI_SCHEMA_SHEET = "AI_Schemas";
+
+/** Gemini の responseSchema が受け付けるキーワード（それ以外は送らない） */
+const GEMINI_SCHEMA_KEYS = ["type", "format", "description", "nullable", "enum", "properties", "required",
+    "items", "minItems", "maxItems", "minimum", "maximum", "anyOf", "propertyOrdering"];
+
+
+// ============================================================
+// 1. スキーマの指定を読み込む
+// ============================================================
+// 戻り値: { schema: オブジェクト | null, error: エラー文 | null }
+//  引数が空       → schema: null（JSON として読めるかだけを確認）
+//  "{" で始まる   → その場で書いたスキーマ
+//  それ以外       → AI_Schemas シートの名前
+// ============================================================
+function _resolveSchema(schemaArg) {
+    if (Array.isArray(schemaArg)) schemaArg = schemaArg[0] && schemaArg[0][0];
+    const spec = String(schemaArg === undefined || schemaArg === null ? "" : schemaArg).trim();
+    if (!spec) return { schema: null, error: null };
+
+    let json = spec;
+    if (spec.charAt(0) !== "{") {
+        json = _findNamedSchema(spec);
+        if (json === null) return { schema: null, error: `【⚠️スキーマ不正】「${spec}」が ${AI_SCHEMA_SHEET} シートにありません` };
+    }
+    try {
+        const schema = JSON.parse(json);
+        if (!schema || typeof schema !== "object" || Array.isArray(schema)) throw new Error("オブジェクトではありません");
+        const patternError = _checkSchemaPatterns(schema, "$");
+        if (patternError) return { schema: null, error: "【⚠️スキーマ不正】" + patternError };
+        return { schema: schema, error: null };
+    } catch (e) {
+        return { schema: null, error: "【⚠️スキーマ不正】JSON として読めません: " + e.message };
+    }
+}
+
+/**
+ * スキーマ中の pattern をすべて正規表現にしてみる（読み込み時に1回だけ）
+ *
+ * @return {string|null} 最初に読めなかった pattern のエラー文（なければ null）
+ */
+function _checkSchemaPatterns(schema, path) {
+    if (!schema || typeof schema !== "object") return null;
+    if (schema.pattern !== undefined) {
+        try {
+            _schemaPattern(schema.pattern);
+        } catch (e) {
+            return `${path}: パターン ${schema.pattern} が正規表現として読めません（${e.message}）`;
+        }
+    }
+    const children = [];
+    Object.keys(schema.properties || {}).forEach(k => children.push([schema.properties[k], `${path}.${k}`]));
+    if (schema.items) children.push([schema.items, `${path}[]`]);
+    if (schema.additionalProperties) children.push([schema.additionalProperties, `${path}.*`]);
+    [schema.anyOf, schema.oneOf].forEach(list => { if (Array.isArray(list)) list.forEach(s => children.push([s, path])); });
+    for (let i = 0; i < children.length; i++) {
+        const error = _checkSchemaPatterns(children[i][0], children[i][1]);
+        if (error) return error;
+    }
+    return null;
+}
+
+/** 読み込んだ pattern の正規表現（同じ実行の中では作り直さない） */
+const _schemaPatterns = {};
+
+/** pattern を正規表現にする。読めなければ例外 */
+function _schemaPattern(pattern) {
+    const source = String(pattern);
+    if (!_schemaPatterns[source]) _schemaPatterns[source] = new RegExp(source);
+    return _schemaPatterns[source];
+}
+
+/** AI_Schemas シートから名前でスキーマ(JSON文字列)を探す。なければ null */
+function _findNamedSchema(name) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AI_SCHEMA_SHEET);
+    if (!sheet || sheet.getLastRow() < 2) return null;
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    const hit = rows.find(r => String(r[0]).trim() === name);
+    return hit ? String(hit[1]) : null;
+}
+
+
+// ============================================================
+// 2. プロバイダー向けの変換
+// ============================================================
+/**
+ * JSON Schema を Gemini の responseSchema（OpenAPI のサブセット）に変換する
+ * 使えないキーワードは落とし、["string","null"] は nullable に置き換える。
+ */
+function _toGeminiSchema(schema) {
+    if (!schema || typeof schema !== "object") return schema;
+    const out = {};
+    GEMINI_SCHEMA_KEYS.forEach(key => {
+        if (schema[key] === undefined) return;
+        if (key === "type") {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const main = types.filter(t => t !== "null");
+            if (main.length > 0) out.type = String(main[0]).toUpperCase();
+            if (types.indexOf("null") !== -1) out.nullable = true;
+        } else if (key === "properties") {
+            out.properties = {};
+            Object.keys(schema.properties).forEach(p => { out.properties[p] = _toGeminiSchema(schema.properties[p]); });
+        } else if (key === "items") {
+            out.items = _toGeminiSchema(schema.items);
+        } else if (key === "anyOf") {
+            out.anyOf = schema.anyOf.map(_toGeminiSchema);
+        } else if (key === "enum") {
+            // null の候補は文字列 "null" にせず nullable で表す
+            out.enum = schema.enum.filter(v => v !== null).map(String);
+            if (schema.enum.length !== out.enum.length) out.nullable = true;
+        } else {
+            out[key] = schema[key];
+        }
+    });
+    // Gemini は列挙型に type: STRING が必要
+    if (out.enum && !out.type) out.type = "STRING";
+    return out;
+}
+
+/** OpenAI 互換の response_format（json_schema）を作る */
+function _toOpenAIResponseFormat(schema) {
+    return { type: "json_schema", json_schema: { name: "result", schema: schema } };
+}
+
+
+// ============================================================
+// 3. 手元での検証
+// ============================================================
+/**
+ * 値がスキーマに合うか調べる
+ *
+ * @param {*}      value  JSON.parse した値
+ * @param {Object} schema JSON Schema
+ * @param {string} path   エラー表示用の位置（省略時 "$"）
+ * @return {Array} エラー文の配列（空なら合格）
+ */
+function _validateJsonSchema(value, schema, path) {
+    path = path || "$";
+    if (!schema || typeof schema !== "object") return [];
+    const errors = [];
+
+    if (value === null && schema.nullable === true) return [];
+
+    // -- 型 --
+    if (schema.type !== undefined) {
+        const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(t => String(t).toLowerCase());
+        if (!types.some(t => _jsonTypeMatches(value, t))) {
+            return [`${path}: ${types.join(" / ")} が必要です（実際: ${_jsonTypeName(value)}）`];
+        }
+    }
+
+    // -- 列挙・定数 --
+    if (Array.isArray(schema.enum) && !schema.enum.some(v => _jsonEquals(v, value))) {
+        errors.push(`${path}: ${JSON.stringify(schema.enum)} のいずれかが必要です（実際: ${JSON.stringify(value)}）`);
+    }
+    if (schema.const !== undefined && !_jsonEquals(schema.const, value)) {
+        errors.push(`${path}: ${JSON.stringify(schema.const)} が必要です`);
+    }
+
+    // -- 文字列 --
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: ${schema.minLength}文字以上が必要です`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: ${schema.maxLength}文字以内が必要です`);
+        if (schema.pattern !== undefined) {
+            let re = null;
+            try {
+                re = _schemaPattern(schema.pattern);
+            } catch (e) {
+                errors.push(`${path}: パターン ${schema.pattern} が正規表現として読めません`);
+            }
+            if (re && !re.test(value)) errors.push(`${path}: パターン ${schema.pattern} に一致しません`);
+        }
+    }
+
+    // -- 数値 --
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: ${schema.minimum} 以上が必要です`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: ${schema.maximum} 以下が必要です`);
+        if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) errors.push(`${path}: ${schema.exclusiveMinimum} より大きい値が必要です`);
+        if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) errors.push(`${path}: ${schema.exclusiveMaximum} より小さい値が必要です`);
+    }
+
+    // -- 配列 --
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: ${schema.minItems}件以上が必要です`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: ${schema.maxItems}件以内が必要です`);
+        if (schema.items && typeof schema.items === "object") {
+            value.forEach((v, i) => { errors.push.apply(errors, _validateJsonSchema(v, schema.items, `${path}[${i}]`)); });
+        }
+    }
+
+    // -- オブジェクト --
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        const props = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key}: 必須項目がありません`);
+        });
+        Object.keys(value).forEach(key => {
+            if (props[key]) {
+                errors.push.apply(errors, _validateJsonSchema(value[key], props[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: 想定外の項目です`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+                errors.push.apply(errors, _validateJsonSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    // -- 候補のいずれか --
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(s => _validateJsonSchema(value, s, path).length === 0)) {
+        errors.push(`${path}: anyOf のどの候補にも一致しません`);
+    }
+    if (Array.isArray(schema.oneOf) && schema.oneOf.filter(s => _validateJsonSchema(value, s, path).length === 0).length !== 1) {
+        errors.push(`${path}: oneOf のちょうど1つの候補に一致する必要があります`);
+    }
+
+    return errors;
+}
+
+function _jsonTypeMatches(value, type) {
+    switch (type) {
+        case "string": return typeof value === "string";
+        case "number": return typeof value === "number" && isFinite(value);
+        case "integer": return typeof value === "number" && Math.floor(value) === value;
+        case "boolean": return typeof value === "boolean";
+        case "null": return value === null;
+        case "array": return Array.isArray(value);
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+function _jsonTypeName(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function _jsonEquals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** 回答から ``` の囲みを外して JSON 部分だけにする */
+function _stripJsonFences(text) {
+    let cleaned = String(text).trim();
+    if (cleaned.startsWith("```")) {
+        cleaned = cleaned.replace(/^```(?:json)?\s*\n?/, "").replace(/\n?```\s*$/, "");
+    }
+    return cleaned.trim();
+}
+
+/**
+ * 回答テキストを JSON として読み、スキーマで検証する
+ *
+ * @return {Object} { ok, text: 囲みを外したJSON文字列, value, errors: [...] }
+ */
+function _checkJsonReply(text, schema) {
+    const cleaned = _stripJsonFences(text);
+    let value;
+    try {
+        value = JSON.parse(cleaned);
+    } catch (e) {
+        return { ok: false, text: cleaned, errors: ["JSON として読めません: " + e.message] };
+    }
+    const errors = schema ? _validateJsonSchema(value, schema) : [];
+    return { ok: errors.length === 0, text: cleaned, value: value, errors: errors };
+}
+
+
+// ============================================================
+// 3-2. JSON パスで値を取り出す
+// ============================================================
+// 書き方: items[*].name / $.data.list[0] / items[-1] / rows[*]["商品名"] / *.price
+//  name / ["name"] … オブジェクトの項目
+//  [0] / [-1]      … 配列の位置（-1 は末尾）
+//  [*] / *         … すべての要素（配列・オブジェクト）
+//
+// 戻り値: { values: 一致した値の配列, multi: ワイルドカードを含むか }
+// ============================================================
+function _selectJsonPath(value, path) {
+    const spec = String(path || "").trim().replace(/^\$\.?/, "");
+    if (!spec) return { values: [value], multi: false };
+
+    const tokens = [];
+    const re = /\[\s*(\*|-?\d+|"[^"]*"|'[^']*')\s*\]|\.?([^.[\]]+)/g;
+    let m;
+    while ((m = re.exec(spec)) !== null) {
+        if (m[1] !== undefined) {
+            if (m[1] === "*") tokens.push({ wild: true });
+            else if (/^-?\d+$/.test(m[1])) tokens.push({ index: Number(m[1]) });
+            else tokens.push({ key: m[1].slice(1, -1) });
+        } else {
+            tokens.push(m[2] === "*" ? { wild: true } : { key: m[2] });
+        }
+    }
+
+    let current = [value];
+    tokens.forEach(t => {
+        const next = [];
+        current.forEach(v => {
+            if (v === null || typeof v !== "object") return;
+            if (t.wild) {
+                (Array.isArray(v) ? v : Object.keys(v).map(k => v[k])).forEach(x => next.push(x));
+            } else if (t.index !== undefined) {
+                if (!Array.isArray(v)) return;
+                const i = t.index < 0 ? v.length + t.index : t.index;
+                if (v[i] !== undefined) next.push(v[i]);
+            } else if (v[t.key] !== undefined) {
+                next.push(v[t.key]);
+            }
+        });
+        current = next;
+    });
+    return { values: current, multi: tokens.some(t => t.wild) };
+}
+
+
+// ============================================================
+// 4. チェーン実行からの呼び出し（検証 → 修復 → 次のモデル）
+// ============================================================
+// _runAIChain が、jsonMode のリクエストで回答を得たときに呼ぶ。
+// 合格なら回答を囲みなしの JSON に差し替えた成功結果、
+// 不合格なら { success: false, errorDetail: "【🧩スキーマ不一致】…" } を返す。
+// 修復の往復も有料の1回なので、_runAIChain と同じく時間・予算・一時停止を確かめてから送る。
+// ============================================================
+function _conformJsonReply(entry, request, result, deadline) {
+    let check = _checkJsonReply(result.text, request.responseSchema);
+    if (check.ok) return Object.assign({}, result, { text: check.text });
+
+    let attempts = result.attempts || 0;
+    _logAIAttempt(request, entry, attempts, { errorDetail: "【🧩スキーマ不一致】" + check.errors[0], httpCode: 200, elapsedMs: result.elapsedMs });
+
+    // -- 修復の往復（同じモデルに1回だけ直させる）--
+    const guard = _repairGuard(entry, deadline);
+    if (guard.allowed) {
+        const repairRequest = Object.assign({}, request, {
+            messages: request.messages.concat([
+                { role: "assistant", content: result.text },
+                {
+                    role: "user",
+                    content: "直前の回答は次の理由で指定の形式に合いません。\n" +
+                        check.errors.slice(0, 10).map(e => "- " + e).join("\n") +
+                        "\n説明は付けず、修正した JSON だけを出力し直してください。"
+                }
+            ])
+        });
+        const repaired = _callAIProvider(entry, repairRequest, deadline);
+        _recordModelHealth(entry, guard.health, repaired);
+        attempts += repaired.attempts || 0;
+        if (repaired.success) {
+            check = _checkJsonReply(repaired.text, request.responseSchema);
+            if (check.ok) {
+                return Object.assign({}, repaired, {
+                    text: check.text,
+                    tokens: (result.tokens || 0) + (repaired.tokens || 0),
+                    inputTokens: (result.inputTokens || 0) + (repaired.inputTokens || 0),
+                    outputTokens: (result.outputTokens || 0) + (repaired.outputTokens || 0),
+                    elapsedMs: (result.elapsedMs || 0) + (repaired.elapsedMs || 0),
+                    attempts: attempts
+                });
+            }
+            _logAIAttempt(request, entry, attempts, { errorDetail: "【🧩スキーマ不一致】" + check.errors[0], httpCode: 200, elapsedMs: repaired.elapsedMs });
+        }
+    }
+
+    return { success: false, errorDetail: "【🧩スキーマ不一致】" + check.errors.slice(0, 3).join(" / "), httpCode: 200, attempts: attempts };
+}
+
+/**
+ * 修復の往復を送ってよいか（残り時間 → 予算 → 一時停止の順に確かめる）
+ *
+ * @return {Object} { allowed, health: _checkModelHealth の健康状態 }
+ */
+function _repairGuard(entry, deadline) {
+    if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) return { allowed: false };
+    if (!_checkBudget(entry).allowed) return { allowed: false };
+    const check = _checkModelHealth(entry);
+    return { allowed: check.allowed, health: check.health };
+}
+
+
+// ============================================================
+// 5. メンテナンス: setupAISchemaSheet
+// ============================================================
+/**
+ * 「AI_Schemas」シートを作成し、記入例を入れる
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *  既にシートがある場合は何もしません。
+ */
+function setupAISchemaSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (ss.getSheetByName(AI_SCHEMA_SHEET)) {
+        Logger.log(AI_SCHEMA_SHEET + " シートは既にあります。");
+        return;
+    }
+    const sheet = ss.insertSheet(AI_SCHEMA_SHEET);
+    const example = {
+        type: "object",
+        properties: {
+            name: { type: "string" },
+            price: { type: "integer", minimum: 0 },
+            tags: { type: "array", items: { type: "string" } }
+        },
+        required: ["name", "price"]
+    };
+    sheet.getRange(1, 1, 1, 3)
+        .setValues([["名前", "スキーマ(JSON)", "説明"]])
+        .setFontWeight("bold")
+        .setBackground("#f3f3f3");
+    sheet.getRange(2, 1, 1, 3).setValues([["商品", JSON.stringify(example), "記入例: =hy_AI_JSON(\"質問\",,\"商品\")"]]);
+    sheet.setColumnWidth(2, 480);   // スキーマ列を広めに
+    Logger.log(AI_SCHEMA_SHEET + " シートを作成しました");
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,259 @@
+// ============================================================
+// シートのデータに質問する (ai_sheetqa.js)
+// ============================================================
+// このファイルは、表のデータを根拠にして質問に答える関数を提供します。
+// 範囲が大きくても、質問に関係のありそうな行だけを選んでプロンプトに詰めるため、
+// モデルの入力上限を超えずに答えられます。回答には根拠の行番号が付きます。
+//
+// 【提供する関数一覧】
+//  - askSheetAI : 範囲の中から関係する行を探し、その行だけを根拠に答える
+//
+// 【使い方の例（スプレッドシートから）】
+//  =askSheetAI("返品が多い商品は？", A2:F500, A1:F1)          ← 回答の中に [行12] などの根拠
+//  =askSheetAI("返品が多い商品は？", A2:F500, A1:F1, TRUE)    ← 右の列に根拠の行番号を縦に並べる
+//  =askSheetAI("配送の苦情は？", A2:F500, A1:F1, , "embed")   ← 言い回しの違いも拾う（埋め込み）
+//
+// 【行の選び方（method）】
+//  bm25  : 質問の単語（日本語は2文字ずつ）が多く、珍しいほど高いスコア（初期値・API不要）
+//  embed : 埋め込み（ai_embeddings.js）で意味の近さを測る。言い換えに強いが API を使う
+//  どちらもスコアの高い順に、入力上限（AI_SHEET_CONTEXT_TOKENS）に収まるまで行を詰める。
+//  プロンプトには元の行の順に並べ直して渡す。
+//
+// 【行番号】
+//  呼び出した数式（例: =askSheetAI(B1, A2:F500)）から範囲の先頭行を読み取り、シートの行番号で示す。
+//  読み取れないとき（名前付き範囲・他の関数の結果など）は、範囲の先頭を1とした番号になる。
+//
+// 【スクリプトプロパティ】
+//  AI_SHEET_CONTEXT_TOKENS  行データに使うトークン数の上限 (初期値: 6000)
+// ============================================================
+
+
+/** 行データに使うトークン数の既定の上限 */
+const AI_SHEET_DEFAULT_CONTEXT_TOKENS = 6000;
+
+/** BM25 のパラメータ（単語の出現回数の効き方・行の長さの補正） */
+const AI_SHEET_BM25_K1 = 1.2;
+const AI_SHEET_BM25_B = 0.75;
+
+/** 回答の中の根拠の書き方 [行12] / [行12, 15] */
+const AI_SHEET_CITATION_PATTERN = /\[行\s*(\d+(?:\s*[,、]\s*\d+)*)\s*\]/g;
+
+
+// ============================================================
+// 1. カスタム関数: askSheetAI
+// ============================================================
+/**
+ * 範囲のデータを根拠にして質問に答えます。関係のある行だけを選んで送り、根拠の行番号を付けて答えます。
+ *
+ * @param {string}  question      質問 (必須)
+ * @param {Range}   dataRange     データの範囲 (必須) 例: A2:F500
+ * @param {Range}   headersRange  見出し行 (省略可) 例: A1:F1
+ * @param {boolean} showCitations TRUE で [回答, 根拠の行番号] の2列に展開（行番号は縦に並ぶ） (初期値: FALSE)
+ * @param {string}  method        行の選び方 "bm25" / "embed" (初期値: "bm25")
+ * @return 回答の文字列、または showCitations のときは2列の2次元配列
+ * @customfunction
+ */
+function askSheetAI(question, dataRange, headersRange = "", showCitations = false, method = "bm25") {
+    if (!question) return "【通知】質問を入力してください。";
+    if (!dataRange) return "【通知】データの範囲を入力してください。";
+    method = String(method || "bm25").trim().toLowerCase();
+    if (method !== "bm25" && method !== "embed") return `【通知】method は bm25 / embed のどちらかです（指定: ${method}）。`;
+
+    const headers = Array.isArray(headersRange) ? headersRange[0].map(h => String(h).trim()) : [];
+    const firstRow = _callerArgumentRow("askSheetAI", 1) || 1;
+    const rows = _sheetQARows(Array.isArray(dataRange) ? dataRange : [[dataRange]], headers, firstRow);
+    if (rows.length === 0) return "【通知】データが空です。";
+
+    const scored = method === "embed" ? _scoreRowsByEmbedding(String(question), rows) : _scoreRowsByBM25(String(question), rows);
+    if (scored.error) return scored.error;
+
+    const props = PropertiesService.getScriptProperties();
+    const budget = Number(props.getProperty('AI_SHEET_CONTEXT_TOKENS')) || AI_SHEET_DEFAULT_CONTEXT_TOKENS;
+    const packed = _packSheetRows(scored.rows, budget);
+
+    const t = _renderAITemplate("askSheetAI", {
+        question: String(question),
+        columns: headers.some(h => h !== "") ? headers.join(" | ") : "（見出しなし）",
+        rows: packed.map(r => r.line).join("\n"),
+        count: packed.length,
+        total: rows.length
+    });
+    if (t.error) return t.error;
+    const promptText = t.user;
+
+    const request = _buildAIRequest(promptText, t.system, t.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.trace = _newAITrace("askSheetAI");
+    const outcome = _hybridAsk(request, promptText, "", undefined, t.chain);
+    if (!outcome.success) return showCitations ? [[outcome.message, ""]] : outcome.message;
+
+    const answer = outcome.result.text;
+    if (!showCitations) return answer;
+    const cited = _sheetQACitations(answer, packed.map(r => r.rowNumber));
+    if (cited.length === 0) return [[answer, ""]];
+    return cited.map((n, i) => [i === 0 ? answer : "", n]);
+}
+
+
+// ============================================================
+// 2. 行の準備と詰め込み
+// ============================================================
+/**
+ * 空でない行を [行N] 見出し: 値 | ... の形にする
+ * @return {Array} [{ index, rowNumber, text, line }]（text は採点用、line はプロンプト用）
+ */
+function _sheetQARows(values, headers, firstRow) {
+    const rows = [];
+    values.forEach((row, i) => {
+        const cells = [];
+        row.forEach((cell, c) => {
+            if (cell === "" || cell === null) return;
+            const value = _templateCellText(cell);
+            cells.push(headers[c] ? `${headers[c]}: ${value}` : value);
+        });
+        if (cells.length === 0) return;
+        const rowNumber = firstRow + i;
+        rows.push({ index: i, rowNumber: rowNumber, text: cells.join(" | "), line: `[行${rowNumber}] ${cells.join(" | ")}` });
+    });
+    return rows;
+}
+
+/**
+ * スコアの高い順に、上限のトークン数まで行を取る（1行も入らないときも先頭の1行は入れる）
+ * 取った行は元の並び順に戻して返す。
+ */
+function _packSheetRows(scoredRows, budget) {
+    const picked = [];
+    let used = 0;
+    scoredRows.forEach(r => {
+        const tokens = _estimateTokens(r.line) + 1;
+        if (picked.length > 0 && used + tokens > budget) return;
+        picked.push(r);
+        used += tokens;
+    });
+    return picked.sort((a, b) => a.index - b.index);
+}
+
+/** 回答の [行N] のうち、実際に送った行の番号だけを出てきた順に返す */
+function _sheetQACitations(answer, sentRowNumbers) {
+    const out = [];
+    String(answer).replace(AI_SHEET_CITATION_PATTERN, (all, list) => {
+        list.split(/[,、]/).forEach(s => {
+            const n = Number(s.trim());
+            if (sentRowNumbers.indexOf(n) !== -1 && out.indexOf(n) === -1) out.push(n);
+        });
+        return all;
+    });
+    return out;
+}
+
+
+// ============================================================
+// 3. 行の採点
+// ============================================================
+// どちらも { rows: スコアの高い順の行, error } を返す。
+// 同点は元の並び順（上の行を先に）。
+// ============================================================
+function _sortByScore(rows, scores) {
+    return rows
+        .map((r, k) => ({ row: r, score: scores[k] }))
+        .sort((a, b) => (b.score - a.score) || (a.row.index - b.row.index))
+        .map(s => s.row);
+}
+
+/**
+ * 採点用の単語に分ける
+ * 英数字は単語ごと、日本語など（空白で区切らない文字）は2文字ずつ（1文字だけならその1文字）。
+ */
+function _searchTokens(text) {
+    const tokens = [];
+    const rest = String(text).normalize("NFKC").toLowerCase()
+        .replace(/[a-z0-9]+(?:[._\-][a-z0-9]+)*/g, word => { tokens.push(word); return " "; });
+    rest.split(/[\s\p{P}\p{S}]+/u).forEach(run => {
+        if (!run) return;
+        const chars = Array.from(run);
+        if (chars.length === 1) { tokens.push(run); return; }
+        for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+    });
+    return tokens;
+}
+
+/** BM25（質問の単語が多く、その単語が珍しい行ほど高い） */
+function _scoreRowsByBM25(question, rows) {
+    const queryTerms = Array.from(new Set(_searchTokens(question)));
+    const docs = rows.map(r => {
+        const freq = Object.create(null);
+        const tokens = _searchTokens(r.text);
+        tokens.forEach(tok => { freq[tok] = (freq[tok] || 0) + 1; });
+        return { freq: freq, length: tokens.length };
+    });
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+
+    const idf = Object.create(null);
+    queryTerms.forEach(term => {
+        const df = docs.filter(d => d.freq[term]).length;
+        idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    });
+
+    const scores = docs.map(d => queryTerms.reduce((sum, term) => {
+        const f = d.freq[term] || 0;
+        if (f === 0) return sum;
+        const norm = AI_SHEET_BM25_K1 * (1 - AI_SHEET_BM25_B + AI_SHEET_BM25_B * d.length / avgLength);
+        return sum + idf[term] * f * (AI_SHEET_BM25_K1 + 1) / (f + norm);
+    }, 0));
+    return { rows: _sortByScore(rows, scores), error: null };
+}
+
+/** 埋め込みの近さ（質問と行は同じモデルでそろえる） */
+function _scoreRowsByEmbedding(question, rows) {
+    const embedded = _embedRows(rows.map(r => r.text), "RETRIEVAL_DOCUMENT", "askSheetAI", [{ text: question, taskType: "RETRIEVAL_QUERY" }]);
+    if (embedded.error) return { rows: [], error: embedded.error };
+    const scores = embedded.rows.map(e => _dotProduct(embedded.extra[0], e.vector));
+    return { rows: _sortByScore(embedded.rows.map(e => rows[e.index]), scores), error: null };
+}
+
+
+// ============================================================
+// 4. 呼び出した数式から範囲の先頭行を読む
+// ============================================================
+/**
+ * カスタム関数を呼んだセルの数式から、argIndex 番目（0始まり）の引数の先頭行を返す
+ * 例: =askSheetAI(B1, Data!A2:F500) → 2 / 列全体（A:F）→ 1 / 読めなければ null
+ */
+function _callerArgumentRow(functionName, argIndex) {
+    let formula = "";
+    try {
+        const cell = SpreadsheetApp.getActiveRange();
+        formula = cell && typeof cell.getFormula === "function" ? String(cell.getFormula() || "") : "";
+    } catch (e) {
+        return null;
+    }
+    const start = formula.toLowerCase().indexOf(functionName.toLowerCase() + "(");
+    if (start === -1) return null;
+
+    // 括弧と文字列の外にある区切り（, ;）で引数に分ける
+    const args = [];
+    let depth = 0, quoted = false, current = "";
+    for (const ch of formula.substring(start + functionName.length + 1)) {
+        if (ch === '"') quoted = !quoted;
+        if (!quoted && ch === "(") depth++;
+        if (!quoted && ch === ")") {
+            if (depth === 0) break;
+            depth--;
+        }
+        if (!quoted && depth === 0 && (ch === "," || ch === ";")) {
+            args.push(current.trim());
+            current = "";
+            continue;
+        }
+        current += ch;
+    }
+    args.push(current.trim());
+
+    const ref = (args[argIndex] || "").replace(/^(?:'(?:[^']|'')+'|[^!'"]+)!/, "");
+    const cellRef = /^\$?[A-Z]{1,3}\$?(\d+)(?::\$?[A-Z]{1,3}\$?\d*)?$/i.exec(ref);
+    if (cellRef) return Number(cellRef[1]);
+    if (/^\$?[A-Z]{1,3}:\$?[A-Z]{1,3}$/i.test(ref)) return 1;
+    return null;
+}
+
+// Last Updated: 2026-10-19
@@ -0,0 +1,403 @@
+// ============================================================
+// 名前付きプロンプトテンプレート (ai_templates.js)
+// ============================================================
+// このファイルは、よく使うシステム指示・質問文に名前を付けて
+// 「AI_Templates」シートで管理し、セルの値を差し込んで実行する仕組みを提供します。
+// 長いシステム指示を数式ごとにコピーしなくても、名前で呼び出せます。
+//
+// 【「AI_Templates」シートの列構成】（1行目はヘッダー）
+//  A: 名前     例: 問い合わせ返信
+//  B: システム  AIの役割・ルール（{{変数}} を使える）
+//  C: ユーザー  質問文（{{変数}} を使える）
+//  D: 温度     空欄なら 0.3（組み込みテンプレートの上書きなら、その温度）
+//  E: チェーン  hy_AI / ge_AI / AI_Config の任意の名前。空欄なら hy_AI
+//  F: 説明     メモ（動作には使わない）
+//
+// 【変数（プレースホルダー）】
+//  {{名前}}        値が必須。空欄・未指定なら【⚠️テンプレート不正】で止める
+//  {{名前|既定値}}  値が空なら既定値を使う（{{名前|}} なら空のまま）
+//
+// 【組み込みテンプレート】
+//  translateAI / summarizeAI(.chunk / .shorten) / batchAI / formatAI.* / hy_AI_JSON / jsonCellsAI / classifyAI / extractAI /
+//  askSheetAI は DEFAULT_AI_TEMPLATES の指示文を使う。シートに同じ名前の行を書けば上書きできる。
+//
+// 【使い方の例（スプレッドシートから）】
+//  =tmplAI("問い合わせ返信", B2:D2, B1:D1)  ← 見出し行の名前で B2:D2 の値を差し込む
+//  =tmplAI("要約", A2)                      ← 見出しを省略すると、登場順に差し込む
+//
+// 【エラー時の戻り値プレフィックス】
+//  ⚠️テンプレート不正 → テンプレートが見つからない・変数の過不足・チェーンがない
+//
+// 【使い方】
+//  setupAITemplateSheet() … 組み込みテンプレートを書き込んだ AI_Templates シートを作る
+// ============================================================
+
+
+/** テンプレートのシート名 */
+const AI_TEMPLATE_SHEET = "AI_Templates";
+
+/** テンプレートシートのヘッダー */
+const AI_TEMPLATE_HEADERS = ["名前", "システム", "ユーザー", "温度", "チェーン", "説明"];
+
+/** {{名前}} / {{名前|既定値}} */
+const AI_TEMPLATE_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g;
+
+/** 組み込みテンプレート（ai_tools.js の関数が使う） */
+const DEFAULT_AI_TEMPLATES = {
+    "translateAI": {
+        system: "あなたは正確で自然な翻訳者です。入力されたテキスト（翻訳元: {{source}}）を{{target}}に翻訳してください。翻訳結果のみを出力し、説明や補足は不要です。{{tone|}}{{glossary|}}",
+        user: "{{text}}",
+        temperature: 0.1,
+        description: "translateAI の翻訳指示（{{tone}} に文体、{{glossary}} に用語集の指示が入る）"
+    },
+    "summarizeAI": {
+        system: "あなたは要約の専門家です。入力されたテキストを{{maxChars}}文字以内で要約してください。{{style|}}要約のみを出力し、前置きや補足は不要です。",
+        user: "{{text}}",
+        temperature: 0.2,
+        description: "summarizeAI の要約指示（{{style}} にスタイルの指示が入る）"
+    },
+    "summarizeAI.chunk": {
+        system: "あなたは要約の専門家です。入力は長い文書の一部（{{part}}/{{parts}}）です。" +
+            "後で他の部分の要約とまとめるため、重要な事実・数値・固有名詞・結論を落とさずに{{chunkChars}}文字程度で要約してください。" +
+            "要約のみを出力し、前置きや補足は不要です。",
+        user: "{{text}}",
+        temperature: 0.2,
+        description: "summarizeAI で長い文書を分割したときの、分割ごとの要約"
+    },
+    "summarizeAI.shorten": {
+        system: "入力された要約は{{length}}文字あり、上限の{{maxChars}}文字を超えています。" +
+            "重要な内容を優先して残し、必ず{{maxChars}}文字以内に縮めてください。{{style|}}縮めた要約のみを出力してください。",
+        user: "{{text}}",
+        temperature: 0.2,
+        description: "summarizeAI の回答が文字数の上限を超えたときの縮め直し"
+    },
+    "batchAI": {
+        system: "",
+        user: "以下の{{count}}件のデータに対して、それぞれ「{{instruction}}」を実行してください。\n" +
+            "結果は「番号. 結果」の形式で、1件につき1行、入力と同じ番号を付けて出力してください。\n" +
+            "前置きや説明は不要です。\n\n---\n{{items}}",
+        temperature: 0.3,
+        description: "batchAI の一括依頼（番号付きで返させる）"
+    },
+    "formatAI.list": {
+        system: "回答は箇条書き（リスト形式）で簡潔にまとめてください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の list"
+    },
+    "formatAI.table": {
+        system: "回答は表形式（ヘッダー行 + データ行）で出力してください。区切り文字にはタブを使用してください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の table"
+    },
+    "formatAI.csv": {
+        system: "回答はCSV形式（ヘッダー行 + データ行、カンマ区切り）だけで出力してください。カンマや改行を含む値はダブルクォートで囲んでください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の csv"
+    },
+    "formatAI.markdown-table": {
+        system: "回答はMarkdownの表（ヘッダー行 + 区切り行 + データ行）だけで出力してください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の markdown-table"
+    },
+    "formatAI.short": {
+        system: "回答は50文字以内で簡潔に要点のみ答えてください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の short"
+    },
+    "formatAI.detail": {
+        system: "回答は詳細に、背景や理由も含めて丁寧に説明してください。",
+        user: "{{prompt}}",
+        temperature: 0.3,
+        description: "formatAI の detail"
+    },
+    "hy_AI_JSON": {
+        system: "回答は必ず有効なJSON形式のみで出力してください。マークダウンのコードブロック（```）は使わないでください。説明文やコメントは含めないでください。",
+        user: "{{prompt}}",
+        temperature: 0.2,
+        description: "hy_AI_JSON の出力形式の指示（スキーマはこの後に付く）"
+    },
+    "jsonCellsAI": {
+        system: "回答は必ず有効なJSON形式のみで出力してください。説明文やコメントは含めないでください。",
+        user: "{{prompt}}",
+        temperature: 0.2,
+        description: "jsonCellsAI で質問するときの指示（スキーマはこの後に付く）"
+    },
+    "classifyAI": {
+        system: "あなたは正確な分類担当です。各テキストを次のラベルで分類してください。{{rule}}\n" +
+            "ラベルは一覧の表記どおりに書き、一覧にないラベルは使わないでください。\n" +
+            "confidence には分類の確からしさを 0〜1 の数値で入れてください。\n\n" +
+            "ラベル一覧:\n{{labels}}",
+        user: "次の{{count}}件を分類し、id に番号を入れて JSON で答えてください。\n\n---\n{{items}}",
+        temperature: 0,
+        description: "classifyAI の分類指示（スキーマはこの後に付く）"
+    },
+    "extractAI": {
+        system: "あなたは正確なデータ入力担当です。各テキストから次の項目を取り出してください。\n" +
+            "テキストに書かれていない項目は null にし、推測で埋めないでください。\n" +
+            "日付は YYYY-MM-DD、数値は単位や記号を付けずに書いてください。\n\n" +
+            "項目:\n{{fields}}",
+        user: "次の{{count}}件から項目を取り出し、id に番号を入れて JSON で答えてください。\n\n---\n{{items}}",
+        temperature: 0,
+        description: "extractAI の抽出指示（スキーマはこの後に付く）"
+    },
+    "askSheetAI": {
+        system: "あなたは表のデータを読み解くアシスタントです。与えられた行だけを根拠に、質問に日本語で答えてください。\n" +
+            "根拠にした行は、文中に [行12] のように行番号で示してください（複数なら [行12, 15]）。\n" +
+            "与えられた行から答えが分からないときは、推測せずに「データからは分かりません」と答えてください。",
+        user: "質問: {{question}}\n\n" +
+            "列: {{columns}}\n" +
+            "データ（全{{total}}行のうち、質問に関係がありそうな{{count}}行）:\n{{rows}}",
+        temperature: 0.2,
+        description: "askSheetAI の回答ルール（{{rows}} に [行N] 付きの行が入る）"
+    }
+};
+
+
+// ============================================================
+// 1. カスタム関数: tmplAI
+// ============================================================
+/**
+ * 名前付きテンプレートにセルの値を差し込んで、hy_AI と同じ仕組みで質問します。
+ *
+ * @param {string} name         テンプレート名 (必須) AI_Templates シートの「名前」列
+ * @param {Range}  valuesRange  差し込む値 (任意) 例: B2:D2
+ * @param {Range}  headersRange 値に対応する変数名 (任意) 例: B1:D1
+ *                              省略時は、テンプレートに登場する順に値を差し込む
+ * @customfunction
+ */
+function tmplAI(name, valuesRange, headersRange) {
+    name = String(name === undefined || name === null ? "" : name).trim();
+    if (!name) return "【通知】テンプレート名を入力してください。";
+
+    const template = _findAITemplate(name);
+    if (!template) return `【⚠️テンプレート不正】「${name}」が ${AI_TEMPLATE_SHEET} シートにありません`;
+    if (!template.user.trim()) return `【⚠️テンプレート不正】「${name}」のユーザー文が空です`;
+
+    const placeholders = _templatePlaceholders(template.system + "\n" + template.user);
+    const values = _templateValuesFromCells(valuesRange, headersRange, placeholders);
+    if (values.error) return `【⚠️テンプレート不正】「${name}」: ${values.error}`;
+
+    // 見出しの打ち間違いは「値がない」より先に知らせる
+    const unknown = Object.keys(values.map).filter(key => placeholders.indexOf(key) === -1);
+    if (unknown.length > 0) {
+        const known = placeholders.length > 0 ? placeholders.map(p => "{{" + p + "}}").join(", ") : "なし";
+        return `【⚠️テンプレート不正】「${name}」に ${unknown.map(u => "{{" + u + "}}").join(", ")} はありません（使える変数: ${known}）`;
+    }
+
+    const rendered = _renderAITemplate(name, values.map);
+    if (rendered.error) return rendered.error;
+
+    const request = _buildAIRequest(rendered.user, rendered.system, rendered.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.trace = _newAITrace("tmplAI");
+    const outcome = _hybridAsk(request, rendered.user, "", undefined, rendered.chain);
+    return outcome.success ? outcome.result.text : outcome.message;
+}
+
+/**
+ * セルの値を { 変数名: 値 } にする
+ * 見出しがあれば見出しの名前で、なければテンプレートに登場する順に対応付ける。
+ *
+ * @return {Object} { map: { 変数名: 文字列 }, error: エラー文 | null }
+ */
+function _templateValuesFromCells(valuesRange, headersRange, placeholders) {
+    const flatten = v => (v === undefined || v === null || v === "") ? []
+        : (Array.isArray(v) ? v.reduce((all, row) => all.concat(row), []) : [v]);
+    const values = flatten(valuesRange).map(_templateCellText);
+    const headers = flatten(headersRange).map(h => String(h).trim());
+    const map = {};
+
+    if (headers.length === 0) {
+        if (values.length > placeholders.length) {
+            return { map: map, error: `値が ${values.length} 個ありますが、変数は ${placeholders.length} 個です` };
+        }
+        values.forEach((v, i) => { map[placeholders[i]] = v; });
+        return { map: map, error: null };
+    }
+
+    if (headers.length !== values.length) {
+        return { map: map, error: `見出し（${headers.length} 個）と値（${values.length} 個）の数が合いません` };
+    }
+    headers.forEach((h, i) => { if (h !== "") map[h] = values[i]; });
+    return { map: map, error: null };
+}
+
+/** セルの値を差し込む文字列にする（日付は yyyy/MM/dd） */
+function _templateCellText(value) {
+    if (value instanceof Date) return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy/MM/dd");
+    return value === null || value === undefined ? "" : String(value);
+}
+
+
+// ============================================================
+// 2. テンプレートの取得・差し込み（ai_tools.js からも呼ぶ）
+// ============================================================
+/**
+ * テンプレートに値を差し込む
+ *
+ * @param {string} name   テンプレート名
+ * @param {Object} values { 変数名: 値 }（テンプレートにない変数は無視する）
+ * @return {Object} { system, user, temperature, chain, error: エラー文 | null }
+ */
+function _renderAITemplate(name, values) {
+    const template = _findAITemplate(name);
+    if (!template) return { error: `【⚠️テンプレート不正】「${name}」が ${AI_TEMPLATE_SHEET} シートにありません` };
+
+    const system = _fillTemplateText(template.system, values || {});
+    const user = _fillTemplateText(template.user, values || {});
+    const missing = system.missing.concat(user.missing.filter(m => system.missing.indexOf(m) === -1));
+    if (missing.length > 0) {
+        return { error: `【⚠️テンプレート不正】「${name}」の ${missing.map(m => "{{" + m + "}}").join(", ")} に値がありません` };
+    }
+    if (!_getModelChain(template.chain)) {
+        return { error: `【⚠️テンプレート不正】「${name}」のチェーン「${template.chain}」がありません（AI_Config を確認してください）` };
+    }
+
+    return { system: system.text, user: user.text, temperature: template.temperature, chain: template.chain, error: null };
+}
+
+/**
+ * 文字列の {{変数}} を置き換える
+ *
+ * @return {Object} { text: 置き換え後, missing: [値のない必須の変数名] }
+ */
+function _fillTemplateText(text, values) {
+    const missing = [];
+    const filled = String(text || "").replace(AI_TEMPLATE_PATTERN, (all, key, fallback) => {
+        const has = Object.prototype.hasOwnProperty.call(values, key) && values[key] !== null && values[key] !== undefined && String(values[key]) !== "";
+        if (has) return String(values[key]);
+        if (fallback !== undefined) return fallback;
+        if (missing.indexOf(key) === -1) missing.push(key);
+        return all;
+    });
+    return { text: filled, missing: missing };
+}
+
+/** 文字列に登場する変数名（登場順・重複なし） */
+function _templatePlaceholders(text) {
+    const names = [];
+    String(text || "").replace(AI_TEMPLATE_PATTERN, (all, key) => {
+        if (names.indexOf(key) === -1) names.push(key);
+        return all;
+    });
+    return names;
+}
+
+/**
+ * 名前でテンプレートを探す（シートの行 → 組み込み の順）
+ *
+ * @return {Object|null} { name, system, user, temperature, chain, description, source: "sheet"|"default" }
+ */
+function _findAITemplate(name) {
+    return _loadAITemplates()[String(name).trim()] || null;
+}
+
+
+// ============================================================
+// 3. テンプレートの読み込み（シート → 組み込み既定値）
+// ============================================================
+// シートは毎セル読まないよう、AI_Config と同じ秒数だけキャッシュする。
+// ============================================================
+let _aiTemplates = null;
+
+function _loadAITemplates() {
+    if (_aiTemplates) return _aiTemplates;
+
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get("AI_TEMPLATES");
+    if (cached) {
+        _aiTemplates = JSON.parse(cached);
+        return _aiTemplates;
+    }
+
+    const templates = {};
+    Object.keys(DEFAULT_AI_TEMPLATES).forEach(name => {
+        templates[name] = _normalizeAITemplate(name, DEFAULT_AI_TEMPLATES[name], null, "default");
+    });
+
+    try {
+        const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AI_TEMPLATE_SHEET);
+        if (sheet && sheet.getLastRow() > 1) {
+            sheet.getRange(2, 1, sheet.getLastRow() - 1, AI_TEMPLATE_HEADERS.length).getValues().forEach(r => {
+                const name = String(r[0]).trim();
+                if (!name) return;
+                const spec = { system: r[1], user: r[2], temperature: r[3], chain: r[4], description: r[5] };
+                templates[name] = _normalizeAITemplate(name, spec, templates[name], "sheet");
+            });
+        }
+    } catch (e) {
+        // シートが開けない等 → 組み込みだけで動かす
+        console.warn("【テンプレート】シートの読み込みに失敗: " + e.message);
+    }
+
+    cache.put("AI_TEMPLATES", JSON.stringify(templates), AI_CONFIG_CACHE_TTL);
+    _aiTemplates = templates;
+    return templates;
+}
+
+/** 1件のテンプレートを整える（温度・チェーンが空なら上書き元 → 既定値） */
+function _normalizeAITemplate(name, spec, base, source) {
+    const text = v => v === undefined || v === null ? "" : String(v);
+    const temp = spec.temperature === "" || spec.temperature === undefined || spec.temperature === null
+        ? NaN : Number(spec.temperature);
+    const chain = text(spec.chain).trim();
+
+    if (spec.temperature !== "" && spec.temperature !== undefined && spec.temperature !== null && isNaN(temp)) {
+        console.warn(`【テンプレート】${name} の温度が数値ではありません: ${spec.temperature}`);
+    }
+    return {
+        name: name,
+        system: text(spec.system),
+        user: text(spec.user),
+        temperature: !isNaN(temp) ? temp : (base ? base.temperature : 0.3),
+        chain: chain || (base ? base.chain : "hy_AI"),
+        description: text(spec.description),
+        source: source
+    };
+}
+
+
+// ============================================================
+// 4. メンテナンス: setupAITemplateSheet
+// ============================================================
+/**
+ * 組み込みテンプレートを書き込んだ「AI_Templates」シートを作成する
+ *
+ * 【使い方】
+ *  スクリプトエディタから手動で実行してください。
+ *  既にシートがある場合は何もしません（上書き防止）。
+ *  書き込まれた行を編集すると、translateAI などの指示文を変えられます。
+ */
+function setupAITemplateSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (ss.getSheetByName(AI_TEMPLATE_SHEET)) {
+        Logger.log(AI_TEMPLATE_SHEET + " シートは既にあります。");
+        return;
+    }
+
+    const rows = Object.keys(DEFAULT_AI_TEMPLATES).map(name => {
+        const t = DEFAULT_AI_TEMPLATES[name];
+        return [name, t.system, t.user, t.temperature, "", t.description];
+    });
+    rows.push(["問い合わせ返信", "あなたは丁寧なカスタマーサポート担当です。{{tone|丁寧語}}で返信してください。",
+        "次の問い合わせに返信してください。\nお客様: {{name}}\n内容: {{message}}", 0.4, "", "記入例: =tmplAI(\"問い合わせ返信\", B2:C2, B1:C1)"]);
+
+    const sheet = ss.insertSheet(AI_TEMPLATE_SHEET);
+    sheet.getRange(1, 1, 1, AI_TEMPLATE_HEADERS.length)
+        .setValues([AI_TEMPLATE_HEADERS])
+        .setFontWeight("bold")
+        .setBackground("#f3f3f3");
+    sheet.getRange(2, 1, rows.length, AI_TEMPLATE_HEADERS.length).setValues(rows);
+    sheet.setColumnWidth(2, 420);   // システム列を広めに
+    sheet.setColumnWidth(3, 320);
+
+    CacheService.getScriptCache().remove("AI_TEMPLATES");
+    _aiTemplates = null;
+    Logger.log(AI_TEMPLATE_SHEET + " シートを作成しました（" + rows.length + " 行）");
+}
+
+// Last Updated: 2026-10-19
@@ -2,21 +2,41 @@
 // AI 便利ツール関数 (ai_tools.js)
 // ============================================================
 // このファイルは、hy_AI をベースにした便利なショートカット関数群です。
-// どの関数も内部で hy_AI（hybrid_ai.js）を呼び出しています。
+// どの関数も内部で hy_AI（hybrid_ai.js）と同じチェーンを使っています。
 //
 // 【提供する関数一覧】
-//  - translateAI : テキスト翻訳
+//  - translateAI : テキスト翻訳（用語集・文体・BCP-47 の言語コードに対応）
 //  - hy_AI_JSON  : JSON形式で回答取得
+//  - jsonCellsAI : JSON をセルの表に展開（スピル）
 //  - batchAI     : 複数データの一括処理
-//  - formatAI    : 出力形式(リスト/表/短文/詳細)を指定
-//  - summarizeAI : テキスト要約
+//  - formatAI    : 出力形式(リスト/表/短文/詳細)を指定（表はセルに展開）
+//  - summarizeAI : テキスト要約（長文は分割してまとめる・スタイル指定可）
+//  - classifyAI  : 指定したラベルで分類（確信度付きも可）
+//  - extractAI   : 文章から会社名・日付・金額などの項目を列に取り出す
+//
+// 【指示文】
+//  各関数のシステム指示・依頼文は ai_templates.js の組み込みテンプレート
+//  （translateAI / summarizeAI(.chunk / .shorten) / batchAI / formatAI.* / hy_AI_JSON / jsonCellsAI / classifyAI / extractAI）。
+//  AI_Templates シートに同じ名前の行を書けば、コードを触らずに変えられる。
 //
 // 【使い方の例（スプレッドシートから）】
 //  =translateAI("Hello World")              ← 英語→日本語に翻訳
 //  =translateAI("こんにちは","en")           ← 日本語→英語に翻訳
+//  =translateAI(A2,"zh-Hant-TW",,G2:I50)    ← 用語集 G2:I50 に従って台湾の繁体字に翻訳
+//  =hy_AI_JSON("新商品を1つ考えて",,"商品")  ← AI_Schemas シートのスキーマで検証
+//  =jsonCellsAI(B1,,"items[*]")             ← B1 の JSON を見出し行 + データ行に展開
+//  =jsonCellsAI("果物を5つ","名前,色,旬")     ← 質問して 名前/色/旬 の表で受け取る
 //  =summarizeAI(A1, 100)                    ← A1セルの内容を100文字に要約
-//  =batchAI(A1:A10, "カテゴリ分け")         ← A1〜A10を一括でカテゴリ分け
+//  =summarizeAI(A1:A200, 300, "bullets")    ← 長い文書も分割して要約し、300文字以内の箇条書きに
+//  =batchAI(A1:A10, "カテゴリ分け")         ← A1〜A10を一括でカテゴリ分け（各行の横に結果）
 //  =formatAI("AIとは","short")              ← 50文字以内で簡潔に回答
+//  =formatAI("果物の比較表","table")          ← 表をセルに展開（csv / markdown-table も可）
+//  =classifyAI(A2:A100, E2:E5)              ← E2:E5 のラベルのどれかで各行を分類
+//  =extractAI(A2:A100, F2:H5)               ← F2:H5 の項目定義で各行から値を取り出す
+//
+// 【キャッシュ】
+//  どの関数も hy_AI 経由のため、同じ入力の回答は hy_AI のキャッシュ
+//  （ai_cache.js / AI_CACHE_TTL）から返され、再計算で再課金されない。
 // ============================================================
 
 
@@ -25,36 +45,195 @@
 // ============================================================
 // テキストを指定した言語に翻訳する。
 // デフォルトは日本語訳。翻訳元言語は自動検出。
+//
+// 【言語コード】
+//  ja / en などの言語コードのほか、zh-Hant-TW・pt-BR・es-419 のような BCP-47 の
+//  「言語-文字-地域」も使える（en_US のような _ 区切りも可）。
+//  表にない言語・地域はコードのまま伝える。コードでない値（"英語" など）はそのまま使う。
+//
+// 【用語集（glossaryRange）】
+//  A: 原語  B: 訳語  C: 翻訳しない（TRUE / 1 / ○ など。訳語は空でよい）
+//  1行目が「原語」「用語」なら見出しとして読み飛ばす。
+//  原文に出てくる用語だけを指示に入れ、訳文に訳語（翻訳しない語は原語のまま）が
+//  入っているかを確かめる。入っていなければ、守れなかった用語を伝えて1回だけ訳し直させ、
+//  それでもだめなら【⚠️用語不一致】の行を付けて訳文を返す。
+//
+// 【文体（tone）】
+//  です・ます（丁寧）/ casual（くだけた口調）/ business（ビジネス向けの改まった表現）
 // ============================================================
+
+/** 言語コード → 日本語名 */
+const TRANSLATE_LANGUAGES = {
+    "ja": "日本語", "en": "英語", "zh": "中国語", "ko": "韓国語",
+    "fr": "フランス語", "de": "ドイツ語", "es": "スペイン語",
+    "pt": "ポルトガル語", "it": "イタリア語", "ru": "ロシア語",
+    "ar": "アラビア語", "th": "タイ語", "vi": "ベトナム語",
+    "id": "インドネシア語", "ms": "マレー語", "tl": "タガログ語", "fil": "フィリピノ語",
+    "hi": "ヒンディー語", "bn": "ベンガル語", "ur": "ウルドゥー語", "ne": "ネパール語",
+    "my": "ミャンマー語", "km": "クメール語", "lo": "ラオ語", "mn": "モンゴル語",
+    "nl": "オランダ語", "sv": "スウェーデン語", "no": "ノルウェー語", "nb": "ノルウェー語（ブークモール）",
+    "da": "デンマーク語", "fi": "フィンランド語", "pl": "ポーランド語", "cs": "チェコ語",
+    "sk": "スロバキア語", "hu": "ハンガリー語", "ro": "ルーマニア語", "bg": "ブルガリア語",
+    "el": "ギリシャ語", "uk": "ウクライナ語", "tr": "トルコ語", "he": "ヘブライ語",
+    "fa": "ペルシャ語", "sw": "スワヒリ語", "ca": "カタルーニャ語", "hr": "クロアチア語",
+    "sr": "セルビア語", "sl": "スロベニア語", "lt": "リトアニア語", "lv": "ラトビア語", "et": "エストニア語",
+    "yue": "広東語"
+};
+
+/** BCP-47 の文字（script）→ 日本語名 */
+const TRANSLATE_SCRIPTS = {
+    "Hans": "簡体字", "Hant": "繁体字", "Latn": "ラテン文字", "Cyrl": "キリル文字", "Arab": "アラビア文字"
+};
+
+/** BCP-47 の地域（region）→ 日本語名 */
+const TRANSLATE_REGIONS = {
+    "US": "アメリカ", "GB": "イギリス", "AU": "オーストラリア", "CA": "カナダ", "IN": "インド", "SG": "シンガポール",
+    "CN": "中国本土", "TW": "台湾", "HK": "香港", "MO": "マカオ",
+    "BR": "ブラジル", "PT": "ポルトガル", "ES": "スペイン", "MX": "メキシコ", "AR": "アルゼンチン", "419": "中南米",
+    "FR": "フランス", "BE": "ベルギー", "CH": "スイス", "DE": "ドイツ", "AT": "オーストリア", "JP": "日本", "KR": "韓国"
+};
+
+/** 文体 → システム指示に足す文 */
+const TRANSLATE_TONES = {
+    "": "",
+    "polite": "文体は丁寧語（日本語なら「です・ます」調）にしてください。",
+    "casual": "文体は友人に話すようなくだけた口調にしてください。",
+    "business": "文体はビジネス文書にふさわしい、敬語を使った改まった表現にしてください。"
+};
+
+/** 文体の別名 */
+const TRANSLATE_TONE_ALIASES = {
+    "です・ます": "polite", "ですます": "polite", "丁寧": "polite", "formal": "polite",
+    "カジュアル": "casual", "ビジネス": "business"
+};
+
+/** 用語集が守られなかったときに訳し直す回数 */
+const AI_TRANSLATE_GLOSSARY_RETRIES = 1;
+
 /**
  * テキストを指定言語に翻訳します。
  *
- * @param {string} text       翻訳するテキスト (必須)
- * @param {string} targetLang 翻訳先の言語コード (初期値: "ja" 日本語)
- *                            使える言語: ja, en, zh, ko, fr, de, es, pt, it, ru, ar, th, vi
- * @param {string} sourceLang 翻訳元の言語コード (初期値: "" 自動検出)
+ * @param {string} text          翻訳するテキスト (必須)
+ * @param {string} targetLang    翻訳先の言語コード (初期値: "ja" 日本語)。en-US / zh-Hant-TW などの BCP-47 も可
+ * @param {string} sourceLang    翻訳元の言語コード (初期値: "" 自動検出)
+ * @param {Range}  glossaryRange 用語集 [原語, 訳語, 翻訳しない] (省略可)
+ * @param {string} tone          文体 "です・ます" / "casual" / "business" (初期値: "" 指定なし)
  * @customfunction
  */
-function translateAI(text, targetLang = "ja", sourceLang = "") {
+function translateAI(text, targetLang = "ja", sourceLang = "", glossaryRange = "", tone = "") {
     if (!text) return "【通知】翻訳するテキストを入力してください。";
 
-    // 言語コードと日本語名の対応表
-    const langMap = {
-        "ja": "日本語", "en": "英語", "zh": "中国語", "ko": "韓国語",
-        "fr": "フランス語", "de": "ドイツ語", "es": "スペイン語",
-        "pt": "ポルトガル語", "it": "イタリア語", "ru": "ロシア語",
-        "ar": "アラビア語", "th": "タイ語", "vi": "ベトナム語"
+    const toneKey = _translateTone(tone);
+    if (toneKey === null) return `【通知】tone は です・ます / casual / business のどれかです（指定: ${tone}）。`;
+    const glossary = _parseGlossary(glossaryRange);
+    if (glossary.error) return glossary.error;
+    // 原文に出てくる用語だけを指示に入れ、確かめる
+    const terms = glossary.terms.filter(term => _includesTerm(text, term.source));
+
+    const values = {
+        text: text,
+        target: _languageName(targetLang || "ja"),
+        source: sourceLang ? _languageName(sourceLang) : "自動検出",
+        tone: TRANSLATE_TONES[toneKey]
     };
+    const deadline = _aiDeadline();
+    const trace = _newAITrace("translateAI");
+    let missing = [];
+    let translation = "";
 
-    // 言語コードを日本語名に変換（対応表にない場合はコードそのまま）
-    const targetName = langMap[targetLang] || targetLang;
-    const sourceHint = sourceLang ? `（翻訳元: ${langMap[sourceLang] || sourceLang}）` : "";
+    for (let attempt = 0; attempt <= AI_TRANSLATE_GLOSSARY_RETRIES; attempt++) {
+        // テンプレート translateAI（温度は低め 0.1 で正確な翻訳を促す）
+        const t = _renderAITemplate("translateAI", Object.assign({ glossary: _glossaryInstruction(terms, missing) }, values));
+        if (t.error) return t.error;
+        const request = _buildAIRequest(t.user, t.system, t.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+        request.trace = trace;
+        const outcome = _hybridAsk(request, t.user, "", deadline, t.chain);
+        if (!outcome.success) return outcome.message;
 
-    // AIに翻訳を依頼するシステム指示を作成
-    const systemInst = `あなたは正確で自然な翻訳者です。入力されたテキストを${targetName}に翻訳してください${sourceHint}。翻訳結果のみを出力し、説明や補足は不要です。`;
+        translation = outcome.result.text;
+        missing = terms.filter(term => !_includesTerm(translation, term.target, term.keep));
+        if (missing.length === 0) return translation;
+        if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) break;
+    }
 
-    // 温度を低め(0.1)に設定して正確な翻訳を促す
-    return hy_AI(text, systemInst, 0.1);
+    console.warn(`【translateAI用語不一致】${missing.map(term => term.source).join(", ")}`);
+    return `【⚠️用語不一致】${missing.map(term => `「${term.target}」`).join("、")}が訳文にありません\n${translation}`;
+}
+
+/**
+ * 言語コードを日本語名にする（BCP-47 の 言語-文字-地域 に対応）
+ * 例: en → 英語 / zh-Hant-TW → 中国語（繁体字・台湾） / en-NZ → 英語（en-NZ）
+ */
+function _languageName(code) {
+    const raw = String(code).trim();
+    const m = /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?((?:[-_][a-z0-9]{5,8}|[-_]\d[a-z0-9]{3})*)$/i.exec(raw);
+    if (!m) return raw;   // コードでなければ（"英語" など）そのまま
+
+    const tag = raw.replace(/_/g, "-");
+    const language = TRANSLATE_LANGUAGES[m[1].toLowerCase()];
+    if (!language) return `言語コード ${tag} の言語`;
+    if (!m[2] && !m[3] && !m[4]) return language;
+
+    const script = m[2] ? TRANSLATE_SCRIPTS[m[2].charAt(0).toUpperCase() + m[2].slice(1).toLowerCase()] : "";
+    const region = m[3] ? TRANSLATE_REGIONS[m[3].toUpperCase()] : "";
+    // 表にない文字・地域・変種があれば、正確に伝えるためコードのまま添える
+    if (script === undefined || region === undefined || m[4]) return `${language}（${tag}）`;
+    return `${language}（${[script, region].filter(s => s).join("・")}）`;
+}
+
+/** tone の名前を TRANSLATE_TONES のキーにする（知らない名前は null） */
+function _translateTone(tone) {
+    const key = String(tone === null || tone === undefined ? "" : tone).trim().toLowerCase();
+    if (TRANSLATE_TONES[key] !== undefined) return key;
+    return TRANSLATE_TONE_ALIASES[key] || null;
+}
+
+/**
+ * 用語集の範囲を読む
+ * @return {Object} { terms: [{ source, target, keep }], error: エラー文 | null }
+ */
+function _parseGlossary(range) {
+    if (range === "" || range === null || range === undefined) return { terms: [], error: null };
+    const terms = [];
+    const rows = Array.isArray(range) ? range : [[range]];
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const source = String(row[0] === null || row[0] === undefined ? "" : row[0]).trim();
+        if (!source || (i === 0 && /^(原語|用語|source|term)$/i.test(source))) continue;
+        const keep = row[2] !== "" && row[2] !== undefined && row[2] !== false && _isEnabledFlag(row[2]);
+        const target = keep ? source : String(row[1] === null || row[1] === undefined ? "" : row[1]).trim();
+        if (!target) return { terms: [], error: `【通知】用語集の「${source}」に訳語がありません（訳さない語は3列目を TRUE にしてください）。` };
+        terms.push({ source: source, target: target, keep: keep });
+    }
+    return { terms: terms, error: null };
+}
+
+/**
+ * text に term が含まれるか
+ * 英数字で始まる・終わる語は単語の区切りで比べる（app が application に当たらないように）。
+ * exact なら大文字・小文字も区別する（翻訳しない語は原語のまま残っているかを見る）。
+ * exact でなければ英語の複数形（-s / -es）も認める。
+ */
+function _includesTerm(text, term, exact) {
+    const word = String(term).normalize("NFKC");
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = (/^\w/.test(word) ? "(?<![A-Za-z0-9_])" : "") + escaped +
+        (/\w$/.test(word) ? (exact ? "" : "(?:e?s)?") + "(?![A-Za-z0-9_])" : "");
+    return new RegExp(pattern, exact ? "" : "i").test(String(text).normalize("NFKC"));
+}
+
+/** 用語集の指示文（前回守れなかった用語があれば、それも伝える） */
+function _glossaryInstruction(terms, missing) {
+    if (terms.length === 0) return "";
+    const lines = terms.map(term => term.keep
+        ? `- 「${term.source}」は翻訳せず、そのまま残す`
+        : `- 「${term.source}」→「${term.target}」`);
+    let text = "\n\n次の用語集に必ず従ってください。\n" + lines.join("\n");
+    if (missing.length > 0) {
+        text += "\n\n前回の翻訳では次の用語が守られていませんでした。必ず用語集どおりに書いてください: " +
+            missing.map(term => `「${term.target}」`).join("、");
+    }
+    return text;
 }
 
 
@@ -63,6 +242,10 @@ function translateAI(text, targetLang = "ja", sourceLang = "") {
 // ============================================================
 // AIの回答をJSON形式で取得する。
 // データ構造化やAPI連携用途に便利。
+//
+// 回答は必ず JSON として読めるか確認し、スキーマを指定した場合は
+// その形に合うかも検証する（ai_schema.js）。合わなければ同じモデルに
+// 1回直させ、それでもダメなら次のモデルを試す。
 // ============================================================
 /**
  * AIの回答をJSON形式で取得します。
@@ -70,28 +253,39 @@ function translateAI(text, targetLang = "ja", sourceLang = "") {
  * @param {string} promptText 質問・指示 (必須)
  *                           例: "日本の都道府県をJSON配列で出力して"
  * @param {string} systemInst 追加のシステム指示 (任意)
+ * @param {string} schema     JSON Schema (任意)。その場で書くか、AI_Schemas シートの名前を指定
+ *                           例: "{""type"":""array"",""items"":{""type"":""string""}}" / "商品"
+ * @param {number} cache      キャッシュ秒数 / FALSE で使わない / "refresh" で取り直し (任意)
  * @customfunction
  */
-function hy_AI_JSON(promptText, systemInst = "") {
+function hy_AI_JSON(promptText, systemInst = "", schema = "", cache = "") {
     if (!promptText) return "【通知】質問を入力してください。";
 
-    // JSON形式で回答するようシステム指示に追加
-    const jsonSystemInst = (systemInst ? systemInst + "\n\n" : "") +
-        "回答は必ず有効なJSON形式のみで出力してください。マークダウンのコードブロック（```）は使わないでください。説明文やコメントは含めないでください。";
+    const resolved = _resolveSchema(schema);
+    if (resolved.error) return resolved.error;
 
-    // 温度を低め(0.2)に設定して正確なJSON出力を促す
-    const result = hy_AI(promptText, jsonSystemInst, 0.2);
-
-    // ----------------------------------------------------------
-    // JSON文字列のクリーニング
-    // ----------------------------------------------------------
-    // AIが ```json ... ``` で囲んで返してくることがあるため、除去する
-    let cleaned = result.trim();
-    if (cleaned.startsWith("```")) {
-        cleaned = cleaned.replace(/^```(?:json)?\s*\n?/, "").replace(/\n?```\s*$/, "");
+    // JSON形式で回答するようシステム指示に追加（テンプレート hy_AI_JSON、温度は低め 0.2）
+    const t = _renderAITemplate("hy_AI_JSON", { prompt: promptText });
+    if (t.error) return t.error;
+    let jsonSystemInst = (systemInst ? systemInst + "\n\n" : "") + t.system;
+    if (resolved.schema) {
+        jsonSystemInst += "\n次の JSON Schema に従ってください:\n" + JSON.stringify(resolved.schema);
     }
 
-    return cleaned;
+    const request = _buildAIRequest(t.user, jsonSystemInst, t.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.jsonMode = true;
+    request.responseSchema = resolved.schema;
+    request.trace = _newAITrace("hy_AI_JSON");
+
+    const outcome = _hybridAsk(request, promptText, cache, undefined, t.chain);
+    if (outcome.success) return outcome.result.text;
+
+    // どれかのモデルが「形式違い」で落ちていれば、その旨を見出しにする
+    const mismatched = outcome.failures.some(f => f.errorDetail.indexOf("【🧩スキーマ不一致】") === 0);
+    if (mismatched) {
+        return outcome.message.replace(/^[^\n]*/, "【🧩スキーマ不一致】形式に合う回答を得られませんでした");
+    }
+    return outcome.message;
 }
 
 
@@ -100,36 +294,238 @@ function hy_AI_JSON(promptText, systemInst = "") {
 // ============================================================
 // 複数セルの内容をまとめてAIに送り、一括処理する。
 // 1セルずつ呼ぶよりも効率的（API呼び出し回数を節約）。
+//
+// 【結果の並び】
+//  入力範囲の1行につき1つの結果を縦に並べて返す（スピル）。
+//  隣の列に =batchAI(A2:A100, "…") と書けば、各行の横に結果が並ぶ。
+//  空の行は空のまま。複数列の範囲は、行内のセルを " | " でつないで1件とする。
+//
+// 【件数のずれ対策】
+//  回答は「番号. 結果」の形式で受け取り、番号で元の行に戻す。
+//  抜けた番号があれば、その項目だけをもう一度問い合わせる。
+//  それでも返ってこない項目は【⚠️回答なし】になる。
+//
+// 【分割】
+//  1回に送る量は AI_BATCH_CHUNK_TOKENS（初期値: 3000トークン）と
+//  AI_BATCH_CHUNK_ITEMS（初期値: 40件）まで。
+//  チェーン内で最も小さいモデル（8Kコンテキスト程度）でも入力と回答が収まる量にしている。
+//  すべての分割は合わせて1回分の制限時間（AI_TIME_BUDGET_SEC）で処理する。
 // ============================================================
+
+/** 1回に送る入力の目安（トークン） */
+const AI_BATCH_DEFAULT_CHUNK_TOKENS = 3000;
+
+/** 1回に送る最大件数 */
+const AI_BATCH_DEFAULT_CHUNK_ITEMS = 40;
+
+/** 1回の回答に許す最大トークン数 */
+const AI_BATCH_MAX_OUTPUT_TOKENS = 8192;
+
 /**
  * 複数セルの内容をまとめてAIに送り、一括処理します。
+ * 結果は入力範囲の各行に対応して縦に並びます。
  *
  * @param {Range}  dataRange   処理するデータの範囲 (必須) 例: A1:A10
  * @param {string} instruction 各項目に対する指示 (必須) 例: "英語に翻訳して"
  * @param {string} systemInst  システム指示 (任意)
+ * @return 入力範囲と同じ行数の縦1列
  * @customfunction
  */
 function batchAI(dataRange, instruction, systemInst = "") {
     if (!dataRange || !instruction) return "【通知】データ範囲と指示を入力してください。";
 
-    // 範囲データを1次元配列に変換し、空セルを除外
-    const items = Array.isArray(dataRange)
-        ? dataRange.flat().filter(cell => cell !== "")
-        : [dataRange];
+    // 単一セルならそのまま1件として処理して文字列で返す
+    if (!Array.isArray(dataRange)) {
+        return _batchRun([String(dataRange)], instruction, systemInst)[0];
+    }
+
+    // 1行 = 1件（空の行は "" のまま）
+    const items = dataRange.map(row => row
+        .filter(cell => cell !== "" && cell !== null)
+        .map(cell => String(cell).replace(/\s*\n\s*/g, " "))
+        .join(" | "));
+
+    if (items.every(item => item === "")) return "【通知】データが空です。";
+
+    return _batchRun(items, instruction, systemInst).map(result => [result]);
+}
+
+/**
+ * 項目の配列を分割して問い合わせ、同じ長さの結果配列を返す（空の項目は ""）
+ */
+function _batchRun(items, instruction, systemInst) {
+    return _runInChunks(items, "batchAI", (texts, deadline, trace) => _batchAskChunk(texts, instruction, systemInst, deadline, trace))
+        .map(result => (result === null ? "" : result));
+}
+
+/**
+ * 入力をトークン数・件数の上限で分割する
+ *
+ * @param {Array} texts 項目の文字列
+ * @return {Array} 分割ごとの、texts 内での位置の配列
+ */
+function _batchChunks(texts) {
+    const props = PropertiesService.getScriptProperties();
+    const maxTokens = Number(props.getProperty('AI_BATCH_CHUNK_TOKENS')) || AI_BATCH_DEFAULT_CHUNK_TOKENS;
+    const maxItems = Number(props.getProperty('AI_BATCH_CHUNK_ITEMS')) || AI_BATCH_DEFAULT_CHUNK_ITEMS;
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    texts.forEach((text, i) => {
+        const tokens = _estimateTokens(text) + 4;   // 番号と改行の分
+        if (current.length > 0 && (currentTokens + tokens > maxTokens || current.length >= maxItems)) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(i);
+        currentTokens += tokens;
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * 1つの分割を問い合わせる。抜けた番号は1回だけ問い直す。
+ *
+ * @return {Array} texts と同じ順の結果文字列
+ */
+function _batchAskChunk(texts, instruction, systemInst, deadline, trace) {
+    const indexes = texts.map((text, i) => i);
+    const answers = {};
+    let missing = indexes.slice();
+
+    for (let round = 1; round <= 2 && missing.length > 0; round++) {
+        // 時間切れなら残りは問い合わせない
+        if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) {
+            missing.forEach(i => { answers[i] = "【⏱タイムアウト】時間切れのため未処理"; });
+            return indexes.map(i => answers[i]);
+        }
+
+        const asked = missing.map(i => texts[i]);
+        const prepared = _batchRequest(asked, instruction, systemInst);
+        if (prepared.error) {
+            missing.forEach(i => { answers[i] = prepared.error; });
+            return indexes.map(i => answers[i]);
+        }
+        prepared.request.trace = trace;
+        const outcome = _hybridAsk(prepared.request, instruction, "", deadline, prepared.chain);
+
+        if (!outcome.success) {
+            // 全モデル失敗 → エラーの見出しだけを各セルに入れる
+            const headline = outcome.message.split("\n")[0];
+            missing.forEach(i => { answers[i] = headline; });
+            return indexes.map(i => answers[i]);
+        }
+
+        const parsed = _parseNumberedAnswers(outcome.result.text, asked.length);
+        const stillMissing = [];
+        missing.forEach((i, k) => {
+            if (parsed[k + 1] !== undefined) answers[i] = parsed[k + 1];
+            else stillMissing.push(i);
+        });
+        if (stillMissing.length > 0) {
+            console.warn(`【batchAI件数不一致】${asked.length} 件中 ${asked.length - stillMissing.length} 件のみ回答`);
+        }
+        missing = stillMissing;
+    }
 
-    if (items.length === 0) return "【通知】データが空です。";
+    missing.forEach(i => { answers[i] = "【⚠️回答なし】"; });
+    return indexes.map(i => answers[i]);
+}
 
-    // 各データに番号を振ってリスト化
-    const numberedList = items.map((item, i) => `${i + 1}. ${item}`).join("\n");
+/**
+ * 番号付きリストを依頼する正規化リクエスト（テンプレート batchAI）
+ *
+ * @return {Object} { request, chain, error: テンプレートのエラー文 | null }
+ */
+function _batchRequest(texts, instruction, systemInst) {
+    const numberedList = texts.map((text, i) => `${i + 1}. ${text}`).join("\n");
 
-    // AIへの指示文を組み立て
-    const batchPrompt = `以下の${items.length}件のデータに対して、それぞれ「${instruction}」を実行してください。
-結果は番号付きリストで、入力と同じ順番で出力してください。
+    const t = _renderAITemplate("batchAI", { count: texts.length, instruction: instruction, items: numberedList });
+    if (t.error) return { error: t.error };
+    const fullSystemInst = [systemInst, t.system].filter(s => s).join("\n\n");
+
+    const outputTokens = Math.min(AI_BATCH_MAX_OUTPUT_TOKENS,
+        Math.max(AI_DEFAULT_MAX_TOKENS, _estimateTokens(numberedList) * 2 + texts.length * 10));
+    return { request: _buildAIRequest(t.user, fullSystemInst, t.temperature, null, null, outputTokens), chain: t.chain, error: null };
+}
+
+/**
+ * 「番号. 結果」形式の回答を { 番号: 結果 } に変換する
+ * 1. / 1) / 1: / [1] / 全角数字 を受け付け、番号のない行は直前の項目の続きとみなす。
+ *
+ * 【項目の区切りとみなす行】
+ *  区切り（. ) : [ ] など）の付いた範囲内の番号の行のうち、上から番号が増えていく並びを最も長く作れるものだけ。
+ *  回答の中の「10 人が参加」「2024年…」（区切りなし）や、並びから外れた「10. …」は前の項目の続きになる。
+ *  番号が飛んでいても（1, 3）区切りとして扱い、抜けた番号は問い直しの対象になる。
+ *  最後の区切りより後にある範囲外の番号の行（「9. …」）からは読み飛ばす。
+ *
+ * @param {string} text  AIの回答
+ * @param {number} count 期待する件数
+ */
+function _parseNumberedAnswers(text, count) {
+    const lines = String(text)
+        .replace(/[０-９]/g, d => String.fromCharCode(d.charCodeAt(0) - 0xFEE0))
+        .replace(/^```[a-z]*\s*$/gm, "")
+        .split("\n")
+        .map(line => {
+            const m = /^\s*(?:[-*]\s*)?(?:\[(\d+)\]|(\d+)(?:[.．](?!\d)|\s*[)）、:：]))\s*(.*)$/.exec(line);
+            return { text: line, no: m ? Number(m[1] || m[2]) : null, rest: m ? m[3] : "" };
+        });
 
----
-${numberedList}`;
+    const starts = _numberedAnswerStarts(lines.map(l => (l.no !== null && l.no >= 1 && l.no <= count ? l.no : null)));
+    const answers = {};
+    let current = null;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (starts[i]) {
+            current = line.no;
+            answers[current] = line.rest.trim();
+        } else if (current !== null && line.no !== null && (line.no < 1 || line.no > count) && !starts.slice(i).some(s => s)) {
+            break;
+        } else if (current !== null && line.text.trim() !== "") {
+            answers[current] = (answers[current] ? answers[current] + "\n" : "") + line.text.trim();
+        }
+    }
 
-    return hy_AI(batchPrompt, systemInst, 0.3);
+    // 中身のない番号は「回答なし」として扱う
+    Object.keys(answers).forEach(n => { if (answers[n] === "") delete answers[n]; });
+    return answers;
+}
+
+/**
+ * 項目の区切りにする行を選ぶ（番号が増えていく最長の並び。同じ長さなら飛ばした番号の少ない方）
+ *
+ * @param {Array} numbers 行ごとの番号（候補でない行は null）
+ * @return {Array} 行ごとに区切りなら true
+ */
+function _numberedAnswerStarts(numbers) {
+    const length = numbers.map(() => 0);
+    const skipped = numbers.map(() => 0);
+    const prev = numbers.map(() => -1);
+    const better = (len, skip, i) => len > length[i] || (len === length[i] && skip < skipped[i]);
+    let best = -1;
+    numbers.forEach((no, i) => {
+        if (no === null) return;
+        length[i] = 1;
+        skipped[i] = no - 1;
+        for (let j = 0; j < i; j++) {
+            if (numbers[j] === null || numbers[j] >= no) continue;
+            const skip = skipped[j] + no - numbers[j] - 1;
+            if (better(length[j] + 1, skip, i)) {
+                length[i] = length[j] + 1;
+                skipped[i] = skip;
+                prev[i] = j;
+            }
+        }
+        if (best === -1 || better(length[i], skipped[i], best)) best = i;
+    });
+
+    const starts = numbers.map(() => false);
+    for (let i = best; i !== -1; i = prev[i]) starts[i] = true;
+    return starts;
 }
 
 
@@ -138,37 +534,172 @@ ${numberedList}`;
 // ============================================================
 // 出力形式（リスト・表・短文・詳細）を指定してAIに質問する。
 // 用途に応じて最適な形式で回答を得られる。
+//
+// 【表形式はセルに展開（スピル）】
+//  "table"(タブ区切り) / "csv" / "markdown-table" は回答を2次元配列にして返す。
+//  - 表の前後の説明文・``` の囲みは読み飛ばす
+//  - Markdown の区切り行（|---|---|）の上を見出し行とみなす
+//  - 列数の足りない行は空欄で埋める。見出しが空の列は「列N」にする
+//  - 数字だけのセルは数値にする（見出し行を除く）
+//  - 表として読めなければ、回答の文字列をそのまま返す
+//
+// 【リストの展開】
+//  "list" で spill=TRUE なら、箇条書き1項目を1行にして縦に並べる。
 // ============================================================
+
+/** 表として返す形式と、その区切り方 */
+const FORMAT_TABLE_KINDS = { "table": "tsv", "tsv": "tsv", "csv": "csv", "markdown-table": "markdown", "markdown": "markdown" };
+
 /**
  * 出力形式を指定してAIに質問します。
  *
- * @param {string} promptText 質問 (必須)
- * @param {string} format     出力形式 (初期値: "list")
- *                            "list"   → 箇条書き
- *                            "table"  → 表形式
- *                            "short"  → 50文字以内
- *                            "detail" → 詳細説明
- * @param {string} systemInst 追加のシステム指示 (任意)
+ * @param {string}  promptText 質問 (必須)
+ * @param {string}  format     出力形式 (初期値: "list")
+ *                             "list"           → 箇条書き
+ *                             "table"          → 表形式（タブ区切り）をセルに展開
+ *                             "csv"            → CSV をセルに展開
+ *                             "markdown-table" → Markdown の表をセルに展開
+ *                             "short"          → 50文字以内
+ *                             "detail"         → 詳細説明
+ * @param {string}  systemInst 追加のシステム指示 (任意)
+ * @param {boolean} spill      セルに展開するか (初期値: 表形式は TRUE、list は FALSE)
  * @customfunction
  */
-function formatAI(promptText, format = "list", systemInst = "") {
+function formatAI(promptText, format = "list", systemInst = "", spill = "") {
     if (!promptText) return "【通知】質問を入力してください。";
 
-    // フォーマットごとのAI向け指示文
-    const formatInstructions = {
-        "list": "回答は箇条書き（リスト形式）で簡潔にまとめてください。",
-        "table": "回答は表形式（ヘッダー行 + データ行）で出力してください。区切り文字にはタブを使用してください。",
-        "short": "回答は50文字以内で簡潔に要点のみ答えてください。",
-        "detail": "回答は詳細に、背景や理由も含めて丁寧に説明してください。"
-    };
+    format = String(format || "list").toLowerCase();
+    if (format === "tsv") format = "table";
+    if (format === "markdown") format = "markdown-table";
 
-    // 指定されたフォーマットに対応する指示を取得（不明な場合はリスト形式）
-    const formatHint = formatInstructions[format] || formatInstructions["list"];
+    // フォーマットごとの指示文はテンプレート formatAI.<形式>（不明な場合はリスト形式）
+    const templateName = DEFAULT_AI_TEMPLATES["formatAI." + format] ? "formatAI." + format : "formatAI.list";
+    const t = _renderAITemplate(templateName, { prompt: promptText });
+    if (t.error) return t.error;
 
     // ユーザーのシステム指示 + フォーマット指示を合成
-    const fullSystemInst = (systemInst ? systemInst + "\n\n" : "") + formatHint;
+    const fullSystemInst = (systemInst ? systemInst + "\n\n" : "") + t.system;
+
+    const request = _buildAIRequest(t.user, fullSystemInst, t.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.trace = _newAITrace("formatAI");
+    const outcome = _hybridAsk(request, promptText, "", undefined, t.chain);
+    if (!outcome.success) return outcome.message;
+    const text = outcome.result.text;
+
+    // -- セルへの展開 --
+    const tableKind = FORMAT_TABLE_KINDS[format];
+    const doSpill = (spill === "" || spill === undefined || spill === null)
+        ? !!tableKind
+        : (spill === true || spill === "TRUE" || spill === "true");
+    if (!doSpill) return text;
 
-    return hy_AI(promptText, fullSystemInst, 0.3);
+    if (tableKind) return _parseTableText(text, tableKind) || text;
+    if (format === "list") {
+        const items = _parseListItems(text);
+        return items.length > 0 ? items.map(item => [item]) : text;
+    }
+    return text;
+}
+
+/**
+ * 表の文字列を2次元配列にする。読めなければ null。
+ * 指定の形式で読めなければ、他の形式（Markdown → タブ → CSV）も試す。
+ *
+ * @param {string} text 回答
+ * @param {string} kind "tsv" / "csv" / "markdown"
+ */
+function _parseTableText(text, kind) {
+    const body = String(text).replace(/^```[a-z-]*\s*$/gim, "");
+    const order = [kind].concat(["markdown", "tsv", "csv"].filter(k => k !== kind));
+
+    for (const k of order) {
+        // 区切り文字の表は、文中のカンマを表と取り違えないよう見出し + 1行以上を条件にする
+        const rows = k === "markdown" ? _parseMarkdownTable(body) : _largestTableBlock(_parseDelimited(body, k === "tsv" ? "\t" : ","));
+        if (rows && rows.length >= (k === "markdown" ? 1 : 2) && rows[0].length >= 2) return _normalizeTableRows(rows);
+    }
+    return null;
+}
+
+/** Markdown の表を読む（区切り行 |---| の上を見出しとする） */
+function _parseMarkdownTable(text) {
+    const lines = text.split("\n").map(l => l.trim());
+    const sepIndex = lines.findIndex(l => /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/.test(l));
+    if (sepIndex < 1 || lines[sepIndex - 1].indexOf("|") === -1) return null;
+
+    const splitRow = line => line.replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, "|"));
+    const rows = [splitRow(lines[sepIndex - 1])];
+    for (let i = sepIndex + 1; i < lines.length && lines[i].indexOf("|") !== -1; i++) {
+        rows.push(splitRow(lines[i]));
+    }
+    return rows;
+}
+
+/** 区切り文字で行・列に分ける（ダブルクォートで囲んだ値の区切り文字・改行・"" に対応） */
+function _parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cellText = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charAt(i);
+        if (quoted) {
+            if (ch === '"' && text.charAt(i + 1) === '"') { cellText += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cellText += ch;
+        } else if (ch === '"' && cellText.trim() === "") {
+            quoted = true;
+            cellText = "";
+        } else if (ch === delimiter) {
+            row.push(cellText.trim());
+            cellText = "";
+        } else if (ch === "\n") {
+            row.push(cellText.trim());
+            rows.push(row);
+            row = [];
+            cellText = "";
+        } else if (ch !== "\r") {
+            cellText += ch;
+        }
+    }
+    row.push(cellText.trim());
+    rows.push(row);
+    return rows;
+}
+
+/** 2列以上ある行が続く、いちばん長いかたまりを表とみなす（前後の説明文を除く） */
+function _largestTableBlock(rows) {
+    let best = [];
+    let current = [];
+    rows.forEach(r => {
+        if (r.length >= 2) {
+            current.push(r);
+        } else {
+            if (current.length > best.length) best = current;
+            current = [];
+        }
+    });
+    return current.length > best.length ? current : best;
+}
+
+/** 列数をそろえ、空の見出しを埋め、数字のセルを数値にする */
+function _normalizeTableRows(rows) {
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    return rows.map((r, i) => {
+        const padded = r.concat(new Array(width - r.length).fill(""));
+        if (i === 0) return padded.map((h, c) => h === "" ? "列" + (c + 1) : h);
+        return padded.map(v => /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v);
+    });
+}
+
+/** 箇条書き（- / * / ・ / 1.）の各項目を取り出す */
+function _parseListItems(text) {
+    const items = [];
+    String(text).split("\n").forEach(line => {
+        const m = /^\s*(?:[-*+・•]|\d+[.)．])\s+(.*\S)\s*$/.exec(line);
+        if (m) items.push(m[1].replace(/^\*\*(.*)\*\*$/, "$1"));
+    });
+    return items;
 }
 
 
@@ -176,22 +707,645 @@ function formatAI(promptText, format = "list", systemInst = "") {
 // 5. 要約関数: summarizeAI
 // ============================================================
 // 長いテキストを指定文字数以内に要約する。
+//
+// 【長いテキスト（map-reduce）】
+//  入力が AI_SUMMARY_CHUNK_TOKENS を超えるときは、段落 → 文（。！？ など）の切れ目で分割し、
+//  分割ごとに要約（テンプレート summarizeAI.chunk）してから、つないでもう一度要約する。
+//  つないだ要約もまだ長ければ、収まるまで同じことを繰り返す（階層的にまとめる）。
+//
+// 【文字数の上限】
+//  回答の文字数を数え、maxChars を超えていたら縮めるよう頼み直す（テンプレート summarizeAI.shorten、
+//  最大 AI_SUMMARY_SHORTEN_TRIES 回）。それでも超えたら、文の切れ目で切って「…」を付ける。
+//
+// 【要約のスタイル（style）】
+//  plain（初期値）/ bullets（箇条書き）/ executive（結論・根拠・次の行動）/ tldr（1〜2文）
+//
+// 【スクリプトプロパティ】
+//  AI_SUMMARY_CHUNK_TOKENS  1回に送る入力の上限 (初期値: 6000)
+//
+// 【1回の計算で要約しきれない長さ】
+//  すべての呼び出しは合わせて1回分の制限時間（AI_TIME_BUDGET_SEC）で処理する。
+//  各段を始める前に「この段の分割の数 + 最後のまとめ」の呼び出しが残り時間に収まるかを
+//  それまでの応答時間から見積もり、収まらなければ呼ぶ前に【⏱タイムアウト】で知らせる。
+//  AI_SUMMARY_MAX_LEVELS 段まとめても上限に収まらないときは、送らずに【⚠️入力超過】を返す。
+//  そのような長い文書は、範囲を分けて =summarizeAI で部分ごとに要約し、その結果の範囲を
+//  もう一度 summarizeAI する。行が多いときは startAIJob（テンプレート「要約: {input}」など）で
+//  各行の要約を値として書き出してから、その列を summarizeAI するとよい。
 // ============================================================
+
+/** 1回に送る入力の目安（トークン） */
+const AI_SUMMARY_DEFAULT_CHUNK_TOKENS = 6000;
+
+/** 文字数の上限を超えたときに頼み直す回数 */
+const AI_SUMMARY_SHORTEN_TRIES = 2;
+
+/** 分割の要約をまとめ直す最大の段数（縮まらない回答で止まらなくなるのを防ぐ） */
+const AI_SUMMARY_MAX_LEVELS = 4;
+
+/** 要約のスタイル → システム指示に足す文 */
+const SUMMARY_STYLES = {
+    "plain": "",
+    "bullets": "「・」で始まる箇条書きでまとめてください。",
+    "executive": "意思決定者向けに、結論・根拠・次に取るべき行動の順でまとめてください。",
+    "tldr": "最も重要な点だけを1〜2文でまとめてください。"
+};
+
+/** スタイルの別名 */
+const SUMMARY_STYLE_ALIASES = { "箇条書き": "bullets", "bullet": "bullets", "経営向け": "executive", "一言": "tldr", "tl;dr": "tldr" };
+
 /**
- * テキストを要約します。
+ * テキストを要約します。長いテキストは分割して要約してからまとめます。
  *
- * @param {string} text     要約するテキスト (必須)
- * @param {number} maxChars 最大文字数 (初期値: 200)
+ * @param {string|Range} text     要約するテキスト (必須)。範囲ならセルを改行でつなぐ
+ * @param {number}       maxChars 最大文字数 (初期値: 200)
+ * @param {string}       style    "plain" / "bullets" / "executive" / "tldr" (初期値: "plain")
  * @customfunction
  */
-function summarizeAI(text, maxChars = 200) {
-    if (!text) return "【通知】要約するテキストを入力してください。";
+function summarizeAI(text, maxChars = 200, style = "plain") {
+    const source = Array.isArray(text) ? _rowTexts(text).filter(t => t !== "").join("\n") : String(text || "");
+    if (!source.trim()) return "【通知】要約するテキストを入力してください。";
+    maxChars = Math.floor(Number(maxChars)) > 0 ? Math.floor(Number(maxChars)) : 200;
+    const styleKey = _summaryStyle(style);
+    if (styleKey === null) return `【通知】style は ${Object.keys(SUMMARY_STYLES).join(" / ")} のどれかです（指定: ${style}）。`;
 
-    // 要約の専門家として、指定文字数以内に要約を依頼
-    const systemInst = `あなたは要約の専門家です。入力されたテキストを${maxChars}文字以内で要約してください。要約のみを出力し、前置きや補足は不要です。`;
+    const props = PropertiesService.getScriptProperties();
+    const chunkTokens = Number(props.getProperty('AI_SUMMARY_CHUNK_TOKENS')) || AI_SUMMARY_DEFAULT_CHUNK_TOKENS;
+    const run = {
+        deadline: _aiDeadline(), trace: _newAITrace("summarizeAI"), maxChars: maxChars, style: SUMMARY_STYLES[styleKey],
+        calls: 0, elapsedMs: 0
+    };
+
+    // map-reduce: 1回で送れる長さになるまで、分割して要約する
+    let body = source;
+    for (let level = 0; _estimateTokens(body) > chunkTokens; level++) {
+        if (level >= AI_SUMMARY_MAX_LEVELS) {
+            return `【⚠️入力超過】${AI_SUMMARY_MAX_LEVELS} 段まとめても1回に送れる長さ（AI_SUMMARY_CHUNK_TOKENS: ${chunkTokens}）に収まりませんでした。範囲を分けて要約してください。`;
+        }
+        const chunks = _splitForSummary(body, chunkTokens);
+        const shortage = _summaryTimeShortage(chunks.length + 1, run);
+        if (shortage) return shortage;
+        const parts = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const part = _summaryAsk("summarizeAI.chunk", {
+                text: chunks[i], part: i + 1, parts: chunks.length, chunkChars: Math.max(maxChars, 400)
+            }, Math.max(maxChars, 400), run);
+            if (part.error) return part.error;
+            parts.push(part.text);
+        }
+        body = parts.join("\n\n");
+    }
+
+    const summary = _summaryAsk("summarizeAI", { text: body, maxChars: maxChars, style: run.style }, maxChars, run);
+    if (summary.error) return summary.error;
+    return _enforceSummaryLength(summary.text, run);
+}
+
+/**
+ * あと calls 回の呼び出しが残り時間に収まらないなら、そのメッセージを返す（収まるなら ""）
+ * 1回あたりの時間は、それまでの応答時間の平均（まだなければ AI_MIN_ATTEMPT_MS）で見積もる。
+ */
+function _summaryTimeShortage(calls, run) {
+    const perCallMs = run.calls > 0 ? Math.max(run.elapsedMs / run.calls, 1) : AI_MIN_ATTEMPT_MS;
+    const remainingMs = run.deadline - Date.now();
+    if (calls * perCallMs <= remainingMs) return "";
+    return `【⏱タイムアウト】文書が長く、1回の計算では要約しきれません（あと ${calls} 回の呼び出しが必要・残り ${Math.max(0, Math.floor(remainingMs / 1000))} 秒）。` +
+        "範囲を分けて summarizeAI し、その結果をもう一度 summarizeAI してください。";
+}
+
+/** style の名前を SUMMARY_STYLES のキーにする（知らない名前は null） */
+function _summaryStyle(style) {
+    const key = String(style || "plain").trim().toLowerCase();
+    if (SUMMARY_STYLES[key] !== undefined) return key;
+    return SUMMARY_STYLE_ALIASES[key] || null;
+}
+
+/** 文字数（サロゲートペアも1文字） */
+function _charLength(text) {
+    return Array.from(String(text)).length;
+}
+
+/**
+ * 上限を超えていたら縮めるよう頼み直し、それでも超えたら文の切れ目で切る
+ */
+function _enforceSummaryLength(text, run) {
+    let current = String(text).trim();
+    for (let attempt = 0; attempt < AI_SUMMARY_SHORTEN_TRIES && _charLength(current) > run.maxChars; attempt++) {
+        const shorter = _summaryAsk("summarizeAI.shorten", {
+            text: current, length: _charLength(current), maxChars: run.maxChars, style: run.style
+        }, run.maxChars, run);
+        if (shorter.error) break;   // 縮められなければ、手元の要約を切って返す
+        current = shorter.text.trim();
+    }
+    if (_charLength(current) <= run.maxChars) return current;
+
+    console.warn(`【summarizeAI文字数超過】${_charLength(current)} 文字 > ${run.maxChars} 文字のため切り詰め`);
+    const head = Array.from(current).slice(0, run.maxChars - 1).join("");
+    const cut = Math.max(head.lastIndexOf("。"), head.lastIndexOf("\n"), head.lastIndexOf("！"), head.lastIndexOf("？"));
+    return (cut >= head.length / 2 ? head.substring(0, cut + 1) : head).replace(/\s+$/, "") + "…";
+}
+
+/**
+ * テンプレートで1回問い合わせる
+ *
+ * @param {number} answerChars 回答に見込む文字数（最大トークン数の目安）
+ * @return {Object} { text, error }（error は失敗時のメッセージ）
+ */
+function _summaryAsk(templateName, values, answerChars, run) {
+    if (Date.now() + AI_MIN_ATTEMPT_MS > run.deadline) {
+        return { error: "【⏱タイムアウト】時間切れのため要約を中断しました（AI_TIME_BUDGET_SEC を確認してください）" };
+    }
+    const t = _renderAITemplate(templateName, values);
+    if (t.error) return { error: t.error };
+
+    const maxTokens = Math.max(AI_DEFAULT_MAX_TOKENS, answerChars * 2);
+    const request = _buildAIRequest(t.user, t.system, t.temperature, null, null, maxTokens);
+    request.trace = run.trace;
+    const started = Date.now();
+    const outcome = _hybridAsk(request, t.user, "", run.deadline, t.chain);
+    run.calls++;
+    run.elapsedMs += Date.now() - started;
+    return outcome.success ? { text: outcome.result.text, error: null } : { error: outcome.message };
+}
+
+/**
+ * 段落 → 文 → 文字の順に切れ目を探し、maxTokens 以内のかたまりに分ける
+ * 短い段落・文は、上限まで1つのかたまりにまとめる。
+ */
+function _splitForSummary(text, maxTokens) {
+    const pieces = [];
+    String(text).split(/\n\s*\n/).forEach(paragraph => {
+        if (!paragraph.trim()) return;
+        if (_estimateTokens(paragraph) <= maxTokens) { pieces.push(paragraph.trim()); return; }
+        // 文末（。！？!? と閉じかっこ、または英文のピリオド + 空白）で切る
+        (paragraph.match(/(?:[^。！？!?\n.]|\.(?!\s))*(?:[。！？!?]+[」』）)]*|\.(?=\s)|\n|$)/g) || []).forEach(sentence => {
+            if (!sentence.trim()) return;
+            if (_estimateTokens(sentence) <= maxTokens) { pieces.push(sentence.trim()); return; }
+            // 1文が長すぎるときは文字数で切る
+            const chars = Array.from(sentence.trim());
+            for (let i = 0; i < chars.length; i += maxTokens) pieces.push(chars.slice(i, i + maxTokens).join(""));
+        });
+    });
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    pieces.forEach(piece => {
+        const tokens = _estimateTokens(piece) + 1;
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            chunks.push(current.join("\n"));
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(piece);
+        currentTokens += tokens;
+    });
+    if (current.length > 0) chunks.push(current.join("\n"));
+    return chunks;
+}
+
+// ============================================================
+// 6. JSON → セル展開関数: jsonCellsAI
+// ============================================================
+// hy_AI_JSON の回答（または質問 + 項目名）を2次元配列にして返す。
+// REGEXEXTRACT で手作業で取り出さなくても、表としてそのまま並ぶ。
+//
+// 【展開のしかた】
+//  オブジェクトの配列 → 見出し行 + 1件1行
+//  オブジェクト1つ   → 指定した列順で1行
+//  値の配列          → 縦1列
+//  値1つ             → そのまま
+//  セルに入らない入れ子（オブジェクト・配列）は JSON 文字列のまま入れる。
+//
+// 【JSON か質問か】
+//  { [ または ``` で始まる入力は JSON のつもりとみなし、読めなければ【⚠️JSON解析エラー】を返す
+//  （壊れた JSON・途中で切れた回答を質問として送り、作り話の表が返るのを防ぐ）。
+//  それ以外で JSON として読めない文字列だけを質問として扱う。
+//
+// 【path（JSON パス）】 ai_schema.js の _selectJsonPath を参照
+//  items[*]       → items 配列の各要素
+//  items[*].name  → 各要素の name だけ（縦1列）
+//
+// 【fields（列）】 カンマ区切り または 範囲
+//  各列も JSON パスで書ける（例: "name,address.city,tags[*]"）。
+//  [*] を含む列は複数の値を「, 」でつなぐ。
+//  省略時は、登場した項目名を登場順に並べる。
+// ============================================================
+/**
+ * JSON をセルの表に展開します。JSON でない文字列は質問として hy_AI_JSON 相当で問い合わせます。
+ *
+ * @param {string}  source  JSON 文字列（hy_AI_JSON の結果など） または 質問 (必須)
+ * @param {string}  fields  列の並び（カンマ区切り または 範囲）(任意)
+ *                          質問の場合は、この項目を持つオブジェクトの配列を依頼する
+ * @param {string}  path    取り出す位置の JSON パス (任意) 例: "items[*].name"
+ * @param {boolean} header  見出し行を付けるか (初期値: 配列なら TRUE、オブジェクト1つなら FALSE)
+ * @return 2次元配列
+ * @customfunction
+ */
+function jsonCellsAI(source, fields = "", path = "", header = "") {
+    if (Array.isArray(source)) source = source[0] && source[0][0];
+    if (source === undefined || source === null || String(source).trim() === "") return "【通知】JSON または質問を入力してください。";
+
+    const fieldList = (Array.isArray(fields) ? fields.flat() : String(fields || "").split(/[,、]/))
+        .map(f => String(f).trim())
+        .filter(f => f !== "");
+
+    // -- JSON として読めなければ質問として扱う（JSON のつもりの入力は除く） --
+    const text = String(source);
+    if (text.indexOf("【") === 0) return text;   // hy_AI_JSON のエラー文はそのまま
+    let data;
+    try {
+        data = JSON.parse(_stripJsonFences(text));
+    } catch (e) {
+        if (/^\s*(?:[{[]|```)/.test(text)) return "【⚠️JSON解析エラー】JSON として読めません: " + e.message;
+        const asked = _askJsonForCells(text, fieldList);
+        if (asked.error) return asked.error;
+        data = asked.data;
+        if (!path && fieldList.length > 0) path = "items[*]";
+    }
+
+    const selected = _selectJsonPath(data, path);
+    if (selected.values.length === 0) return "【⚠️該当なし】" + (path || "$") + " に一致する値がありません";
+
+    const showHeader = (header === "" || header === undefined || header === null) ? null
+        : (header === true || header === "TRUE" || header === "true");
+    return _jsonToRows(selected.multi ? selected.values : selected.values[0], fieldList, showHeader);
+}
+
+/** 質問して、fields を持つオブジェクトの配列（{ items: [...] }）を受け取る */
+function _askJsonForCells(promptText, fieldList) {
+    const t = _renderAITemplate("jsonCellsAI", { prompt: promptText });
+    if (t.error) return { error: t.error };
+
+    let schema = null;
+    let systemInst = t.system;
+    if (fieldList.length > 0) {
+        const props = {};
+        fieldList.forEach(f => { props[f] = { type: ["string", "number", "boolean", "null"] }; });
+        schema = {
+            type: "object",
+            properties: { items: { type: "array", items: { type: "object", properties: props, required: fieldList } } },
+            required: ["items"]
+        };
+        systemInst += "\n次の JSON Schema に従ってください:\n" + JSON.stringify(schema);
+    }
+
+    const request = _buildAIRequest(t.user, systemInst, t.temperature, null, null, AI_DEFAULT_MAX_TOKENS);
+    request.jsonMode = true;
+    request.responseSchema = schema;
+    request.trace = _newAITrace("jsonCellsAI");
+
+    const outcome = _hybridAsk(request, promptText, "", undefined, t.chain);
+    if (!outcome.success) return { error: outcome.message };
+    return { data: JSON.parse(outcome.result.text) };
+}
+
+/** 選んだ値を2次元配列にする（showHeader が null なら形に応じて決める） */
+function _jsonToRows(value, fieldList, showHeader) {
+    const cell = v => (v === null || v === undefined) ? "" : (typeof v === "object" ? JSON.stringify(v) : v);
+    const isObject = v => v !== null && typeof v === "object" && !Array.isArray(v);
+    const pick = (item, field) => {
+        const hit = _selectJsonPath(item, field);
+        return hit.multi ? hit.values.map(cell).join(", ") : cell(hit.values[0]);
+    };
+    const columnsOf = items => {
+        if (fieldList.length > 0) return fieldList;
+        const seen = [];
+        items.forEach(item => Object.keys(item).forEach(k => { if (seen.indexOf(k) === -1) seen.push(k); }));
+        return seen;
+    };
+
+    // オブジェクト1つ → 1行
+    if (isObject(value)) {
+        const columns = columnsOf([value]);
+        const row = columns.map(f => pick(value, f));
+        return showHeader === true ? [columns, row] : [row];
+    }
+
+    // 値1つ
+    if (!Array.isArray(value)) return [[cell(value)]];
+    if (value.length === 0) return "【⚠️該当なし】空の配列です";
+
+    // オブジェクトの配列 → 見出し + 1件1行
+    if (value.some(isObject)) {
+        const columns = columnsOf(value.filter(isObject));
+        const rows = value.map(item => isObject(item) ? columns.map(f => pick(item, f)) : [cell(item)].concat(columns.slice(1).map(() => "")));
+        return showHeader === false ? rows : [columns].concat(rows);
+    }
+
+    // 値の配列 → 縦1列
+    return value.map(v => [cell(v)]);
+}
+
+// ============================================================
+// 7. 分類関数: classifyAI
+// ============================================================
+// テキストを、指定したラベルのどれかに分類する。
+// batchAI で「カテゴリ分け」すると表記ゆれが出るが、こちらは必ず一覧のラベルで返す。
+//
+// 【ラベルの強制】
+//  ラベルを enum にした JSON Schema で回答させる（ai_schema.js）。
+//  - 構造化出力に対応したプロバイダーでは、出力そのものがラベルに制限される
+//  - 手元でも一覧と完全一致するかを必ず確かめ、合わなければ同じモデルに
+//    1回直させ、それでもダメなら次のモデルを試す
+//
+// 【複数のテキスト】
+//  範囲を渡すと1行を1件とし、batchAI と同じ分割でまとめて問い合わせる。
+//  結果は入力の各行に対応した縦の列で返す（空の行は空のまま）。
+// ============================================================
+/**
+ * テキストを指定したラベルのどれかに分類します。
+ *
+ * @param {Range}   text              分類するテキスト、または縦の範囲 (必須) 例: A2:A100
+ * @param {Range}   labelsRange       ラベルの一覧 (必須) 例: E2:E5 / "質問,要望,苦情"
+ * @param {Range}   descriptionsRange 各ラベルの説明 (任意) ラベルと同じ並び
+ * @param {boolean} allowMulti        複数のラベルを許すか (初期値: FALSE)。TRUE なら「, 」でつなぐ
+ * @param {boolean} showConfidence    確信度(0〜1)を隣の列に付けるか (初期値: FALSE)
+ * @return ラベル（範囲なら各行に1つ）。showConfidence=TRUE なら [ラベル, 確信度]
+ * @customfunction
+ */
+function classifyAI(text, labelsRange, descriptionsRange = "", allowMulti = false, showConfidence = false) {
+    const labels = _rangeToList(labelsRange);
+    if (labels.length < 2) return "【通知】ラベルを2つ以上指定してください。";
+    if (text === undefined || text === null || text === "") return "【通知】分類するテキストを入力してください。";
+
+    const descriptions = Array.isArray(descriptionsRange)
+        ? descriptionsRange.reduce((all, row) => all.concat(row), []).map(d => String(d).trim())
+        : [];
+    const multi = allowMulti === true || allowMulti === "TRUE" || allowMulti === "true";
+    const withConfidence = showConfidence === true || showConfidence === "TRUE" || showConfidence === "true";
+
+    // 1行 = 1件（batchAI と同じ）
+    const items = Array.isArray(text)
+        ? text.map(row => row.filter(cell => cell !== "" && cell !== null).map(cell => String(cell).replace(/\s*\n\s*/g, " ")).join(" | "))
+        : [String(text)];
+    if (items.every(item => item === "")) return "【通知】データが空です。";
+
+    const results = _classifyRun(items, labels, descriptions, multi);
+    const toRow = r => {
+        if (!r) return withConfidence ? ["", ""] : [""];
+        if (r.error) return withConfidence ? [r.error, ""] : [r.error];
+        return withConfidence ? [r.label, r.confidence] : [r.label];
+    };
+
+    if (!Array.isArray(text)) return (results[0].error || !withConfidence) ? toRow(results[0])[0] : [toRow(results[0])];
+    return results.map(toRow);
+}
+
+/** 範囲・カンマ区切りの文字列を、空でない重複なしの値の一覧にする */
+function _rangeToList(value) {
+    const flat = Array.isArray(value) ? value.reduce((all, row) => all.concat(row), []) : String(value || "").split(/[,、]/);
+    const list = [];
+    flat.map(v => String(v).trim()).forEach(v => { if (v !== "" && list.indexOf(v) === -1) list.push(v); });
+    return list;
+}
+
+/**
+ * 項目を分割して分類する
+ *
+ * @return {Array} items と同じ並びの { label, confidence } / { error } / null（空の項目）
+ */
+function _classifyRun(items, labels, descriptions, multi) {
+    const labelProps = multi
+        ? { labels: { type: "array", items: { type: "string", enum: labels }, minItems: 1 } }
+        : { label: { type: "string", enum: labels } };
+    const itemProps = Object.assign(labelProps, { confidence: { type: "number", minimum: 0, maximum: 1 } });
+    const values = {
+        rule: multi ? "当てはまるラベルをすべて選んでください（1つ以上）。" : "最も当てはまるラベルを1つだけ選んでください。",
+        labels: labels.map((l, i) => "- " + l + (descriptions[i] ? "：" + descriptions[i] : "")).join("\n")
+    };
+    // 1件あたり: 番号・確信度・括弧の分 + ラベル（複数可なら全ラベル分）
+    const labelTokens = multi ? _estimateTokens(labels.join(",")) : Math.max.apply(null, labels.map(l => _estimateTokens(l)));
+
+    return _runInChunks(items, "classifyAI", (texts, deadline, trace) =>
+        _askNumberedJson(texts, "classifyAI", values, itemProps, 20 + labelTokens, deadline, trace).map(r => {
+            if (r.error) return r;
+            const chosen = multi ? r.labels.filter((l, k) => r.labels.indexOf(l) === k).join(", ") : r.label;
+            return { label: chosen, confidence: Math.round(r.confidence * 100) / 100 };
+        }));
+}
+
+
+// ============================================================
+// 8. 項目抽出関数: extractAI
+// ============================================================
+// メールや問い合わせフォームの文章から、会社名・日付・金額・電話番号などの
+// 項目を取り出し、入力1行につき1行の表にして返す。
+//
+// 【項目の定義（fieldSpecRange）】 1行 = 1項目（1行目が「名前」なら見出しとして飛ばす）
+//  A: 名前    例: 会社名
+//  B: 型      string / number / date / enum（空欄は string）
+//  C: ヒント  例: "税込の合計金額" / "ハイフン付き"
+//  D: 選択肢  enum の候補（カンマ区切り）。空欄ならヒントをカンマで区切って使う
+//  "会社名,金額:number,日付:date" のような文字列でも書ける。
+//
+// 【値の整え方】
+//  number → ¥ / 円 / カンマ / 全角数字を取り除いて数値に（「1.2万」も可）
+//  date   → 2026-04-01 / 2026/4/1 / 2026年4月1日 を日付の値に
+//  enum   → 選択肢と完全に一致するものだけ（スキーマで強制）
+//  文章に書かれていない項目・読めない値は空欄にする（推測で埋めない）
+// ============================================================
+
+/** 項目の型の別名 */
+const EXTRACT_FIELD_TYPES = {
+    "string": "string", "text": "string", "文字列": "string",
+    "number": "number", "数値": "number", "金額": "number",
+    "date": "date", "日付": "date",
+    "enum": "enum", "選択": "enum", "選択肢": "enum"
+};
+
+/**
+ * 文章から指定した項目を取り出し、入力1行につき1行の表で返します。
+ *
+ * @param {Range}   textRange      取り出し元の文章、または縦の範囲 (必須) 例: A2:A100
+ * @param {Range}   fieldSpecRange 項目の定義 [名前, 型, ヒント, 選択肢] (必須) 例: F2:I5
+ * @param {boolean} header         先頭に項目名の行を付けるか (初期値: FALSE)
+ * @return 入力の行数 × 項目数の2次元配列（日付は日付の値、数値は数値）
+ * @customfunction
+ */
+function extractAI(textRange, fieldSpecRange, header = false) {
+    const spec = _parseExtractFields(fieldSpecRange);
+    if (spec.error) return spec.error;
+    if (textRange === undefined || textRange === null || textRange === "") return "【通知】取り出し元の文章を入力してください。";
+
+    const items = Array.isArray(textRange)
+        ? textRange.map(row => row.filter(cell => cell !== "" && cell !== null).map(cell => String(cell)).join("\n"))
+        : [String(textRange)];
+    if (items.every(item => item === "")) return "【通知】データが空です。";
+
+    const fields = spec.fields;
+    const itemProps = {};
+    fields.forEach(f => { itemProps[f.name] = _extractFieldSchema(f); });
+    const values = {
+        fields: fields.map(f => `- ${f.name}（${f.type}）` + (f.hint ? "：" + f.hint : "") +
+            (f.type === "enum" ? " 選択肢: " + f.choices.join(" / ") : "")).join("\n")
+    };
+    const perItemTokens = 10 + fields.length * 30;
+
+    const results = _runInChunks(items, "extractAI", (texts, deadline, trace) =>
+        _askNumberedJson(texts, "extractAI", values, itemProps, perItemTokens, deadline, trace));
+
+    const rows = results.map(r => {
+        if (!r) return fields.map(() => "");
+        if (r.error) return [r.error].concat(fields.slice(1).map(() => ""));
+        return fields.map(f => _normalizeExtracted(r[f.name], f));
+    });
+    const showHeader = header === true || header === "TRUE" || header === "true";
+    return showHeader ? [fields.map(f => f.name)].concat(rows) : rows;
+}
+
+/**
+ * 項目の定義を読む
+ *
+ * @return {Object} { fields: [{ name, type, hint, choices }], error: エラー文 | null }
+ */
+function _parseExtractFields(spec) {
+    let rows;
+    if (Array.isArray(spec)) {
+        rows = spec.map(r => r.map(c => String(c === null || c === undefined ? "" : c).trim()));
+        if (rows.length > 0 && (rows[0][0] === "名前" || rows[0][0] === "項目")) rows = rows.slice(1);
+    } else {
+        rows = String(spec || "").split(/[,、]/).map(part => part.split(":").map(x => x.trim()));
+    }
+
+    const fields = [];
+    for (const r of rows) {
+        const name = r[0] || "";
+        if (!name) continue;
+        const rawType = (r[1] || "string").toLowerCase();
+        const type = EXTRACT_FIELD_TYPES[rawType];
+        if (!type) return { error: `【通知】「${name}」の型 ${r[1]} は使えません（string / number / date / enum）` };
+        if (fields.some(f => f.name === name)) return { error: `【通知】項目名「${name}」が重複しています` };
+
+        const hint = r[2] || "";
+        const choices = type === "enum" ? _rangeToList(r[3] || hint) : [];
+        if (type === "enum" && choices.length === 0) return { error: `【通知】「${name}」は enum なので選択肢を指定してください` };
+        fields.push({ name: name, type: type, hint: type === "enum" && !r[3] ? "" : hint, choices: choices });
+    }
+    if (fields.length === 0) return { error: "【通知】取り出す項目を指定してください。" };
+    return { fields: fields, error: null };
+}
+
+/** 1項目分のスキーマ（書かれていなければ null を許す） */
+function _extractFieldSchema(field) {
+    switch (field.type) {
+        case "number": return { type: ["number", "string", "null"] };
+        case "date": return { type: ["string", "null"], description: "YYYY-MM-DD" };
+        case "enum": return { type: ["string", "null"], enum: field.choices.concat([null]) };
+        default: return { type: ["string", "null"] };
+    }
+}
+
+/** 回答の値を型に合わせて整える（読めなければ空欄） */
+function _normalizeExtracted(value, field) {
+    if (value === null || value === undefined) return "";
+    const text = String(value).trim()
+        .replace(/[０-９．，－]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0));
+    if (text === "" || /^(null|n\/a|none|不明|なし|-)$/i.test(text)) return "";
+
+    if (field.type === "number") {
+        if (typeof value === "number") return value;
+        const m = /^([-+]?\d+(?:\.\d+)?)(万|千)?$/.exec(text.replace(/[¥￥$,\s]|円|JPY/gi, ""));
+        if (!m) return "";
+        return Number(m[1]) * (m[2] === "万" ? 10000 : m[2] === "千" ? 1000 : 1);
+    }
+    if (field.type === "date") {
+        const m = /^(\d{4})\s*[-\/年.]\s*(\d{1,2})\s*[-\/月.]\s*(\d{1,2})\s*日?(?:[\sT]+(\d{1,2}):(\d{2}))?/.exec(text);
+        if (!m) return "";
+        const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+        return date.getMonth() === Number(m[2]) - 1 ? date : "";   // 2月30日などは空欄
+    }
+    if (field.type === "enum") return field.choices.indexOf(text) !== -1 ? text : "";
+    return String(value).trim();
+}
+
+
+// ============================================================
+// 共通: 番号付きの項目を JSON でまとめて問い合わせる（classifyAI / extractAI）
+// ============================================================
+// { results: [{ id: 番号, ... }] } の形を JSON Schema で指定し、件数と番号の範囲も固定する。
+// 検証・修復・次のモデルへの切り替えは hy_AI_JSON と同じ（ai_schema.js）。
+// 分割は batchAI と同じ上限（AI_BATCH_CHUNK_TOKENS / AI_BATCH_CHUNK_ITEMS）。
+// 分割して問い合わせる流れ（_runInChunks）は batchAI も共有する。
+// ============================================================
+/**
+ * 項目を分割して問い合わせる（空の項目は問い合わせず null のまま）
+ *
+ * @param {Array}    items      項目の文字列
+ * @param {string}   entryPoint 使用ログの呼び出し元
+ * @param {Function} askChunk   (texts, deadline, trace) → texts と同じ並びの結果
+ * @return {Array} items と同じ並びの結果
+ */
+function _runInChunks(items, entryPoint, askChunk) {
+    const results = items.map(() => null);
+    const pending = [];
+    items.forEach((item, i) => { if (item !== "") pending.push(i); });
+
+    const deadline = _aiDeadline();
+    const trace = _newAITrace(entryPoint);
+    _batchChunks(pending.map(i => items[i])).forEach(chunk => {
+        const indexes = chunk.map(offset => pending[offset]);
+        askChunk(indexes.map(i => items[i]), deadline, trace).forEach((r, k) => {
+            results[indexes[k]] = r;
+        });
+    });
+    return results;
+}
+
+/**
+ * 1つの分割を問い合わせ、番号で元の並びに戻す
+ *
+ * @param {Array}  texts         項目の文字列
+ * @param {string} templateName  テンプレート名（{{count}} / {{items}} はここで入れる）
+ * @param {Object} values        その他の変数
+ * @param {Object} itemProps     1件分のスキーマの properties（id は自動で足す）
+ * @param {number} perItemTokens 1件あたりの回答トークンの目安
+ * @return {Array} texts と同じ並びの、回答のオブジェクト / { error }
+ */
+function _askNumberedJson(texts, templateName, values, itemProps, perItemTokens, deadline, trace) {
+    if (Date.now() + AI_MIN_ATTEMPT_MS > deadline) {
+        return texts.map(() => ({ error: "【⏱タイムアウト】時間切れのため未処理" }));
+    }
+
+    const t = _renderAITemplate(templateName, Object.assign({
+        count: texts.length,
+        items: texts.map((text, i) => `【${i + 1}】${text}`).join("\n\n")
+    }, values));
+    if (t.error) return texts.map(() => ({ error: t.error }));
+
+    const count = texts.length;
+    const schema = {
+        type: "object",
+        properties: {
+            results: {
+                type: "array",
+                minItems: count,
+                maxItems: count,
+                items: {
+                    type: "object",
+                    properties: Object.assign({ id: { type: "integer", minimum: 1, maximum: count } }, itemProps),
+                    required: ["id"].concat(Object.keys(itemProps))
+                }
+            }
+        },
+        required: ["results"]
+    };
+    const outputTokens = Math.min(AI_BATCH_MAX_OUTPUT_TOKENS, Math.max(AI_DEFAULT_MAX_TOKENS, count * perItemTokens));
+    const request = _buildAIRequest(t.user, t.system + "\n次の JSON Schema に従ってください:\n" + JSON.stringify(schema),
+        t.temperature, null, null, outputTokens);
+    request.jsonMode = true;
+    request.responseSchema = schema;
+    request.trace = trace;
+
+    const outcome = _hybridAsk(request, t.user, "", deadline, t.chain);
+    if (!outcome.success) {
+        const headline = outcome.message.split("\n")[0];
+        return texts.map(() => ({ error: headline }));
+    }
 
-    // 温度を低め(0.2)に設定して正確な要約を促す
-    return hy_AI(text, systemInst, 0.2);
+    // 同じ番号が重複した分は回答なし
+    const byId = {};
+    JSON.parse(outcome.result.text).results.forEach(r => { if (byId[r.id] === undefined) byId[r.id] = r; });
+    return texts.map((text, i) => byId[i + 1] || { error: "【⚠️回答なし】" });
 }
 
-// Last Updated: 2026-02-11
+// Last Updated: 2026-10-19
@@ -6,15 +6,26 @@
 //
 // 【提供する機能】
 //  1. 使用ログ      → AI呼び出しの記録（デバッグ・分析用）
+//  2. ログバッファ  → プロパティへの分割保存と、シートへの定期書き出し
 //
 // 【ログシート「AI_Log」の列構成】
 //  A: 日時  B: モデル  C: ソース  D: ステータス
 //  E: 応答時間(ms)  F: トークン数  G: プロンプト（100文字）
+//  H: トレースID  I: 呼び出し元  J: 種別（結果 / 試行失敗）  K: 試行回数
+//  L: HTTPコード  M: エラー分類  N: 温度  O: 入力トークン  P: 出力トークン
+//  Q: 経路（失敗したモデルと理由 → 最終的に使ったモデル）
+//  R: チェーンのモデル（試したチェーンの要素。openrouter/free などは B 列の実際のモデルと違うことがある）
+//  S: エラー内容（試行失敗の行のエラー本文。150文字まで）
+//
+// 【トレースID】
+//  カスタム関数1回の呼び出しごとに1つ振る。同じ ID の「試行失敗」行を見れば、
+//  そのセルがなぜ openrouter/free まで落ちたのかが分かる。
 //
 // 【注意点】
 //  カスタム関数(@customfunction)からはシートを直接編集できないため、
 //  ログは一旦 PropertiesService にバッファリングし、
-//  flushAILog() を手動実行してシートに書き出す設計にしています。
+//  flushAILog() でシートに書き出す設計にしています。
+//  installAILogTrigger() を一度実行すれば、書き出しは定期的に自動で行われます。
 // ============================================================
 
 
@@ -31,11 +42,24 @@
 //  GAS のカスタム関数（@customfunction）からは SpreadsheetApp の
 //  書き込み操作ができない（セキュリティ制限）。
 //  そのため、まず PropertiesService に JSON で一時保存（バッファ）し、
-//  後から flushAILog() を手動実行してシートに一括書き出しする。
+//  後から flushAILog()（手動または定期トリガー）でシートに一括書き出しする。
 // ============================================================
 
-/** ログシートのヘッダー定義（7列） */
-const LOG_HEADERS = ["日時", "モデル", "ソース", "ステータス", "応答時間(ms)", "トークン数", "プロンプト（100文字）"];
+/** ログシートのヘッダー定義（19列。先頭7列は旧形式と同じ） */
+const LOG_HEADERS = ["日時", "モデル", "ソース", "ステータス", "応答時間(ms)", "トークン数", "プロンプト（100文字）",
+    "トレースID", "呼び出し元", "種別", "試行回数", "HTTPコード", "エラー分類", "温度", "入力トークン", "出力トークン", "経路",
+    "チェーンのモデル", "エラー内容"];
+
+/**
+ * カスタム関数1回分のトレース情報を作る
+ * 正規化リクエストの trace に入れておくと、試行・結果のログに同じ ID が付く。
+ *
+ * @param {string} entryPoint 呼び出し元の関数名 (例: "hy_AI", "batchAI")
+ * @return {Object} { id: "8桁のID", entry: entryPoint }
+ */
+function _newAITrace(entryPoint) {
+    return { id: Utilities.getUuid().replace(/-/g, "").substring(0, 8), entry: entryPoint };
+}
 
 /**
  * AI使用ログを記録（バッファに追加）
@@ -47,51 +71,356 @@ const LOG_HEADERS = ["日時", "モデル", "ソース", "ステータス", "応
  * @param {string} source    ソース ("Gemini" / "OpenRouter" / "N/A")
  * @param {number} elapsedMs 応答時間（ミリ秒）。不明なら 0
  * @param {number} tokens    使用トークン数。不明なら 0
+ * @param {Object} extra     追加の項目 (任意)
+ *                           { trace, entry, kind, attempts, httpCode, errorClass,
+ *                             temperature, inputTokens, outputTokens, path, chainModel }
  */
-function _logAIUsage(model, prompt, status, source, elapsedMs, tokens) {
+function _logAIUsage(model, prompt, status, source, elapsedMs, tokens, extra) {
     try {
         // ログエントリを JSON 文字列として作成
-        const entry = JSON.stringify({
+        // 追加の項目（トレースID・試行回数など）は後ろに足す
+        const entry = JSON.stringify(Object.assign({
             date: new Date().toISOString(),       // 日時（ISO形式）
             model: model,                          // モデル名
             source: source,                        // API種別
             status: status,                        // 成功/失敗
             elapsedMs: elapsedMs || 0,             // 応答時間(ms)
             tokens: tokens || 0,                   // トークン数
-            prompt: prompt.substring(0, 100)       // 質問（先頭100文字）
+            prompt: String(prompt).substring(0, 100) // 質問（先頭100文字）
+        }, extra || {}));
+
+        _appendAILogEntry(entry);
+
+    } catch (e) {
+        // ログ保存が失敗しても、メイン処理に影響させない（黙殺）
+        console.log("ログバッファ保存: " + model + " / " + status);
+    }
+}
+
+/**
+ * 失敗した1回の試行を記録する（_callAIProvider などから呼ぶ）
+ *
+ * @param {Object} request 正規化リクエスト（trace を使う）
+ * @param {Object} entry   チェーンの要素
+ * @param {number} attempt 何回目の試行か
+ * @param {Object} failure { errorDetail, httpCode, elapsedMs }
+ */
+function _logAIAttempt(request, entry, attempt, failure) {
+    const trace = request.trace || {};
+    const adapter = AI_PROVIDERS[entry.provider];
+    _logAIUsage(entry.model, _requestPromptText(request), "試行失敗", adapter ? adapter.source : entry.provider,
+        failure.elapsedMs || 0, 0, {
+            trace: trace.id || "",
+            entry: trace.entry || "",
+            kind: "試行失敗",
+            attempts: attempt,
+            httpCode: failure.httpCode || "",
+            errorClass: _errorClassOf(failure.errorDetail),
+            temperature: request.temperature,
+            error: String(failure.errorDetail || "").substring(0, 150),
+            chainModel: entry.model
         });
+}
+
+/**
+ * カスタム関数1回分の最終結果を記録する（キャッシュから返した場合は記録しない）
+ *
+ * @param {Object} request    正規化リクエスト（trace を使う）
+ * @param {Object} outcome    _runAIChain / _runAIChainCached の結果
+ * @param {string} promptText ログに残す質問
+ * @param {string} source     ソース列の値（省略時は成功したプロバイダーの名前 / 失敗時 "N/A"）
+ */
+function _logAIOutcome(request, outcome, promptText, source) {
+    if (outcome.cached) return;
+    const trace = request.trace || {};
+    const extra = {
+        trace: trace.id || "",
+        entry: trace.entry || "",
+        kind: "結果",
+        attempts: outcome.attempts || 0,
+        temperature: request.temperature,
+        path: _formatChainPath(outcome)
+    };
+
+    if (outcome.success) {
+        const result = outcome.result;
+        const adapter = AI_PROVIDERS[outcome.entry.provider];
+        extra.httpCode = 200;
+        extra.inputTokens = result.inputTokens || 0;
+        extra.outputTokens = result.outputTokens || 0;
+        extra.chainModel = outcome.entry.model;
+        _logAIUsage(result.actualModel || outcome.entry.model, promptText, outcome.entry.isFree ? "成功(Free)" : "成功",
+            source || (adapter ? adapter.source : outcome.entry.provider), result.elapsedMs, result.tokens, extra);
+        return;
+    }
+
+    const status = outcome.timedOut ? "タイムアウト" : outcome.budgetExceeded ? "予算超過" : "全API失敗";
+    extra.errorClass = outcome.timedOut ? "⏱タイムアウト" : outcome.budgetExceeded ? "💰予算超過" : "💀全API失敗";
+    _logAIUsage("N/A", promptText, status, source || "N/A", 0, 0, extra);
+}
+
+/** 「【⏳レート制限】…」から「⏳レート制限」を取り出す */
+function _errorClassOf(errorDetail) {
+    const m = /^【([^】]+)】/.exec(String(errorDetail || ""));
+    return m ? m[1] : "";
+}
+
+/** 経路: "gemini-3-flash-preview:⏳レート制限 → openrouter/free:成功" */
+function _formatChainPath(outcome) {
+    const steps = outcome.failures.map(f => `${f.entry.model}:${_errorClassOf(f.errorDetail)}`);
+    if (outcome.success) steps.push(`${outcome.entry.model}:成功`);
+    return steps.join(" → ");
+}
 
-        // 既存のバッファを読み込み
-        const props = PropertiesService.getScriptProperties();
-        const existing = props.getProperty('AI_LOG_BUFFER') || '[]';
-        const buffer = JSON.parse(existing);
+/** リクエストの最後の質問（ログ用） */
+function _requestPromptText(request) {
+    const last = request.messages[request.messages.length - 1];
+    return last ? last.content : "";
+}
+
+
+// ============================================================
+// 3. ログバッファ（分割保存・排他制御）
+// ============================================================
+// スクリプトプロパティ1つに入るのは約9KBまで。300セルを一斉に
+// 再計算すると1つのプロパティには収まらないため、
+// 「AI_LOG_BUFFER_1」「AI_LOG_BUFFER_2」… と複数に分けて保存する。
+//
+// 【同時実行への対策】
+//  読んで→足して→書き戻す間は LockService で排他制御する。
+//  ロックの中では、追記中の分割（番号は AI_LOG_SHARD_NO に覚えておく）だけを読み書きし、
+//  全プロパティは読まない（流量制限・予算の記録と同じロックを短く済ませるため）。
+//  ロックが取れなかったときは、他と衝突しない専用のキー
+//  （AI_LOG_BUFFER_x + ID）に1件だけ書いて、取りこぼさないようにする。
+//
+// 【捨てたログ】
+//  保存先が満杯（AI_LOG_MAX_SHARDS 個）などで保存できなかった件数は
+//  AI_LOG_DROPPED に数えておき、flushAILog() が「ログ欠落」の行として書き出す。
+// ============================================================
 
-        // 新しいエントリを追加
-        buffer.push(entry);
+/** バッファのキー接頭辞（旧形式の単一キー AI_LOG_BUFFER も同じ接頭辞で読める） */
+const AI_LOG_BUFFER_PREFIX = "AI_LOG_BUFFER";
 
-        // バッファ上限: 最新100件を保持（古いものを削除）
-        if (buffer.length > 100) buffer.splice(0, buffer.length - 100);
+/** 1つのプロパティに詰める上限（バイト。上限 9KB より少し小さく） */
+const AI_LOG_SHARD_BYTES = 8000;
 
-        // バッファを保存
-        props.setProperty('AI_LOG_BUFFER', JSON.stringify(buffer));
+/** バッファに使うプロパティの最大個数（全体の上限 500KB を食いつぶさないため） */
+const AI_LOG_MAX_SHARDS = 40;
+
+/** ログ追加時にロックを待つ時間（ミリ秒）。取れなければ専用キーに書くため、セルの計算を遅らせないよう短く */
+const AI_LOG_LOCK_MS = 500;
+
+/** 追記中の分割の番号を覚えておくプロパティ */
+const AI_LOG_SHARD_NO_KEY = "AI_LOG_SHARD_NO";
+
+/** 書き出し中の印（CacheService のキー）と、その保存期間（秒。実行時間の上限 6分） */
+const AI_LOG_FLUSHING_KEY = "AI_LOG_FLUSHING";
+const AI_LOG_FLUSHING_TTL = 360;
+
+/**
+ * ログ1件（JSON文字列）をバッファに追加する
+ *
+ * @param {string} entry _logAIUsage が作った JSON 文字列
+ */
+function _appendAILogEntry(entry) {
+    const props = PropertiesService.getScriptProperties();
+    const lock = LockService.getScriptLock();
 
+    if (!lock.tryLock(AI_LOG_LOCK_MS)) {
+        // ロックが取れない → 衝突しない専用キーに1件だけ書く
+        if (_aiLogShardKeys(props).length >= AI_LOG_MAX_SHARDS) {
+            _countDroppedAILog(props, 1);
+            return;
+        }
+        _trySetLogProperty(props, AI_LOG_BUFFER_PREFIX + "_x" + Utilities.getUuid().replace(/-/g, ""), JSON.stringify([entry]));
+        return;
+    }
+
+    try {
+        const no = _currentAILogShardNo(props);
+        const raw = no > 0 ? props.getProperty(AI_LOG_BUFFER_PREFIX + "_" + no) : null;
+
+        // 追記中の分割にまだ入るなら追記、入らなければ次の番号で新しく作る
+        if (raw !== null && _utf8Bytes(raw) + _utf8Bytes(entry) + 3 <= AI_LOG_SHARD_BYTES) {
+            let entries = [];
+            try {
+                entries = JSON.parse(raw);
+            } catch (e) {
+                console.warn("壊れたログバッファを読み飛ばしました: " + AI_LOG_BUFFER_PREFIX + "_" + no);
+            }
+            entries.push(entry);
+            _trySetLogProperty(props, AI_LOG_BUFFER_PREFIX + "_" + no, JSON.stringify(entries));
+            return;
+        }
+        if (_aiLogShardKeys(props).length >= AI_LOG_MAX_SHARDS) {
+            _countDroppedAILog(props, 1);
+            return;
+        }
+        const nextNo = raw === null ? Math.max(no, 1) : no + 1;
+        _trySetLogProperty(props, AI_LOG_BUFFER_PREFIX + "_" + nextNo, JSON.stringify([entry]));
+        props.setProperty(AI_LOG_SHARD_NO_KEY, String(nextNo));
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/** バッファの分割のキー（値は読まない） */
+function _aiLogShardKeys(props) {
+    return props.getKeys().filter(key => key === AI_LOG_BUFFER_PREFIX || key.indexOf(AI_LOG_BUFFER_PREFIX + "_") === 0);
+}
+
+/**
+ * 追記中の分割の番号（ロックの中で呼ぶ）
+ * AI_LOG_SHARD_NO がなければ（書き出し直後・旧版からの更新）、キーの一覧から求めて覚える。
+ *
+ * @return {number} 番号（分割がなければ 0）
+ */
+function _currentAILogShardNo(props) {
+    const stored = Number(props.getProperty(AI_LOG_SHARD_NO_KEY));
+    if (stored > 0) return stored;
+
+    let no = 0;
+    _aiLogShardKeys(props).forEach(key => {
+        const m = /^_(\d+)$/.exec(key.substring(AI_LOG_BUFFER_PREFIX.length));
+        if (m) no = Math.max(no, Number(m[1]));
+    });
+    if (no > 0) props.setProperty(AI_LOG_SHARD_NO_KEY, String(no));
+    return no;
+}
+
+/**
+ * バッファの全分割を読む（番号順 → 専用キーの順）
+ *
+ * @return {Array} [{ key, raw, entries: [JSON文字列, ...] }, ...]
+ */
+function _readAILogShards(props) {
+    const all = props.getProperties();
+    const order = key => {
+        const suffix = key.substring(AI_LOG_BUFFER_PREFIX.length);
+        if (suffix === "") return -1;            // 旧形式の単一キー
+        if (/^_\d+$/.test(suffix)) return Number(suffix.substring(1));
+        return Infinity;                         // ロックなしで書いた専用キー
+    };
+    return Object.keys(all)
+        .filter(key => key === AI_LOG_BUFFER_PREFIX || key.indexOf(AI_LOG_BUFFER_PREFIX + "_") === 0)
+        .sort((a, b) => order(a) - order(b) || (a < b ? -1 : a > b ? 1 : 0))
+        .map(key => {
+            let entries = [];
+            try {
+                entries = JSON.parse(all[key] || "[]");
+            } catch (e) {
+                console.warn("壊れたログバッファを読み飛ばしました: " + key);
+            }
+            return { key: key, raw: all[key] || "", entries: entries };
+        });
+}
+
+/** 保存に失敗したら（容量超過など）捨てた件数として数える */
+function _trySetLogProperty(props, key, value) {
+    try {
+        props.setProperty(key, value);
     } catch (e) {
-        // ログ保存が失敗しても、メイン処理に影響させない（黙殺）
-        console.log("ログバッファ保存: " + model + " / " + status);
+        console.warn("ログバッファ保存失敗 (" + key + "): " + e.message);
+        _countDroppedAILog(props, 1);
+    }
+}
+
+/** 捨てたログの件数を足す */
+function _countDroppedAILog(props, count) {
+    try {
+        const dropped = Number(props.getProperty("AI_LOG_DROPPED")) || 0;
+        props.setProperty("AI_LOG_DROPPED", String(dropped + count));
+    } catch (e) {
+        console.warn("ログ欠落件数の保存失敗: " + e.message);
     }
 }
 
+/** UTF-8 でのバイト数（プロパティの容量制限はバイトで数えるため） */
+function _utf8Bytes(text) {
+    return Utilities.newBlob(String(text)).getBytes().length;
+}
+
+
+// ============================================================
+// 4. シートへの書き出し・自動実行
+// ============================================================
 /**
  * バッファに溜まったAIログをシートに一括書き出し
  *
  * 【使い方】
- *  スクリプトエディタから手動で実行してください。
+ *  スクリプトエディタから手動で実行するか、
+ *  installAILogTrigger() で定期実行を登録してください。
  *  「AI_Log」シートが自動作成され、ログデータが追記されます。
+ *
+ * 【排他制御】
+ *  バッファ（と長期保存のキャッシュ）を読んで消すところだけをロックの中で行い、
+ *  シートへの書き込みはロックを放してから行う（セル側のログ・流量制限を待たせないため）。
+ *  書き込みに失敗したら、読んだ分を専用キーに戻して次回に書き出す。
+ *  書き出し同士が重ならないよう、書き出し中は CacheService に印を置く。
  */
 function flushAILog() {
     const props = PropertiesService.getScriptProperties();
-    const existing = props.getProperty('AI_LOG_BUFFER') || '[]';
-    const buffer = JSON.parse(existing);
+    const cache = CacheService.getScriptCache();
+    const lock = LockService.getScriptLock();
+
+    // 書き出し中にセル側が追記すると、消す分割を取り違えるため排他制御する
+    if (!lock.tryLock(30000)) {
+        Logger.log("他の処理がログを書き込み中のため、書き出しを見送りました。");
+        return;
+    }
+
+    let shards, dropped, cacheEntries;
+    try {
+        if (cache.get(AI_LOG_FLUSHING_KEY)) {
+            Logger.log("他の実行がログを書き出し中のため、書き出しを見送りました。");
+            return;
+        }
+        cache.put(AI_LOG_FLUSHING_KEY, "1", AI_LOG_FLUSHING_TTL);
+
+        // 長期保存のキャッシュもここでシートに移す（プロパティの容量を空けるため）
+        cacheEntries = _takeLongTermAICache(props);
+
+        shards = _readAILogShards(props);
+        dropped = Number(props.getProperty("AI_LOG_DROPPED")) || 0;
+        shards.forEach(s => props.deleteProperty(s.key));
+        props.deleteProperty(AI_LOG_SHARD_NO_KEY);
+        props.deleteProperty("AI_LOG_DROPPED");
+    } finally {
+        lock.releaseLock();
+    }
+
+    try {
+        try {
+            _writeAICacheSheet(cacheEntries);
+        } catch (e) {
+            Logger.log("キャッシュをシートに移せませんでした: " + e.message);
+        }
+        try {
+            _writeAILogSheet(shards, dropped);
+        } catch (e) {
+            _restoreAILogShards(props, shards, dropped);
+            throw e;
+        }
+    } finally {
+        cache.remove(AI_LOG_FLUSHING_KEY);
+    }
+}
+
+/** 読んだバッファを「AI_Log」シートに追記する（flushAILog から、ロックを放して呼ぶ） */
+function _writeAILogSheet(shards, dropped) {
+    const buffer = [];
+    shards.forEach(s => s.entries.forEach(raw => buffer.push(JSON.parse(raw))));
+
+    // 日時順に並べる（ロックなしで書いた専用キーの分が混ざるため）
+    buffer.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    // 捨てたログがあれば、その件数を1行で残す
+    if (dropped > 0) {
+        buffer.push({
+            date: new Date().toISOString(), model: "-", source: "-", status: "ログ欠落",
+            prompt: dropped + " 件のログを保存できずに捨てました", kind: "欠落"
+        });
+    }
 
     // バッファが空なら何もしない
     if (buffer.length === 0) {
@@ -114,25 +443,74 @@ function flushAILog() {
             .setBackground("#f3f3f3");
         logSheet.setColumnWidth(1, 160);   // 日時列を広めに
         logSheet.setColumnWidth(7, 400);   // プロンプト列を広めに
+        logSheet.setColumnWidth(17, 400);  // 経路列を広めに
+        logSheet.setColumnWidth(19, 400);  // エラー内容列を広めに
+    } else if (logSheet.getLastColumn() < LOG_HEADERS.length) {
+        // 旧形式（7列）のシート → 追加列の見出しだけを書き足す
+        logSheet.getRange(1, 1, 1, LOG_HEADERS.length)
+            .setValues([LOG_HEADERS])
+            .setFontWeight("bold")
+            .setBackground("#f3f3f3");
     }
 
     // ----------------------------------------------------------
-    // バッファのデータを2次元配列に変換（7列）
+    // バッファのデータを2次元配列に変換（19列）
+    // 試行失敗の行のエラー本文はエラー内容列に入れる（経路列は経路だけ）
     // ----------------------------------------------------------
-    const rows = buffer.map(raw => {
-        const e = JSON.parse(raw);
-        return [e.date, e.model, e.source, e.status, e.elapsedMs || 0, e.tokens || 0, e.prompt];
-    });
+    const rows = buffer.map(e => [e.date, e.model, e.source, e.status, e.elapsedMs || 0, e.tokens || 0, e.prompt,
+        e.trace || "", e.entry || "", e.kind || "", e.attempts || "", e.httpCode || "", e.errorClass || "",
+        e.temperature === undefined ? "" : e.temperature, e.inputTokens || "", e.outputTokens || "", e.path || "", e.chainModel || "", e.error || ""]);
 
     // ----------------------------------------------------------
     // シートの最終行の次から書き込み（追記）
     // ----------------------------------------------------------
     const lastRow = logSheet.getLastRow();
     logSheet.getRange(lastRow + 1, 1, rows.length, LOG_HEADERS.length).setValues(rows);
+    Logger.log(rows.length + " 件のログをシートに書き出しました。" + (dropped > 0 ? `（うち欠落 ${dropped} 件の記録を含む）` : ""));
+}
 
-    // バッファをクリア（書き出し済み）
-    props.setProperty('AI_LOG_BUFFER', '[]');
-    Logger.log(rows.length + " 件のログをシートに書き出しました。");
+/** 書き出せなかったバッファを専用キーに戻す（分割1つは 9KB に収まるのでそのまま書ける） */
+function _restoreAILogShards(props, shards, dropped) {
+    shards.forEach(s => _trySetLogProperty(props, AI_LOG_BUFFER_PREFIX + "_x" + Utilities.getUuid().replace(/-/g, ""), s.raw));
+    if (dropped > 0) _countDroppedAILog(props, dropped);
+}
+
+/**
+ * flushAILog を定期実行するトリガーを登録する（登録済みなら作り直す）
+ *
+ * 【使い方】
+ *  スクリプトエディタから一度だけ実行してください。
+ *  以後、手動で flushAILog() を実行しなくてもログがシートに溜まります。
+ *
+ * @param {number} minutes 実行間隔（分）1 / 5 / 10 / 15 / 30 のいずれか (初期値: 10)
+ */
+function installAILogTrigger(minutes) {
+    const allowed = [1, 5, 10, 15, 30];
+    const interval = allowed.indexOf(Number(minutes)) !== -1 ? Number(minutes) : 10;
+
+    removeAILogTrigger();
+    ScriptApp.newTrigger("flushAILog")
+        .timeBased()
+        .everyMinutes(interval)
+        .create();
+    Logger.log(`flushAILog を ${interval} 分ごとに実行するトリガーを登録しました。`);
+}
+
+/**
+ * installAILogTrigger で登録したトリガーを削除する
+ *
+ * @return {number} 削除したトリガーの数
+ */
+function removeAILogTrigger() {
+    let removed = 0;
+    ScriptApp.getProjectTriggers().forEach(t => {
+        if (t.getHandlerFunction() === "flushAILog") {
+            ScriptApp.deleteTrigger(t);
+            removed++;
+        }
+    });
+    if (removed > 0) Logger.log(removed + " 件の flushAILog トリガーを削除しました。");
+    return removed;
 }
 
 /**
@@ -156,9 +534,12 @@ function clearAILog() {
             .setBackground("#f3f3f3");
     }
 
-    // PropertiesService のバッファもクリア
-    PropertiesService.getScriptProperties().setProperty('AI_LOG_BUFFER', '[]');
+    // PropertiesService のバッファ（全分割）と欠落件数もクリア
+    const props = PropertiesService.getScriptProperties();
+    _readAILogShards(props).forEach(s => props.deleteProperty(s.key));
+    props.deleteProperty(AI_LOG_SHARD_NO_KEY);
+    props.deleteProperty("AI_LOG_DROPPED");
     Logger.log("AI使用ログをクリアしました");
 }
 
-// Last Updated: 2026-02-11
+// Last Updated: 2026-10-19
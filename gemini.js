@@ -5,9 +5,10 @@
 // AIに質問する「ge_AI」関数を提供します。
 //
 // 【動作の流れ】
-//  1. 指定されたモデル（またはデフォルト）を最初に試す
-//  2. 失敗したら、定義されたフォールバックリスト順に他のGeminiモデルを試す
-//  3. 各モデルで最大2回リトライ（GAS 30秒制限対策）
+//  1. 指定されたモデル（省略時はチェーンの先頭）を最初に試す
+//  2. 失敗したら、チェーン "ge_AI" の順に他のGeminiモデルを試す
+//  3. 各モデルで最大2回リトライ（待機は指数バックオフ / Retry-After に従う）
+//     合計 AI_TIME_BUDGET_SEC 秒（初期値: 25）を超えそうなら残りは打ち切る
 //  4. 全モデル失敗でエラーを返す
 //
 // 【エラー時の戻り値プレフィックス】
@@ -19,25 +20,21 @@
 //  💔サーバーエラー → API側の障害 (500/502/503)
 //  🔌接続エラー     → ネットワーク障害
 //  📭空回答         → APIは成功だが回答が空
+//  ⏱タイムアウト    → 制限時間内に回答が得られず、残りのモデルを打ち切った
 //  💀全API失敗      → すべてのモデルが失敗
 //
 // 【使い方の例（スプレッドシートから）】
 //  =ge_AI("こんにちは")                              ← 最小構成
 //  =ge_AI("質問","役割を指定")                       ← システム指示付き
 //  =ge_AI("質問","","gemini-2.0-flash")             ← モデル指定
+//  =ge_AI("質問","","",0.8)                         ← 温度(創造性)指定
+//  =ge_AI("質問","","",,FALSE)                      ← キャッシュを使わない
+//
+//  ※ API呼び出し・リトライの共通部分は ai_providers.js
 // ============================================================
 
-/** リトライ回数 (GAS 30秒制限を考慮して2回に制限) */
-const GEMN_MAX_RETRY = 2;
-
-/** フォールバック用モデルリスト（優先順位順） */
-const GEMINI_MODELS = [
-  "gemini-3-flash-preview",
-  "gemini-2.5-flash",
-  "gemini-2.0-flash",
-  "gemini-2.5-flash-lite",
-  "gemini-2.0-flash-lite"
-];
+// フォールバック用モデルリスト（チェーン "ge_AI"）とリトライ回数は
+// ai_config.js で管理する（「AI_Config」シートで変更可能）。
 
 // ============================================================
 // テスト関数（スクリプトエディタから実行して動作確認用）
@@ -50,23 +47,6 @@ function testgemini() {
   Logger.log("FINAL OUTPUT: " + result);
 }
 
-// ============================================================
-// エラー分類ヘルパー（Gemini用）
-// ============================================================
-function _classifyHttpError_Gemini(statusCode) {
-  switch (statusCode) {
-    case 400: return { prefix: "【⚠️リクエスト不正】", shouldRetry: false };
-    case 401: return { prefix: "【🔑認証エラー】", shouldRetry: false };
-    case 403: return { prefix: "【🔑認証エラー】", shouldRetry: false };
-    case 404: return { prefix: "【❌モデル不明】", shouldRetry: false };
-    case 429: return { prefix: "【⏳レート制限】", shouldRetry: true };
-    case 500: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    case 502: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    case 503: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    default: return { prefix: "【⚠️HTTPエラー(" + statusCode + ")】", shouldRetry: true };
-  }
-}
-
 // ============================================================
 // メイン関数: ge_AI（フォールバック付き）
 // ============================================================
@@ -76,128 +56,56 @@ function _classifyHttpError_Gemini(statusCode) {
  *
  * @param {string} promptText        ユーザーのプロンプト（必須）
  * @param {string} systemInstruction システム指示（任意）
- * @param {string} primaryModel      最初に試すモデル名（初期値: gemini-3-flash-preview）
+ * @param {string} primaryModel      最初に試すモデル名（初期値: チェーン "ge_AI" の先頭）
+ * @param {number} temp              温度 0.0〜2.0（初期値: 0.3）
+ * @param {number} cache             キャッシュ秒数 / FALSE で使わない / "refresh" で取り直し（任意）
  * @return {string} AIの回答テキスト
  * @customfunction
  */
-function ge_AI(promptText, systemInstruction = "", primaryModel = "gemini-3-flash-preview") {
+function ge_AI(promptText, systemInstruction = "", primaryModel = "", temp = 0.3, cache = "") {
 
   // -- APIキー未設定チェック --
   const API_KEY = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
   if (!API_KEY) return "【🔑APIキー未設定】GEMINI_API_KEY をプロジェクト設定 > スクリプトプロパティで登録してください。";
 
-  // 試行するモデルリストを作成（重複除外）
-  let candidateModels = [primaryModel];
-  for (const m of GEMINI_MODELS) {
-    if (m !== primaryModel) {
-      candidateModels.push(m);
-    }
-  }
+  temp = (temp === undefined || temp === null || temp === "") ? 0.3 : Number(temp);
 
-  const trialLog = []; // エラーログ記録用
+  // 試行するモデルリストを作成（指定モデルを先頭に、重複除外）
+  // モデルを指定せず、設定の ge_AI がすべて無効なら送らない
+  const chainError = primaryModel ? null : _modelChainError("ge_AI");
+  if (chainError) return chainError;
+  const configured = (_getModelChain("ge_AI") || []).filter(e => e.provider === "gemini");
+  if (!primaryModel) primaryModel = configured.length > 0 ? configured[0].model : "gemini-2.5-flash";
 
-  // モデル順次試行ループ
-  for (const model of candidateModels) {
-    const result = _callGeminiAPI(promptText, systemInstruction, model, API_KEY);
-
-    if (result.success) {
-      if (model !== primaryModel) {
-        console.warn(`【Geminiフォールバック成功】${primaryModel} 失敗 -> ${model} で成功`);
-      }
-      return result.text;
+  const primaryEntry = configured.find(e => e.model === primaryModel) || _normalizeChainEntry({ provider: "gemini", model: primaryModel });
+  const chain = [primaryEntry];
+  for (const e of configured) {
+    if (e.model !== primaryModel) {
+      chain.push(e);
     }
-
-    // 失敗時ログ
-    trialLog.push(`${model}: ${result.errorDetail}`);
-    console.warn(`【Gemini失敗】${model}: ${result.errorDetail}`);
   }
 
-  // 全滅
-  return "【💀全API失敗】\n" + trialLog.join("\n");
-}
+  // モデル順次試行（共通層 ai_providers.js）
+  const request = _buildAIRequest(promptText, systemInstruction, temp, null, null, AI_DEFAULT_MAX_TOKENS);
+  request.trace = _newAITrace("ge_AI");
+  const outcome = _runAIChainCached("ge_AI", chain, request, cache);
+  _logAIOutcome(request, outcome, promptText, "Gemini(単体)");
 
-// ============================================================
-// 内部関数: 単一モデル呼び出し（リトライ付き）
-// ============================================================
-function _callGeminiAPI(promptText, systemInstruction, model, apiKey) {
-  const URL = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const payload = {
-    contents: [{ role: "user", parts: [{ text: promptText }] }],
-    system_instruction: systemInstruction
-      ? { role: "system", parts: [{ text: systemInstruction }] }
-      : undefined
-  };
-
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-
-  let lastError = "";
-
-  for (let attempt = 1; attempt <= GEMN_MAX_RETRY; attempt++) {
-    const startTime = Date.now();
-    try {
-      const response = UrlFetchApp.fetch(URL, options);
-      const elapsedMs = Date.now() - startTime;
-      const responseCode = response.getResponseCode();
-      const responseText = response.getContentText();
-
-      // -- 成功 (200) --
-      if (responseCode === 200) {
-        let json;
-        try {
-          json = JSON.parse(responseText);
-        } catch (e) {
-          lastError = "【⚠️JSON解析エラー】";
-          if (attempt < GEMN_MAX_RETRY) Utilities.sleep(1000);
-          continue;
-        }
-
-        const tokens = (json.usageMetadata && json.usageMetadata.totalTokenCount) || 0;
-        if (json.candidates && json.candidates[0] && json.candidates[0].content) {
-          const answer = json.candidates[0].content.parts[0].text;
-          if (answer && answer.trim() !== "") {
-            _logAIUsage(model, promptText, "成功", "Gemini(単体)", elapsedMs, tokens);
-            return { success: true, text: answer };
-          }
-          lastError = "【📭空回答】モデルが空の回答を返しました。";
-        } else {
-          lastError = "【📭空回答】回答データの構造が不正です。";
-        }
+  if (outcome.success) {
+    if (outcome.cached) return outcome.result.text;
 
-        if (attempt < GEMN_MAX_RETRY) Utilities.sleep(1000);
-        continue;
-      }
-
-      // -- エラー応答 --
-      const classification = _classifyHttpError_Gemini(responseCode);
-      let apiMsg = "";
-      try {
-        const errorJson = JSON.parse(responseText);
-        apiMsg = errorJson.error ? errorJson.error.message : responseText.substring(0, 150);
-      } catch (e) {
-        apiMsg = responseText.substring(0, 150);
-      }
-      lastError = classification.prefix + apiMsg;
-
-      if (!classification.shouldRetry) {
-        return { success: false, errorDetail: lastError };
-      }
-
-      if (attempt < GEMN_MAX_RETRY) Utilities.sleep(1000);
-
-    } catch (e) {
-      lastError = "【🔌接続エラー】" + e.message;
-      if (attempt < GEMN_MAX_RETRY) Utilities.sleep(1000);
+    const model = outcome.entry.model;
+    if (model !== primaryModel) {
+      console.warn(`【Geminiフォールバック成功】${primaryModel} 失敗 -> ${model} で成功`);
     }
+    return outcome.result.text;
   }
 
-  return { success: false, errorDetail: lastError };
+  // 全滅
+  const trialLog = outcome.failures.map(f => `${f.entry.model}: ${f.errorDetail}`);
+  const header = outcome.timedOut ? _formatTimeoutSummary(outcome)
+    : outcome.budgetExceeded ? _formatBudgetSummary() : "【💀全API失敗】";
+  return header + "\n" + trialLog.join("\n");
 }
 
-// Last Updated: 2026-02-11
-
+// Last Updated: 2026-10-19
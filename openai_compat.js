@@ -0,0 +1,126 @@
+// ============================================================
+// OpenAI 互換エンドポイント関数 (openai_compat.js)
+// ============================================================
+// このファイルは、OpenAI 互換の /v1/chat/completions を持つ
+// 任意のサーバー（自前の vLLM / Ollama / LM Studio / 社内ゲートウェイ等）に
+// 「=oc_AI("質問")」で質問できる関数を提供します。
+// hy_AI のフォールバックチェーンにも組み込まれます。
+//
+// 【スクリプトプロパティ】
+//  OPENAI_COMPAT_BASE_URL    接続先 (必須) 例: http://example.com:11434/v1
+//                            末尾が /chat/completions ならそのまま使う
+//  OPENAI_COMPAT_API_KEY     APIキー (任意。不要なサーバーなら未設定でOK)
+//  OPENAI_COMPAT_AUTH_HEADER 認証ヘッダー名 (初期値: Authorization)
+//                            Authorization なら「Bearer キー」、それ以外はキーをそのまま送る
+//  OPENAI_COMPAT_MODELS      使うモデル名（カンマ区切り・優先順）例: llama3.1:8b,qwen2.5:7b
+//                            ※「AI_Config」シートに oc_AI チェーンがあればそちらを優先
+//  OPENAI_COMPAT_POSITION    hy_AI での位置 (初期値: last)
+//                            first → Gemini より前に試す
+//                            last  → OpenRouter の後、openrouter/free の前に試す
+//                            none  → hy_AI では使わない
+//
+// 【注意点】
+//  UrlFetchApp は Google のサーバーから送信されるため、
+//  localhost ではなくインターネットから届くURLを指定してください。
+//
+// 【使い方の例】
+//  =oc_AI("こんにちは")                              ← 最小構成
+//  =oc_AI("質問","先生として回答",0.5)                ← 役割・温度指定
+//  =oc_AI("質問",,,,,TRUE)                         ← モデル名表示あり
+//  =oc_AI("質問",,,,,,"qwen2.5:7b")                ← モデル指定
+//  =oc_AI("質問",,,,,,,FALSE)                      ← キャッシュを使わない
+// ============================================================
+
+
+// ============================================================
+// 1. 設定の読み込み
+// ============================================================
+/**
+ * OpenAI 互換エンドポイントの設定を読み込む
+ *
+ * @return {Object} { url, authHeader, models: [...], position: "first"|"last"|"none" }
+ *                  url は BASE_URL 未設定なら ""
+ */
+function _getOpenAICompatSettings() {
+    const props = PropertiesService.getScriptProperties();
+    const baseUrl = (props.getProperty('OPENAI_COMPAT_BASE_URL') || "").trim().replace(/\/+$/, "");
+
+    let url = "";
+    if (baseUrl) {
+        url = /\/chat\/completions$/.test(baseUrl) ? baseUrl : baseUrl + "/chat/completions";
+    }
+
+    const models = (props.getProperty('OPENAI_COMPAT_MODELS') || "")
+        .split(",")
+        .map(m => m.trim())
+        .filter(m => m !== "");
+
+    const position = (props.getProperty('OPENAI_COMPAT_POSITION') || "last").trim().toLowerCase();
+
+    return {
+        url: url,
+        authHeader: (props.getProperty('OPENAI_COMPAT_AUTH_HEADER') || "Authorization").trim(),
+        models: models,
+        position: ["first", "last", "none"].indexOf(position) !== -1 ? position : "last"
+    };
+}
+
+
+// ============================================================
+// 2. メインの AI 関数: oc_AI
+// ============================================================
+/**
+ * OpenAI 互換エンドポイントに直接質問する: oc_AI
+ * チェーン "oc_AI"（既定: OPENAI_COMPAT_MODELS）を上から順に試行する。
+ *
+ * @param {string}  promptText   今回の質問 (必須)
+ * @param {string}  systemInst   AIの役割・ルール (任意)
+ * @param {number}  temp         温度 0.0〜2.0 (初期値 0.3)
+ * @param {Range}   fewShotRange 例示の範囲 [入力例, 出力例] (任意)
+ * @param {Range}   historyRange 過去の対話範囲 [自分, AI] (任意)
+ * @param {boolean} showModel    モデル名+トークン数+応答時間を表示するか (初期値: false)
+ * @param {string}  model        使うモデル名 (任意。省略時は OPENAI_COMPAT_MODELS)
+ * @param {number}  cache        キャッシュ秒数 / FALSE で使わない / "refresh" で取り直し (任意)
+ * @customfunction
+ */
+function oc_AI(promptText, systemInst, temp, fewShotRange, historyRange, showModel, model, cache) {
+
+    // 引数の補正処理
+    systemInst = systemInst || "";
+    temp = (temp === undefined || temp === null || temp === "") ? 0.3 : Number(temp);
+    fewShotRange = fewShotRange || null;
+    historyRange = historyRange || null;
+    showModel = (showModel === true || showModel === "TRUE" || showModel === "true");
+
+    // 入力チェック
+    if (!promptText) return "【通知】質問を入力してください。";
+
+    const settings = _getOpenAICompatSettings();
+    if (!settings.url) return "【⚠️設定エラー】OPENAI_COMPAT_BASE_URL をプロジェクト設定 > スクリプトプロパティで登録してください。";
+
+    const chainError = model ? null : _modelChainError("oc_AI");
+    if (chainError) return chainError;
+    const chain = model
+        ? [_normalizeChainEntry({ provider: "compat", model: String(model) })]
+        : (_getModelChain("oc_AI") || []).filter(e => e.provider === "compat");
+    if (chain.length === 0) return "【⚠️設定エラー】OPENAI_COMPAT_MODELS にモデル名を登録するか、7番目の引数でモデルを指定してください。";
+
+    const request = _buildAIRequest(promptText, systemInst, temp, fewShotRange, historyRange, AI_DEFAULT_MAX_TOKENS);
+    request.trace = _newAITrace("oc_AI");
+    const outcome = _runAIChainCached("oc_AI", chain, request, cache);
+    _logAIOutcome(request, outcome, promptText, "OpenAI互換(単体)");
+
+    if (outcome.success) {
+        const result = outcome.result;
+        const displayModel = result.actualModel || outcome.entry.model;
+        return showModel ? _formatModelHeader(displayModel, result.tokens, result.elapsedMs, outcome.cached) + "\n" + result.text : result.text;
+    }
+
+    // 全滅 → 試行結果のサマリーを返す
+    const trialLog = outcome.failures.map(f => `${f.entry.model}: ${f.errorDetail}`);
+    const header = outcome.timedOut ? _formatTimeoutSummary(outcome)
+        : outcome.budgetExceeded ? _formatBudgetSummary() : "【💀全モデル失敗】";
+    return header + "\n" + trialLog.join("\n");
+}
+
+// Last Updated: 2026-10-19
@@ -6,7 +6,7 @@
 // AIに質問できる関数を提供します。
 //
 // 【動作の流れ】
-//  1. モデルリスト(MODELS)の上から順にAIモデルを試す
+//  1. モデルリスト（チェーン "or_AI"）の上から順にAIモデルを試す
 //  2. 各モデルで最大2回リトライする（リトライ不要エラーは即スキップ）
 //  3. 全モデル失敗時は openrouter/free（自動選択）を最終手段として試す
 //  4. それでもダメならエラーメッセージを返す
@@ -20,6 +20,7 @@
 //  💔サーバーエラー → API側の障害 (500/502/503)
 //  🔌接続エラー     → ネットワーク障害
 //  📭空回答         → APIは成功だが回答が空
+//  ⏱タイムアウト    → 制限時間内に回答が得られず、残りのモデルを打ち切った
 //  💀全モデル失敗   → すべてのモデル・手段が失敗
 //
 // 【showModel=TRUE 時の表示例】
@@ -31,55 +32,17 @@
 //  =or_AI("質問","先生として回答",0.5)                ← 温度(創造性)指定
 //  =or_AI("質問",,,,,TRUE)                         ← モデル名表示あり(6番目)
 //  =or_AI("質問","先生",0.5,,,TRUE)                 ← 設定あり + モデル名表示
+//  =or_AI("質問",,,,,,FALSE)                       ← キャッシュを使わない(7番目)
 // ============================================================
 
 
 // ============================================================
 // 1. 基本設定
 // ============================================================
-const AI_CONFIG = {
-  API_KEY: PropertiesService.getScriptProperties().getProperty('OPENROUTER_API_KEY'),
-  BASE_URL: 'https://openrouter.ai/api/v1/chat/completions',
-  MODELS: [
-    "stepfun/step-3.5-flash:free",
-    "meta-llama/llama-3.3-70b-instruct:free",
-    "tngtech/deepseek-r1t2-chimera:free",
-    "google/gemma-3-27b-it:free",
-    "nvidia/nemotron-3-nano-30b-a3b:free"
-  ],
-  FREE_MODEL: "openrouter/free",
-  DEFAULT_MODEL: "openrouter/free",
-  MAX_TOKENS: 1024,
-  MAX_RETRY: 2
-};
-
-
-// ============================================================
-// エラー分類ヘルパー（OpenRouter用）
-// ============================================================
-function _classifyHttpError_OR(statusCode) {
-  switch (statusCode) {
-    case 400: return { prefix: "【⚠️リクエスト不正】", shouldRetry: false };
-    case 401: return { prefix: "【🔑認証エラー】", shouldRetry: false };
-    case 403: return { prefix: "【🔑認証エラー】", shouldRetry: false };
-    case 404: return { prefix: "【❌モデル不明】", shouldRetry: false };
-    case 429: return { prefix: "【⏳レート制限】", shouldRetry: true };
-    case 500: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    case 502: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    case 503: return { prefix: "【💔サーバーエラー】", shouldRetry: true };
-    default: return { prefix: "【⚠️HTTPエラー(" + statusCode + ")】", shouldRetry: true };
-  }
-}
-
-
-// ============================================================
-// showModel 表示ヘルパー（OpenRouter用）
+// 試すモデルの並び（チェーン "or_AI"）は ai_config.js で管理する。
+// 既定値: OpenRouter 5モデル → openrouter/free
+// 接続先URL・リクエスト組み立て・リトライは ai_providers.js の共通層が担当する。
 // ============================================================
-function _formatModelHeader_OR(modelName, tokens, elapsedMs) {
-  const tokStr = tokens ? tokens + "tok" : "?tok";
-  const secStr = elapsedMs ? (elapsedMs / 1000).toFixed(1) + "s" : "?s";
-  return "【" + modelName + " | " + tokStr + " | " + secStr + "】";
-}
 
 
 // ============================================================
@@ -95,9 +58,10 @@ function _formatModelHeader_OR(modelName, tokens, elapsedMs) {
  * @param {Range}  fewShotRange 例示の範囲 [入力例, 出力例] (任意)
  * @param {Range}  historyRange 過去の対話範囲 [自分, AI] (任意)
  * @param {boolean} showModel   モデル名+トークン数+応答時間を表示するか (初期値: false)
+ * @param {number} cache        キャッシュ秒数 / FALSE で使わない / "refresh" で取り直し (任意)
  * @customfunction
  */
-function or_AI(promptText, systemInst, temp, fewShotRange, historyRange, showModel) {
+function or_AI(promptText, systemInst, temp, fewShotRange, historyRange, showModel, cache) {
 
   // 引数の補正処理
   systemInst = systemInst || "";
@@ -108,145 +72,28 @@ function or_AI(promptText, systemInst, temp, fewShotRange, historyRange, showMod
 
   // 入力チェック
   if (!promptText) return "【通知】質問を入力してください。";
-  if (!AI_CONFIG.API_KEY) return "【🔑APIキー未設定】OPENROUTER_API_KEY をプロジェクト設定 > スクリプトプロパティで登録してください。";
-
-  // メッセージ組み立て
-  const messages = [];
-  if (systemInst) messages.push({ role: "system", content: systemInst });
-  if (fewShotRange && Array.isArray(fewShotRange)) {
-    fewShotRange.forEach(row => {
-      if (row[0] && row[1]) {
-        messages.push({ role: "user", content: "Ex: " + row[0] });
-        messages.push({ role: "assistant", content: "Ans: " + row[1] });
-      }
-    });
-  }
-  if (historyRange && Array.isArray(historyRange)) {
-    historyRange.forEach(row => {
-      if (row[0]) messages.push({ role: "user", content: row[0].toString() });
-      if (row[1]) messages.push({ role: "assistant", content: row[1].toString() });
-    });
-  }
-  messages.push({ role: "user", content: promptText });
-
-  // 試行結果を記録する配列（最終エラーサマリー用）
-  const trialLog = [];
-
-
-
-  // 【パターンB】リストの上から順番に試す
-  for (const model of AI_CONFIG.MODELS) {
-    const result = _tryModel(model, messages, temp);
-    if (result.success) {
-      const displayModel = result.actualModel || model;
-      return showModel ? _formatModelHeader_OR(displayModel, result.tokens, result.elapsedMs) + "\n" + result.text : result.text;
-    }
-    trialLog.push(`${model}: ${result.errorDetail}`);
-    console.warn(`【失敗】${model}: ${result.errorDetail}`);
-  }
-
-  // 【パターンC】最終手段 openrouter/free
-  const freeResult = _tryModel(AI_CONFIG.FREE_MODEL, messages, temp);
-  if (freeResult.success) {
-    const displayModel = freeResult.actualModel || AI_CONFIG.FREE_MODEL;
-    return showModel ? _formatModelHeader_OR(displayModel, freeResult.tokens, freeResult.elapsedMs) + "\n" + freeResult.text : freeResult.text;
+  if (!PropertiesService.getScriptProperties().getProperty('OPENROUTER_API_KEY')) return "【🔑APIキー未設定】OPENROUTER_API_KEY をプロジェクト設定 > スクリプトプロパティで登録してください。";
+
+  // 試行チェーン: モデルリスト → 最終手段 openrouter/free
+  const chainError = _modelChainError("or_AI");
+  if (chainError) return chainError;
+  const chain = _getModelChain("or_AI");
+  const request = _buildAIRequest(promptText, systemInst, temp, fewShotRange, historyRange, AI_DEFAULT_MAX_TOKENS);
+  request.trace = _newAITrace("or_AI");
+  const outcome = _runAIChainCached("or_AI", chain, request, cache);
+  _logAIOutcome(request, outcome, promptText, "OpenRouter(単体)");
+
+  if (outcome.success) {
+    const result = outcome.result;
+    const displayModel = result.actualModel || outcome.entry.model;
+    return showModel ? _formatModelHeader(displayModel, result.tokens, result.elapsedMs, outcome.cached) + "\n" + result.text : result.text;
   }
-  trialLog.push(`Free: ${freeResult.errorDetail}`);
 
   // 全滅 → 試行結果のサマリーを返す
-  return "【💀全モデル失敗】\n" + trialLog.join("\n");
-}
-
-
-// ============================================================
-// 3. 内部関数: _tryModel
-// ============================================================
-// 指定された1つのモデルに対し、最大MAX_RETRY回のリトライ付きで試行。
-// リトライ不要なエラー（認証/モデル不明/リクエスト不正）は即リターン。
-//
-// 戻り値:
-//   成功時: { success: true, text: "回答", actualModel: "モデル名", elapsedMs: 数値, tokens: 数値 }
-//   失敗時: { success: false, errorDetail: "分類済みエラー文" }
-// ============================================================
-function _tryModel(model, messages, temp) {
-  const payload = {
-    model: model,
-    messages: messages,
-    temperature: temp,
-    max_tokens: AI_CONFIG.MAX_TOKENS
-  };
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: { "Authorization": "Bearer " + AI_CONFIG.API_KEY },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-
-  let lastErrorDetail = "";
-
-  for (let attempt = 1; attempt <= AI_CONFIG.MAX_RETRY; attempt++) {
-    const startTime = Date.now();
-    try {
-      const response = UrlFetchApp.fetch(AI_CONFIG.BASE_URL, options);
-      const elapsedMs = Date.now() - startTime;
-      const statusCode = response.getResponseCode();
-      const responseText = response.getContentText();
-
-      // -- 成功 (200) --
-      if (statusCode === 200) {
-        let json;
-        try { json = JSON.parse(responseText); } catch (e) {
-          lastErrorDetail = "【⚠️リクエスト不正】レスポンスJSON解析失敗: " + responseText.substring(0, 100);
-          if (attempt < AI_CONFIG.MAX_RETRY) { Utilities.sleep(1000); }
-          continue;
-        }
-        // OpenRouterのトークン数を取得
-        const tokens = (json.usage && json.usage.total_tokens) || 0;
-        if (json.choices && json.choices[0] && json.choices[0].message) {
-          const answer = json.choices[0].message.content.trim();
-          if (answer !== "") {
-            return { success: true, text: answer, actualModel: json.model, elapsedMs: elapsedMs, tokens: tokens };
-          }
-          lastErrorDetail = "【📭空回答】モデルが空の回答を返しました";
-          if (attempt < AI_CONFIG.MAX_RETRY) { Utilities.sleep(1000); }
-          continue;
-        }
-        lastErrorDetail = "【📭空回答】回答データの構造が不正です";
-        if (attempt < AI_CONFIG.MAX_RETRY) { Utilities.sleep(1000); }
-        continue;
-      }
-
-      // -- エラー応答 --
-      const classification = _classifyHttpError_OR(statusCode);
-      let apiMsg = "";
-      try {
-        const errorJson = JSON.parse(responseText);
-        apiMsg = errorJson.error ? errorJson.error.message : "";
-      } catch (e) {
-        apiMsg = responseText.substring(0, 150);
-      }
-      lastErrorDetail = classification.prefix + apiMsg;
-
-      // リトライ不要のエラー → 即リターン（次のモデルへ進む）
-      if (!classification.shouldRetry) {
-        return { success: false, errorDetail: lastErrorDetail };
-      }
-
-      if (attempt < AI_CONFIG.MAX_RETRY) {
-        Utilities.sleep(1000);
-      }
-
-    } catch (e) {
-      lastErrorDetail = "【🔌接続エラー】" + e.toString();
-      if (attempt < AI_CONFIG.MAX_RETRY) {
-        Utilities.sleep(1000);
-      }
-    }
-  }
-
-  return { success: false, errorDetail: lastErrorDetail };
-
+  const trialLog = outcome.failures.map(f => `${f.entry.isFree ? "Free" : f.entry.model}: ${f.errorDetail}`);
+  const header = outcome.timedOut ? _formatTimeoutSummary(outcome)
+    : outcome.budgetExceeded ? _formatBudgetSummary() : "【💀全モデル失敗】";
+  return header + "\n" + trialLog.join("\n");
 }
 
-// Last Updated: 2026-02-11
\ No newline at end of file
+// Last Updated: 2026-10-19
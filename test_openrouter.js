@@ -147,6 +147,11 @@ function testApiKeys() {
     const orKey = props.getProperty('OPENROUTER_API_KEY');
 
     Logger.log("=== APIキー確認 ===");
-    Logger.log("GEMINI_API_KEY: " + (geminiKey ? "✅ 設定済み (" + geminiKey.substring(0, 10) + "...)" : "❌ 未設定"));
-    Logger.log("OPENROUTER_API_KEY: " + (orKey ? "✅ 設定済み (" + orKey.substring(0, 10) + "...)" : "❌ 未設定"));
+    // キーはメニューのダイアログにも出るため、末尾だけを見せる
+    Logger.log("GEMINI_API_KEY: " + (geminiKey ? "✅ 設定済み (" + _maskSecret(geminiKey) + ")" : "❌ 未設定"));
+    Logger.log("OPENROUTER_API_KEY: " + (orKey ? "✅ 設定済み (" + _maskSecret(orKey) + ")" : "❌ 未設定"));
+
+    const compat = _getOpenAICompatSettings();
+    Logger.log("OPENAI_COMPAT_BASE_URL: " + (compat.url ? "✅ " + compat.url : "➖ 未設定（oc_AI は使わない）"));
+    if (compat.url) Logger.log("OPENAI_COMPAT_MODELS: " + (compat.models.join(", ") || "❌ 未設定"));
 }
@@ -0,0 +1,189 @@
+// ============================================================
+// 予算管理のテスト (ai_budget.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+
+/** 入力・出力トークンの内訳付きの Gemini 応答 */
+function geminiUsage(text, input, output) {
+    return {
+        code: 200,
+        body: {
+            candidates: [{ content: { parts: [{ text: text }] } }],
+            usageMetadata: { totalTokenCount: input + output, promptTokenCount: input, candidatesTokenCount: output }
+        }
+    };
+}
+
+function withBudgets(budgets, extra) {
+    return Object.assign({ AI_BUDGETS: JSON.stringify(budgets) }, KEYS, extra || {});
+}
+
+
+test("1日のトークン上限に達したら、モデルを呼ばずに【💰予算超過】を返す", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 50 }]) });
+    p.http.defaultResponse = res.gemini("OK", 30);
+
+    assert.strictEqual(p.gas.hy_AI("質問1"), "OK");
+    assert.strictEqual(p.gas.hy_AI("質問2"), "OK");
+    const sent = p.http.requests.length;
+
+    const reply = p.gas.hy_AI("質問3");
+    assert.ok(reply.indexOf("【💰予算超過】") === 0, reply);
+    assert.ok(reply.indexOf("全体（今日）のトークン上限 50 に達しました（使用 60）") !== -1, reply);
+    assert.strictEqual(p.http.requests.length, sent);
+
+    const last = logEntries(p, "結果").pop();
+    assert.deepStrictEqual([last.status, last.errorClass], ["予算超過", "💰予算超過"]);
+});
+
+test("AI_BUDGET_ACTION=free なら、使い切った後は無料モデルだけを使う", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 10 }], { AI_BUDGET_ACTION: "free" }) });
+    p.http.when("gemini-3-flash-preview", res.gemini("有料", 20));
+    p.http.defaultResponse = res.openai("無料", "x:free", 5);
+
+    assert.strictEqual(p.gas.hy_AI("質問1"), "有料");
+    assert.strictEqual(p.gas.hy_AI("質問2"), "無料");
+    assert.deepStrictEqual(p.http.models().slice(1), ["stepfun/step-3.5-flash:free"]);
+});
+
+test("費用の上限は OpenRouter の料金表で見積もり、プロバイダー単位で止める", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "gemini", period: "month", cost: 0.0001 }],
+        { AI_CHAINS: JSON.stringify({ ge_AI: ["gemini:gemini-2.5-flash"] }) }) });
+    p.http.whenUrl("openrouter.ai/api/v1/models", {
+        code: 200,
+        body: { data: [{ id: "google/gemini-2.5-flash", pricing: { prompt: "0.0000003", completion: "0.0000025" } }] }
+    });
+    p.http.defaultResponse = geminiUsage("OK", 100, 100);
+    assert.strictEqual(p.gas.refreshAIPricing(), 1);
+
+    assert.strictEqual(p.gas.ge_AI("質問1"), "OK");
+    const usage = JSON.parse(p.props.getProperty("AI_USAGE_M_2026-01"));
+    assert.deepStrictEqual(usage["gemini:gemini-2.5-flash"], [200, 0.00028, 1, 0]);
+
+    const reply = p.gas.ge_AI("質問2");
+    assert.ok(reply.indexOf("【💰予算超過】") === 0, reply);
+    assert.ok(reply.indexOf("gemini（今月）の費用上限 $0.0001 に達しました（使用 $0.0003）") !== -1, reply);
+    // 料金表は refreshAIPricing の1回だけ取得する
+    assert.strictEqual(p.http.requests.filter(r => r.url.indexOf("/api/v1/models") !== -1).length, 1);
+});
+
+test("料金表がキャッシュになければ取りに行かず、費用0・単価不明として記録する", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "month", cost: 1 }]) });
+    p.http.defaultResponse = geminiUsage("OK", 100, 100);
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.strictEqual(p.http.requests.filter(r => r.url.indexOf("/api/v1/models") !== -1).length, 0);
+    const usage = JSON.parse(p.props.getProperty("AI_USAGE_M_2026-01"));
+    assert.deepStrictEqual(usage["gemini:gemini-3-flash-preview"], [200, 0, 1, 1]);
+
+    p.gas.showAIBudget();
+    assert.ok(p.logs.some(l => l.indexOf("1 回の呼び出しは単価が分からず") !== -1), p.logs.join("\n"));
+
+    // 定期更新のトリガーは作り直しても1つだけ
+    p.gas.installAIPricingTrigger();
+    p.gas.installAIPricingTrigger();
+    assert.deepStrictEqual(p.scriptApp.triggers.map(t => [t.handler, t.everyHours]), [["refreshAIPricing", 4]]);
+});
+
+test("ロックが取れないときは専用キーに残し、次の記録で足し込む（数え漏らさない）", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 1000 }]) });
+    p.http.defaultResponse = res.gemini("OK", 30);
+
+    p.lock.busy = true;
+    p.gas.hy_AI("質問1");
+    p.gas.hy_AI("質問2");
+    assert.strictEqual(p.props.getProperty("AI_USAGE_D_2026-01-01"), null);
+    assert.strictEqual(Object.keys(p.props.data).filter(k => k.indexOf("AI_USAGE_P_") === 0).length, 2);
+    // 足し込む前でも予算の判定には含める
+    assert.deepStrictEqual(toHost(p.gas.showAIBudget())[1].slice(0, 3), ["全体（今日）", 1000, 60]);
+
+    p.lock.busy = false;
+    p.gas.hy_AI("質問3");
+    assert.deepStrictEqual(JSON.parse(p.props.getProperty("AI_USAGE_D_2026-01-01")), { "gemini:gemini-3-flash-preview": [90, 0, 3, 0] });
+    assert.deepStrictEqual(Object.keys(p.props.data).filter(k => k.indexOf("AI_USAGE_P_") === 0), []);
+});
+
+test("専用キーは上限の個数までにし、記録できなかった回数を showAIBudget で知らせる", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 1000 }], { AI_CACHE_TTL: "0" }) });
+    const max = p.evaluate("AI_USAGE_MAX_PENDING");
+    for (let i = 0; i < max; i++) p.props.setProperty("AI_USAGE_P_" + i, JSON.stringify({ keys: ["AI_USAGE_D_2026-01-01"], usageKey: "gemini:x", tokens: 1, cost: 0, unpriced: 0 }));
+    p.http.defaultResponse = res.gemini("OK", 30);
+
+    p.lock.busy = true;
+    p.gas.hy_AI("質問");
+    assert.strictEqual(Object.keys(p.props.data).filter(k => k.indexOf("AI_USAGE_P_") === 0).length, max);
+    assert.strictEqual(p.props.getProperty("AI_BUDGET_DROPPED"), "1");
+
+    p.gas.showAIBudget();
+    assert.ok(p.logs.some(l => l.indexOf("1 回分の使用量を記録できませんでした") !== -1));
+    assert.strictEqual(p.props.getProperty("AI_BUDGET_DROPPED"), null);
+});
+
+test("予算の判定は1回の実行の中で使用量を読み直さず、自分の記録はすぐ反映する", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 50 }]) });
+    p.http.defaultResponse = res.error(404, "gone");
+    let reads = 0;
+    const getProperties = p.props.getProperties;
+    p.props.getProperties = () => { reads++; return getProperties(); };
+
+    p.gas.hy_AI("質問1");
+    assert.strictEqual(reads, 1);
+
+    p.http.defaultResponse = res.gemini("OK", 60);
+    p.gas.hy_AI("質問2");
+    assert.ok(p.gas.hy_AI("質問3").indexOf("【💰予算超過】") === 0);
+    assert.strictEqual(reads, 2);
+
+    // 時間がたてば読み直す
+    p.clock.now += 60000;
+    p.gas.hy_AI("質問4");
+    assert.strictEqual(reads, 3);
+});
+
+test("AI_PRICES の単価が料金表より優先され、別モデルの予算には影響しない", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "gemini:gemini-2.5-flash", period: "day", cost: 1 }],
+        { AI_PRICES: JSON.stringify({ "gemini-2.5-flash": [1000, 1000] }) }) });
+    p.http.when("gemini-2.5-flash", geminiUsage("高い", 500, 500));
+    p.http.when("gemini-3-flash-preview", res.error(404, "gone"), geminiUsage("次", 10, 10));
+
+    assert.strictEqual(p.gas.hy_AI("質問1"), "高い");
+    assert.strictEqual(p.http.unscripted.length, 0);
+
+    // 予算の対象は gemini-2.5-flash だけなので、gemini-3-flash-preview はそのまま使える
+    assert.strictEqual(p.gas.hy_AI("質問2"), "次");
+    const rows = toHost(p.gas.showAIBudget());
+    assert.deepStrictEqual(rows[1], ["gemini:gemini-2.5-flash（今日）", "", 1000, "", 1, 1, 0, "💰 超過"]);
+});
+
+test("日付が変わると前日の使用量は消え、予算が未設定なら何も記録しない", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 1000 }], { "AI_USAGE_D_2025-12-31": "{\"gemini:x\":[5,0,1]}" }) });
+    p.http.defaultResponse = res.gemini("OK", 30);
+    p.gas.hy_AI("質問");
+    assert.strictEqual(p.props.getProperty("AI_USAGE_D_2025-12-31"), null);
+    assert.deepStrictEqual(JSON.parse(p.props.getProperty("AI_USAGE_D_2026-01-01")), { "gemini:gemini-3-flash-preview": [30, 0, 1, 0] });
+
+    const q = loadProject({ properties: KEYS });
+    q.http.defaultResponse = res.gemini("OK", 30);
+    q.gas.hy_AI("質問");
+    assert.deepStrictEqual(Object.keys(q.props.data).filter(k => k.indexOf("AI_USAGE_") === 0), []);
+});
+
+test("showAIBudget は AI_Budget シートに予算の残りとモデル別の内訳を書き出す", () => {
+    const p = loadProject({ properties: withBudgets([{ scope: "*", period: "day", tokens: 100 }, { scope: "openrouter", period: "month", tokens: 500, cost: 2 }]) });
+    p.http.defaultResponse = res.gemini("OK", 30);
+    p.gas.hy_AI("質問");
+
+    const rows = toHost(p.gas.showAIBudget());
+    assert.deepStrictEqual(rows.slice(1), [
+        ["全体（今日）", 100, 30, 70, "", 0, "", "✅ 余裕あり"],
+        ["openrouter（今月）", 500, 0, 500, 2, 0, 2, "✅ 余裕あり"]
+    ]);
+    const sheet = p.spreadsheet.getSheetByName("AI_Budget");
+    assert.ok(sheet.data.some(r => r[0] === "gemini:gemini-3-flash-preview" && r[1] === 30 && r[4] === 30));
+
+    p.gas.showAIBudget();
+    assert.strictEqual(p.spreadsheet.sheets.filter(s => s.name === "AI_Budget").length, 1);
+});
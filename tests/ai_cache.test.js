@@ -0,0 +1,243 @@
+// ============================================================
+// 結果キャッシュのテスト (ai_cache.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o" };
+
+
+test("同じ質問の2回目はAPIを呼ばずにキャッシュから返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("初回", 10));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "初回");
+    assert.strictEqual(p.gas.hy_AI("質問"), "初回");
+    assert.strictEqual(p.http.requests.length, 1);
+    assert.strictEqual(logEntries(p).length, 1);
+});
+
+test("システム指示・温度・例示・履歴のどれかが違えば別のキーになる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問");
+    p.gas.hy_AI("質問", "先生");
+    p.gas.hy_AI("質問", "", 0.9);
+    p.gas.hy_AI("質問", "", "", [["a", "b"]]);
+    p.gas.hy_AI("質問", "", "", "", [["前", "後"]]);
+    p.gas.hy_AI("別の質問");
+    assert.strictEqual(p.http.requests.length, 6);
+
+    p.gas.hy_AI("質問", "先生");
+    assert.strictEqual(p.http.requests.length, 6);
+});
+
+test("関数が違えば同じ質問でもキャッシュを共有しない", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問");
+    p.gas.ge_AI("質問");
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("cache=FALSE なら読みも書きもしない", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問", "", "", "", "", false, false);
+    p.gas.hy_AI("質問", "", "", "", "", false, "FALSE");
+    p.gas.hy_AI("質問");
+    assert.strictEqual(p.http.requests.length, 3);
+});
+
+test("\"refresh\" は取り直してキャッシュを上書きする", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("古い"), res.gemini("新しい"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "古い");
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", false, "refresh"), "新しい");
+    assert.strictEqual(p.gas.hy_AI("質問"), "新しい");
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("エラー結果はキャッシュしない", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    assert.ok(p.gas.hy_AI("質問").indexOf("【💀全API失敗】") === 0);
+
+    p.http.when("gemini-3-flash-preview", res.gemini("復旧"));
+    assert.strictEqual(p.gas.hy_AI("質問"), "復旧");
+});
+
+test("TTL を過ぎたら取り直す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問", "", "", "", "", false, 60);
+    p.clock.now += 59 * 1000;
+    p.gas.hy_AI("質問", "", "", "", "", false, 60);
+    assert.strictEqual(p.http.requests.length, 1);
+
+    p.clock.now += 2 * 1000;
+    p.gas.hy_AI("質問", "", "", "", "", false, 60);
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("6時間を超える TTL はプロパティに長期保存される", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("長生き");
+    const WEEK = 7 * 24 * 3600;
+
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    const stored = p.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0);
+    assert.strictEqual(stored.length, 1);
+
+    // CacheService の期限(6時間)を過ぎてもプロパティから返す
+    p.clock.now += 24 * 3600 * 1000;
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", false, WEEK), "長生き");
+    assert.strictEqual(p.http.requests.length, 1);
+
+    // 期限切れならプロパティも消して取り直す
+    p.clock.now += WEEK * 1000;
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("長期保存は件数・合計バイト数の上限を超えたら古いものから消し、期限切れは書くときに消す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+    const DAY = 24 * 3600;
+    const stored = () => p.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0);
+
+    p.gas.hy_AI("短い期限", "", "", "", "", false, DAY);
+    p.clock.now += 2 * DAY * 1000;
+    p.gas.hy_AI("質問0", "", "", "", "", false, 7 * DAY);
+    assert.strictEqual(stored().length, 1);
+
+    const first = stored()[0];
+    for (let i = 1; i <= 20; i++) {
+        p.clock.now += 1000;
+        p.gas.hy_AI("質問" + i, "", "", "", "", false, 7 * DAY);
+    }
+    assert.strictEqual(stored().length, p.evaluate("AI_CACHE_PROP_MAX_ENTRIES"));
+    assert.strictEqual(stored().indexOf(first), -1);
+
+    // 合計バイト数の上限
+    const q = loadProject({ properties: KEYS });
+    q.http.defaultResponse = res.gemini("長".repeat(2500));
+    for (let i = 0; i < 15; i++) q.gas.hy_AI("質問" + i, "", "", "", "", false, 7 * DAY);
+    const keys = q.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0);
+    const total = keys.reduce((sum, k) => sum + Buffer.byteLength(q.props.getProperty(k)), 0);
+    assert.ok(keys.length < 15 && total <= q.evaluate("AI_CACHE_PROP_MAX_TOTAL_BYTES"), `${keys.length} 件 / ${total} バイト`);
+
+    // ロックが取れなければ長期保存しない（CacheService には入る）
+    const r = loadProject({ properties: KEYS });
+    r.http.defaultResponse = res.gemini("OK");
+    r.lock.busy = true;
+    r.gas.hy_AI("質問", "", "", "", "", false, 7 * DAY);
+    assert.deepStrictEqual(r.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0), []);
+    assert.strictEqual(r.gas.hy_AI("質問", "", "", "", "", false, 7 * DAY), "OK");
+    assert.strictEqual(r.http.requests.length, 1);
+});
+
+test("flushAILog は長期保存を AI_Cache シートに移し、プロパティになければシートから返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("長生き");
+    const WEEK = 7 * 24 * 3600;
+
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    p.gas.hy_AI("すぐ切れる", "", "", "", "", false, 30000);
+    p.gas.flushAILog();
+    assert.deepStrictEqual(p.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0), []);
+    const sheet = p.spreadsheet.getSheetByName("AI_Cache");
+    assert.strictEqual(sheet.data.length, 3);
+    assert.strictEqual(sheet.hidden, true);
+
+    // CacheService の期限(6時間)を過ぎてもシートから返す
+    p.clock.now += 24 * 3600 * 1000;
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", false, WEEK), "長生き");
+    assert.strictEqual(p.http.requests.length, 2);
+
+    // 次の書き出しで期限切れの行は消える
+    p.gas.flushAILog();
+    assert.strictEqual(sheet.data.length, 2);
+
+    p.gas.clearAICache();
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Cache"), null);
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    assert.strictEqual(p.http.requests.length, 3);
+});
+
+test("長期保存は6時間を超えるTTLのときだけ探し、シートは完全一致の1件だけを探す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("長生き");
+    const WEEK = 7 * 24 * 3600;
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    p.gas.flushAILog();
+    const sheet = p.spreadsheet.getSheetByName("AI_Cache");
+
+    let propReads = 0, sheetReads = 0;
+    const getProperty = p.props.getProperty, getSheetByName = p.spreadsheet.getSheetByName;
+    p.props.getProperty = k => { if (k.indexOf("AI_CACHE_P_") === 0) propReads++; return getProperty(k); };
+    p.spreadsheet.getSheetByName = name => { if (name === "AI_Cache") sheetReads++; return getSheetByName(name); };
+
+    // 既定のTTLで CacheService になければ、長期保存は見ずにAPIを呼ぶ
+    p.gas.hy_AI("別の質問");
+    assert.deepStrictEqual([propReads, sheetReads, sheet.textFinds || 0], [0, 0, 0]);
+    assert.strictEqual(p.http.requests.length, 2);
+
+    // 長いTTLならプロパティ → シートの順に探す（キー列を丸ごとは読まない）
+    p.clock.now += 24 * 3600 * 1000;
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", false, WEEK), "長生き");
+    assert.deepStrictEqual([propReads, sheetReads, sheet.textFinds], [1, 1, 1]);
+
+    // 大文字小文字だけ違うキー・キーを含む長いキーの行には当たらない
+    const key = sheet.data[1][0];
+    sheet.data[1][0] = key.toUpperCase() === key ? key.toLowerCase() : key.toUpperCase();
+    sheet.data.push([key + "x", sheet.data[1][1], sheet.data[1][2], sheet.data[1][3]]);
+    p.clock.now += 7 * 3600 * 1000;
+    p.gas.hy_AI("質問", "", "", "", "", false, WEEK);
+    assert.strictEqual(p.http.requests.length, 3);
+});
+
+test("AI_CACHE_TTL=0 でキャッシュ全体を無効にできる", () => {
+    const p = loadProject({ properties: Object.assign({ AI_CACHE_TTL: "0" }, KEYS) });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問");
+    p.gas.hy_AI("質問");
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("clearAICache で既存のキャッシュと長期保存を無効にする", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問");
+    p.gas.hy_AI("別", "", "", "", "", false, 100000);
+    p.gas.clearAICache();
+    assert.deepStrictEqual(p.props.getKeys().filter(k => k.indexOf("AI_CACHE_P_") === 0), []);
+
+    p.gas.hy_AI("質問");
+    p.gas.hy_AI("別", "", "", "", "", false, 100000);
+    assert.strictEqual(p.http.requests.length, 4);
+});
+
+test("キャッシュ命中時の showModel ヘッダーに cache と付く", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", Object.assign(res.gemini("OK", 5), { latencyMs: 800 }));
+
+    p.gas.hy_AI("質問", "", "", "", "", true);
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", true), "【gemini-3-flash-preview | 5tok | 0.8s | cache】\nOK");
+});
+
+test("translateAI などのラッパーも hy_AI のキャッシュに乗る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("Hello");
+
+    p.gas.translateAI("こんにちは", "en");
+    p.gas.translateAI("こんにちは", "en");
+    assert.strictEqual(p.http.requests.length, 1);
+});
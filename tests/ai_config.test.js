@@ -0,0 +1,179 @@
+// ============================================================
+// モデルチェーン設定のテスト (ai_config.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o" };
+const HEADER = ["チェーン", "プロバイダー", "モデル", "最大トークン", "リトライ", "有効"];
+
+const chainOf = (p, name) => toHost(p.gas._getModelChain(name)).map(e => e.provider + ":" + e.model);
+
+
+test("設定がなければ組み込みの既定チェーンを使う", () => {
+    const p = loadProject({ properties: KEYS });
+    assert.deepStrictEqual(chainOf(p, "ge_AI"), toHost(p.evaluate("DEFAULT_AI_CHAINS.ge_AI")));
+    assert.strictEqual(toHost(p.gas._getModelChain("hy_AI")).filter(e => e.isFree).length, 1);
+    assert.strictEqual(p.gas._getModelChain("unknown"), null);
+});
+
+test("AI_Config シートの行順でチェーンを組み立てる", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: {
+            AI_Config: [
+                HEADER,
+                ["hy_AI", "openrouter", "meta-llama/llama-3.3-70b-instruct:free", 2048, 1, true],
+                ["hy_AI", "gemini", "gemini-2.5-flash", "", "", ""],
+                ["hy_AI", "gemini", "gemini-3-flash-preview", "", "", false],
+                ["ge_AI", "gemini", "gemini-2.0-flash", "", 3, "TRUE"]
+            ]
+        }
+    });
+    const hy = toHost(p.gas._getModelChain("hy_AI"));
+    assert.deepStrictEqual(hy.map(e => e.model), ["meta-llama/llama-3.3-70b-instruct:free", "gemini-2.5-flash"]);
+    assert.strictEqual(hy[0].maxTokens, 2048);
+    assert.strictEqual(hy[0].maxRetry, 1);
+    assert.strictEqual(hy[1].maxTokens, 1024);
+    assert.strictEqual(hy[1].maxRetry, 2);
+
+    // シートにない or_AI は既定値
+    assert.deepStrictEqual(chainOf(p, "or_AI"), toHost(p.evaluate("DEFAULT_AI_CHAINS.or_AI")));
+});
+
+test("シートの並びどおりに hy_AI が試行し、行ごとの最大トークン・リトライを使う", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: {
+            AI_Config: [
+                HEADER,
+                ["hy_AI", "openrouter", "a/b:free", 512, 1, true],
+                ["hy_AI", "gemini", "gemini-2.0-flash", "", "", true]
+            ]
+        }
+    });
+    p.http.when("a/b:free", res.error(429, "busy"), res.error(429, "busy"));
+    p.http.when("gemini-2.0-flash", res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["a/b:free", "gemini-2.0-flash"]);
+    assert.strictEqual(p.http.requests[0].json.max_tokens, 512);
+});
+
+test("不正な行は理由を記録して読み飛ばし、全滅したチェーンは既定値に戻す", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: {
+            AI_Config: [
+                HEADER,
+                ["or_AI", "claude", "x", "", "", true],
+                ["or_AI", "openrouter", "", "", "", true],
+                ["ge_AI", "gemini", "gemini-2.0-flash", "たくさん", 9, true],
+                ["", "gemini", "gemini-2.0-flash", "", "", true]
+            ]
+        }
+    });
+    assert.deepStrictEqual(chainOf(p, "or_AI"), toHost(p.evaluate("DEFAULT_AI_CHAINS.or_AI")));
+
+    const ge = toHost(p.gas._getModelChain("ge_AI"));
+    assert.deepStrictEqual(ge.map(e => [e.model, e.maxTokens, e.maxRetry]), [["gemini-2.0-flash", 1024, 2]]);
+
+    const problems = toHost(p.gas._loadAIChainConfig().problems);
+    assert.strictEqual(problems.length, 5);
+    assert.ok(problems[0].indexOf("AI_Config 2行目: 未登録のプロバイダーです (claude)") === 0, problems[0]);
+    assert.ok(problems[1].indexOf("モデル名が空です") !== -1);
+    assert.ok(problems[4].indexOf("チェーン名が空です") !== -1);
+});
+
+test("行がすべて無効なチェーンは既定値に戻さず、設定エラーを返して送らない", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: {
+            AI_Config: [
+                HEADER,
+                ["hy_AI", "gemini", "gemini-2.5-flash", "", "", false],
+                ["hy_AI", "openrouter", "openrouter/free", "", "", "FALSE"],
+                ["ge_AI", "gemini", "g-a", "", "", false]
+            ]
+        }
+    });
+    p.http.defaultResponse = res.gemini("OK");
+
+    assert.deepStrictEqual(chainOf(p, "hy_AI"), []);
+    assert.ok(p.gas.hy_AI("質問").indexOf("【⚠️設定エラー】AI_Config シートのチェーン「hy_AI」は行がすべて無効です") === 0);
+    assert.ok(p.gas.ge_AI("質問").indexOf("【⚠️設定エラー】") === 0);
+    assert.strictEqual(p.http.requests.length, 0);
+
+    // モデルを指定すればそのモデルには送る
+    assert.strictEqual(p.gas.ge_AI("質問", "", "g-b"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["g-b"]);
+
+    p.gas.checkAIConfig();
+    assert.ok(p.logs.some(l => l === "hy_AI: なし"), p.logs.join("\n"));
+    assert.ok(p.logs.some(l => l.indexOf("⚠️ AI_Config シートのチェーン「hy_AI」は行がすべて無効です") === 0));
+
+    // AI_CHAINS でも同じ
+    const q = loadProject({
+        properties: Object.assign({ AI_CHAINS: JSON.stringify({ or_AI: [{ provider: "openrouter", model: "a/b", enabled: false }] }) }, KEYS)
+    });
+    q.http.defaultResponse = res.gemini("OK");
+    assert.ok(q.gas.or_AI("質問").indexOf("【⚠️設定エラー】AI_CHAINS プロパティのチェーン「or_AI」") === 0);
+    assert.strictEqual(q.http.requests.length, 0);
+});
+
+test("シートがなければ AI_CHAINS プロパティ（JSON）を使う", () => {
+    const p = loadProject({
+        properties: Object.assign({
+            AI_CHAINS: JSON.stringify({
+                ge_AI: ["gemini:gemini-2.0-flash-lite", { provider: "gemini", model: "gemini-2.5-flash", retry: 1 },
+                    { provider: "gemini", model: "off", enabled: false }]
+            })
+        }, KEYS)
+    });
+    p.http.defaultResponse = res.error(404, "gone");
+
+    p.gas.ge_AI("質問");
+    assert.deepStrictEqual(p.http.models(), ["gemini-2.0-flash-lite", "gemini-2.5-flash"]);
+    assert.strictEqual(p.gas._loadAIChainConfig().source, "property");
+});
+
+test("AI_CHAINS が壊れていれば既定値で動き、問題を記録する", () => {
+    const p = loadProject({ properties: Object.assign({ AI_CHAINS: "{oops" }, KEYS) });
+    assert.deepStrictEqual(chainOf(p, "ge_AI"), toHost(p.evaluate("DEFAULT_AI_CHAINS.ge_AI")));
+    assert.ok(p.gas._loadAIChainConfig().problems[0].indexOf("AI_CHAINS が正しいJSONではありません") === 0);
+});
+
+test("ge_AI の指定モデルはチェーンの先頭に置かれ、重複しない", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: { AI_Config: [HEADER, ["ge_AI", "gemini", "g-a", "", "", true], ["ge_AI", "gemini", "g-b", "", "", true]] }
+    });
+    p.http.defaultResponse = res.error(404, "gone");
+
+    p.gas.ge_AI("質問", "", "g-b");
+    assert.deepStrictEqual(p.http.models(), ["g-b", "g-a"]);
+});
+
+test("setupAIConfigSheet は既定値入りのシートを作り、そのまま読み込める", () => {
+    const p = loadProject({ properties: KEYS });
+    p.gas.setupAIConfigSheet();
+
+    const sheet = p.spreadsheet.getSheetByName("AI_Config");
+    assert.deepStrictEqual(sheet.data[0], HEADER);
+    assert.ok(sheet.data.some(r => r[0] === "hy_AI" && r[2] === "openrouter/free"));
+
+    const q = loadProject({ properties: KEYS, sheets: { AI_Config: sheet.data } });
+    assert.strictEqual(q.gas._loadAIChainConfig().source, "sheet");
+    assert.deepStrictEqual(chainOf(q, "hy_AI"), chainOf(p, "hy_AI"));
+});
+
+test("checkAIConfig は実際の並びと問題点をログに出す", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: { AI_Config: [HEADER, ["ge_AI", "nope", "x", "", "", true], ["mine", "gemini", "g-x", "", "", true]] }
+    });
+    p.gas.checkAIConfig();
+    assert.ok(p.logs.some(l => l === "mine: gemini:g-x"), p.logs.join("\n"));
+    assert.ok(p.logs.some(l => l.indexOf("ge_AI（既定値）: gemini:gemini-3-flash-preview") === 0));
+    assert.ok(p.logs.some(l => l.indexOf("⚠️ AI_Config 2行目: 未登録のプロバイダーです (nope)") === 0));
+});
@@ -0,0 +1,95 @@
+// ============================================================
+// 使用状況ダッシュボードのテスト (ai_dashboard.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, toHost } = require("./harness");
+
+/** AI_Log の1行（19列）を作る */
+function logRow(o) {
+    return [o.date || "2026-01-01T03:00:00.000Z", o.model, o.source || "Gemini", o.status, o.elapsedMs || 0, o.tokens || 0, "q",
+        "t", "hy_AI", o.kind || "結果", 1, "", o.errorClass || "", 0.3, o.input || "", o.output || "", o.path || "", o.chainModel || "", o.error || ""];
+}
+
+function sampleLog(p) {
+    const header = toHost(p.evaluate("LOG_HEADERS"));
+    return [header,
+        logRow({ model: "gemini-3-flash-preview", status: "試行失敗", kind: "試行失敗", errorClass: "⏳レート制限", error: "【⏳レート制限】busy" }),
+        logRow({ model: "gemini-2.5-flash", status: "成功", elapsedMs: 900, tokens: 30, input: 10, output: 20, path: "gemini-3-flash-preview:⏳レート制限 → gemini-2.5-flash:成功" }),
+        logRow({ model: "gemini-3-flash-preview", status: "成功", elapsedMs: 100, tokens: 5, path: "gemini-3-flash-preview:成功" }),
+        logRow({ model: "gemini-3-flash-preview", status: "成功", elapsedMs: 300, tokens: 5, date: "2026-01-01T16:00:00.000Z" }),
+        logRow({ model: "N/A", source: "N/A", status: "全API失敗", errorClass: "💀全API失敗" }),
+        logRow({ model: "-", source: "-", status: "ログ欠落", kind: "欠落" })
+    ];
+}
+
+test("_aggregateAILog はモデル別・ソース別・日別・エラー分類を集計する", () => {
+    const p = loadProject();
+    const stats = toHost(p.gas._aggregateAILog(sampleLog(p), "Asia/Tokyo"));
+
+    assert.deepStrictEqual(stats.total, { calls: 4, success: 3, successRate: 0.75, fallbackRate: 1 / 3, p50: 300, p95: 900 });
+    assert.deepStrictEqual(stats.models, [
+        ["gemini-3-flash-preview", "Gemini", 3, 2, 2 / 3, 100, 300, 10],
+        ["gemini-2.5-flash", "Gemini", 1, 1, 1, 900, 900, 30]
+    ]);
+    assert.deepStrictEqual(stats.sources[0], ["Gemini", 3, 3, 1, 1 / 3, 300, 900]);
+    assert.deepStrictEqual(stats.sources[1], ["N/A", 1, 0, 0, 0, "", ""]);
+    // 日付はスクリプトのタイムゾーン（16:00Z は東京では翌日）で区切る
+    assert.deepStrictEqual(stats.days, [["2026-01-01", 3, 35, 10, 20], ["2026-01-02", 1, 5, 0, 0]]);
+    // 試行のエラーと呼び出しの失敗は別の表
+    assert.deepStrictEqual(stats.errors, [["⏳レート制限", 1, 1, "【⏳レート制限】busy"]]);
+    assert.deepStrictEqual(stats.failures.map(e => [e[0], e[1], e[2]]), [["💀全API失敗", 1, 1]]);
+});
+
+test("モデル別はチェーンのモデルでまとめ、実際のモデル名が違っても失敗と成功を同じ行で数える", () => {
+    const p = loadProject();
+    const header = toHost(p.evaluate("LOG_HEADERS"));
+    const stats = toHost(p.gas._aggregateAILog([header,
+        logRow({ model: "openrouter/free", source: "OpenRouter", status: "試行失敗", kind: "試行失敗", errorClass: "⏳レート制限", chainModel: "openrouter/free" }),
+        logRow({ model: "meta-llama/llama-3.3-70b-instruct:free", source: "OpenRouter", status: "成功(Free)", elapsedMs: 500, tokens: 8,
+            path: "openrouter/free:⏳レート制限 → openrouter/free:成功", chainModel: "openrouter/free" }),
+        logRow({ model: "gemini-2.5-flash-001", status: "成功", elapsedMs: 200, tokens: 4, chainModel: "gemini-2.5-flash" })
+    ], "Asia/Tokyo"));
+
+    assert.deepStrictEqual(stats.models.map(m => m.slice(0, 5)), [
+        ["openrouter/free", "OpenRouter", 2, 1, 0.5],
+        ["gemini-2.5-flash", "Gemini", 1, 1, 1]
+    ]);
+    assert.deepStrictEqual(stats.failures, []);
+});
+
+test("旧形式（7列）の行は結果として数える", () => {
+    const p = loadProject();
+    const header = toHost(p.evaluate("LOG_HEADERS")).slice(0, 7);
+    const stats = toHost(p.gas._aggregateAILog([header,
+        ["2026-01-01T00:00:00.000Z", "m1", "Gemini", "成功", 200, 12, "q"],
+        ["2026-01-01T00:00:00.000Z", "N/A", "N/A", "全API失敗", 0, 0, "q"]
+    ], "Asia/Tokyo"));
+
+    assert.strictEqual(stats.total.calls, 2);
+    assert.strictEqual(stats.total.successRate, 0.5);
+    assert.deepStrictEqual(stats.failures.map(e => e[0]), ["全API失敗"]);
+    assert.deepStrictEqual(stats.errors, []);
+});
+
+test("buildAIDashboard は表とグラフを作り、再実行しても同じ形になる", () => {
+    const p = loadProject();
+    p.spreadsheet.insertSheet("AI_Log").data = sampleLog(p);
+
+    p.gas.buildAIDashboard();
+    const sheet = p.spreadsheet.getSheetByName("AI_Dashboard");
+    const first = JSON.stringify(sheet.data);
+    const titles = sheet.data.filter(r => String(r[0]).indexOf("■") === 0).map(r => r[0]);
+    assert.deepStrictEqual(titles.slice(1), ["■ モデル別", "■ ソース別", "■ 日別トークン", "■ エラー分類（上位10件）", "■ 呼び出しの失敗（上位10件）"]);
+    assert.deepStrictEqual(sheet.charts.map(c => c.type), ["BAR", "COLUMN", "LINE", "PIE"]);
+
+    p.gas.buildAIDashboard();
+    assert.strictEqual(JSON.stringify(sheet.data), first);
+    assert.strictEqual(sheet.charts.length, 4);
+    assert.strictEqual(p.spreadsheet.sheets.filter(s => s.name === "AI_Dashboard").length, 1);
+});
+
+test("buildAIDashboard はログがなければ何もしない", () => {
+    const p = loadProject();
+    assert.strictEqual(p.gas.buildAIDashboard(), null);
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Dashboard"), null);
+});
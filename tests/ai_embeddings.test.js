@@ -0,0 +1,122 @@
+// ============================================================
+// 埋め込みと意味の近さのテスト (ai_embeddings.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o" };
+
+/** 話題ごとの単語の数を並べた、偽の埋め込み */
+function fakeVector(text) {
+    const topics = [/返品|返金/g, /配送|届/g, /支払|請求/g];
+    return topics.map(re => (String(text).match(re) || []).length).concat([0.05]);
+}
+
+/** Gemini の embedContent / batchEmbedContents を真似る */
+function geminiEmbed(req) {
+    if (req.json.requests) return { code: 200, body: { embeddings: req.json.requests.map(r => ({ values: fakeVector(r.content.parts[0].text) })) } };
+    return { code: 200, body: { embedding: { values: fakeVector(req.json.content.parts[0].text) } } };
+}
+
+/** 送った埋め込みの件数（リクエストごと） */
+function embeddedCounts(p) {
+    return p.http.requests.map(r => r.json.requests ? r.json.requests.length : 1);
+}
+
+
+test("similarAI は近い順に [行のセル, スコア] を k 件返し、質問と行で用途を分けて送る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = geminiEmbed;
+
+    const out = toHost(p.gas.similarAI("返品したい", [["配送が遅い", "A"], ["返金してほしい", "B"], [""], ["請求書の支払"], ["返品の方法"]], 2));
+    assert.deepStrictEqual(out.map(r => r.slice(0, -1)), [["返金してほしい", "B"], ["返品の方法"]]);
+    assert.ok(out[0][2] > 0.99 && out[1][1] > 0.99, JSON.stringify(out));
+
+    // 質問と行は同じモデルでそろえるため、1回の batchEmbedContents にまとめて送る
+    assert.strictEqual(p.http.requests.length, 1);
+    assert.ok(/gemini-embedding-001:batchEmbedContents\?key=g$/.test(p.http.requests[0].url));
+    const sent = p.http.requests[0].json.requests;
+    assert.deepStrictEqual(sent.map(r => r.taskType), ["RETRIEVAL_QUERY", "RETRIEVAL_DOCUMENT", "RETRIEVAL_DOCUMENT", "RETRIEVAL_DOCUMENT", "RETRIEVAL_DOCUMENT"]);
+    assert.deepStrictEqual([sent[0].model, sent[0].outputDimensionality], ["models/gemini-embedding-001", 768]);
+});
+
+test("埋め込みはセルの内容ごとにキャッシュし、変わった行だけを送り直す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = geminiEmbed;
+
+    p.gas.dedupeAI([["返品したい"], ["配送が遅い"], ["返品したい"]]);
+    p.gas.dedupeAI([["返品したい"], ["配送が遅い"], ["支払の件"]]);
+    assert.deepStrictEqual(embeddedCounts(p), [2, 1]);
+
+    const result = logEntries(p, "結果");
+    assert.deepStrictEqual(result.map(e => [e.entry, e.source, e.prompt]), [
+        ["dedupeAI", "Gemini(埋め込み)", "埋め込み 2 件（キャッシュ 0 件）"],
+        ["dedupeAI", "Gemini(埋め込み)", "埋め込み 3 件（キャッシュ 2 件）"]
+    ]);
+});
+
+test("dedupeAI は後から出てきた似た行に、いちばん近い先の行番号を付ける", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = geminiEmbed;
+
+    const out = toHost(p.gas.dedupeAI([["返品したい"], ["配送が遅い"], [""], ["返金と返品"], ["届かない"]], 0.95));
+    assert.deepStrictEqual(out, [[""], [""], [""], ["【重複】1行目 (1)"], ["【重複】2行目 (1)"]]);
+});
+
+test("clusterAI は近い行に同じ番号を、上から出てきた順に振る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = geminiEmbed;
+
+    const out = toHost(p.gas.clusterAI([["支払の確認"], ["返品したい"], ["請求が二重"], [""], ["返金して"], ["配送状況"]], 3));
+    assert.deepStrictEqual(out, [[1], [2], [1], [""], [2], [3]]);
+});
+
+test("埋め込みに失敗したら次のモデルでそろえて取り直し、全滅ならエラー文を返す", () => {
+    const p = loadProject({ properties: Object.assign({ AI_EMBED_MODELS: "gemini:gemini-embedding-001, openrouter:openai/text-embedding-3-small" }, KEYS) });
+    p.http.whenUrl("batchEmbedContents", res.error(400, "bad"));
+    p.http.whenUrl("/embeddings", req => ({ code: 200, body: { data: req.json.input.map((t, i) => ({ index: i, embedding: fakeVector(t) })).reverse() } }));
+
+    const out = toHost(p.gas.similarAI("返品", [["配送"], ["返品"]], 1));
+    assert.deepStrictEqual(out.map(r => r[0]), ["返品"]);
+    assert.strictEqual(p.http.requests.length, 2);
+    assert.deepStrictEqual(p.http.requests[1].json, { model: "openai/text-embedding-3-small", input: ["返品", "配送", "返品"] });
+    assert.strictEqual(p.http.requests[1].headers.Authorization, "Bearer o");
+
+    const q = loadProject({ properties: { GEMINI_API_KEY: "g" } });
+    q.http.defaultResponse = res.error(403, "denied");
+    assert.strictEqual(q.gas.clusterAI([["a"], ["b"]], 2), "【💀全API失敗】\nGemini(gemini-embedding-001): 【🔑認証エラー】denied");
+});
+
+test("埋め込みも予算・流量制限の対象にし、使った量を予算に数える", () => {
+    const p = loadProject({ properties: Object.assign({ AI_BUDGETS: JSON.stringify([{ scope: "gemini", period: "day", tokens: 5 }]) }, KEYS) });
+    p.http.defaultResponse = geminiEmbed;
+
+    assert.deepStrictEqual(toHost(p.gas.clusterAI([["返品したい"], ["配送が遅い"]], 2)), [[1], [2]]);
+    assert.ok(JSON.parse(p.props.getProperty("AI_USAGE_D_2026-01-01"))["gemini:gemini-embedding-001"][0] > 0);
+    const reply = p.gas.clusterAI([["支払の方法"]], 1);
+    assert.ok(reply.indexOf("【💰予算超過】") === 0, reply);
+    assert.strictEqual(p.http.requests.length, 1);
+
+    const q = loadProject({ properties: Object.assign({ AI_RATE_LIMITS: JSON.stringify({ gemini: 1 }), AI_RATE_MAX_WAIT_SEC: "0" }, KEYS) });
+    q.http.defaultResponse = geminiEmbed;
+    q.gas.dedupeAI([["返品したい"], ["返金したい"]]);
+    const limited = q.gas.dedupeAI([["配送が遅い"]]);
+    assert.ok(limited.indexOf("【🚦混雑回避】") !== -1, limited);
+    assert.strictEqual(q.http.requests.length, 1);
+});
+
+test("大きな範囲は送る前に毎回締め切りを確かめ、間に合わなければ残りを送らずに知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = req => Object.assign(geminiEmbed(req), { latencyMs: 23000 });
+    const rows = [];
+    for (let i = 0; i < 150; i++) rows.push(["返品 " + i]);
+
+    const reply = p.gas.clusterAI(rows, 3);
+    assert.ok(reply.indexOf("【⏱タイムアウト】") === 0, reply);
+    assert.ok(reply.indexOf("残り 50 件を送っていません") !== -1, reply);
+    assert.deepStrictEqual(embeddedCounts(p), [100]);
+
+    // 送った分はキャッシュにあるので、再計算すると続きだけを送る
+    assert.strictEqual(toHost(p.gas.clusterAI(rows, 3)).length, 150);
+    assert.deepStrictEqual(embeddedCounts(p), [100, 50]);
+});
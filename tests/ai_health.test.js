@@ -0,0 +1,108 @@
+// ============================================================
+// モデルの健康状態のテスト (ai_health.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+const FIRST = "gemini-3-flash-preview";
+
+
+test("連続で閾値回失敗したモデルは一時停止され、次の実行ではスキップされる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when(FIRST, res.error(429, "busy"), res.error(429, "busy"), res.error(429, "busy"),
+        res.error(429, "busy"), res.error(429, "busy"), res.error(429, "busy"),
+        res.error(429, "busy"), res.error(429, "busy"), res.error(429, "busy"));
+    p.http.defaultResponse = res.gemini("OK");
+
+    for (let i = 0; i < 3; i++) assert.strictEqual(p.gas.hy_AI("質問" + i), "OK");
+    const before = p.http.requests.length;
+
+    assert.strictEqual(p.gas.hy_AI("次の質問"), "OK");
+    assert.deepStrictEqual(p.http.models().slice(before), ["gemini-2.5-flash"]);
+});
+
+test("失敗の間に成功があれば連続失敗数は0に戻る", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "2" }, KEYS) });
+    p.http.when(FIRST, res.error(500, "x"), res.error(500, "x"), res.error(500, "x"),
+        res.gemini("復活"),
+        res.error(500, "x"), res.error(500, "x"), res.error(500, "x"));
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("1");
+    assert.strictEqual(p.gas.hy_AI("2"), "復活");
+    p.gas.hy_AI("3");
+
+    const before = p.http.requests.length;
+    p.gas.hy_AI("4");
+    assert.strictEqual(p.http.models()[before], FIRST);
+});
+
+test("待機時間が過ぎたら1回だけ様子見し、成功すれば通常に戻る", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "1", AI_HEALTH_COOLDOWN_SEC: "60" }, KEYS) });
+    p.http.when(FIRST, res.error(404, "gone"), res.gemini("戻った"));
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("1");
+    p.clock.now += 61 * 1000;
+
+    assert.strictEqual(p.gas.hy_AI("2"), "戻った");
+    const rows = toHost(p.gas.showModelHealth());
+    const row = rows.find(r => r[1] === FIRST);
+    assert.strictEqual(row[2], "✅ 正常");
+    assert.strictEqual(row[3], 0);
+});
+
+test("様子見が失敗すると再び一時停止される", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "1", AI_HEALTH_COOLDOWN_SEC: "60" }, KEYS) });
+    p.http.when(FIRST, res.error(503, "down"), res.error(503, "down"), res.error(503, "down"),
+        res.error(503, "down"), res.error(503, "down"), res.error(503, "down"));
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("1");
+    p.clock.now += 61 * 1000;
+    p.gas.hy_AI("2");
+
+    const before = p.http.requests.length;
+    p.gas.hy_AI("3");
+    assert.ok(p.http.models().slice(before).indexOf(FIRST) === -1);
+});
+
+test("APIキー未設定やリクエスト不正は失敗として数えない", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_HEALTH_THRESHOLD: "1", AI_CACHE_TTL: "0" } });
+    p.http.when(FIRST, res.error(400, "bad"), res.gemini("OK"));
+
+    p.gas.or_AI("質問");
+    p.gas.hy_AI("質問");
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+});
+
+test("全モデル一時停止中なら API を呼ばずに理由を返す", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "1" }, KEYS) });
+    p.http.defaultResponse = res.error(500, "down");
+
+    p.gas.ge_AI("1");
+    const before = p.http.requests.length;
+    const out = p.gas.ge_AI("2");
+    assert.strictEqual(p.http.requests.length, before);
+    assert.ok(out.indexOf("【💀全API失敗】") === 0);
+    assert.ok(out.indexOf("【🚧一時停止】") !== -1);
+});
+
+test("showModelHealth は状態を表にし、resetModelHealth で元に戻る", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "1", AI_HEALTH_COOLDOWN_SEC: "120" }, KEYS) });
+    p.http.when(FIRST, res.error(429, "busy"), res.error(429, "busy"), res.error(429, "busy"));
+    p.http.defaultResponse = res.gemini("OK");
+    p.gas.hy_AI("1");
+
+    let rows = toHost(p.gas.showModelHealth());
+    assert.deepStrictEqual(rows[0], ["プロバイダー", "モデル", "状態", "連続失敗", "再開まで(秒)", "最後のエラー"]);
+    const row = rows.find(r => r[1] === FIRST);
+    assert.strictEqual(row[2], "🚧 停止中");
+    assert.strictEqual(row[4], 120);
+    assert.ok(row[5].indexOf("429") !== -1 || row[5].indexOf("⏳") !== -1);
+
+    p.gas.resetModelHealth();
+    rows = toHost(p.gas.showModelHealth());
+    assert.strictEqual(rows.find(r => r[1] === FIRST)[2], "✅ 正常");
+});
@@ -0,0 +1,176 @@
+// ============================================================
+// 一括処理ジョブのテスト (ai_jobs.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" };
+
+/** 質問の末尾をそのまま返す Gemini */
+function echo(latencyMs) {
+    return req => {
+        const text = req.json.contents[req.json.contents.length - 1].parts[0].text;
+        return Object.assign(res.gemini("答え:" + text), { latencyMs: latencyMs || 0 });
+    };
+}
+
+function jobProps(p) {
+    return Object.keys(p.props.data).filter(k => /^AI_JOB_[0-9a-f]{8}$/.test(k)).map(k => JSON.parse(p.props.data[k]));
+}
+
+
+test("ジョブは入力列を処理して値を書き込み、空の入力・記入済みの行は飛ばし、失敗した行はやり直す", () => {
+    const p = loadProject({
+        properties: KEYS,
+        sheets: { Data: [["入力", "出力"], ["りんご", ""], ["", ""], ["みかん", "記入済み"], ["ぶどう", "【💀全API失敗】\nx"]] }
+    });
+    p.http.defaultResponse = echo();
+
+    const id = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "B", template: "英訳: {input}" });
+    assert.deepStrictEqual(p.scriptApp.triggers.map(t => [t.handler, t.afterMs]), [["runAIJobs", 60000]]);
+
+    p.gas.runAIJobs();
+    const data = p.spreadsheet.getSheetByName("Data").data;
+    assert.deepStrictEqual(data.slice(1).map(r => r[1]), ["答え:英訳: りんご", "", "記入済み", "答え:英訳: ぶどう"]);
+
+    const job = jobProps(p)[0];
+    assert.deepStrictEqual([job.id, job.status, job.done, job.failed, job.skipped], [id, "done", 2, 0, 2]);
+    assert.strictEqual(p.scriptApp.triggers.length, 0);
+    assert.strictEqual(p.props.getProperty("AI_JOB_RUNNER"), null);
+    assert.ok(logEntries(p, "結果").every(e => e.entry === "aiJob"));
+
+    const status = p.spreadsheet.getSheetByName("AI_Jobs").data;
+    assert.deepStrictEqual(status[1].slice(0, 10), [id, "✅ 完了", "Data", "A", "B", "2〜5", "", 2, 0, 2]);
+});
+
+test("時間が足りなければ途中まで保存し、トリガーで予約した次の実行が続きから再開する", () => {
+    const p = loadProject({
+        properties: Object.assign({ AI_JOB_TIME_LIMIT_SEC: "40" }, KEYS),
+        sheets: { Data: [["入力"], ["1"], ["2"], ["3"], ["4"]] }
+    });
+    p.http.defaultResponse = echo(6000);
+    p.gas.startAIJob({ sheetName: "Data", inputColumn: 1, outputColumn: 2 });
+
+    p.gas.runAIJobs();
+    let job = jobProps(p)[0];
+    assert.deepStrictEqual([job.status, job.nextRow, job.done], ["running", 4, 2]);
+    assert.strictEqual(p.scriptApp.triggers.length, 1);
+
+    p.gas.runAIJobs();
+    job = jobProps(p)[0];
+    assert.deepStrictEqual([job.status, job.done], ["done", 4]);
+    assert.deepStrictEqual(p.spreadsheet.getSheetByName("Data").data.slice(1).map(r => r[1]), ["答え:1", "答え:2", "答え:3", "答え:4"]);
+    assert.strictEqual(p.http.requests.length, 4);
+});
+
+test("一時停止中は進まず、再開すると続きから処理し、中止するとトリガーも消える", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [["入力"], ["a"], ["b"]] } });
+    p.http.defaultResponse = echo();
+
+    const id = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "B" });
+    p.gas.pauseAIJob();
+    p.gas.runAIJobs();
+    assert.strictEqual(p.http.requests.length, 0);
+    assert.strictEqual(p.scriptApp.triggers.length, 0);
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Jobs").data[1][1], "⏸ 一時停止");
+
+    p.gas.resumeAIJob(id);
+    assert.strictEqual(p.scriptApp.triggers.length, 1);
+    p.gas.runAIJobs();
+    assert.strictEqual(jobProps(p)[0].status, "done");
+
+    const id2 = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "C" });
+    assert.strictEqual(p.gas.cancelAIJob(id2).status, "cancelled");
+    assert.strictEqual(p.scriptApp.triggers.length, 0);
+    assert.strictEqual(p.gas.resumeAIJob(id2), null);
+});
+
+test("行の処理で例外が出たらジョブをエラーにして止め、resumeAIJob でその行から再開できる", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [["入力"], ["a"], ["b"], ["c"]] } });
+    p.http.defaultResponse = echo();
+    const id = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "B" });
+
+    const hybridAsk = p.gas._hybridAsk;
+    p.gas._hybridAsk = (request, promptText) => {
+        if (promptText.indexOf("b") !== -1) throw new Error("Service invoked too many times");
+        return hybridAsk(request, promptText, "");
+    };
+    p.gas.runAIJobs();
+
+    let job = jobProps(p)[0];
+    assert.deepStrictEqual([job.status, job.nextRow, job.done], ["error", 3, 1]);
+    assert.strictEqual(job.lastError, "3行目: Service invoked too many times");
+    assert.strictEqual(p.props.getProperty("AI_JOB_RUNNER"), null);
+    assert.strictEqual(p.scriptApp.triggers.length, 0);
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Jobs").data[1][1], "⚠️ エラー");
+
+    p.gas._hybridAsk = hybridAsk;
+    assert.strictEqual(p.gas.resumeAIJob(id).status, "running");
+    p.gas.runAIJobs();
+    job = jobProps(p)[0];
+    assert.deepStrictEqual([job.status, job.done], ["done", 3]);
+    assert.deepStrictEqual(p.spreadsheet.getSheetByName("Data").data.slice(1).map(r => r[1]), ["答え:a", "答え:b", "答え:c"]);
+});
+
+test("処理中に一時停止・中止されたら、その状態を上書きせず、消されたジョブは書き戻さない", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [["入力"], ["a"], ["b"]] } });
+    p.http.defaultResponse = echo();
+    const hybridAsk = p.gas._hybridAsk;
+
+    // 行の処理中に一時停止 → 進み具合は保存されるが状態は一時停止のまま
+    const id = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "B" });
+    p.gas._hybridAsk = (request, promptText) => {
+        if (promptText.indexOf("a") !== -1) p.gas.pauseAIJob(id);
+        return hybridAsk(request, promptText, "");
+    };
+    p.gas.runAIJobs();
+    let job = jobProps(p)[0];
+    assert.deepStrictEqual([job.status, job.nextRow, job.done], ["paused", 4, 2]);
+
+    // 行の処理中に記録ごと消された → 作り直さない
+    const id2 = p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "C" });
+    p.gas._hybridAsk = (request, promptText) => {
+        p.props.deleteProperty("AI_JOB_" + id2);
+        return hybridAsk(request, promptText, "");
+    };
+    p.gas.runAIJobs();
+    assert.strictEqual(p.props.getProperty("AI_JOB_" + id2), null);
+    assert.deepStrictEqual(jobProps(p).map(j => j.id), [id]);
+});
+
+test("数式に見える回答は文字列として書き込み、他の実行が処理中なら何もしない", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [["入力"], ["a"]] } });
+    p.http.defaultResponse = res.gemini("=SUM(A1:A3)");
+    p.gas.startAIJob({ sheetName: "Data", inputColumn: "A", outputColumn: "B" });
+
+    p.props.setProperty("AI_JOB_RUNNER", String(p.clock.now + 60000));
+    p.gas.runAIJobs();
+    assert.strictEqual(p.http.requests.length, 0);
+
+    p.clock.now += 61000;
+    p.gas.runAIJobs();
+    assert.strictEqual(p.spreadsheet.getSheetByName("Data").data[1][1], "'=SUM(A1:A3)");
+});
+
+test("startAIJobFromSelection は選択範囲とダイアログの答えからジョブを登録する", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [["入力"], ["a"], ["b"], ["c"]] } });
+    const sheet = p.spreadsheet.getSheetByName("Data");
+    sheet.activeRange = sheet.getRange(1, 1, 1000, 1);
+    p.ui.responses.push({ text: "要約: {input}" }, { text: "d" });
+
+    const id = p.gas.startAIJobFromSelection();
+    const job = jobProps(p).find(j => j.id === id);
+    assert.deepStrictEqual([job.inputCol, job.outputCol, job.startRow, job.endRow, job.template], [1, 4, 2, 4, "要約: {input}"]);
+    assert.ok(p.ui.alerts[0].indexOf(id) !== -1);
+
+    // キャンセルしたら登録しない
+    p.ui.responses.push({ text: "", button: "CANCEL" });
+    assert.strictEqual(p.gas.startAIJobFromSelection(), null);
+    assert.strictEqual(jobProps(p).length, 1);
+});
+
+test("列の表記は文字と番号を相互に変換できる", () => {
+    const p = loadProject();
+    assert.deepStrictEqual([p.gas._columnNumber("c"), p.gas._columnNumber("AA"), p.gas._columnNumber(5), p.gas._columnNumber("1行")], [3, 27, 5, 0]);
+    assert.deepStrictEqual([p.gas._columnLetter(1), p.gas._columnLetter(26), p.gas._columnLetter(28)], ["A", "Z", "AB"]);
+});
@@ -0,0 +1,148 @@
+// ============================================================
+// メニューと設定サイドバーのテスト (ai_menu.js)
+// ============================================================
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { test, loadProject, toHost } = require("./harness");
+
+const GEMINI_KEY = "AIzaSyD-secret-0123456789-abcd";
+
+/** メニューの項目から、呼び出す関数名を（サブメニューも含めて）集める */
+function menuFunctions(items) {
+    const out = [];
+    items.forEach(item => {
+        if (item.items) out.push(...menuFunctions(item.items));
+        else if (item.functionName) out.push(item.functionName);
+    });
+    return out;
+}
+
+
+test("onOpen は AI メニューを作り、どの項目も存在する関数を呼ぶ", () => {
+    const p = loadProject();
+    p.gas.onOpen();
+
+    assert.strictEqual(p.ui.menus.length, 1);
+    assert.strictEqual(p.ui.menus[0].title, "🤖 AI");
+    const fns = menuFunctions(p.ui.menus[0].items);
+    assert.ok(fns.indexOf("showAISidebar") !== -1 && fns.indexOf("startAIJobFromSelection") !== -1);
+    fns.forEach(fn => assert.strictEqual(typeof p.gas[fn], "function", fn));
+
+    p.gas.showAISidebar();
+    assert.strictEqual(p.ui.sidebars[0].file, "ai_sidebar");
+    assert.ok(fs.existsSync(path.join(__dirname, "..", "ai_sidebar.html")));
+});
+
+test("サイドバーの状態は APIキーを伏せ字でだけ返し、キーは書き込み専用で保存する", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: GEMINI_KEY } });
+
+    const state = toHost(p.gas.getAISidebarState());
+    assert.deepStrictEqual(state.keys.map(k => [k.property, k.configured, k.masked]), [
+        ["GEMINI_API_KEY", true, "••••abcd"], ["OPENROUTER_API_KEY", false, ""], ["OPENAI_COMPAT_API_KEY", false, ""]
+    ]);
+    assert.strictEqual(JSON.stringify(state).indexOf("secret"), -1);
+
+    const saved = toHost(p.gas.saveAIKey("OPENROUTER_API_KEY", "  sk-or-v1-zzzz9876  "));
+    assert.deepStrictEqual(saved, { ok: true, message: "OpenRouter のキーを保存しました（••••9876）。" });
+    assert.strictEqual(p.props.data.OPENROUTER_API_KEY, "sk-or-v1-zzzz9876");
+
+    assert.strictEqual(p.gas.saveAIKey("AI_CHAINS", "x").ok, false);
+    assert.strictEqual(p.gas.saveAIKey("GEMINI_API_KEY", "a b").ok, false);
+    assert.strictEqual(p.gas.clearAIKey("GEMINI_API_KEY").ok, true);
+    assert.strictEqual(p.props.data.GEMINI_API_KEY, undefined);
+});
+
+test("runAIMaintenance は操作中の Logger の内容を返し、一覧にない操作は実行しない", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: GEMINI_KEY } });
+    const result = toHost(p.gas.runAIMaintenance("testApiKeys"));
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.title, "APIキーを確認");
+    assert.ok(result.log.indexOf("GEMINI_API_KEY: ✅ 設定済み (••••abcd)") !== -1, result.log);
+    assert.strictEqual(result.log.indexOf("AIzaSy"), -1);
+
+    assert.strictEqual(p.gas.runAIMaintenance("eval").ok, false);
+});
+
+test("メニューの消去は確認で「はい」を押したときだけ実行し、結果をダイアログで見せる", () => {
+    const p = loadProject({ properties: { AI_LOG_BUFFER_1: "[]", AI_LOG_DROPPED: "3" } });
+
+    p.ui.alertResponses.push("NO");
+    p.gas.menuClearAILog();
+    assert.strictEqual(p.props.data.AI_LOG_DROPPED, "3");
+    assert.strictEqual(p.ui.alerts.length, 1);
+
+    p.ui.alertResponses.push("YES");
+    p.gas.menuClearAILog();
+    assert.strictEqual(p.props.data.AI_LOG_DROPPED, undefined);
+    assert.strictEqual(p.ui.alerts[2], "ログを消去\nAI使用ログをクリアしました");
+});
+
+test("saveAISettings は値を確かめてから保存し、空欄は初期値に戻す", () => {
+    const p = loadProject({ properties: { AI_CACHE_TTL: "60" } });
+
+    const bad = toHost(p.gas.saveAISettings({ AI_CACHE_TTL: "0", AI_TIME_BUDGET_SEC: "abc", OPENAI_COMPAT_POSITION: "middle", GEMINI_API_KEY: "x" }));
+    assert.strictEqual(bad.ok, false);
+    assert.strictEqual(bad.problems.length, 3, bad.problems.join("\n"));
+    assert.strictEqual(p.props.data.AI_CACHE_TTL, "60");
+
+    assert.strictEqual(p.gas.saveAISettings({ AI_CACHE_TTL: "", AI_TIME_BUDGET_SEC: "40", OPENAI_COMPAT_POSITION: "first" }).ok, true);
+    assert.strictEqual(p.props.data.AI_CACHE_TTL, undefined);
+    assert.deepStrictEqual([p.props.data.AI_TIME_BUDGET_SEC, p.props.data.OPENAI_COMPAT_POSITION], ["40", "first"]);
+});
+
+test("saveAIChains は変えたチェーンだけを AI_CHAINS に保存し、すぐに使われる", () => {
+    const p = loadProject();
+    const state = toHost(p.gas.getAISidebarState());
+    const hy = state.chains.filter(c => c.name === "hy_AI")[0];
+    assert.ok(hy.isDefault && hy.text.indexOf("gemini:gemini-3-flash-preview\n") === 0);
+
+    const texts = {};
+    state.chains.forEach(c => { texts[c.name] = c.text; });
+    texts.ge_AI = "gemini:gemini-2.5-flash maxTokens=2048\n\ngemini:gemini-2.0-flash retry=1";
+    texts.fast_AI = "openrouter:openrouter/free";
+
+    assert.strictEqual(p.gas.saveAIChains(texts).ok, true);
+    assert.deepStrictEqual(JSON.parse(p.props.data.AI_CHAINS), {
+        ge_AI: [{ provider: "gemini", model: "gemini-2.5-flash", maxTokens: "2048" }, { provider: "gemini", model: "gemini-2.0-flash", retry: "1" }],
+        fast_AI: [{ provider: "openrouter", model: "openrouter/free" }]
+    });
+    const ge = toHost(p.gas._getModelChain("ge_AI"));
+    assert.deepStrictEqual(ge.map(e => [e.model, e.maxTokens, e.maxRetry]), [["gemini-2.5-flash", 2048, 2], ["gemini-2.0-flash", 1024, 1]]);
+
+    const after = toHost(p.gas.getAISidebarState()).chains.filter(c => c.name === "ge_AI")[0];
+    assert.deepStrictEqual([after.isDefault, after.text], [false, "gemini:gemini-2.5-flash maxTokens=2048\ngemini:gemini-2.0-flash retry=1"]);
+});
+
+test("saveAIChains は読めない行を保存せず、AI_Config シートがあるときは編集させない", () => {
+    const p = loadProject();
+    const bad = toHost(p.gas.saveAIChains({ ge_AI: "gemini:gemini-2.5-flash speed=fast\nnope:model" }));
+    assert.strictEqual(bad.ok, false);
+    assert.ok(bad.problems[0].indexOf("ge_AI 1行目: 読めない指定です (speed=fast)") === 0, bad.problems.join("\n"));
+    assert.strictEqual(p.props.data.AI_CHAINS, undefined);
+
+    const q = loadProject();
+    q.gas.setupAIConfigSheet();
+    const locked = toHost(q.gas.saveAIChains({ ge_AI: "gemini:gemini-2.5-flash" }));
+    assert.strictEqual(locked.ok, false);
+    assert.strictEqual(toHost(q.gas.getAISidebarState()).chainSource, "sheet");
+});
+
+test("最近のログは AI_Log シートの直近の行と、未書き出しの件数をまとめる", () => {
+    const p = loadProject({ properties: { AI_LOG_BUFFER_1: JSON.stringify(["{}", "{}"]) } });
+    assert.deepStrictEqual(toHost(p.gas.getAISidebarState().stats), { rows: 0, from: "", to: "", total: null, errors: [], failures: [], pending: 2 });
+
+    const header = toHost(p.evaluate("LOG_HEADERS"));
+    const row = (date, status, elapsed, errorClass) =>
+        [date, "gemini-2.5-flash", "Gemini", status, elapsed, 10, "q", "t", "hy_AI", "結果", 1, "", errorClass, 0.3, "", "", ""];
+    const q = loadProject({ sheets: { AI_Log: [header,
+        row("2026-01-01T01:00:00.000Z", "成功", 100, ""),
+        row("2026-01-02T01:00:00.000Z", "成功", 300, ""),
+        row("2026-01-03T01:00:00.000Z", "全API失敗", 0, "💀全API失敗")
+    ] } });
+    const stats = toHost(q.gas.getAISidebarState().stats);
+    assert.deepStrictEqual([stats.rows, stats.from, stats.to, stats.total.calls, stats.total.success], [3, "2026-01-01", "2026-01-03", 3, 2]);
+    assert.deepStrictEqual(stats.failures, [{ label: "💀全API失敗", count: 1 }]);
+    assert.deepStrictEqual(stats.errors, []);
+});
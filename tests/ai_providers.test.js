@@ -0,0 +1,133 @@
+// ============================================================
+// プロバイダー共通層のテスト (ai_providers.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+
+test("_buildAIRequest は例示・履歴・質問を正規化メッセージに並べる", () => {
+    const p = loadProject();
+    const req = toHost(p.gas._buildAIRequest("今回", "先生", "0.5", [["a", "b"], ["c", ""]], [["h1", ""], ["", "h2"]]));
+
+    assert.deepStrictEqual(req, {
+        messages: [
+            { role: "user", content: "Ex: a" },
+            { role: "assistant", content: "Ans: b" },
+            { role: "user", content: "h1" },
+            { role: "assistant", content: "h2" },
+            { role: "user", content: "今回" }
+        ],
+        system: "先生",
+        temperature: 0.5,
+        maxTokens: 1024
+    });
+});
+
+test("3つのカスタム関数で同じ分類ヘルパーを使う", () => {
+    const p = loadProject();
+    assert.strictEqual(typeof p.gas._classifyHttpError, "function");
+    assert.strictEqual(p.gas._classifyHttpError_Gemini, undefined);
+    assert.strictEqual(p.gas._classifyHttpError_OR, undefined);
+    assert.deepStrictEqual(toHost(p.gas._classifyHttpError(418)), { prefix: "【⚠️HTTPエラー(418)】", shouldRetry: true });
+});
+
+test("_registerAIProvider で追加したプロバイダーにチェーンから到達できる", () => {
+    const p = loadProject({ properties: { ECHO_KEY: "e" } });
+    p.evaluate(`_registerAIProvider("echo", {
+        label: "Echo", source: "Echo", keyProperty: "ECHO_KEY",
+        buildFetch: (request, model, apiKey) => ({
+            url: "https://echo.example/" + model,
+            params: { method: "post", payload: JSON.stringify({ model: model, text: request.messages[0].content }) }
+        }),
+        parseReply: json => ({ text: json.echo, tokens: 1 })
+    })`);
+    p.http.when("m1", res.error(503, "down"));
+    p.http.when("m1", { code: 200, body: { echo: "こだま" } });
+
+    const out = toHost(p.gas._runAIChain([{ provider: "echo", model: "m1", maxRetry: 2 }], p.gas._buildAIRequest("やっほー", "", 0.3)));
+    assert.strictEqual(out.success, true);
+    assert.strictEqual(out.result.text, "こだま");
+    assert.strictEqual(p.http.requests[1].url, "https://echo.example/m1");
+});
+
+test("未登録のプロバイダーは送信せずに設定エラーとして扱う", () => {
+    const p = loadProject();
+    const out = toHost(p.gas._runAIChain([{ provider: "nope", model: "x" }], p.gas._buildAIRequest("q", "", 0.3)));
+    assert.strictEqual(out.success, false);
+    assert.ok(out.failures[0].errorDetail.indexOf("【⚠️設定エラー】") === 0);
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("content が null の OpenAI 形式応答は空回答として扱う", () => {
+    const p = loadProject({ properties: { OPENROUTER_API_KEY: "k" } });
+    p.http.when("a/b", { code: 200, body: { choices: [{ message: { content: null } }] } });
+
+    const out = toHost(p.gas._callAIProvider({ provider: "openrouter", model: "a/b", maxRetry: 1 }, p.gas._buildAIRequest("q", "", 0.3)));
+    assert.deepStrictEqual(out, { success: false, errorDetail: "【📭空回答】モデルが空の回答を返しました", httpCode: 200, attempts: 1 });
+});
+
+test("Retry-After ヘッダーの秒数だけ待ってからリトライする", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.when("gemini-3-flash-preview", res.error(429, "busy", { "retry-after": "3" }), res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(toHost(p.sleeps), [3000]);
+});
+
+test("Gemini のエラー本文の retryDelay に従って待つ", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    const quota = {
+        code: 429,
+        body: { error: { code: 429, message: "quota", details: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "2.5s" }] } }
+    };
+    p.http.when("gemini-3-flash-preview", quota, res.gemini("OK"));
+
+    assert.strictEqual(p.gas.ge_AI("質問"), "OK");
+    assert.deepStrictEqual(toHost(p.sleeps), [2500]);
+});
+
+test("待機中に締め切りを過ぎるなら待たずに次のモデルへ進む", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.when("gemini-3-flash-preview", res.error(429, "busy", { "Retry-After": "60" }));
+    p.http.when("gemini-2.5-flash", res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(toHost(p.sleeps), []);
+    assert.deepStrictEqual(toHost(p.http.models()), ["gemini-3-flash-preview", "gemini-2.5-flash"]);
+});
+
+test("リトライ待機は回数ごとに倍になり、上限を超えない", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0", AI_TIME_BUDGET_SEC: "600" } });
+    const entry = { provider: "gemini", model: "gemini-2.5-flash", maxRetry: 6 };
+    p.http.defaultResponse = res.error(503, "down");
+
+    p.gas._callAIProvider(entry, p.gas._buildAIRequest("質問"));
+    const sleeps = toHost(p.sleeps);
+    assert.strictEqual(sleeps.length, 5);
+    [1000, 2000, 4000, 8000, 8000].forEach((base, i) => {
+        assert.ok(sleeps[i] >= base / 2 && sleeps[i] <= base, `${i}: ${sleeps[i]}`);
+    });
+});
+
+test("時間切れになったら残りのモデルを試さず【⏱タイムアウト】でまとめる", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = { code: 503, body: { error: { message: "slow" } }, latencyMs: 12000 };
+
+    // 12秒 → 待機 → 12秒 で先頭モデルだけで約25秒を使い切る
+    const lines = p.gas.hy_AI("質問").split("\n");
+    assert.strictEqual(lines[0], "【⏱タイムアウト】25秒以内に回答を得られませんでした（試行 1 / 未試行 7）");
+    assert.strictEqual(lines[1], "Gemini(gemini-3-flash-preview): 【💔サーバーエラー】slow");
+    assert.strictEqual(lines[2], "Gemini(gemini-2.5-flash): 【⏱タイムアウト】時間切れのため試していません");
+    assert.strictEqual(lines.length, 9);
+    assert.strictEqual(p.http.requests.length, 2);
+    assert.strictEqual(logEntries(p, "結果")[0].status, "タイムアウト");
+});
+
+test("AI_TIME_BUDGET_SEC で制限時間を変えられる", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0", AI_TIME_BUDGET_SEC: "12" } });
+    p.http.defaultResponse = { code: 503, body: { error: { message: "slow" } }, latencyMs: 8000 };
+
+    const out = p.gas.ge_AI("質問");
+    assert.ok(out.indexOf("【⏱タイムアウト】12秒以内") === 0, out);
+    assert.strictEqual(p.http.requests.length, 1);
+});
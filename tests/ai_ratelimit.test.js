@@ -0,0 +1,106 @@
+// ============================================================
+// 流量制限のテスト (ai_ratelimit.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+const FIRST = "gemini-3-flash-preview";
+
+function withLimits(limits, extra) {
+    return Object.assign({ AI_RATE_LIMITS: JSON.stringify(limits) }, KEYS, extra || {});
+}
+
+
+test("1分あたりの上限に達したモデルは送らずに次のモデルへ回す", () => {
+    const p = loadProject({ properties: withLimits({ ["gemini:" + FIRST]: 2 }, { AI_RATE_MAX_WAIT_SEC: "0" }) });
+    p.http.defaultResponse = res.gemini("OK");
+
+    for (let i = 0; i < 3; i++) assert.strictEqual(p.gas.hy_AI("質問" + i), "OK");
+    assert.deepStrictEqual(p.http.models(), [FIRST, FIRST, "gemini-2.5-flash"]);
+
+    const last = logEntries(p, "結果").pop();
+    assert.ok(last.path.indexOf(FIRST + ":🚦混雑回避 → gemini-2.5-flash:成功") === 0, last.path);
+    assert.strictEqual(last.attempts, 1);
+});
+
+test("すぐに空きができるなら、次のモデルへ回さずに待ってから送る", () => {
+    const p = loadProject({ properties: withLimits({ gemini: 60 }) });
+    p.http.defaultResponse = res.gemini("OK");
+    p.cache.put("AI_RATE_gemini", JSON.stringify({ tokens: 0.5, updated: p.clock.now }), 600);
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), [FIRST]);
+    assert.deepStrictEqual(p.sleeps, [500]);
+});
+
+test("時間の経過で補充され、上限は プロバイダー:モデル の指定が優先される", () => {
+    const p = loadProject({ properties: withLimits({ gemini: 100, ["gemini:" + FIRST]: 1 }, { AI_RATE_MAX_WAIT_SEC: "0" }) });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.hy_AI("質問1");
+    p.gas.hy_AI("質問2");
+    p.clock.now += 60000;
+    p.gas.hy_AI("質問3");
+    assert.deepStrictEqual(p.http.models(), [FIRST, "gemini-2.5-flash", FIRST]);
+
+    const rows = toHost(p.gas.showRateLimits());
+    assert.deepStrictEqual(rows.find(r => r[1] === FIRST), ["gemini", FIRST, 1, 0]);
+    assert.deepStrictEqual(rows.find(r => r[1] === "gemini-2.5-flash"), ["gemini", "gemini-2.5-flash", 100, 100]);
+});
+
+test("429 を受けたらバケットを空にし、同じモデルへのリトライを控える", () => {
+    const p = loadProject({ properties: withLimits({ ["gemini:" + FIRST]: 30 }, { AI_RATE_MAX_WAIT_SEC: "0" }) });
+    p.http.when(FIRST, res.error(429, "busy"));
+    p.http.defaultResponse = res.gemini("OK");
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), [FIRST, "gemini-2.5-flash"]);
+    assert.strictEqual(JSON.parse(p.cache.get("AI_RATE_gemini:" + FIRST)).tokens, 0);
+
+    // 混雑回避はモデルの失敗として数えない（429 の1回だけ）
+    assert.strictEqual(JSON.parse(p.cache.get("AI_HEALTH_gemini:" + FIRST)).failures, 1);
+});
+
+test("プロバイダーだけの上限は、そのプロバイダーの全モデルで1つの枠を分け合う", () => {
+    const p = loadProject({ properties: withLimits({ openrouter: 2 }, {
+        AI_RATE_MAX_WAIT_SEC: "0",
+        AI_CHAINS: JSON.stringify({ or_AI: ["openrouter:a/model-1", "openrouter:b/model-2", "gemini:gemini-2.5-flash"] })
+    }) });
+    p.http.when("a/model-1", res.error(404, "gone"), res.openai("A", "a/model-1"));
+    p.http.when("b/model-2", res.openai("B", "b/model-2"));
+    p.http.defaultResponse = res.gemini("G");
+
+    // 1回目: model-1 が失敗 → model-2 が成功（ここで2回分を使い切る）
+    assert.strictEqual(p.gas.or_AI("質問1"), "B");
+    // 2回目: model-1 も model-2 も同じ枠のため送らずに Gemini へ
+    assert.strictEqual(p.gas.or_AI("質問2"), "G");
+    assert.deepStrictEqual(p.http.models(), ["a/model-1", "b/model-2", "gemini-2.5-flash"]);
+    assert.strictEqual(Math.floor(JSON.parse(p.cache.get("AI_RATE_openrouter")).tokens), 0);
+    assert.strictEqual(p.cache.get("AI_RATE_openrouter:a/model-1"), null);
+
+    const rows = toHost(p.gas.showRateLimits()).filter(r => r[0] === "openrouter" && /model-/.test(r[1]));
+    assert.deepStrictEqual(rows.map(r => [r[2], r[3]]), [[2, 0], [2, 0]]);
+});
+
+test("上限が未設定なら何も保存せず、ロックが取れなくても送る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+    p.gas.hy_AI("質問");
+    assert.deepStrictEqual(Object.keys(p.cache.entries).filter(k => k.indexOf("AI_RATE_") === 0), []);
+
+    p.lock.busy = true;
+    assert.strictEqual(p.gas.hy_AI("質問2"), "OK");
+});
+
+test("上限のあるモデルはロックが取れないと送らず、上限のない次のモデルへ回す", () => {
+    const p = loadProject({ properties: withLimits({ gemini: 1 }) });
+    p.http.when("stepfun/step-3.5-flash:free", res.openai("OR", "stepfun/step-3.5-flash:free"));
+    p.http.defaultResponse = res.gemini("OK");
+    p.lock.busy = true;
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OR");
+    assert.deepStrictEqual(p.http.models(), ["stepfun/step-3.5-flash:free"]);
+    assert.ok(p.lock.waits.length > 0);
+    assert.strictEqual(p.cache.get("AI_RATE_gemini"), null);
+});
@@ -0,0 +1,156 @@
+// ============================================================
+// JSON スキーマのテスト (ai_schema.js / hy_AI_JSON)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+const ITEM = JSON.stringify({
+    type: "object",
+    properties: { name: { type: "string" }, price: { type: "integer", minimum: 0 } },
+    required: ["name", "price"],
+    additionalProperties: false
+});
+
+
+test("囲み付きの回答でも JSON だけを返し、Gemini には JSON 出力を指定する", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("```json\n[\"北海道\"]\n```"));
+
+    assert.strictEqual(p.gas.hy_AI_JSON("都道府県を1つ"), "[\"北海道\"]");
+    const config = p.http.requests[0].json.generationConfig;
+    assert.strictEqual(config.responseMimeType, "application/json");
+    assert.strictEqual(config.responseSchema, undefined);
+});
+
+test("スキーマは Gemini 用に変換して送る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("{\"name\":\"ペン\",\"price\":120}"));
+
+    assert.strictEqual(p.gas.hy_AI_JSON("商品を1つ", "", ITEM), "{\"name\":\"ペン\",\"price\":120}");
+    assert.deepStrictEqual(p.http.requests[0].json.generationConfig.responseSchema, {
+        type: "OBJECT",
+        properties: { name: { type: "STRING" }, price: { type: "INTEGER", minimum: 0 } },
+        required: ["name", "price"]
+    });
+});
+
+test("OpenRouter には response_format でスキーマを渡す", () => {
+    const p = loadProject({ properties: { OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.openai("{\"name\":\"ペン\",\"price\":1}", "m");
+
+    p.gas.hy_AI_JSON("商品を1つ", "", ITEM);
+    const format = p.http.requests[0].json.response_format;
+    assert.strictEqual(format.type, "json_schema");
+    assert.deepStrictEqual(format.json_schema.schema, JSON.parse(ITEM));
+});
+
+test("スキーマに合わなければ同じモデルに直させる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview",
+        res.gemini("{\"name\":\"ペン\",\"price\":\"120円\"}"),
+        res.gemini("{\"name\":\"ペン\",\"price\":120}"));
+
+    assert.strictEqual(p.gas.hy_AI_JSON("商品を1つ", "", ITEM), "{\"name\":\"ペン\",\"price\":120}");
+    const repair = p.http.requests[1].json.contents;
+    assert.strictEqual(repair[1].role, "model");
+    assert.ok(repair[2].parts[0].text.indexOf("$.price: integer が必要です（実際: string）") !== -1, repair[2].parts[0].text);
+});
+
+test("修復しても合わなければ次のモデルへ進む", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("ペンです"), res.gemini("ペンです"));
+    p.http.when("gemini-2.5-flash", res.gemini("{\"name\":\"ペン\",\"price\":5}"));
+
+    assert.strictEqual(p.gas.hy_AI_JSON("商品を1つ", "", ITEM), "{\"name\":\"ペン\",\"price\":5}");
+    assert.deepStrictEqual(toHost(p.http.models()), ["gemini-3-flash-preview", "gemini-3-flash-preview", "gemini-2.5-flash"]);
+});
+
+test("どのモデルも合わなければ【🧩スキーマ不一致】を返す（エラー文を JSON 扱いしない）", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.gemini("{\"name\":\"ペン\"}");
+
+    const lines = p.gas.hy_AI_JSON("商品を1つ", "", ITEM).split("\n");
+    assert.strictEqual(lines[0], "【🧩スキーマ不一致】形式に合う回答を得られませんでした");
+    assert.strictEqual(lines[1], "Gemini(gemini-3-flash-preview): 【🧩スキーマ不一致】$.price: 必須項目がありません");
+});
+
+test("全API失敗なら hy_AI と同じエラーを返す", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.error(404, "gone");
+    assert.ok(p.gas.hy_AI_JSON("質問").indexOf("【💀全API失敗】") === 0);
+});
+
+test("スキーマ不一致はモデルの失敗として数えない", () => {
+    const p = loadProject({ properties: Object.assign({ AI_HEALTH_THRESHOLD: "1" }, KEYS) });
+    p.http.when("gemini-3-flash-preview", res.gemini("x"), res.gemini("x"), res.gemini("[1]"));
+    p.http.defaultResponse = res.gemini("[0]");
+
+    p.gas.hy_AI_JSON("1");
+    assert.strictEqual(p.gas.hy_AI_JSON("2"), "[1]");
+});
+
+test("AI_Schemas シートの名前でスキーマを指定できる", () => {
+    const p = loadProject({ properties: KEYS, sheets: { AI_Schemas: [["名前", "スキーマ(JSON)", "説明"], ["商品", ITEM, ""]] } });
+    p.http.when("gemini-3-flash-preview", res.gemini("{\"name\":\"ペン\",\"price\":-1}"), res.gemini("{\"name\":\"ペン\",\"price\":1}"));
+
+    assert.strictEqual(p.gas.hy_AI_JSON("商品を1つ", "", "商品"), "{\"name\":\"ペン\",\"price\":1}");
+    assert.ok(p.gas.hy_AI_JSON("質問", "", "なし").indexOf("【⚠️スキーマ不正】「なし」") === 0);
+    assert.ok(p.gas.hy_AI_JSON("質問", "", "{壊れた").indexOf("【⚠️スキーマ不正】JSON として読めません") === 0);
+});
+
+test("正規表現として読めない pattern はスキーマの誤りとして送る前に知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    const bad = JSON.stringify({ type: "object", properties: { code: { type: "string", pattern: "(?i)abc" } } });
+    const reply = p.gas.hy_AI_JSON("質問", "", bad);
+    assert.ok(reply.indexOf("【⚠️スキーマ不正】$.code: パターン (?i)abc が正規表現として読めません") === 0, reply);
+    assert.strictEqual(p.http.requests.length, 0);
+
+    // 検証の途中で見つかっても例外にせずエラーとして返す
+    assert.deepStrictEqual(toHost(p.gas._validateJsonSchema("x", { type: "string", pattern: "[" })), ["$: パターン [ が正規表現として読めません"]);
+});
+
+test("予算を使い切ったモデルには修復の往復を送らない", () => {
+    const p = loadProject({ properties: Object.assign({ AI_BUDGETS: JSON.stringify([{ scope: "*", period: "day", tokens: 10 }]) }, KEYS) });
+    p.http.defaultResponse = res.gemini("{\"name\":\"ペン\"}", 30);
+
+    const reply = p.gas.hy_AI_JSON("商品を1つ", "", ITEM);
+    assert.ok(reply.indexOf("【🧩スキーマ不一致】") === 0, reply);
+    assert.strictEqual(p.http.requests.length, 1);
+});
+
+test("_validateJsonSchema は位置付きのエラーを返す", () => {
+    const p = loadProject();
+    const schema = {
+        type: "object",
+        properties: {
+            tags: { type: "array", items: { type: "string", enum: ["a", "b"] }, maxItems: 2 },
+            note: { type: ["string", "null"], maxLength: 3 }
+        }
+    };
+    assert.deepStrictEqual(toHost(p.gas._validateJsonSchema({ tags: ["a", "c", "b"], note: null }, schema)), [
+        "$.tags: 2件以内が必要です",
+        "$.tags[1]: [\"a\",\"b\"] のいずれかが必要です（実際: \"c\"）"
+    ]);
+    assert.deepStrictEqual(toHost(p.gas._validateJsonSchema({ note: "長い文字列" }, schema)), ["$.note: 3文字以内が必要です"]);
+});
+
+test("setupAISchemaSheet は記入例付きのシートを作る", () => {
+    const p = loadProject();
+    p.gas.setupAISchemaSheet();
+    const sheet = p.spreadsheet.getSheetByName("AI_Schemas");
+    assert.strictEqual(sheet.data[1][0], "商品");
+    assert.ok(toHost(p.gas._resolveSchema("商品")).schema.properties.price);
+});
+
+test("_selectJsonPath は位置・ワイルドカード・引用符付きの名前を扱う", () => {
+    const p = loadProject();
+    const data = { items: [{ name: "a", tags: ["x"] }, { name: "b", tags: ["y", "z"] }], "商品 名": 1 };
+    const pick = path => toHost(p.gas._selectJsonPath(data, path));
+
+    assert.deepStrictEqual(pick("items[*].name"), { values: ["a", "b"], multi: true });
+    assert.deepStrictEqual(pick("$.items[-1].tags[0]"), { values: ["y"], multi: false });
+    assert.deepStrictEqual(pick("items[*].tags[*]"), { values: ["x", "y", "z"], multi: true });
+    assert.deepStrictEqual(pick("[\"商品 名\"]"), { values: [1], multi: false });
+    assert.deepStrictEqual(pick("items[5].name"), { values: [], multi: false });
+});
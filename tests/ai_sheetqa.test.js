@@ -0,0 +1,102 @@
+// ============================================================
+// シートのデータへの質問のテスト (ai_sheetqa.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+const HEADERS = [["商品", "苦情", "件数"]];
+const DATA = [
+    ["りんご", "傷がある", 3],
+    ["みかん", "配送が遅い", 5],
+    ["", "", ""],
+    ["ぶどう", "返品したい", 2],
+    ["バナナ", "配送で潰れた", 4]
+];
+
+/** Gemini に送った最後のプロンプト */
+function promptOf(req) {
+    const contents = req.json.contents;
+    return contents[contents.length - 1].parts[0].text;
+}
+
+/** H1 から =askSheetAI(...) を呼んだ状態にする */
+function calledFrom(p, formula) {
+    const sheet = p.spreadsheet.getSheetByName("Data");
+    sheet.activeRange = sheet.getRange(1, 8);
+    sheet.formulas["1,8"] = formula;
+}
+
+
+test("askSheetAI は関係のある行を [行N] 見出し: 値 の形で送り、hy_AI の回答を返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("配送の苦情は2件です [行2, 5]");
+
+    assert.strictEqual(p.gas.askSheetAI("配送の苦情は？", DATA, HEADERS), "配送の苦情は2件です [行2, 5]");
+    const prompt = promptOf(p.http.requests[0]);
+    assert.ok(prompt.indexOf("質問: 配送の苦情は？") === 0, prompt);
+    assert.ok(prompt.indexOf("列: 商品 | 苦情 | 件数") !== -1, prompt);
+    assert.ok(prompt.indexOf("全4行のうち、質問に関係がありそうな4行") !== -1, prompt);
+    assert.ok(prompt.indexOf("[行2] 商品: みかん | 苦情: 配送が遅い | 件数: 5\n[行4] 商品: ぶどう") !== -1, prompt);
+    assert.ok(p.http.requests[0].json.system_instruction.parts[0].text.indexOf("データからは分かりません") !== -1);
+    assert.strictEqual(logEntries(p, "結果")[0].entry, "askSheetAI");
+});
+
+test("上限に収まらないときは BM25 のスコアが高い行から詰め、元の並び順で送る", () => {
+    const p = loadProject({ properties: Object.assign({ AI_SHEET_CONTEXT_TOKENS: "45" }, KEYS) });
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.askSheetAI("配送が遅い・配送で潰れたもの", DATA, HEADERS);
+    const prompt = promptOf(p.http.requests[0]);
+    const sentRows = prompt.match(/\[行\d+\]/g);
+    assert.deepStrictEqual(sentRows, ["[行2]", "[行5]"], prompt);
+    assert.ok(prompt.indexOf("全4行のうち、質問に関係がありそうな2行") !== -1, prompt);
+
+    // 1行も収まらない上限でも、いちばん関係のある1行は送る
+    const q = loadProject({ properties: Object.assign({ AI_SHEET_CONTEXT_TOKENS: "1" }, KEYS) });
+    q.http.defaultResponse = res.gemini("OK");
+    q.gas.askSheetAI("返品", DATA, HEADERS);
+    assert.deepStrictEqual(promptOf(q.http.requests[0]).match(/\[行\d+\]/g), ["[行4]"]);
+});
+
+test("根拠の列は数式の範囲からシートの行番号にし、送っていない行番号は捨てる", () => {
+    const p = loadProject({ properties: KEYS, sheets: { Data: [HEADERS[0]].concat(DATA) } });
+    calledFrom(p, '=askSheetAI("配送の苦情は？", Data!$A$2:C6, A1:C1, TRUE)');
+    p.http.defaultResponse = res.gemini("みかん [行3] とバナナ [行6、3, 99] です");
+
+    const out = toHost(p.gas.askSheetAI("配送の苦情は？", DATA, HEADERS, true));
+    assert.deepStrictEqual(out, [["みかん [行3] とバナナ [行6、3, 99] です", 3], ["", 6]]);
+    assert.ok(promptOf(p.http.requests[0]).indexOf("[行3] 商品: みかん") !== -1);
+
+    // 数式から読めないときは範囲の先頭を1とした番号。根拠がなければ右の列は空
+    const q = loadProject({ properties: KEYS });
+    q.http.defaultResponse = res.gemini("データからは分かりません");
+    assert.deepStrictEqual(toHost(q.gas.askSheetAI("在庫は？", DATA, "", true)), [["データからは分かりません", ""]]);
+    assert.ok(promptOf(q.http.requests[0]).indexOf("[行1] りんご | 傷がある | 3") !== -1);
+});
+
+test("method に embed を指定すると、質問と行を同じモデルで埋め込んで近い行を選ぶ", () => {
+    const p = loadProject({ properties: Object.assign({ AI_SHEET_CONTEXT_TOKENS: "20" }, KEYS) });
+    p.http.whenUrl("batchEmbedContents", req => ({
+        code: 200,
+        body: { embeddings: req.json.requests.map(r => ({ values: /返品|返金/.test(r.content.parts[0].text) ? [1, 0] : [0, 1] })) }
+    }));
+    p.http.defaultResponse = res.gemini("ぶどうです [行4]");
+
+    assert.strictEqual(p.gas.askSheetAI("返金してほしい商品", DATA, HEADERS, false, "embed"), "ぶどうです [行4]");
+    assert.strictEqual(p.http.requests[0].json.requests[0].taskType, "RETRIEVAL_QUERY");
+    assert.deepStrictEqual(promptOf(p.http.requests[1]).match(/\[行\d+\]/g), ["[行4]"]);
+});
+
+test("入力の不足・不正な method・全API失敗はメッセージで知らせる", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    assert.strictEqual(p.gas.askSheetAI("", DATA), "【通知】質問を入力してください。");
+    assert.strictEqual(p.gas.askSheetAI("q", [["", ""]]), "【通知】データが空です。");
+    assert.ok(p.gas.askSheetAI("q", DATA, "", false, "tfidf").indexOf("bm25 / embed") !== -1);
+    assert.strictEqual(p.http.requests.length, 0);
+
+    p.http.defaultResponse = res.error(403, "denied");
+    const out = toHost(p.gas.askSheetAI("q", DATA, "", true));
+    assert.strictEqual(out.length, 1);
+    assert.ok(out[0][0].indexOf("【💀全API失敗】") === 0, out[0][0]);
+});
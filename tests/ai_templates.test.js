@@ -0,0 +1,98 @@
+// ============================================================
+// 名前付きプロンプトテンプレートのテスト (ai_templates.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+const HEADER = ["名前", "システム", "ユーザー", "温度", "チェーン", "説明"];
+
+/** Gemini リクエストの [システム指示, 最後のプロンプト, 温度] */
+function sent(req) {
+    const contents = req.json.contents;
+    return [
+        req.json.system_instruction ? req.json.system_instruction.parts[0].text : "",
+        contents[contents.length - 1].parts[0].text,
+        req.json.generationConfig.temperature
+    ];
+}
+
+function withTemplates(rows) {
+    return loadProject({ properties: KEYS, sheets: { AI_Templates: [HEADER].concat(rows) } });
+}
+
+
+test("tmplAI は見出しの名前で値を差し込み、テンプレートの温度で送る", () => {
+    const p = withTemplates([
+        ["返信", "あなたは{{role}}です。{{tone|丁寧語}}で答えてください。", "{{name}}さんへの返信: {{message}}", 0.6, "", ""]
+    ]);
+    p.http.defaultResponse = res.gemini("OK");
+
+    assert.strictEqual(p.gas.tmplAI("返信", [["サポート", "山田", "届きません"]], [["role", "name", "message"]]), "OK");
+    assert.deepStrictEqual(sent(p.http.requests[0]), ["あなたはサポートです。丁寧語で答えてください。", "山田さんへの返信: 届きません", 0.6]);
+    assert.strictEqual(logEntries(p, "結果")[0].entry, "tmplAI");
+});
+
+test("見出しを省略すると、テンプレートに登場する順に値を差し込む", () => {
+    const p = withTemplates([["要約", "{{chars}}文字で要約", "{{text}}", "", "", ""]]);
+    p.http.defaultResponse = res.gemini("OK");
+
+    p.gas.tmplAI("要約", [[50, "長い文章"]]);
+    assert.deepStrictEqual(sent(p.http.requests[0]), ["50文字で要約", "長い文章", 0.3]);
+});
+
+test("テンプレートがない・変数の過不足・チェーンがないときは送らずに知らせる", () => {
+    const p = withTemplates([
+        ["返信", "", "{{name}}: {{message}}", "", "", ""],
+        ["別チェーン", "", "{{q}}", "", "no_such_chain", ""]
+    ]);
+
+    assert.strictEqual(p.gas.tmplAI("なし", "x"), "【⚠️テンプレート不正】「なし」が AI_Templates シートにありません");
+    assert.strictEqual(p.gas.tmplAI("返信", [["山田", "x"]], [["name", "mesage"]]),
+        "【⚠️テンプレート不正】「返信」に {{mesage}} はありません（使える変数: {{name}}, {{message}}）");
+    assert.strictEqual(p.gas.tmplAI("返信", [["山田", ""]], [["name", "message"]]),
+        "【⚠️テンプレート不正】「返信」の {{message}} に値がありません");
+    assert.strictEqual(p.gas.tmplAI("返信", [["山田"]], [["name", "message"]]),
+        "【⚠️テンプレート不正】「返信」: 見出し（2 個）と値（1 個）の数が合いません");
+    assert.ok(p.gas.tmplAI("別チェーン", "x").indexOf("チェーン「no_such_chain」がありません") !== -1);
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("テンプレートのチェーンを指定すると、そのチェーンのモデルで送る", () => {
+    const p = withTemplates([["翻訳", "", "{{q}}", "", "ge_AI", ""]]);
+    p.http.when("gemini-3-flash-preview", res.error(429, "busy"), res.error(429, "busy"));
+    p.http.defaultResponse = res.error(404, "gone");
+
+    p.gas.tmplAI("翻訳", "x");
+    const models = p.http.models();
+    assert.ok(models.indexOf("gemini-2.0-flash-lite") !== -1);
+    assert.ok(models.every(m => m.indexOf("gemini") === 0), models.join(","));
+});
+
+test("translateAI / summarizeAI は組み込みテンプレートを使い、シートの同じ名前で上書きできる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("OK");
+    p.gas.translateAI("こんにちは", "en");
+    p.gas.summarizeAI("長い文章", 80);
+    assert.deepStrictEqual(sent(p.http.requests[0]), [
+        "あなたは正確で自然な翻訳者です。入力されたテキスト（翻訳元: 自動検出）を英語に翻訳してください。翻訳結果のみを出力し、説明や補足は不要です。",
+        "こんにちは", 0.1
+    ]);
+    assert.ok(sent(p.http.requests[1])[0].indexOf("80文字以内で要約") !== -1);
+
+    const q = withTemplates([["translateAI", "{{target}}の関西弁に訳して", "「{{text}}」", "", "", ""]]);
+    q.http.defaultResponse = res.gemini("OK");
+    q.gas.translateAI("こんにちは");
+    assert.deepStrictEqual(sent(q.http.requests[0]), ["日本語の関西弁に訳して", "「こんにちは」", 0.1]);
+});
+
+test("setupAITemplateSheet は組み込みテンプレートと記入例を書き込む", () => {
+    const p = loadProject();
+    p.gas.setupAITemplateSheet();
+    const rows = p.spreadsheet.getSheetByName("AI_Templates").data;
+
+    assert.deepStrictEqual(rows[0], HEADER);
+    const names = rows.slice(1).map(r => r[0]);
+    assert.ok(names.indexOf("translateAI") !== -1 && names.indexOf("formatAI.csv") !== -1);
+    assert.strictEqual(names[names.length - 1], "問い合わせ返信");
+});
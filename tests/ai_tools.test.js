@@ -0,0 +1,380 @@
+// ============================================================
+// 便利ツール関数のテスト (ai_tools.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, toHost, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" };
+
+/** Gemini リクエストのプロンプト（最後の user メッセージ）を取り出す */
+function promptOf(req) {
+    const contents = req.json.contents;
+    return contents[contents.length - 1].parts[0].text;
+}
+
+/** 「番号. 項目」を「番号. 項目を大文字にしたもの」で返す偽のモデル */
+function upperEcho(req) {
+    const items = promptOf(req).split("---\n")[1].split("\n");
+    return res.gemini(items.map(line => line.toUpperCase()).join("\n"));
+}
+
+
+test("batchAI は入力の各行に対応した縦1列を返し、空の行は空のまま", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("1. りんご\n2. みかん"));
+
+    const out = toHost(p.gas.batchAI([["apple"], [""], ["orange"]], "日本語に翻訳"));
+    assert.deepStrictEqual(out, [["りんご"], [""], ["みかん"]]);
+    assert.ok(promptOf(p.http.requests[0]).indexOf("1. apple\n2. orange") !== -1);
+});
+
+test("複数列の範囲は行内のセルをつないで1件にする", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = upperEcho;
+
+    const out = toHost(p.gas.batchAI([["a", "b"], ["", "c"]], "大文字に"));
+    assert.deepStrictEqual(out, [["A | B"], ["C"]]);
+});
+
+test("回答の抜けた番号だけを問い直す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("1. A\n3. C"), res.gemini("1. B"));
+
+    const out = toHost(p.gas.batchAI([["a"], ["b"], ["c"]], "大文字に"));
+    assert.deepStrictEqual(out, [["A"], ["B"], ["C"]]);
+    assert.strictEqual(p.http.requests.length, 2);
+    assert.ok(/---\n1\. b$/.test(promptOf(p.http.requests[1])), promptOf(p.http.requests[1]));
+});
+
+test("問い直しても返ってこない項目は【⚠️回答なし】になる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("1. A"), res.gemini("すみません"));
+
+    const out = toHost(p.gas.batchAI([["a"], ["b"]], "大文字に"));
+    assert.deepStrictEqual(out, [["A"], ["【⚠️回答なし】"]]);
+});
+
+test("番号の書き方の揺れと複数行の回答を受け付ける", () => {
+    const p = loadProject();
+    const parsed = toHost(p.gas._parseNumberedAnswers("```\n１．あ\n[2] い\n  続き\n3) う\n9. 範囲外\n```", 3));
+    assert.deepStrictEqual(parsed, { 1: "あ", 2: "い\n続き", 3: "う" });
+});
+
+test("数字で始まる続きの行は、次の番号でない限り前の項目に含める", () => {
+    const p = loadProject();
+    const text = "1. 会議の報告\n10 人が参加しました\n2024年に開催\n10. 番号付きの続き\n2. 次\n3.5 kg\n3. 最後";
+    assert.deepStrictEqual(toHost(p.gas._parseNumberedAnswers(text, 10)), {
+        1: "会議の報告\n10 人が参加しました\n2024年に開催\n10. 番号付きの続き",
+        2: "次\n3.5 kg",
+        3: "最後"
+    });
+});
+
+test("大きな範囲は上限ごとに分割して送り、結果は元の順に戻す", () => {
+    const p = loadProject({ properties: Object.assign({ AI_BATCH_CHUNK_ITEMS: "2" }, KEYS) });
+    p.http.defaultResponse = upperEcho;
+
+    const out = toHost(p.gas.batchAI([["a"], ["b"], [""], ["c"], ["d"], ["e"]], "大文字に"));
+    assert.deepStrictEqual(out, [["A"], ["B"], [""], ["C"], ["D"], ["E"]]);
+    assert.strictEqual(p.http.requests.length, 3);
+});
+
+test("分割はトークン数の上限でも区切られる", () => {
+    const p = loadProject({ properties: { AI_BATCH_CHUNK_TOKENS: "120" } });
+    const chunks = toHost(p.gas._batchChunks(["あ".repeat(50), "い".repeat(50), "う".repeat(50)]));
+    assert.deepStrictEqual(chunks, [[0, 1], [2]]);
+});
+
+test("全モデル失敗ならエラーの見出しを各行に入れる", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.error(404, "gone");
+
+    const out = toHost(p.gas.batchAI([["a"], [""], ["b"]], "大文字に"));
+    assert.deepStrictEqual(out, [["【💀全API失敗】"], [""], ["【💀全API失敗】"]]);
+});
+
+test("単一セルなら文字列で返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("1. HELLO"));
+    assert.strictEqual(p.gas.batchAI("hello", "大文字に"), "HELLO");
+});
+
+test("jsonCellsAI はオブジェクトの配列を見出し行 + データ行にする", () => {
+    const p = loadProject();
+    const json = JSON.stringify({ items: [{ name: "ペン", price: 120 }, { name: "紙", note: { a: 1 } }] });
+
+    assert.deepStrictEqual(toHost(p.gas.jsonCellsAI(json, "", "items[*]")), [
+        ["name", "price", "note"],
+        ["ペン", 120, ""],
+        ["紙", "", "{\"a\":1}"]
+    ]);
+    assert.deepStrictEqual(toHost(p.gas.jsonCellsAI(json, "", "items[*].name")), [["ペン"], ["紙"]]);
+});
+
+test("jsonCellsAI はオブジェクト1つを指定した列順で1行にする", () => {
+    const p = loadProject();
+    const json = "```json\n{\"name\":\"ペン\",\"price\":120,\"shop\":{\"city\":\"大阪\"},\"tags\":[\"a\",\"b\"]}\n```";
+
+    assert.deepStrictEqual(toHost(p.gas.jsonCellsAI(json, "price,shop.city,tags[*],なし")), [[120, "大阪", "a, b", ""]]);
+    assert.deepStrictEqual(toHost(p.gas.jsonCellsAI(json, [["name", "price"]], "", true)), [["name", "price"], ["ペン", 120]]);
+});
+
+test("jsonCellsAI に質問と列を渡すと、その列の表を問い合わせる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("{\"items\":[{\"名前\":\"りんご\",\"色\":\"赤\"},{\"名前\":\"バナナ\",\"色\":\"黄\"}]}"));
+
+    assert.deepStrictEqual(toHost(p.gas.jsonCellsAI("果物を2つ", "名前,色")), [["名前", "色"], ["りんご", "赤"], ["バナナ", "黄"]]);
+    const schema = p.http.requests[0].json.generationConfig.responseSchema;
+    assert.deepStrictEqual(schema.properties.items.items.required, ["名前", "色"]);
+});
+
+test("jsonCellsAI は hy_AI_JSON のエラー文と該当なしをそのまま知らせる", () => {
+    const p = loadProject();
+    assert.strictEqual(p.gas.jsonCellsAI("【💀全API失敗】\nx"), "【💀全API失敗】\nx");
+    assert.strictEqual(p.gas.jsonCellsAI("{\"a\":1}", "", "b[*]"), "【⚠️該当なし】b[*] に一致する値がありません");
+});
+
+test("jsonCellsAI は JSON のつもりの壊れた入力を質問として送らず、解析エラーを返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("{\"items\": []}");
+    ["{\"a\":1,}", "  [{\"name\": \"ペン\"", "```json\n{\"a\":\n```"].forEach(input => {
+        const out = p.gas.jsonCellsAI(input, "name");
+        assert.ok(out.indexOf("【⚠️JSON解析エラー】JSON として読めません: ") === 0, out);
+    });
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("formatAI の table はタブ区切りをセルに展開し、前後の説明文を除く", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("以下が表です。\n\n果物\t色\t価格\nりんご\t赤\t120\nバナナ\t黄\n\n参考にしてください。"));
+
+    assert.deepStrictEqual(toHost(p.gas.formatAI("果物の表", "table")), [
+        ["果物", "色", "価格"],
+        ["りんご", "赤", 120],
+        ["バナナ", "黄", ""]
+    ]);
+});
+
+test("formatAI の csv は引用符付きの値を扱う", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("```csv\n名前,説明\nペン,\"書く, 描く\"\n紙,\"\"\"白\"\"\"\n```"));
+
+    assert.deepStrictEqual(toHost(p.gas.formatAI("道具", "csv")), [["名前", "説明"], ["ペン", "書く, 描く"], ["紙", "\"白\""]]);
+    assert.ok(p.http.requests[0].json.system_instruction.parts[0].text.indexOf("CSV形式") !== -1);
+});
+
+test("formatAI の markdown-table は区切り行の上を見出しにし、空の見出しを埋める", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("| 国 | |\n|---|:---:|\n| 日本 | 東京 |\n| フランス | パリ | 余り |"));
+
+    assert.deepStrictEqual(toHost(p.gas.formatAI("首都", "markdown-table")), [
+        ["国", "列2", "列3"],
+        ["日本", "東京", ""],
+        ["フランス", "パリ", "余り"]
+    ]);
+});
+
+test("表として読めなければ回答の文字列をそのまま返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("すみません、表にはできません。"));
+    assert.strictEqual(p.gas.formatAI("質問", "table"), "すみません、表にはできません。");
+});
+
+test("formatAI の list は spill=TRUE なら1項目1行、既定では文字列のまま", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("ポイント:\n- 早寝\n* **早起き**\n1. 朝ごはん");
+
+    assert.strictEqual(p.gas.formatAI("健康のコツ"), "ポイント:\n- 早寝\n* **早起き**\n1. 朝ごはん");
+    assert.deepStrictEqual(toHost(p.gas.formatAI("健康のコツ", "list", "", true)), [["早寝"], ["早起き"], ["朝ごはん"]]);
+});
+
+test("classifyAI はラベルを enum にしたスキーマで送り、範囲の各行にラベルを返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini(JSON.stringify({
+        results: [{ id: 2, label: "苦情", confidence: 0.8 }, { id: 1, label: "質問", confidence: 0.934 }]
+    })));
+
+    const out = toHost(p.gas.classifyAI([["使い方は？"], [""], ["届かない"]], [["質問"], ["要望"], ["苦情"]], [["聞きたいこと"], [""], ["不満"]], false, true));
+    assert.deepStrictEqual(out, [["質問", 0.93], ["", ""], ["苦情", 0.8]]);
+
+    const sent = p.http.requests[0].json;
+    assert.deepStrictEqual(sent.generationConfig.responseSchema.properties.results.items.properties.label.enum, ["質問", "要望", "苦情"]);
+    assert.ok(sent.system_instruction.parts[0].text.indexOf("- 質問：聞きたいこと\n- 要望\n- 苦情：不満") !== -1);
+});
+
+test("classifyAI は一覧にないラベルを直させ、だめなら次のモデルで分類し直す", () => {
+    const p = loadProject({ properties: KEYS });
+    const bad = res.gemini(JSON.stringify({ results: [{ id: 1, label: "その他", confidence: 0.5 }] }));
+    p.http.when("gemini-3-flash-preview", bad, bad);
+    p.http.when("gemini-2.5-flash", res.gemini(JSON.stringify({ results: [{ id: 1, label: "要望", confidence: 0.7 }] })));
+
+    assert.strictEqual(p.gas.classifyAI("色を増やして", "質問,要望,苦情"), "要望");
+    assert.deepStrictEqual(p.http.models(), ["gemini-3-flash-preview", "gemini-3-flash-preview", "gemini-2.5-flash"]);
+});
+
+test("classifyAI は allowMulti=TRUE なら複数のラベルをつなぎ、ラベルが足りなければ知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini(JSON.stringify({ results: [{ id: 1, labels: ["要望", "苦情", "要望"], confidence: 0.6 }] }));
+
+    assert.strictEqual(p.gas.classifyAI("遅いので速くして", "質問,要望,苦情", "", true), "要望, 苦情");
+    assert.strictEqual(p.gas.classifyAI("x", "質問"), "【通知】ラベルを2つ以上指定してください。");
+});
+
+test("extractAI は入力1行につき1行の表を返し、金額・日付を整え、書かれていない項目は空欄にする", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini(JSON.stringify({
+        results: [
+            { id: 1, 会社名: "山田商事", 金額: "¥1,200円", 日付: "2026年4月1日", 区分: "見積" },
+            { id: 2, 会社名: null, 金額: 3000, 日付: "2026-02-30", 区分: null }
+        ]
+    })));
+
+    const spec = [["名前", "型", "ヒント", "選択肢"], ["会社名", "", "", ""], ["金額", "number", "税込", ""], ["日付", "date", "", ""], ["区分", "enum", "", "見積,注文"]];
+    const out = p.gas.extractAI([["山田商事です。\n4/1 に 1,200円の見積を"], [""], ["3000円の件"]], spec, true);
+    const rows = toHost(out.slice(0, 3).map(r => r.map(v => v && typeof v.getTime === "function" ? "date" : v)));
+    assert.deepStrictEqual(rows, [["会社名", "金額", "日付", "区分"], ["山田商事", 1200, "date", "見積"], ["", "", "", ""]]);
+    assert.deepStrictEqual(toHost(out[3]), ["", 3000, "", ""]);
+    assert.deepStrictEqual([out[1][2].getFullYear(), out[1][2].getMonth(), out[1][2].getDate()], [2026, 3, 1]);
+
+    const sent = p.http.requests[0].json;
+    const item = sent.generationConfig.responseSchema.properties.results.items.properties;
+    assert.deepStrictEqual(toHost([item.区分.enum, item.区分.nullable]), [["見積", "注文"], true]);
+    assert.ok(sent.system_instruction.parts[0].text.indexOf("- 金額（number）：税込") !== -1);
+});
+
+test("extractAI は文字列の項目定義も読み、型の誤りは送らずに知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini(JSON.stringify({ results: [{ id: 1, 会社名: "ABC", 電話: "03-1234-5678", 金額: "1.2万" }] }));
+
+    assert.deepStrictEqual(toHost(p.gas.extractAI("ABC 03-1234-5678 1.2万円", "会社名,電話,金額:number")), [["ABC", "03-1234-5678", 12000]]);
+    assert.strictEqual(p.gas.extractAI("x", "金額:money"), "【通知】「金額」の型 money は使えません（string / number / date / enum）");
+    assert.strictEqual(p.http.requests.length, 1);
+});
+
+/** Gemini リクエストのシステム指示 */
+function systemOf(req) {
+    return req.json.system_instruction ? req.json.system_instruction.parts[0].text : "";
+}
+
+test("summarizeAI は上限を超える入力を段落の切れ目で分割して要約し、つないでもう一度要約する", () => {
+    const p = loadProject({ properties: Object.assign({ AI_SUMMARY_CHUNK_TOKENS: "30" }, KEYS) });
+    p.http.defaultResponse = req => {
+        const m = /一部（(\d+)\/(\d+)）/.exec(systemOf(req));
+        return res.gemini(m ? `要約${m[1]}` : "まとめ");
+    };
+
+    const paragraphs = ["一", "二", "三"].map(n => `第${n}段落。` + "あ".repeat(20));
+    assert.strictEqual(p.gas.summarizeAI(paragraphs.join("\n\n"), 50), "まとめ");
+    assert.strictEqual(p.http.requests.length, 4);
+    assert.deepStrictEqual(p.http.requests.slice(0, 3).map(promptOf), paragraphs);
+    assert.ok(systemOf(p.http.requests[0]).indexOf("（1/3）") !== -1);
+    assert.strictEqual(promptOf(p.http.requests[3]), "要約1\n\n要約2\n\n要約3");
+    assert.ok(systemOf(p.http.requests[3]).indexOf("50文字以内で要約") !== -1);
+});
+
+test("summarizeAI は残り時間に収まらない分割を呼ぶ前に止め、まとめても収まらない本文は送らない", () => {
+    const p = loadProject({ properties: Object.assign({ AI_SUMMARY_CHUNK_TOKENS: "30" }, KEYS) });
+    p.http.defaultResponse = res.gemini("要約");
+    const paragraphs = ["一", "二", "三", "四", "五", "六"].map(n => `第${n}段落。` + "あ".repeat(20));
+
+    const reply = p.gas.summarizeAI(paragraphs.join("\n\n"), 50);
+    assert.ok(reply.indexOf("【⏱タイムアウト】文書が長く、1回の計算では要約しきれません（あと 7 回") === 0, reply);
+    assert.strictEqual(p.http.requests.length, 0);
+
+    // 分割の要約が縮まらないときは、AI_SUMMARY_MAX_LEVELS 段で止めて最後のまとめは送らない
+    const q = loadProject({ properties: Object.assign({ AI_SUMMARY_CHUNK_TOKENS: "30", AI_TIME_BUDGET_SEC: "300" }, KEYS) });
+    q.http.defaultResponse = res.gemini("い".repeat(25));
+    const out = q.gas.summarizeAI(paragraphs.slice(0, 2).join("\n\n"), 50);
+    assert.ok(out.indexOf("【⚠️入力超過】4 段まとめても") === 0, out);
+    assert.strictEqual(q.http.requests.length, 8);
+    assert.ok(q.http.requests.every(r => systemOf(r).indexOf("一部") !== -1));
+});
+
+test("長い1段落は文の切れ目で分け、1文が長すぎるときだけ文字数で切る", () => {
+    const p = loadProject();
+    const chunks = toHost(p.gas._splitForSummary("今日は晴れ。明日は「雨だ！」Then it rains. " + "い".repeat(25), 10));
+    assert.deepStrictEqual(chunks, ["今日は晴れ。", "明日は「雨だ！」", "Then it rains.", "いいいいいいいいいい", "いいいいいいいいいい", "いいいいい"]);
+});
+
+test("summarizeAI は文字数の上限を超えた回答を縮め直させ、それでも長ければ文の切れ目で切る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("とても長い要約の文章です。まだ続きます。"), res.gemini("短い要約。"));
+    assert.strictEqual(p.gas.summarizeAI("本文", 10), "短い要約。");
+    assert.ok(systemOf(p.http.requests[1]).indexOf("20文字あり、上限の10文字を超えています") !== -1, systemOf(p.http.requests[1]));
+    assert.strictEqual(promptOf(p.http.requests[1]), "とても長い要約の文章です。まだ続きます。");
+
+    const q = loadProject({ properties: KEYS });
+    q.http.defaultResponse = res.gemini("一文目の説明です。二文目はとても長いです。");
+    assert.strictEqual(q.gas.summarizeAI("本文", 15), "一文目の説明です。…");
+    assert.strictEqual(q.http.requests.length, 3);
+});
+
+test("summarizeAI の style は指示をシステムに足し、知らない名前は送らずに知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("・要点");
+    p.gas.summarizeAI([["会議メモ1"], [""], ["会議メモ2"]], 100, "箇条書き");
+    assert.strictEqual(promptOf(p.http.requests[0]), "会議メモ1\n会議メモ2");
+    assert.ok(systemOf(p.http.requests[0]).indexOf("100文字以内で要約してください。「・」で始まる箇条書き") !== -1);
+
+    p.gas.summarizeAI("本文", 100, "TL;DR");
+    assert.ok(systemOf(p.http.requests[1]).indexOf("1〜2文") !== -1);
+
+    assert.ok(p.gas.summarizeAI("本文", 100, "poem").indexOf("plain / bullets / executive / tldr") !== -1);
+    assert.strictEqual(p.http.requests.length, 2);
+});
+
+test("translateAI は原文に出てくる用語だけを指示に入れ、文体の指示も足す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.gemini("Please contact ACME Cloud support about the invoice.");
+
+    const glossary = [["原語", "訳語", "翻訳しない"], ["請求書", "invoice", ""], ["ACMEクラウド", "ACME Cloud", ""], ["見積書", "quote", ""], ["Zendesk", "", true]];
+    const out = p.gas.translateAI("請求書についてACMEクラウドのサポートに連絡してください", "en", "", glossary, "business");
+    assert.strictEqual(out, "Please contact ACME Cloud support about the invoice.");
+
+    const system = systemOf(p.http.requests[0]);
+    assert.ok(system.indexOf("敬語を使った改まった表現") !== -1, system);
+    assert.ok(system.indexOf("次の用語集に必ず従ってください。\n- 「請求書」→「invoice」\n- 「ACMEクラウド」→「ACME Cloud」") !== -1, system);
+    assert.strictEqual(system.indexOf("見積書"), -1);
+    assert.strictEqual(p.http.requests.length, 1);
+});
+
+test("用語集が守られなければ伝えて訳し直させ、それでもだめなら【⚠️用語不一致】を付ける", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("Open the Kintone app."), res.gemini("Open the kintone app."));
+    const glossary = [["kintone", "", "TRUE"], ["アプリ", "app", ""]];
+
+    assert.strictEqual(p.gas.translateAI("kintoneのアプリを開く", "en", "", glossary), "Open the kintone app.");
+    const retry = systemOf(p.http.requests[1]);
+    assert.ok(retry.indexOf("- 「kintone」は翻訳せず、そのまま残す") !== -1, retry);
+    assert.ok(retry.indexOf("守られていませんでした。必ず用語集どおりに書いてください: 「kintone」") !== -1, retry);
+
+    const q = loadProject({ properties: KEYS });
+    q.http.defaultResponse = res.gemini("Open the application.");
+    assert.strictEqual(q.gas.translateAI("kintoneのアプリを開く", "en", "", glossary),
+        "【⚠️用語不一致】「kintone」、「app」が訳文にありません\nOpen the application.");
+    assert.strictEqual(q.http.requests.length, 2);
+});
+
+test("translateAI は BCP-47 の言語コードを名前にし、表にない地域はコードのまま伝える", () => {
+    const p = loadProject({ properties: KEYS });
+    const name = code => p.gas._languageName(code);
+    assert.strictEqual(name("en"), "英語");
+    assert.strictEqual(name("zh-Hant-TW"), "中国語（繁体字・台湾）");
+    assert.strictEqual(name("pt_BR"), "ポルトガル語（ブラジル）");
+    assert.strictEqual(name("es-419"), "スペイン語（中南米）");
+    assert.strictEqual(name("en-NZ"), "英語（en-NZ）");
+    assert.strictEqual(name("haw"), "言語コード haw の言語");
+    assert.strictEqual(name("フランス語"), "フランス語");
+
+    p.http.defaultResponse = res.gemini("OK");
+    p.gas.translateAI("こんにちは", "zh-Hans", "", "", "です・ます");
+    assert.ok(systemOf(p.http.requests[0]).indexOf("を中国語（簡体字）に翻訳してください。翻訳結果のみを出力し、説明や補足は不要です。文体は丁寧語") !== -1);
+});
+
+test("translateAI は不正な文体と訳語のない用語を送らずに知らせる", () => {
+    const p = loadProject({ properties: KEYS });
+    assert.ok(p.gas.translateAI("x", "en", "", "", "古風").indexOf("です・ます / casual / business") !== -1);
+    assert.strictEqual(p.gas.translateAI("請求書", "en", "", [["請求書", "", ""]]),
+        "【通知】用語集の「請求書」に訳語がありません（訳さない語は3列目を TRUE にしてください）。");
+    assert.strictEqual(p.http.requests.length, 0);
+});
@@ -0,0 +1,206 @@
+// ============================================================
+// 使用ログのテスト (ai_utils.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, toHost, res } = require("./harness");
+
+
+test("_logAIUsage はバッファに1件ずつ追記し、プロンプトは100文字で切る", () => {
+    const p = loadProject();
+    p.gas._logAIUsage("m1", "あ".repeat(150), "成功", "Gemini", 1234, 56);
+
+    const log = logEntries(p);
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].prompt.length, 100);
+    assert.strictEqual(log[0].elapsedMs, 1234);
+    assert.strictEqual(log[0].tokens, 56);
+    assert.strictEqual(log[0].date, new Date(p.clock.now).toISOString());
+});
+
+test("300件を一度に記録しても捨てず、9KB に収まるよう複数のプロパティに分けて保存する", () => {
+    const p = loadProject();
+    for (let i = 0; i < 300; i++) p.gas._logAIUsage("m" + i, "質問".repeat(30), "成功", "Gemini", 0, 0);
+
+    const log = logEntries(p);
+    assert.strictEqual(log.length, 300);
+    assert.strictEqual(log[0].model, "m0");
+    assert.strictEqual(log[299].model, "m299");
+
+    const shardKeys = Object.keys(p.props.data).filter(k => k.indexOf("AI_LOG_BUFFER_") === 0);
+    assert.ok(shardKeys.length > 1);
+    shardKeys.forEach(k => assert.ok(Buffer.byteLength(p.props.data[k], "utf8") <= 8000, k));
+    assert.strictEqual(p.lock.held, false);
+});
+
+test("ロックが取れないときは専用のキーに書き、flushAILog で日時順にまとめて書き出す", () => {
+    const p = loadProject();
+    p.gas._logAIUsage("m1", "q1", "成功", "Gemini", 0, 0);
+    p.clock.now += 1000;
+    p.lock.busy = true;
+    p.gas._logAIUsage("m2", "q2", "成功", "Gemini", 0, 0);
+    p.lock.busy = false;
+    p.clock.now += 1000;
+    p.gas._logAIUsage("m3", "q3", "成功", "Gemini", 0, 0);
+
+    assert.ok(Object.keys(p.props.data).some(k => k.indexOf("AI_LOG_BUFFER_x") === 0));
+    p.gas.flushAILog();
+
+    const sheet = p.spreadsheet.getSheetByName("AI_Log");
+    assert.deepStrictEqual(sheet.data.slice(1).map(r => r[1]), ["m1", "m2", "m3"]);
+    assert.deepStrictEqual(Object.keys(p.props.data).filter(k => k.indexOf("AI_LOG_BUFFER") === 0), []);
+});
+
+test("保存先が満杯で捨てたログは件数を数え、flushAILog が「ログ欠落」の行を残す", () => {
+    const p = loadProject();
+    const max = p.evaluate("AI_LOG_MAX_SHARDS");
+    for (let i = 1; i <= max; i++) p.props.setProperty("AI_LOG_BUFFER_" + i, JSON.stringify([JSON.stringify({ date: "2026-01-01T00:00:00.000Z", model: "old" + i, prompt: "x".repeat(7900) })]));
+
+    p.gas._logAIUsage("m1", "q", "成功", "Gemini", 0, 0);
+    p.lock.busy = true;
+    p.gas._logAIUsage("m2", "q", "成功", "Gemini", 0, 0);
+    p.lock.busy = false;
+    assert.strictEqual(p.props.getProperty("AI_LOG_DROPPED"), "2");
+
+    p.gas.flushAILog();
+    const rows = p.spreadsheet.getSheetByName("AI_Log").data;
+    assert.strictEqual(rows.length, 1 + max + 1);
+    assert.deepStrictEqual([rows[rows.length - 1][3], rows[rows.length - 1][6]], ["ログ欠落", "2 件のログを保存できずに捨てました"]);
+    assert.strictEqual(p.props.getProperty("AI_LOG_DROPPED"), null);
+});
+
+test("flushAILog は旧形式の AI_LOG_BUFFER も書き出し、ロック中は何もしない", () => {
+    const p = loadProject({ properties: { AI_LOG_BUFFER: JSON.stringify([JSON.stringify({ date: "2026-01-01T00:00:00.000Z", model: "legacy", prompt: "q" })]) } });
+    p.lock.busy = true;
+    p.gas.flushAILog();
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Log"), null);
+
+    p.lock.busy = false;
+    p.gas.flushAILog();
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Log").data[1][1], "legacy");
+    assert.strictEqual(p.props.getProperty("AI_LOG_BUFFER"), null);
+});
+
+test("ログの追記は全プロパティを読まず、追記中の分割の番号を覚えて使う", () => {
+    const p = loadProject({ properties: { AI_LOG_BUFFER_3: JSON.stringify([JSON.stringify({ date: "2026-01-01T00:00:00.000Z", model: "old" })]) } });
+    let reads = 0;
+    const getProperties = p.props.getProperties;
+    p.props.getProperties = () => { reads++; return getProperties(); };
+
+    for (let i = 0; i < 60; i++) p.gas._logAIUsage("m" + i, "質問".repeat(30), "成功", "Gemini", 0, 0);
+    assert.strictEqual(reads, 0);
+    assert.ok(Number(p.props.getProperty("AI_LOG_SHARD_NO")) > 3);
+    assert.deepStrictEqual(logEntries(p).map(e => e.model).slice(0, 2), ["old", "m0"]);
+    assert.strictEqual(logEntries(p).length, 61);
+});
+
+test("flushAILog はロックを放してからシートに書き、失敗したらバッファを戻す", () => {
+    const p = loadProject();
+    p.gas._logAIUsage("m1", "q1", "成功", "Gemini", 0, 0);
+    const insertSheet = p.spreadsheet.insertSheet;
+    let heldWhileWriting = null;
+    p.spreadsheet.insertSheet = name => {
+        heldWhileWriting = p.lock.held;
+        throw new Error("書き込み失敗");
+    };
+    assert.throws(() => p.gas.flushAILog(), /書き込み失敗/);
+    assert.strictEqual(heldWhileWriting, false);
+    assert.deepStrictEqual(logEntries(p).map(e => e.model), ["m1"]);
+    assert.strictEqual(p.props.getProperty("AI_LOG_SHARD_NO"), null);
+
+    // 戻した分は次の書き出しで書ける。書き出し中の印が残っていれば見送る
+    p.spreadsheet.insertSheet = insertSheet;
+    p.cache.put("AI_LOG_FLUSHING", "1", 360);
+    p.gas.flushAILog();
+    assert.strictEqual(p.spreadsheet.getSheetByName("AI_Log"), null);
+    p.cache.remove("AI_LOG_FLUSHING");
+    p.gas.flushAILog();
+    assert.deepStrictEqual(p.spreadsheet.getSheetByName("AI_Log").data.slice(1).map(r => r[1]), ["m1"]);
+    assert.deepStrictEqual(logEntries(p), []);
+});
+
+test("installAILogTrigger は flushAILog の定期トリガーを1つだけ登録する", () => {
+    const p = loadProject();
+    p.gas.installAILogTrigger(5);
+    p.gas.installAILogTrigger();
+    p.gas.installAILogTrigger(7);
+
+    assert.strictEqual(p.scriptApp.triggers.length, 1);
+    assert.deepStrictEqual([p.scriptApp.triggers[0].handler, p.scriptApp.triggers[0].type, p.scriptApp.triggers[0].everyMinutes], ["flushAILog", "CLOCK", 10]);
+    assert.strictEqual(p.gas.removeAILogTrigger(), 1);
+    assert.strictEqual(p.scriptApp.triggers.length, 0);
+});
+
+test("flushAILog は AI_Log シートを作って追記し、バッファを空にする", () => {
+    const p = loadProject();
+    p.gas._logAIUsage("m1", "q1", "成功", "Gemini", 10, 1);
+    p.gas._logAIUsage("m2", "q2", "全API失敗", "N/A", 0, 0);
+    p.gas.flushAILog();
+
+    const sheet = p.spreadsheet.getSheetByName("AI_Log");
+    assert.ok(sheet);
+    assert.deepStrictEqual(sheet.data[0], toHost(p.evaluate("LOG_HEADERS")));
+    assert.strictEqual(sheet.data.length, 3);
+    assert.deepStrictEqual(sheet.data[2].slice(1, 7), ["m2", "N/A", "全API失敗", 0, 0, "q2"]);
+    assert.strictEqual(sheet.data[2].length, 19);
+    assert.deepStrictEqual(logEntries(p), []);
+});
+
+test("失敗した試行と最終結果を同じトレースIDで記録する", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-3-flash-preview", res.error(429, "busy"), res.error(429, "busy"));
+    p.http.when("openrouter/free", {
+        code: 200,
+        body: { model: "x/free", choices: [{ message: { content: "OK" } }], usage: { total_tokens: 30, prompt_tokens: 20, completion_tokens: 10 } }
+    });
+
+    assert.strictEqual(p.gas.hy_AI("質問", "", 0.7), "OK");
+    const log = logEntries(p);
+    const attempts = log.filter(e => e.kind === "試行失敗");
+    const result = log.filter(e => e.kind === "結果");
+
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(attempts.length, 2 + 1 + 5);
+    assert.ok(log.every(e => e.trace === result[0].trace && e.entry === "hy_AI"));
+    assert.deepStrictEqual(attempts.slice(0, 3).map(e => [e.model, e.attempts, e.httpCode, e.errorClass]), [
+        ["gemini-3-flash-preview", 1, 429, "⏳レート制限"],
+        ["gemini-3-flash-preview", 2, 429, "⏳レート制限"],
+        ["gemini-2.5-flash", 1, 404, "❌モデル不明"]
+    ]);
+
+    const r = result[0];
+    assert.strictEqual(r.status, "成功(Free)");
+    assert.strictEqual(r.attempts, 9);
+    assert.strictEqual(r.temperature, 0.7);
+    assert.deepStrictEqual([r.inputTokens, r.outputTokens, r.tokens], [20, 10, 30]);
+    assert.ok(r.path.indexOf("gemini-3-flash-preview:⏳レート制限 → gemini-2.5-flash:❌モデル不明") === 0, r.path);
+    assert.ok(/ → openrouter\/free:成功$/.test(r.path), r.path);
+    // 実際のモデル（x/free）とは別に、チェーンのモデルも残す
+    assert.deepStrictEqual([r.model, r.chainModel], ["x/free", "openrouter/free"]);
+    assert.strictEqual(attempts[0].chainModel, "gemini-3-flash-preview");
+});
+
+test("ge_AI の全滅や便利ツール経由の呼び出しも呼び出し元付きで記録する", () => {
+    const p = loadProject({ properties: { GEMINI_API_KEY: "g", AI_CACHE_TTL: "0" } });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.gas.ge_AI("質問");
+    const geResult = logEntries(p, "結果");
+    assert.strictEqual(geResult.length, 1);
+    assert.deepStrictEqual([geResult[0].entry, geResult[0].status, geResult[0].source], ["ge_AI", "全API失敗", "Gemini(単体)"]);
+
+    p.http.defaultResponse = res.gemini("Hello");
+    p.gas.translateAI("こんにちは", "en");
+    assert.strictEqual(logEntries(p, "結果")[1].entry, "translateAI");
+});
+
+test("flushAILog は追加列を書き出し、旧形式(7列)のシートの見出しを広げる", () => {
+    const old = ["日時", "モデル", "ソース", "ステータス", "応答時間(ms)", "トークン数", "プロンプト（100文字）"];
+    const p = loadProject({ sheets: { AI_Log: [old] } });
+    p.gas._logAIUsage("m1", "q1", "試行失敗", "Gemini", 5, 0,
+        { trace: "t1", entry: "hy_AI", kind: "試行失敗", attempts: 2, httpCode: 503, errorClass: "💔サーバーエラー", temperature: 0.3, error: "【💔サーバーエラー】down", chainModel: "m1" });
+    p.gas.flushAILog();
+
+    const sheet = p.spreadsheet.getSheetByName("AI_Log");
+    assert.deepStrictEqual(sheet.data[0], toHost(p.evaluate("LOG_HEADERS")));
+    assert.deepStrictEqual(sheet.data[1].slice(7), ["t1", "hy_AI", "試行失敗", 2, 503, "💔サーバーエラー", 0.3, "", "", "", "m1", "【💔サーバーエラー】down"]);
+});
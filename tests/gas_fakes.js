@@ -0,0 +1,579 @@
+// ============================================================
+// GAS グローバルの代用品 (tests/gas_fakes.js)
+// ============================================================
+// Node 上でプロジェクトの .js ファイルを読み込むための、
+// Google Apps Script 組み込みサービスの最小限の偽物です。
+//
+// 【提供するもの】
+//  - UrlFetchApp        → 台本(スクリプト)どおりのHTTP応答を返す
+//  - PropertiesService  → メモリ上のキー/値ストア
+//  - CacheService       → 有効期限付きのメモリキャッシュ
+//  - SpreadsheetApp     → 2次元配列で持つシート
+//  - Utilities / Logger → sleep は偽の時計を進めるだけ
+//  - LockService        → lock.busy = true で「他の実行が保持中」を再現
+//  - ScriptApp          → トリガーの登録・削除を記録するだけ
+//  - SpreadsheetApp.getUi() → prompt の答えを台本で渡し、alert・メニュー・サイドバーを記録する
+//  - HtmlService        → 読み込んだファイル名とタイトルを記録するだけ
+//  - Charts / Session   → グラフは設定を記録するだけ、タイムゾーンは Asia/Tokyo
+//
+// 【時計について】
+//  Utilities.sleep() や HTTP 応答の latencyMs は実際には待たず、
+//  clock.now を進めるだけです。プロジェクト側の Date もこの時計を使います。
+// ============================================================
+
+const crypto = require("crypto");
+
+/** 偽の時計（ミリ秒） */
+function createClock(startMs) {
+    return { now: startMs || Date.UTC(2026, 0, 1, 0, 0, 0) };
+}
+
+
+// ============================================================
+// 1. UrlFetchApp
+// ============================================================
+// 応答は「ルート」単位で台本を登録する。
+//   http.when("gemini-2.5-flash", r1, r2)  ← モデル名で一致
+//   http.whenUrl("/models", r1)            ← URLの部分一致
+// 登録した応答は先頭から1つずつ消費され、使い切ったルートは無視される。
+// どのルートにも一致しない場合は defaultResponse（初期値 404）を返す。
+// ============================================================
+
+/** リクエストからモデル名を取り出す（Gemini は URL、OpenAI 形式は payload） */
+function _modelOf(url, json) {
+    const m = /\/models\/([^:?]+):/.exec(url);
+    if (m) return decodeURIComponent(m[1]);
+    if (json && json.model) return json.model;
+    return null;
+}
+
+function createHttp(clock) {
+    const routes = [];
+    const http = {
+        requests: [],
+        unscripted: [],
+        defaultResponse: { code: 404, body: { error: { message: "unscripted request" } } },
+
+        when(model, ...responses) {
+            routes.push({ match: req => req.model === model, responses: responses });
+            return http;
+        },
+        whenUrl(fragment, ...responses) {
+            routes.push({ match: req => req.url.indexOf(fragment) !== -1, responses: responses });
+            return http;
+        },
+        whenMatch(fn, ...responses) {
+            routes.push({ match: fn, responses: responses });
+            return http;
+        },
+
+        /** 送信されたモデル名の一覧（送信順） */
+        models() {
+            return http.requests.map(r => r.model);
+        }
+    };
+
+    function _respond(spec, req) {
+        if (typeof spec === "function") spec = spec(req);
+        if (spec.latencyMs) clock.now += spec.latencyMs;
+        if (spec.throws) throw new Error(spec.throws);
+
+        const code = spec.code === undefined ? 200 : spec.code;
+        const text = typeof spec.body === "string" ? spec.body : JSON.stringify(spec.body === undefined ? {} : spec.body);
+        const headers = spec.headers || {};
+        return {
+            getResponseCode: () => code,
+            getContentText: () => text,
+            getHeaders: () => headers,
+            getAllHeaders: () => headers
+        };
+    }
+
+    function fetch(url, params) {
+        params = params || {};
+        let json = null;
+        if (typeof params.payload === "string") {
+            try { json = JSON.parse(params.payload); } catch (e) { json = null; }
+        }
+        const req = {
+            url: url,
+            method: (params.method || "get").toLowerCase(),
+            headers: Object.assign({}, params.headers || {}),
+            payload: params.payload,
+            json: json,
+            model: _modelOf(url, json)
+        };
+        http.requests.push(req);
+
+        for (const route of routes) {
+            if (route.responses.length > 0 && route.match(req)) {
+                return _respond(route.responses.shift(), req);
+            }
+        }
+        http.unscripted.push(req);
+        return _respond(http.defaultResponse, req);
+    }
+
+    http.fetch = fetch;
+    return http;
+}
+
+
+// ============================================================
+// 2. PropertiesService
+// ============================================================
+const PROPERTY_VALUE_LIMIT = 9 * 1024;
+
+function createPropertyStore(initial) {
+    const data = Object.assign({}, initial || {});
+    return {
+        data: data,
+        getProperty: key => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+        setProperty(key, value) {
+            // 本物と同じく、1つの値は 9KB まで
+            if (Buffer.byteLength(String(value), "utf8") > PROPERTY_VALUE_LIMIT) throw new Error("Argument too large: value");
+            data[key] = String(value);
+            return this;
+        },
+        deleteProperty(key) { delete data[key]; return this; },
+        getProperties: () => Object.assign({}, data),
+        setProperties(obj, deleteAllOthers) {
+            if (deleteAllOthers) Object.keys(data).forEach(k => delete data[k]);
+            Object.keys(obj).forEach(k => { data[k] = String(obj[k]); });
+            return this;
+        },
+        deleteAllProperties() { Object.keys(data).forEach(k => delete data[k]); return this; },
+        getKeys: () => Object.keys(data)
+    };
+}
+
+
+// ============================================================
+// 3. CacheService
+// ============================================================
+function createCache(clock) {
+    const entries = {};
+    function alive(key) {
+        const e = entries[key];
+        if (!e) return null;
+        if (e.expires <= clock.now) { delete entries[key]; return null; }
+        return e;
+    }
+    const cache = {
+        entries: entries,
+        get(key) { const e = alive(key); return e ? e.value : null; },
+        getAll(keys) {
+            const out = {};
+            keys.forEach(k => { const e = alive(k); if (e) out[k] = e.value; });
+            return out;
+        },
+        put(key, value, ttlSec) {
+            const ttl = Math.min(ttlSec === undefined ? 600 : ttlSec, 21600);
+            entries[key] = { value: String(value), expires: clock.now + ttl * 1000 };
+        },
+        putAll(obj, ttlSec) { Object.keys(obj).forEach(k => cache.put(k, obj[k], ttlSec)); },
+        remove(key) { delete entries[key]; },
+        removeAll(keys) { keys.forEach(k => delete entries[k]); }
+    };
+    return cache;
+}
+
+
+// ============================================================
+// 4. SpreadsheetApp（値だけを持つシート）
+// ============================================================
+function createSheet(name, rows) {
+    const sheet = {
+        name: name,
+        data: (rows || []).map(r => r.slice()),
+        columnWidths: {},
+        getName: () => sheet.name,
+        getLastRow: () => sheet.data.length,
+        getLastColumn: () => sheet.data.reduce((max, r) => Math.max(max, r.length), 0),
+        getRange(row, col, numRows, numCols) {
+            return createRange(sheet, row, col, numRows || 1, numCols || 1);
+        },
+        getDataRange() {
+            return createRange(sheet, 1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1));
+        },
+        clear() { sheet.data = []; return sheet; },
+        charts: [],
+        newChart: () => createChartBuilder(),
+        insertChart(chart) { sheet.charts.push(chart); return sheet; },
+        getCharts: () => sheet.charts.slice(),
+        removeChart(chart) {
+            const i = sheet.charts.indexOf(chart);
+            if (i !== -1) sheet.charts.splice(i, 1);
+        },
+        setColumnWidth(col, width) { sheet.columnWidths[col] = width; return sheet; },
+        formulas: {},        // "行,列" → 数式（カスタム関数を呼んだセルを再現するとき）
+        activeRange: null,   // テストで選択範囲を再現するときに getRange(...) を入れる
+        getActiveRange: () => sheet.activeRange,
+        autoResizeColumns() { return sheet; },
+        setFrozenRows() { return sheet; },
+        hidden: false,
+        hideSheet() { sheet.hidden = true; return sheet; }
+    };
+    return sheet;
+}
+
+/** sheet.newChart() のビルダー（設定を記録するだけ） */
+function createChartBuilder() {
+    const chart = { type: null, ranges: [], options: {}, position: null };
+    const builder = {
+        setChartType(type) { chart.type = type; return builder; },
+        addRange(range) { chart.ranges.push(range); return builder; },
+        setOption(key, value) { chart.options[key] = value; return builder; },
+        setPosition(row, col, offsetX, offsetY) { chart.position = { row: row, col: col }; return builder; },
+        build: () => chart
+    };
+    return builder;
+}
+
+function createRange(sheet, row, col, numRows, numCols) {
+    const range = {
+        getValues() {
+            const out = [];
+            for (let r = 0; r < numRows; r++) {
+                const src = sheet.data[row - 1 + r] || [];
+                const line = [];
+                for (let c = 0; c < numCols; c++) {
+                    const v = src[col - 1 + c];
+                    line.push(v === undefined ? "" : v);
+                }
+                out.push(line);
+            }
+            return out;
+        },
+        getValue: () => range.getValues()[0][0],
+        getFormula: () => sheet.formulas[row + "," + col] || "",
+        setFormula(f) { sheet.formulas[row + "," + col] = f; return range; },
+        setValues(values) {
+            if (values.length !== numRows || values.some(r => r.length !== numCols)) {
+                throw new Error("setValues: 範囲のサイズとデータのサイズが一致しません");
+            }
+            values.forEach((line, r) => {
+                const target = row - 1 + r;
+                while (sheet.data.length <= target) sheet.data.push([]);
+                line.forEach((v, c) => { sheet.data[target][col - 1 + c] = v; });
+            });
+            return range;
+        },
+        setValue(v) { return range.setValues([[v]]); },
+        createTextFinder(text) { return createTextFinder(sheet, range, String(text)); },
+        getRow: () => row,
+        getLastRow: () => row + numRows - 1,
+        getColumn: () => col,
+        getNumRows: () => numRows,
+        getNumColumns: () => numCols,
+        setFontWeight: () => range,
+        setBackground: () => range,
+        setNumberFormat: () => range
+    };
+    return range;
+}
+
+/** range.createTextFinder()（既定は部分一致・大文字小文字を区別しない。findNext のみ） */
+function createTextFinder(sheet, range, text) {
+    const option = { matchCase: false, entireCell: false };
+    let last = -1;
+    const finder = {
+        matchCase(on) { option.matchCase = on; return finder; },
+        matchEntireCell(on) { option.entireCell = on; return finder; },
+        findNext() {
+            sheet.textFinds = (sheet.textFinds || 0) + 1;
+            const values = range.getValues();
+            const wanted = option.matchCase ? text : text.toLowerCase();
+            for (let r = 0; r < values.length; r++) {
+                for (let c = 0; c < values[r].length; c++) {
+                    if (r * values[r].length + c <= last) continue;
+                    const cell = option.matchCase ? String(values[r][c]) : String(values[r][c]).toLowerCase();
+                    if (option.entireCell ? cell !== wanted : cell.indexOf(wanted) === -1) continue;
+                    last = r * values[r].length + c;
+                    return createRange(sheet, range.getRow() + r, range.getColumn() + c, 1, 1);
+                }
+            }
+            return null;
+        }
+    };
+    return finder;
+}
+
+function createSpreadsheet(initialSheets) {
+    const sheets = [];
+    Object.keys(initialSheets || {}).forEach(name => sheets.push(createSheet(name, initialSheets[name])));
+    const ss = {
+        sheets: sheets,
+        activeSheet: null,   // 未設定なら先頭のシート
+        getActiveSheet: () => ss.activeSheet || sheets[0] || null,
+        getSheetByName: name => sheets.find(s => s.name === name) || null,
+        getSheets: () => sheets.slice(),
+        insertSheet(name) {
+            const s = createSheet(name);
+            sheets.push(s);
+            return s;
+        },
+        deleteSheet(sheet) {
+            const i = sheets.indexOf(sheet);
+            if (i !== -1) sheets.splice(i, 1);
+        }
+    };
+    return ss;
+}
+
+
+// ============================================================
+// 5. Utilities / Logger / console
+// ============================================================
+function createUtilities(clock, sleeps) {
+    const toBytes = buf => Array.from(buf).map(b => (b > 127 ? b - 256 : b));
+    const fromBytes = bytes => Buffer.from(bytes.map(b => (b < 0 ? b + 256 : b)));
+    const algos = { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256" };
+    return {
+        DigestAlgorithm: { MD5: "MD5", SHA_1: "SHA_1", SHA_256: "SHA_256" },
+        Charset: { UTF_8: "UTF_8" },
+        sleep(ms) { sleeps.push(ms); clock.now += ms; },
+        computeDigest(algorithm, value) {
+            const input = typeof value === "string" ? Buffer.from(value, "utf8") : fromBytes(value);
+            return toBytes(crypto.createHash(algos[algorithm]).update(input).digest());
+        },
+        base64Encode(data) {
+            return (typeof data === "string" ? Buffer.from(data, "utf8") : fromBytes(data)).toString("base64");
+        },
+        base64EncodeWebSafe(data) {
+            return (typeof data === "string" ? Buffer.from(data, "utf8") : fromBytes(data)).toString("base64")
+                .replace(/\+/g, "-").replace(/\//g, "_");
+        },
+        newBlob(data) {
+            const buf = typeof data === "string" ? Buffer.from(data, "utf8") : fromBytes(data);
+            return {
+                getBytes: () => toBytes(buf),
+                getDataAsString: () => buf.toString("utf8")
+            };
+        },
+        getUuid: () => crypto.randomUUID(),
+        formatDate(date, timeZone, pattern) {
+            const parts = {};
+            new Intl.DateTimeFormat("en-CA", {
+                timeZone: timeZone, hourCycle: "h23",
+                year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+            }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+            return pattern.replace("yyyy", parts.year).replace("MM", parts.month).replace("dd", parts.day)
+                .replace("HH", parts.hour).replace("mm", parts.minute).replace("ss", parts.second);
+        }
+    };
+}
+
+function createLogger(lines) {
+    return {
+        log(msg) {
+            const args = Array.prototype.slice.call(arguments, 1);
+            let text = String(msg);
+            args.forEach(a => { text = text.replace("%s", String(a)); });
+            lines.push(text);
+        },
+        getLog: () => lines.map(line => line + "\n").join("")
+    };
+}
+
+function createConsole(lines) {
+    const rec = level => function () {
+        lines.push({ level: level, text: Array.prototype.map.call(arguments, String).join(" ") });
+    };
+    return { log: rec("log"), info: rec("info"), warn: rec("warn"), error: rec("error") };
+}
+
+
+// ============================================================
+// 6. LockService / ScriptApp
+// ============================================================
+function createLock() {
+    const lock = {
+        busy: false,       // true にすると他の実行がロックを持っている扱い
+        held: false,
+        waits: [],
+        tryLock(ms) {
+            lock.waits.push(ms);
+            if (lock.busy) return false;
+            lock.held = true;
+            return true;
+        },
+        waitLock(ms) {
+            if (!lock.tryLock(ms)) throw new Error("Lock timeout: another process was holding the lock for too long.");
+        },
+        hasLock: () => lock.held,
+        releaseLock() { lock.held = false; }
+    };
+    return lock;
+}
+
+function createScriptApp() {
+    const triggers = [];
+    const app = {
+        triggers: triggers,
+        newTrigger(handler) {
+            const spec = { handler: handler };
+            const builder = {
+                timeBased() { spec.type = "CLOCK"; return builder; },
+                everyMinutes(n) { spec.everyMinutes = n; return builder; },
+                everyHours(n) { spec.everyHours = n; return builder; },
+                after(ms) { spec.afterMs = ms; return builder; },
+                create() {
+                    const t = Object.assign({ getHandlerFunction: () => handler, getUniqueId: () => "t" + triggers.length }, spec);
+                    triggers.push(t);
+                    return t;
+                }
+            };
+            return builder;
+        },
+        getProjectTriggers: () => triggers.slice(),
+        deleteTrigger(t) {
+            const i = triggers.indexOf(t);
+            if (i !== -1) triggers.splice(i, 1);
+        }
+    };
+    return app;
+}
+
+
+/**
+ * SpreadsheetApp.getUi() の代用品
+ * ui.responses に [{ text, button }] を積んでおくと prompt() が順に返す（button 省略時は "OK"）。
+ * ui.alertResponses に "YES" などを積んでおくと alert() が順に返す。
+ */
+function createUi() {
+    const ui = {
+        responses: [],
+        alerts: [],
+        prompts: [],
+        ButtonSet: { OK: "OK", OK_CANCEL: "OK_CANCEL", YES_NO: "YES_NO" },
+        Button: { OK: "OK", CANCEL: "CANCEL", YES: "YES", NO: "NO", CLOSE: "CLOSE" },
+        alertResponses: [],   // YES_NO などで押すボタンを積む（空なら "OK"）
+        alert(title, message) {
+            ui.alerts.push(_isUiText(ui, message) ? title + "\n" + message : title);
+            return ui.alertResponses.shift() || "OK";
+        },
+        prompt(title, message) {
+            ui.prompts.push(_isUiText(ui, message) ? message : title);
+            const r = ui.responses.shift() || { text: "", button: "CANCEL" };
+            return { getResponseText: () => r.text, getSelectedButton: () => r.button || "OK" };
+        },
+        menus: [],
+        sidebars: [],
+        createMenu: title => createMenuBuilder(ui, title),
+        showSidebar(html) { ui.sidebars.push(html); }
+    };
+    return ui;
+}
+
+/** ui.createMenu() のビルダー（addToUi で ui.menus に { title, items } を積む。区切りは "---"） */
+function createMenuBuilder(ui, title) {
+    const menu = {
+        title: title,
+        items: [],
+        addItem(label, functionName) { menu.items.push({ label: label, functionName: functionName }); return menu; },
+        addSeparator() { menu.items.push("---"); return menu; },
+        addSubMenu(sub) { menu.items.push({ label: sub.title, items: sub.items }); return menu; },
+        addToUi() { ui.menus.push({ title: menu.title, items: menu.items }); }
+    };
+    return menu;
+}
+
+/** HtmlService の代用品（読み込んだファイル名とタイトルを記録するだけ） */
+function createHtmlService() {
+    return {
+        createHtmlOutputFromFile(file) {
+            const output = {
+                file: file,
+                title: "",
+                setTitle(t) { output.title = t; return output; },
+                setWidth() { return output; }
+            };
+            return output;
+        }
+    };
+}
+
+/** alert / prompt の2番目の引数が本文か（ボタンの指定ではないか） */
+function _isUiText(ui, value) {
+    return typeof value === "string" && !Object.keys(ui.ButtonSet).some(k => ui.ButtonSet[k] === value);
+}
+
+
+// ============================================================
+// 7. まとめて生成
+// ============================================================
+/**
+ * GAS のグローバル一式を作る。
+ *
+ * @param {Object} opts
+ *   properties : スクリプトプロパティの初期値
+ *   sheets     : { シート名: 2次元配列 } の初期値
+ *   now        : 時計の初期値（ミリ秒）
+ * @return {Object} { globals, http, props, cache, spreadsheet, lock, scriptApp, ui, clock, sleeps, logs, consoleLines }
+ */
+function createGasEnv(opts) {
+    opts = opts || {};
+    const clock = createClock(opts.now);
+    const sleeps = [];
+    const logs = [];
+    const consoleLines = [];
+
+    const http = createHttp(clock);
+    const props = createPropertyStore(opts.properties);
+    const userProps = createPropertyStore();
+    const cache = createCache(clock);
+    const spreadsheet = createSpreadsheet(opts.sheets);
+    const lock = createLock();
+    const scriptApp = createScriptApp();
+    const ui = createUi();
+
+    const globals = {
+        UrlFetchApp: { fetch: http.fetch },
+        PropertiesService: {
+            getScriptProperties: () => props,
+            getUserProperties: () => userProps,
+            getDocumentProperties: () => userProps
+        },
+        CacheService: {
+            getScriptCache: () => cache,
+            getUserCache: () => cache,
+            getDocumentCache: () => cache
+        },
+        SpreadsheetApp: {
+            getActiveSpreadsheet: () => spreadsheet,
+            getActiveSheet: () => spreadsheet.getActiveSheet(),
+            getActiveRange: () => spreadsheet.getActiveSheet() ? spreadsheet.getActiveSheet().getActiveRange() : null,
+            getUi: () => ui
+        },
+        LockService: {
+            getScriptLock: () => lock,
+            getUserLock: () => lock,
+            getDocumentLock: () => lock
+        },
+        ScriptApp: scriptApp,
+        HtmlService: createHtmlService(),
+        Session: { getScriptTimeZone: () => "Asia/Tokyo" },
+        Charts: { ChartType: { BAR: "BAR", COLUMN: "COLUMN", LINE: "LINE", PIE: "PIE", TABLE: "TABLE" } },
+        Utilities: createUtilities(clock, sleeps),
+        Logger: createLogger(logs),
+        console: createConsole(consoleLines)
+    };
+
+    return {
+        globals: globals,
+        http: http,
+        props: props,
+        cache: cache,
+        spreadsheet: spreadsheet,
+        lock: lock,
+        scriptApp: scriptApp,
+        ui: ui,
+        clock: clock,
+        sleeps: sleeps,
+        logs: logs,
+        consoleLines: consoleLines
+    };
+}
+
+module.exports = { createGasEnv };
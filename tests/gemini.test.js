@@ -0,0 +1,88 @@
+// ============================================================
+// ge_AI のテスト (gemini.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "gem-key" };
+
+
+test("指定モデルで成功すれば他のモデルは呼ばない", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-2.0-flash", res.gemini("OK", 9));
+
+    assert.strictEqual(p.gas.ge_AI("質問", "", "gemini-2.0-flash"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["gemini-2.0-flash"]);
+    assert.ok(p.http.requests[0].url.indexOf("key=gem-key") !== -1);
+
+    const log = logEntries(p);
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].source, "Gemini(単体)");
+    assert.strictEqual(log[0].tokens, 9);
+});
+
+test("不明な指定モデル → フォールバックリストを重複なしで順に試す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-2.0-flash-lite", res.gemini("最後で成功"));
+
+    assert.strictEqual(p.gas.ge_AI("質問", "", "invalid-model-name"), "最後で成功");
+    assert.deepStrictEqual(p.http.models(), [
+        "invalid-model-name",
+        "gemini-3-flash-preview",
+        "gemini-2.5-flash",
+        "gemini-2.0-flash",
+        "gemini-2.5-flash-lite",
+        "gemini-2.0-flash-lite"
+    ]);
+});
+
+test("既定モデルを指定しても二重に試さない", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+
+    p.gas.ge_AI("質問");
+    assert.strictEqual(p.http.models().filter(m => m === "gemini-3-flash-preview").length, 1);
+    assert.strictEqual(p.http.requests.length, 5);
+});
+
+test("全滅時はモデルごとのエラーを並べて返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-3-flash-preview", res.error(429, "slow down"), res.error(429, "slow down"));
+    p.http.when("gemini-2.5-flash", res.raw(200, "<html>"), res.raw(200, "<html>"));
+    p.http.when("gemini-2.0-flash", res.geminiEmpty(), res.geminiEmpty());
+    p.http.when("gemini-2.5-flash-lite", res.network("timeout"), res.network("timeout"));
+
+    const lines = p.gas.ge_AI("質問").split("\n");
+    assert.strictEqual(lines[0], "【💀全API失敗】");
+    assert.strictEqual(lines[1], "gemini-3-flash-preview: 【⏳レート制限】slow down");
+    assert.ok(lines[2].indexOf("gemini-2.5-flash: 【⚠️JSON解析エラー】") === 0, lines[2]);
+    assert.strictEqual(lines[3], "gemini-2.0-flash: 【📭空回答】回答データの構造が不正です");
+    assert.strictEqual(lines[4], "gemini-2.5-flash-lite: 【🔌接続エラー】timeout");
+    assert.strictEqual(lines[5], "gemini-2.0-flash-lite: 【❌モデル不明】gone");
+    assert.strictEqual(p.sleeps.length, 4);
+    assert.ok(p.sleeps.every(ms => ms >= 500 && ms <= 1000), String(p.sleeps));
+});
+
+test("APIキー未設定なら送信せずに案内を返す", () => {
+    const p = loadProject({ properties: {} });
+    assert.ok(p.gas.ge_AI("質問").indexOf("【🔑APIキー未設定】") === 0);
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("システム指示は system_instruction として送る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("OK"));
+
+    p.gas.ge_AI("質問", "先生として");
+    assert.deepStrictEqual(p.http.requests[0].json.system_instruction, { role: "system", parts: [{ text: "先生として" }] });
+});
+
+test("温度と最大トークン数を generationConfig で送る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-2.5-flash", res.gemini("OK"));
+
+    p.gas.ge_AI("質問", "", "gemini-2.5-flash", 0.9);
+    assert.deepStrictEqual(p.http.requests[0].json.generationConfig, { temperature: 0.9, maxOutputTokens: 1024 });
+});
@@ -0,0 +1,159 @@
+// ============================================================
+// オフラインテスト用ハーネス (tests/harness.js)
+// ============================================================
+// プロジェクト直下の .js を GAS と同じく「1つのグローバル空間」に
+// 読み込み、偽の GAS サービス（gas_fakes.js）の上で実行します。
+//
+// 【使い方】
+//  const { test, loadProject, res } = require("./harness");
+//  test("説明", () => {
+//      const p = loadProject({ properties: { GEMINI_API_KEY: "k" } });
+//      p.http.when("gemini-2.5-flash", res.gemini("OK"));
+//      assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+//  });
+//
+// 【実行】
+//  node tests/run_tests.js
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createGasEnv } = require("./gas_fakes");
+
+const ROOT = path.join(__dirname, "..");
+
+/** GAS と同じくファイル名順に並べたプロジェクトのソース一覧 */
+function _projectFiles() {
+    return fs.readdirSync(ROOT)
+        .filter(f => f.endsWith(".js"))
+        .sort()
+        .map(f => ({ name: f, code: fs.readFileSync(path.join(ROOT, f), "utf8") }));
+}
+
+// 偽の時計を使う Date（引数なしの new Date() と Date.now() だけ差し替える）
+const FAKE_DATE_SCRIPT = `
+(function () {
+    const RealDate = Date;
+    class FakeDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) super(__clock.now);
+            else super(...args);
+        }
+        static now() { return __clock.now; }
+    }
+    globalThis.Date = FakeDate;
+})();
+`;
+
+/**
+ * 偽の GAS 環境にプロジェクトを読み込む。
+ * テストごとに新しく呼ぶこと（グローバル状態を共有しないため）。
+ *
+ * @param {Object} opts createGasEnv() と同じ（properties / sheets / now）
+ * @return {Object} env の全項目 + gas（プロジェクトのグローバル）+ evaluate(式)
+ */
+function loadProject(opts) {
+    const env = createGasEnv(opts);
+    const context = vm.createContext(Object.assign({ __clock: env.clock }, env.globals));
+    vm.runInContext(FAKE_DATE_SCRIPT, context);
+    for (const file of _projectFiles()) {
+        vm.runInContext(file.code, context, { filename: file.name });
+    }
+    return Object.assign(env, {
+        gas: context,
+        // const/let で宣言されたトップレベル変数は gas.* から見えないため、式で評価する
+        evaluate: expr => vm.runInContext(expr, context)
+    });
+}
+
+/**
+ * プロジェクト側（別レルム）の配列・オブジェクトを Node 側の値に写す。
+ * assert.deepStrictEqual はプロトタイプまで比較するため、戻り値の比較前に通す。
+ */
+function toHost(value) {
+    if (Array.isArray(value)) return Array.from(value, v => toHost(v));
+    if (value && typeof value === "object") {
+        if (typeof value.getTime === "function") return new Date(value.getTime());
+        const out = {};
+        Object.keys(value).forEach(k => { out[k] = toHost(value[k]); });
+        return out;
+    }
+    return value;
+}
+
+/**
+ * ログバッファ（AI_LOG_BUFFER_1, _2 … の全分割）の中身をオブジェクト配列で返す
+ * kind を渡すと "結果" / "試行失敗" で絞り込む
+ */
+function logEntries(project, kind) {
+    const keys = Object.keys(project.props.data).filter(k => k.indexOf("AI_LOG_BUFFER") === 0);
+    const order = k => (/_\d+$/.test(k) ? Number(k.split("_").pop()) : k === "AI_LOG_BUFFER" ? -1 : Infinity);
+    keys.sort((a, b) => order(a) - order(b));
+    const entries = [];
+    keys.forEach(k => JSON.parse(project.props.data[k]).forEach(e => entries.push(JSON.parse(e))));
+    return kind ? entries.filter(e => e.kind === kind) : entries;
+}
+
+
+// ============================================================
+// 応答の台本ヘルパー
+// ============================================================
+const res = {
+    /** Gemini generateContent の成功応答 */
+    gemini(text, tokens) {
+        return {
+            code: 200,
+            body: {
+                candidates: [{ content: { role: "model", parts: [{ text: text }] } }],
+                usageMetadata: { totalTokenCount: tokens || 0 }
+            }
+        };
+    },
+    /** Gemini の candidates が空の応答 */
+    geminiEmpty() {
+        return { code: 200, body: { candidates: [] } };
+    },
+    /** OpenAI 形式 (OpenRouter) の成功応答 */
+    openai(text, model, tokens) {
+        return {
+            code: 200,
+            body: {
+                model: model,
+                choices: [{ message: { role: "assistant", content: text } }],
+                usage: { total_tokens: tokens || 0 }
+            }
+        };
+    },
+    /** API のエラー応答 { error: { message } } */
+    error(code, message, headers) {
+        return { code: code, body: { error: { code: code, message: message || "" } }, headers: headers };
+    },
+    /** 本文をそのまま返す（壊れたJSONなど） */
+    raw(code, text) {
+        return { code: code, body: text };
+    },
+    /** UrlFetchApp.fetch 自体が例外を投げる */
+    network(message) {
+        return { throws: message || "Address unavailable" };
+    }
+};
+
+
+// ============================================================
+// テスト登録
+// ============================================================
+const registry = [];
+
+function test(name, fn) {
+    registry.push({ name: name, fn: fn, file: _callerFile() });
+}
+
+function _callerFile() {
+    const stack = new Error().stack.split("\n");
+    const line = stack.find(l => l.indexOf(".test.js") !== -1) || "";
+    const m = /([\w.-]+\.test\.js)/.exec(line);
+    return m ? m[1] : "";
+}
+
+module.exports = { test, registry, loadProject, logEntries, toHost, res };
@@ -0,0 +1,172 @@
+// ============================================================
+// hy_AI のテスト (hybrid_ai.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const KEYS = { GEMINI_API_KEY: "gem-key", OPENROUTER_API_KEY: "or-key" };
+
+const OR_MODELS = [
+    "stepfun/step-3.5-flash:free",
+    "meta-llama/llama-3.3-70b-instruct:free",
+    "tngtech/deepseek-r1t2-chimera:free",
+    "google/gemma-3-27b-it:free",
+    "nvidia/nemotron-3-nano-30b-a3b:free"
+];
+
+
+test("最初の Gemini モデルが成功すればそのまま回答を返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.gemini("  こんにちは  ", 42));
+
+    assert.strictEqual(p.gas.hy_AI("挨拶して"), "こんにちは");
+    assert.deepStrictEqual(p.http.models(), ["gemini-3-flash-preview"]);
+
+    const log = logEntries(p);
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].model, "gemini-3-flash-preview");
+    assert.strictEqual(log[0].source, "Gemini");
+    assert.strictEqual(log[0].status, "成功");
+    assert.strictEqual(log[0].tokens, 42);
+    assert.strictEqual(log[0].prompt, "挨拶して");
+});
+
+test("429 は同じモデルでリトライしてから次のモデルへ進む", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.error(429, "quota"), res.error(429, "quota"));
+    p.http.when("gemini-2.5-flash", res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["gemini-3-flash-preview", "gemini-3-flash-preview", "gemini-2.5-flash"]);
+    assert.strictEqual(p.sleeps.length, 1);
+    assert.ok(p.sleeps[0] >= 500 && p.sleeps[0] <= 1000, String(p.sleeps));
+});
+
+test("404 はリトライせずに次のモデルへ進む", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.error(404, "not found"));
+    p.http.when("gemini-2.5-flash", res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["gemini-3-flash-preview", "gemini-2.5-flash"]);
+    assert.deepStrictEqual(p.sleeps, []);
+});
+
+test("Gemini 全滅 → OpenRouter → openrouter/free の順にフォールバックする", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.error(404, "gone"));
+    p.http.when("gemini-2.5-flash", res.error(404, "gone"));
+    OR_MODELS.forEach(m => p.http.when(m, res.error(404, "gone")));
+    p.http.when("openrouter/free", res.openai("無料で回答", "some/free-model:free", 7));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "無料で回答");
+    assert.deepStrictEqual(p.http.models(),
+        ["gemini-3-flash-preview", "gemini-2.5-flash"].concat(OR_MODELS, ["openrouter/free"]));
+
+    const log = logEntries(p, "結果");
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].model, "some/free-model:free");
+    assert.strictEqual(log[0].source, "OpenRouter");
+    assert.strictEqual(log[0].status, "成功(Free)");
+});
+
+test("全滅時は試行ごとの分類済みエラーを並べて返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-3-flash-preview", res.error(401, "bad key"));
+    p.http.when("gemini-2.5-flash", res.error(400, "bad request"));
+    p.http.when("stepfun/step-3.5-flash:free", res.error(503, "down"), res.error(503, "down"));
+
+    const out = p.gas.hy_AI("質問");
+    const lines = out.split("\n");
+    assert.strictEqual(lines[0], "【💀全API失敗】");
+    assert.strictEqual(lines[1], "Gemini(gemini-3-flash-preview): 【🔑認証エラー】bad key");
+    assert.strictEqual(lines[2], "Gemini(gemini-2.5-flash): 【⚠️リクエスト不正】bad request");
+    assert.strictEqual(lines[3], "OR(stepfun/step-3.5-flash:free): 【💔サーバーエラー】down");
+    assert.strictEqual(lines[4], "OR(meta-llama/llama-3.3-70b-instruct:free): 【❌モデル不明】gone");
+    assert.strictEqual(lines[lines.length - 1], "OR(Free): 【❌モデル不明】gone");
+    assert.strictEqual(lines.length, 1 + 2 + OR_MODELS.length + 1);
+
+    const log = logEntries(p, "結果");
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].status, "全API失敗");
+    assert.strictEqual(log[0].model, "N/A");
+});
+
+test("candidates が空なら📭空回答としてリトライし、次へ進む", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-3-flash-preview", res.geminiEmpty(), res.geminiEmpty());
+
+    const out = p.gas.hy_AI("質問");
+    assert.deepStrictEqual(p.http.models().slice(0, 3), ["gemini-3-flash-preview", "gemini-3-flash-preview", "gemini-2.5-flash"]);
+    assert.ok(out.indexOf("Gemini(gemini-3-flash-preview): 【📭空回答】回答データの構造が不正です") !== -1, out);
+});
+
+test("壊れた JSON の 200 応答はリトライしてから次のモデルへ進む", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.raw(200, "{not json"), res.raw(200, "{not json"));
+    p.http.when("gemini-2.5-flash", res.gemini("OK"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["gemini-3-flash-preview", "gemini-3-flash-preview", "gemini-2.5-flash"]);
+});
+
+test("壊れた JSON は【⚠️JSON解析エラー】として試行ログに残る", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("gemini-3-flash-preview", res.raw(200, "{not json"), res.raw(200, "{not json"));
+
+    const out = p.gas.hy_AI("質問");
+    assert.ok(out.indexOf("Gemini(gemini-3-flash-preview): 【⚠️JSON解析エラー】{not json") !== -1, out);
+});
+
+test("GEMINI_API_KEY 未設定なら Gemini を送信せず OpenRouter を使う", () => {
+    const p = loadProject({ properties: { OPENROUTER_API_KEY: "or-key" } });
+    p.http.when(OR_MODELS[0], res.openai("OR回答", OR_MODELS[0], 5));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "OR回答");
+    assert.deepStrictEqual(p.http.models(), [OR_MODELS[0]]);
+    assert.strictEqual(p.http.requests[0].headers.Authorization, "Bearer or-key");
+    assert.strictEqual(logEntries(p, "結果")[0].source, "OpenRouter");
+});
+
+test("例示・履歴・温度・システム指示がリクエストに反映される", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", res.error(500, "x"), res.error(500, "x"));
+    p.http.when("gemini-2.5-flash", res.error(404, "x"));
+    p.http.when(OR_MODELS[0], res.openai("OK", OR_MODELS[0]));
+
+    p.gas.hy_AI("今回", "先生", 0.7, [["入力1", "出力1"], ["", "無視"]], [["前の質問", "前の回答"]]);
+
+    const g = p.http.requests[0].json;
+    assert.deepStrictEqual(g.contents, [
+        { role: "user", parts: [{ text: "Ex: 入力1" }] },
+        { role: "model", parts: [{ text: "Ans: 出力1" }] },
+        { role: "user", parts: [{ text: "前の質問" }] },
+        { role: "model", parts: [{ text: "前の回答" }] },
+        { role: "user", parts: [{ text: "今回" }] }
+    ]);
+    assert.deepStrictEqual(g.generationConfig, { temperature: 0.7, maxOutputTokens: 1024 });
+    assert.deepStrictEqual(g.system_instruction, { role: "system", parts: [{ text: "先生" }] });
+
+    const o = p.http.requests[3].json;
+    assert.strictEqual(o.model, OR_MODELS[0]);
+    assert.deepStrictEqual(o.messages[0], { role: "system", content: "先生" });
+    assert.deepStrictEqual(o.messages[o.messages.length - 1], { role: "user", content: "今回" });
+    assert.strictEqual(o.temperature, 0.7);
+    assert.strictEqual(o.max_tokens, 1024);
+});
+
+test("showModel=TRUE でモデル名・トークン数・応答時間のヘッダーを付ける", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when("gemini-3-flash-preview", Object.assign(res.gemini("OK", 128), { latencyMs: 1200 }));
+
+    assert.strictEqual(p.gas.hy_AI("質問", "", "", "", "", "TRUE"), "【gemini-3-flash-preview | 128tok | 1.2s】\nOK");
+});
+
+test("プロンプト未入力なら通知を返し、何も送信しない", () => {
+    const p = loadProject({ properties: KEYS });
+    assert.strictEqual(p.gas.hy_AI(""), "【通知】質問を入力してください。");
+    assert.strictEqual(p.http.requests.length, 0);
+});
@@ -0,0 +1,96 @@
+// ============================================================
+// OpenAI 互換エンドポイントのテスト (openai_compat.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const LOCAL = {
+    OPENAI_COMPAT_BASE_URL: "https://llm.example.internal/v1/",
+    OPENAI_COMPAT_MODELS: "llama3.1:8b, qwen2.5:7b"
+};
+
+
+test("oc_AI は BASE_URL + /chat/completions に設定モデルを順に送る", () => {
+    const p = loadProject({ properties: LOCAL });
+    p.http.when("llama3.1:8b", res.error(404, "model not loaded"));
+    p.http.when("qwen2.5:7b", res.openai("ローカル回答", "qwen2.5:7b", 30));
+
+    assert.strictEqual(p.gas.oc_AI("質問"), "ローカル回答");
+    assert.deepStrictEqual(p.http.models(), ["llama3.1:8b", "qwen2.5:7b"]);
+    assert.strictEqual(p.http.requests[0].url, "https://llm.example.internal/v1/chat/completions");
+    assert.deepStrictEqual(p.http.requests[0].headers, {});
+    assert.strictEqual(logEntries(p, "結果")[0].source, "OpenAI互換(単体)");
+});
+
+test("APIキーと独自の認証ヘッダー名を使える", () => {
+    const p = loadProject({ properties: Object.assign({
+        OPENAI_COMPAT_API_KEY: "secret",
+        OPENAI_COMPAT_AUTH_HEADER: "api-key",
+        OPENAI_COMPAT_BASE_URL: "https://gw.example/openai/chat/completions"
+    }, { OPENAI_COMPAT_MODELS: "m" }) });
+    p.http.when("m", res.openai("OK", "m"));
+
+    p.gas.oc_AI("質問");
+    assert.strictEqual(p.http.requests[0].url, "https://gw.example/openai/chat/completions");
+    assert.deepStrictEqual(p.http.requests[0].headers, { "api-key": "secret" });
+});
+
+test("Authorization ヘッダーなら Bearer を付ける", () => {
+    const p = loadProject({ properties: Object.assign({ OPENAI_COMPAT_API_KEY: "secret" }, LOCAL) });
+    p.http.when("llama3.1:8b", res.openai("OK", "llama3.1:8b"));
+
+    p.gas.oc_AI("質問");
+    assert.deepStrictEqual(p.http.requests[0].headers, { Authorization: "Bearer secret" });
+});
+
+test("7番目の引数でモデルを指定できる", () => {
+    const p = loadProject({ properties: LOCAL });
+    p.http.when("mistral", res.openai("OK", "mistral"));
+
+    assert.strictEqual(p.gas.oc_AI("質問", "", "", "", "", "", "mistral"), "OK");
+    assert.deepStrictEqual(p.http.models(), ["mistral"]);
+});
+
+test("BASE_URL 未設定・モデル未設定なら送信せずに案内を返す", () => {
+    let p = loadProject({ properties: {} });
+    assert.ok(p.gas.oc_AI("質問").indexOf("【⚠️設定エラー】OPENAI_COMPAT_BASE_URL") === 0);
+
+    p = loadProject({ properties: { OPENAI_COMPAT_BASE_URL: "https://x.example/v1" } });
+    assert.ok(p.gas.oc_AI("質問").indexOf("【⚠️設定エラー】OPENAI_COMPAT_MODELS") === 0);
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("hy_AI は既定で OpenRouter の後・openrouter/free の前に互換モデルを試す", () => {
+    const p = loadProject({ properties: Object.assign({ GEMINI_API_KEY: "g", OPENROUTER_API_KEY: "o" }, LOCAL) });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when("qwen2.5:7b", res.openai("互換で成功", "qwen2.5:7b"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "互換で成功");
+    const models = p.http.models();
+    assert.deepStrictEqual(models.slice(-3), ["nvidia/nemotron-3-nano-30b-a3b:free", "llama3.1:8b", "qwen2.5:7b"]);
+    assert.strictEqual(logEntries(p, "結果")[0].source, "OpenAI互換");
+});
+
+test("OPENAI_COMPAT_POSITION=first なら Gemini より先に試す", () => {
+    const p = loadProject({ properties: Object.assign({ GEMINI_API_KEY: "g", OPENAI_COMPAT_POSITION: "first" }, LOCAL) });
+    p.http.when("llama3.1:8b", res.openai("先頭で成功", "llama3.1:8b"));
+
+    assert.strictEqual(p.gas.hy_AI("質問"), "先頭で成功");
+    assert.deepStrictEqual(p.http.models(), ["llama3.1:8b"]);
+});
+
+test("hy_AI 全滅時の試行ログに OC(モデル) が並ぶ", () => {
+    const p = loadProject({ properties: Object.assign({ OPENAI_COMPAT_POSITION: "first" }, LOCAL) });
+    p.http.defaultResponse = res.error(404, "gone");
+
+    const lines = p.gas.hy_AI("質問").split("\n");
+    assert.strictEqual(lines[1], "OC(llama3.1:8b): 【❌モデル不明】gone");
+    assert.strictEqual(lines[2], "OC(qwen2.5:7b): 【❌モデル不明】gone");
+    assert.ok(lines[3].indexOf("Gemini(gemini-3-flash-preview): 【🔑APIキー未設定】") === 0, lines[3]);
+});
+
+test("BASE_URL 未設定なら hy_AI のチェーンに互換モデルを入れない", () => {
+    const p = loadProject({ properties: { OPENAI_COMPAT_MODELS: "m" } });
+    const out = p.gas.hy_AI("質問");
+    assert.ok(out.indexOf("OC(") === -1, out);
+});
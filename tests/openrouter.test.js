@@ -0,0 +1,88 @@
+// ============================================================
+// or_AI のテスト (openrouter.js)
+// ============================================================
+const assert = require("assert");
+const { test, loadProject, logEntries, res } = require("./harness");
+
+const KEYS = { OPENROUTER_API_KEY: "or-key" };
+
+const OR_MODELS = [
+    "stepfun/step-3.5-flash:free",
+    "meta-llama/llama-3.3-70b-instruct:free",
+    "tngtech/deepseek-r1t2-chimera:free",
+    "google/gemma-3-27b-it:free",
+    "nvidia/nemotron-3-nano-30b-a3b:free"
+];
+
+
+test("モデルリストの先頭から試し、成功した時点で返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when(OR_MODELS[0], res.error(429, "busy"), res.error(429, "busy"));
+    p.http.when(OR_MODELS[1], res.openai("OK", OR_MODELS[1], 12));
+
+    assert.strictEqual(p.gas.or_AI("質問"), "OK");
+    assert.deepStrictEqual(p.http.models(), [OR_MODELS[0], OR_MODELS[0], OR_MODELS[1]]);
+    assert.strictEqual(p.http.requests[0].url, "https://openrouter.ai/api/v1/chat/completions");
+    assert.strictEqual(p.http.requests[0].headers.Authorization, "Bearer or-key");
+    assert.strictEqual(p.sleeps.length, 1);
+    assert.ok(p.sleeps[0] >= 500 && p.sleeps[0] <= 1000, String(p.sleeps));
+});
+
+test("全モデル失敗 → openrouter/free を最終手段として使う", () => {
+    const p = loadProject({ properties: KEYS });
+    OR_MODELS.forEach(m => p.http.when(m, res.error(404, "gone")));
+    p.http.when("openrouter/free", res.openai("無料", "x/y:free", 3));
+
+    assert.strictEqual(p.gas.or_AI("質問", "", "", "", "", true), "【x/y:free | 3tok | ?s】\n無料");
+    assert.deepStrictEqual(p.http.models(), OR_MODELS.concat(["openrouter/free"]));
+});
+
+test("全滅時は【💀全モデル失敗】と試行結果を返す", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.defaultResponse = res.error(404, "gone");
+    p.http.when(OR_MODELS[2], res.openai("   ", OR_MODELS[2]), res.openai("", OR_MODELS[2]));
+
+    const lines = p.gas.or_AI("質問").split("\n");
+    assert.strictEqual(lines[0], "【💀全モデル失敗】");
+    assert.strictEqual(lines[1], OR_MODELS[0] + ": 【❌モデル不明】gone");
+    assert.strictEqual(lines[3], OR_MODELS[2] + ": 【📭空回答】モデルが空の回答を返しました");
+    assert.strictEqual(lines[lines.length - 1], "Free: 【❌モデル不明】gone");
+});
+
+test("APIキー未設定なら送信せずに案内を返す", () => {
+    const p = loadProject({ properties: {} });
+    assert.ok(p.gas.or_AI("質問").indexOf("【🔑APIキー未設定】") === 0);
+    assert.strictEqual(p.http.requests.length, 0);
+});
+
+test("例示と履歴を OpenAI 形式のメッセージに変換する", () => {
+    const p = loadProject({ properties: KEYS });
+    p.http.when(OR_MODELS[0], res.openai("OK", OR_MODELS[0]));
+
+    p.gas.or_AI("今回", "先生", 0.9, [["入力", "出力"]], [["前", "後"]]);
+    const body = p.http.requests[0].json;
+    assert.deepStrictEqual(body.messages, [
+        { role: "system", content: "先生" },
+        { role: "user", content: "Ex: 入力" },
+        { role: "assistant", content: "Ans: 出力" },
+        { role: "user", content: "前" },
+        { role: "assistant", content: "後" },
+        { role: "user", content: "今回" }
+    ]);
+    assert.strictEqual(body.temperature, 0.9);
+    assert.strictEqual(body.max_tokens, 1024);
+});
+
+test("成功時は使用ログに OpenRouter(単体) として記録する", () => {
+    const p = loadProject({ properties: KEYS });
+    OR_MODELS.forEach(m => p.http.when(m, res.error(404, "gone")));
+    p.http.when("openrouter/free", res.openai("OK", "x/y:free", 11));
+
+    p.gas.or_AI("質問");
+    const log = logEntries(p, "結果");
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].model, "x/y:free");
+    assert.strictEqual(log[0].source, "OpenRouter(単体)");
+    assert.strictEqual(log[0].status, "成功(Free)");
+    assert.strictEqual(log[0].tokens, 11);
+});
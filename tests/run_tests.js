@@ -0,0 +1,39 @@
+// ============================================================
+// テストランナー (tests/run_tests.js)
+// ============================================================
+// tests/*.test.js を読み込み、登録されたテストを順に実行します。
+//
+// 【実行】
+//  node tests/run_tests.js            ← 全テスト
+//  node tests/run_tests.js hybrid     ← ファイル名に "hybrid" を含むものだけ
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { registry } = require("./harness");
+
+const filter = process.argv[2] || "";
+
+fs.readdirSync(__dirname)
+    .filter(f => f.endsWith(".test.js") && f.indexOf(filter) !== -1)
+    .sort()
+    .forEach(f => require(path.join(__dirname, f)));
+
+let passed = 0;
+const failures = [];
+
+for (const t of registry) {
+    try {
+        t.fn();
+        passed++;
+        console.log("  ✓ " + t.file + " > " + t.name);
+    } catch (e) {
+        failures.push(t);
+        console.log("  ✗ " + t.file + " > " + t.name);
+        console.log("      " + String(e && e.stack || e).split("\n").join("\n      "));
+    }
+}
+
+console.log("");
+console.log(passed + " 件成功 / " + failures.length + " 件失敗");
+process.exitCode = failures.length > 0 ? 1 : 0;